@@ -0,0 +1,98 @@
+/**
+ * Hybrid architecture: food additives (E-numbers / INS codes).
+ * Verifies code and chemical-name recognition, source-driven verdicts, and modifier overrides on additives.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { evaluateIngredient } from "../services/ingredientRuleEngine.js";
+import { normalizeAdditiveCode, findAdditiveByCode, identifyAdditive } from "../services/additiveCatalogue.js";
+import { getIngredientDetails } from "../utils/halalEngine.js";
+import { runPhotoScanPipeline } from "../services/photoScanPipelineService.js";
+
+describe("Additive catalogue", () => {
+  it("normalizes common code spellings", () => {
+    assert.strictEqual(normalizeAdditiveCode("E471"), "E471");
+    assert.strictEqual(normalizeAdditiveCode("e-471"), "E471");
+    assert.strictEqual(normalizeAdditiveCode("INS 322"), "E322");
+    assert.strictEqual(normalizeAdditiveCode("E160a"), "E160A");
+    assert.strictEqual(normalizeAdditiveCode("sugar"), null);
+  });
+
+  it("falls back to the base number for uncatalogued sub-letters", () => {
+    assert.strictEqual(findAdditiveByCode("E471b")?.code, "E471");
+    assert.strictEqual(findAdditiveByCode("E9999"), null);
+  });
+
+  it("identifies additives by chemical name, longest name first", () => {
+    assert.strictEqual(identifyAdditive("mono and diglycerides of fatty acids")?.entry.code, "E471");
+    assert.strictEqual(identifyAdditive("cochineal")?.entry.code, "E120");
+    assert.strictEqual(identifyAdditive("wheat flour"), null);
+    assert.strictEqual(identifyAdditive("carbon black"), null);
+  });
+
+  it("reads codes in text only when the E touches the number or a prefix is explicit", () => {
+    assert.strictEqual(identifyAdditive("emulsifier e 471", "Emulsifier E-471")?.entry.code, "E471");
+    assert.strictEqual(identifyAdditive("ins 322", "INS 322")?.entry.code, "E322");
+    assert.strictEqual(identifyAdditive("colour e160a")?.entry.code, "E160A");
+    assert.strictEqual(identifyAdditive("vitamin e 300 mg"), null);
+    assert.strictEqual(normalizeAdditiveCode("vitamin e 300"), null);
+  });
+});
+
+describe("Additives in the rule engine", () => {
+  it("E471 without source is conditional", async () => {
+    const r = await evaluateIngredient("E471", {});
+    assert.strictEqual(r.halal_status, "conditional");
+    assert.strictEqual(r.additive?.code, "E471");
+    assert.strictEqual(r.category, "animal_byproduct");
+  });
+
+  it("E471 (vegetable) is halal via plant override", async () => {
+    const r = await evaluateIngredient("Emulsifier: E471 (vegetable)", {});
+    assert.strictEqual(r.halal_status, "halal");
+  });
+
+  it("E441 from pork is haram", async () => {
+    const r = await evaluateIngredient("E441 (pork)", {});
+    assert.strictEqual(r.halal_status, "haram");
+  });
+
+  it("carmine is conditional with plant-colour alternatives", async () => {
+    const r = await evaluateIngredient("carmine", {});
+    assert.strictEqual(r.halal_status, "conditional");
+    assert.strictEqual(r.category, "insect_derived");
+    assert.ok(r.alternatives.includes("beetroot_color"));
+  });
+
+  it("plant and synthetic additives are halal", async () => {
+    for (const phrase of ["E330", "citric acid", "xanthan gum", "INS 415", "E406"]) {
+      const r = await evaluateIngredient(phrase, {});
+      assert.strictEqual(r.halal_status, "halal", phrase);
+    }
+  });
+
+  it("E1510 ethanol is not permitted", async () => {
+    const r = await evaluateIngredient("E1510", {});
+    assert.strictEqual(r.halal_status, "haram");
+  });
+
+  it("non-additive ingredients carry additive: null", async () => {
+    const r = await evaluateIngredient("rice", {});
+    assert.strictEqual(r.additive, null);
+  });
+});
+
+describe("Additives in the JSON knowledge base and photo scan", () => {
+  it("getIngredientDetails resolves E-number aliases and spaced codes", () => {
+    assert.strictEqual(getIngredientDetails("e471", {})?.name, "e471");
+    assert.ok(getIngredientDetails("E 920", {}));
+  });
+
+  it("photo scan reports the additive per ingredient", async () => {
+    const result = await runPhotoScanPipeline("Sugar, E120, Citric acid", { useAINormalization: false });
+    const carmine = result.ingredients.find((i) => i.additive?.code === "E120");
+    assert.ok(carmine);
+    assert.strictEqual(carmine.halal_status, "conditional");
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Hybrid architecture: annotated conversion output.
+ * Verifies overlapping lookup terms resolve longest-match-wins, every detection and edit carries offsets in both
+ * the original and converted text, and the word-level diff rebuilds both texts.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { convertRecipe, convertRecipeHybrid } from "../utils/halalConverter.js";
+
+const RECIPE = `Ingredients:
+1 cup dry red wine
+1 lb pork belly
+4 slices bacon
+
+Instructions:
+1. Render the bacon fat for 8 minutes.
+2. Sear the pork belly, then deglaze with the wine.`;
+
+const assertSpansMatch = (result, annotation) => {
+  const { original, converted } = annotation;
+  assert.strictEqual(result.originalText.slice(original.start, original.end), original.text);
+  assert.strictEqual(result.convertedText.slice(converted.start, converted.end), converted.text);
+};
+
+describe("Overlapping terms", () => {
+  it("replaces the longest match once instead of the shorter term inside it", () => {
+    const { convertedText } = convertRecipe("1 lb pork belly\n1 cup red wine\n2 tbsp wine");
+    assert.strictEqual(convertedText, "1 lb chicken_thigh\n3/4 cup grape_juice_plus_vinegar\n1 1/2 tbsp grape_juice_plus_vinegar");
+  });
+
+  it("detects a shorter term only where it stands alone", () => {
+    const { issues } = convertRecipe("2 cups red wine");
+    assert.deepStrictEqual(issues.map((i) => i.ingredient), ["red wine"]);
+    assert.deepStrictEqual(issues[0].spans.map((s) => s.original.text), ["red wine"]);
+  });
+});
+
+describe("Annotations", () => {
+  it("gives every replacement, amount and instruction rewrite offsets in both texts", () => {
+    const result = convertRecipe(RECIPE);
+    assert.ok(result.annotations.length > 0);
+    result.annotations.forEach((a) => assertSpansMatch(result, a));
+
+    const replaced = result.annotations.filter((a) => a.type === "replacement").map((a) => a.original.text);
+    assert.deepStrictEqual(replaced, ["red wine", "pork belly", "bacon", "bacon", "pork belly", "wine"]);
+
+    const amount = result.annotations.find((a) => a.type === "quantity");
+    assert.deepStrictEqual([amount.original.text, amount.converted.text], ["1", "3/4"]);
+
+    const render = result.annotations.find((a) => a.type === "instruction" && a.change === "technique");
+    assert.strictEqual(render.original.text, "Render the bacon fat");
+    assert.strictEqual(render.step, 1);
+  });
+
+  it("points a replacement inside a rewritten step at the substitute", () => {
+    const result = convertRecipe(RECIPE);
+    const inStep = result.annotations.filter((a) => a.type === "replacement" && a.original.start > RECIPE.indexOf("1. Render"));
+    assert.strictEqual(inStep[0].converted.text, "smoked_turkey_bacon");
+  });
+
+  it("attaches the spans of each issue", () => {
+    const result = convertRecipe(RECIPE);
+    const wine = result.issues.find((i) => i.ingredient === "wine");
+    assert.deepStrictEqual(wine.spans.map((s) => s.original.text), ["red wine", "wine"]);
+    wine.spans.forEach((s) => assertSpansMatch(result, s));
+  });
+});
+
+describe("Word-level diff", () => {
+  it("rebuilds the original and converted text", () => {
+    const result = convertRecipe(RECIPE);
+    const side = (skip) => result.diff.filter((d) => d.type !== skip).map((d) => d.text).join("");
+    assert.strictEqual(side("insert"), result.originalText);
+    assert.strictEqual(side("delete"), result.convertedText);
+    result.diff.forEach((d) => {
+      if (d.type !== "insert") assert.strictEqual(result.originalText.slice(d.original.start, d.original.end), d.text);
+      if (d.type !== "delete") assert.strictEqual(result.convertedText.slice(d.converted.start, d.converted.end), d.text);
+    });
+  });
+
+  it("changes whole words and amounts", () => {
+    const { diff } = convertRecipe("2 cups red wine");
+    assert.deepStrictEqual(
+      diff.map((d) => [d.type, d.text]),
+      [
+        ["delete", "2"],
+        ["insert", "1 1/2"],
+        ["equal", " cups "],
+        ["delete", "red wine"],
+        ["insert", "grape_juice_plus_vinegar"],
+      ]
+    );
+  });
+
+  it("is a single equal run when nothing changes", () => {
+    const { diff, annotations } = convertRecipe("2 cups flour");
+    assert.deepStrictEqual(diff.map((d) => d.type), ["equal"]);
+    assert.deepStrictEqual(annotations, []);
+  });
+});
+
+describe("Hybrid conversion", () => {
+  it("annotates detections without a replacement in place", async () => {
+    // Without a database the rule engine flags both terms but offers no alternatives
+    const result = await convertRecipeHybrid("1 lb pork belly\n1 cup red wine");
+    const detections = result.annotations.filter((a) => a.type === "detection");
+    assert.deepStrictEqual(detections.map((a) => a.original.text), ["pork belly", "red wine"]);
+    detections.forEach((a) => {
+      assert.strictEqual(a.converted.text, a.original.text);
+      assertSpansMatch(result, a);
+    });
+    assert.deepStrictEqual(result.diff.map((d) => d.type), ["equal"]);
+  });
+
+  it("marks conditional terms that stay in the text as not replaced", async () => {
+    const result = await convertRecipeHybrid("1 cup chicken broth\n1 tbsp gelatin");
+    const broth = result.annotations.find((a) => a.ingredient === "chicken broth");
+    assert.deepStrictEqual([broth.type, broth.status, broth.replaced], ["detection", "conditional", false]);
+    assertSpansMatch(result, broth);
+    const issue = result.issues.find((i) => i.ingredient === "chicken broth");
+    assert.deepStrictEqual(issue.spans.map((s) => s.original.text), ["chicken broth"]);
+
+    const gelatin = result.annotations.find((a) => a.type === "replacement");
+    assert.deepStrictEqual([gelatin.ingredient, gelatin.replaced], ["gelatin", true]);
+  });
+});
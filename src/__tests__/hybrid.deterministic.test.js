@@ -6,6 +6,8 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
 import { evaluateIngredient, normalizeIngredientText, identifyBaseIngredient } from "../services/ingredientRuleEngine.js";
+import { getIngredientDetails } from "../utils/halalEngine.js";
+import { resolvePreferences } from "../utils/halalRules.js";
 
 const VALID_STATUSES = new Set(["halal", "conditional", "haram", "unknown"]);
 
@@ -44,3 +46,52 @@ describe("Deterministic lookup", () => {
     assert.strictEqual(r2.halal_status, "unknown");
   });
 });
+
+describe("Preference-aware verdicts", () => {
+  it("no preferences leaves verdicts and adjustments untouched", async () => {
+    const r = await evaluateIngredient("gelatin", {});
+    assert.strictEqual(r.halal_status, "conditional");
+    assert.deepStrictEqual(r.preferenceAdjustments, []);
+  });
+
+  it("strict halal_standard resolves unknown-source gelatin to haram and says why", async () => {
+    const r = await evaluateIngredient("gelatin", { halal_standard: "strict" });
+    assert.strictEqual(r.halal_status, "haram");
+    assert.deepStrictEqual(r.preferenceAdjustments, [
+      { preference: "halal_standard", value: "strict", rule: "gelatin_unknown", from: "conditional", to: "haram" },
+    ]);
+  });
+
+  it("flexible halal_standard accepts unknown-source rennet", async () => {
+    const r = await evaluateIngredient("rennet", { strictness: "flexible" });
+    assert.strictEqual(r.halal_status, "halal");
+    assert.strictEqual(r.preferenceAdjustments[0].rule, "enzymes_unknown");
+  });
+
+  it("a modifier that settles the source is not overridden by strictness", async () => {
+    const r = await evaluateIngredient("pork gelatin", { halal_standard: "flexible" });
+    assert.strictEqual(r.halal_status, "haram");
+    assert.deepStrictEqual(r.preferenceAdjustments, []);
+  });
+
+  it("school_of_thought decides shellfish", async () => {
+    const neutral = await evaluateIngredient("shrimp", {});
+    const hanafi = await evaluateIngredient("shrimp", { school_of_thought: "hanafi" });
+    const shafii = await evaluateIngredient("prawns", { school_of_thought: "Shafi'i" });
+    assert.strictEqual(neutral.verdict, "usually_halal");
+    assert.strictEqual(hanafi.halal_status, "haram");
+    assert.strictEqual(hanafi.preferenceAdjustments[0].preference, "school_of_thought");
+    assert.strictEqual(shafii.halal_status, "halal");
+  });
+
+  it("resolvePreferences accepts profile and API names and ignores unknown values", () => {
+    assert.deepStrictEqual(resolvePreferences({ halal_standard: "Strict", school_of_thought: "Hanbali" }), { strictness: "strict", madhab: "hanbali" });
+    assert.deepStrictEqual(resolvePreferences({ strictness: "extreme", madhab: "no-preference" }), { strictness: "standard", madhab: null });
+  });
+
+  it("JSON knowledge engine reports the same adjustments", () => {
+    const d = getIngredientDetails("gelatin", { halal_standard: "strict" });
+    assert.strictEqual(d.status, "haram");
+    assert.strictEqual(d.preferenceAdjustments[0].rule, "gelatin_unknown");
+  });
+});
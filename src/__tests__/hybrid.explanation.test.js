@@ -10,6 +10,10 @@ import {
   templateFallbackExplanation,
   generateExplanation,
 } from "../services/aiExplanationService.js";
+import { negotiateLocale, parseAcceptLanguage, translate, translateNote } from "../services/i18nService.js";
+import { getRankedSubstitutes } from "../services/rankedSubstitutionsService.js";
+import { classifyIngredient } from "../services/halalClassificationService.js";
+import { MESSAGES } from "../services/messageCatalogue.js";
 
 describe("Explanation generation", () => {
   it("buildExplanationInput does not mutate ruleResult", () => {
@@ -66,3 +70,75 @@ describe("Explanation generation", () => {
     assert.strictEqual(ruleResult.halal_status, "halal");
   });
 });
+
+describe("Localization", () => {
+  const gelatin = { ingredient_name: "Gelatin", halal_status: "conditional", modifiers: [], notes: "", references: [] };
+
+  it("negotiateLocale prefers the profile language, then Accept-Language, then English", () => {
+    assert.strictEqual(negotiateLocale({ profileLanguage: "ur", acceptLanguage: "fr" }), "ur");
+    assert.strictEqual(negotiateLocale({ profileLanguage: "de", acceptLanguage: "de-DE, ar-EG;q=0.8, fr;q=0.9" }), "fr");
+    assert.strictEqual(negotiateLocale({ acceptLanguage: "es, *;q=0.5" }), "en");
+    assert.strictEqual(negotiateLocale(), "en");
+  });
+
+  it("parseAcceptLanguage orders by q and drops q=0", () => {
+    assert.deepStrictEqual(parseAcceptLanguage("en;q=0.5, ar, fr;q=0"), ["ar", "en"]);
+  });
+
+  it("English template is unchanged by the catalogue", () => {
+    assert.strictEqual(
+      templateFallbackExplanation(gelatin),
+      templateFallbackExplanation(gelatin, { locale: "en" })
+    );
+    assert.ok(templateFallbackExplanation(gelatin).startsWith("Gelatin is often considered conditional"));
+  });
+
+  it("French template is in French", () => {
+    const text = templateFallbackExplanation(gelatin, { locale: "fr" });
+    assert.ok(text.includes("conditionnel"), text);
+  });
+
+  it("Arabic and Urdu templates carry a right-to-left mark and isolate the ingredient name", () => {
+    for (const locale of ["ar", "ur"]) {
+      const text = templateFallbackExplanation(gelatin, { locale });
+      assert.ok(text.startsWith("\u200F"), `${locale}: ${text}`);
+      assert.ok(text.includes("\u2068Gelatin\u2069"), `${locale}: ${text}`);
+    }
+  });
+
+  it("unknown keys and locales fall back to English, then the key", () => {
+    assert.strictEqual(translate("errors.recipeNotFound", "de"), "Recipe not found");
+    assert.strictEqual(translate("errors.doesNotExist", "fr"), "errors.doesNotExist");
+    assert.strictEqual(translate("errors.batchTooLarge", "en", { max: 20 }), "A batch can contain at most 20 recipes");
+  });
+
+  it("every locale translates every API error, message and verdict reason", () => {
+    const errorKeys = Object.keys(MESSAGES.en).filter((key) => /^(?:errors|messages|verdict)\./.test(key));
+    for (const [locale, messages] of Object.entries(MESSAGES)) {
+      assert.deepStrictEqual(errorKeys.filter((key) => !(key in messages)), [], locale);
+    }
+    assert.strictEqual(translate("errors.planRecipeNotFound", "fr", { recipeId: "r1" }), "Recette introuvable : r1");
+  });
+
+  it("engine notes are translated; notes from the database pass through", () => {
+    assert.notStrictEqual(translateNote("Pork and pork-derived ingredients are haram.", "fr"), "Pork and pork-derived ingredients are haram.");
+    assert.strictEqual(translateNote("Imported rule note.", "fr"), "Imported rule note.");
+  });
+
+  it("classifyIngredient localizes warnings without changing the verdict", async () => {
+    const en = await classifyIngredient("pork gelatin");
+    const fr = await classifyIngredient("pork gelatin", { locale: "fr" });
+    assert.strictEqual(fr.halal_status, en.halal_status);
+    assert.ok(fr.warnings.includes(translate("warning.haram", "fr")));
+    assert.ok(!fr.warnings.includes(translate("warning.haram", "en")));
+  });
+
+  it("substitute reasons follow the locale", async () => {
+    const en = await getRankedSubstitutes("gelatin", {});
+    const ar = await getRankedSubstitutes("gelatin", { locale: "ar" });
+    assert.ok(en.best && ar.best);
+    assert.strictEqual(ar.best.name, en.best.name);
+    assert.notStrictEqual(ar.best.reason, en.best.reason);
+    assert.ok(ar.best.reason.startsWith("\u200F"));
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Hybrid architecture: instruction-aware conversion.
+ * Verifies instruction steps are found, tied to the ingredient they substitute, rewritten from the substitute's
+ * cooking notes (verbs, techniques, times) and reported as a step-by-step diff.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { findInstructionSteps, rewriteInstructionSteps } from "../utils/instructionRewriter.js";
+import { convertRecipe } from "../utils/halalConverter.js";
+
+const RECIPE = `Ingredients:
+1 cup dry red wine
+4 slices bacon
+1 onion, diced
+
+Instructions:
+1. Render the bacon fat over medium heat for 8 minutes until crisp. Cook the onion in the bacon drippings.
+2. Deglaze with the wine and simmer until reduced by half, about 10-12 minutes.
+3. Season and simmer the sauce for 20 minutes.`;
+
+describe("Instruction steps", () => {
+  it("finds the steps after the instructions heading", () => {
+    const steps = findInstructionSteps(RECIPE);
+    assert.deepStrictEqual(steps.map((s) => s.line), [6, 7, 8]);
+    assert.ok(steps[1].text.startsWith("2. Deglaze"));
+  });
+
+  it("without a heading, skips ingredient lines and short notes", () => {
+    const steps = findInstructionSteps("2 cups flour\nsalt to taste\nWhisk the flour into the warm milk.\n2. Bake.");
+    assert.deepStrictEqual(steps.map((s) => s.text), ["Whisk the flour into the warm milk.", "2. Bake."]);
+  });
+});
+
+describe("Instruction rewriting", () => {
+  it("rewrites the steps that use a substitute and leaves ingredient lines to the quantity pass", () => {
+    const result = convertRecipe(RECIPE);
+    const lines = result.convertedText.split("\n");
+
+    assert.strictEqual(lines[1], "3/4 cup dry grape_juice_plus_vinegar");
+    assert.strictEqual(
+      lines[6],
+      "1. Brown the smoked_turkey_bacon in 1 tbsp oil over medium heat for 4 minutes until crisp. Cook the onion in the oil."
+    );
+    assert.strictEqual(
+      lines[7],
+      "2. Deglaze with the grape_juice_plus_vinegar and simmer until reduced by a third, about 7-8 minutes."
+    );
+    assert.strictEqual(lines[8], "3. Season and simmer the sauce for 20 minutes.");
+  });
+
+  it("returns a step-by-step diff tied to the substitutions", () => {
+    const { instructionDiff } = convertRecipe(RECIPE);
+    assert.deepStrictEqual(instructionDiff.map((d) => d.step), [1, 2]);
+
+    const [render, deglaze] = instructionDiff;
+    assert.strictEqual(render.original, RECIPE.split("\n")[6]);
+    assert.deepStrictEqual(render.substitutions.map((s) => [s.original, s.replacement]), [["bacon", "smoked_turkey_bacon"]]);
+    assert.ok(render.substitutions[0].note);
+    assert.deepStrictEqual(
+      render.changes.map((c) => [c.type, c.from, c.to]),
+      [
+        ["time", "8 minutes", "4 minutes"],
+        ["technique", "Render the smoked_turkey_bacon fat", "Brown the smoked_turkey_bacon in 1 tbsp oil"],
+        ["technique", "in the smoked_turkey_bacon drippings", "in the oil"],
+      ]
+    );
+    assert.ok(deglaze.changes.some((c) => c.type === "technique" && c.to === "reduced by a third"));
+    assert.ok(deglaze.changes.every((c) => c.substitute === "grape_juice_plus_vinegar" && c.note));
+  });
+
+  it("drops alcohol-only techniques and scales hours down to minutes", () => {
+    const { convertedText, instructionDiff } = rewriteInstructionSteps(
+      "Flambé with the rum.\nBloom the gelatin in cold water. Do not let it boil. Chill for 2 hours until set.",
+      "Flambé with the vanilla_extract_plus_molasses.\nBloom the agar_agar in cold water. Do not let it boil. Chill for 2 hours until set.",
+      [
+        { original: "rum", replacement: "vanilla_extract_plus_molasses" },
+        { original: "gelatin", replacement: "agar_agar" },
+      ]
+    );
+    assert.strictEqual(
+      convertedText,
+      "Stir in the vanilla_extract_plus_molasses.\n" +
+        "Dissolve the agar_agar in cold water. Bring to a boil and simmer for 2 minutes. Chill for 30 minutes until set."
+    );
+    assert.strictEqual(instructionDiff.length, 2);
+  });
+
+  it("lists a tied step without changes when the substitute has no cooking notes", () => {
+    const { convertedText, instructionDiff } = rewriteInstructionSteps(
+      "Brush the pan with lard and bake for 20 minutes.",
+      "Brush the pan with beef_tallow_halal and bake for 20 minutes.",
+      [{ original: "lard", replacement: "beef_tallow_halal" }]
+    );
+    assert.strictEqual(convertedText, "Brush the pan with beef_tallow_halal and bake for 20 minutes.");
+    assert.deepStrictEqual(instructionDiff[0].changes, []);
+    assert.strictEqual(instructionDiff[0].substitutions[0].note, null);
+  });
+
+  it("returns an empty diff for an ingredient list", () => {
+    const result = convertRecipe("1 cup white wine\n2 slices bacon");
+    assert.deepStrictEqual(result.instructionDiff, []);
+  });
+});
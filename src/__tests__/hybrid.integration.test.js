@@ -1,12 +1,59 @@
 /**
  * Integration: classification uses rule engine verdict; AI does not override.
- * Verifies classifyIngredient returns halal_status from rules and explanation is text-only.
+ * Verifies classifyIngredient returns halal_status from rules and explanation is text-only,
+ * that batch conversion isolates failures, that meal plans validate, scale and roll up their recipes,
+ * that product verification combines ingredient verdicts with certification,
+ * that role checks keep the admin, curator and analytics routes to the right accounts,
+ * that session tokens are short-lived and tied to a revocable session,
+ * that account emails go through pluggable mail transports,
+ * and that free-plan limits cap substitutes and refuse over-limit saves with a structured body.
  */
 
 import { describe, it } from "node:test";
 import assert from "node:assert";
 import { classifyIngredient } from "../services/halalClassificationService.js";
 import { evaluateIngredient } from "../services/ingredientRuleEngine.js";
+import { convertRecipesBatch } from "../services/batchConversionService.js";
+import { validateMealPlan, summarizeMealPlanHalalStatus } from "../services/mealPlanService.js";
+import { buildMealPlanShoppingList } from "../services/shoppingListService.js";
+import { verifyProduct, normalizeBarcode, validateBarcode } from "../services/productVerificationService.js";
+import jwt from "jsonwebtoken";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { requireAdmin, requireRole, rolesForUser, requireVerifiedEmail, JWT_SECRET } from "../middleware/auth.js";
+import { sendMail, registerMailTransport, getMailTransport } from "../services/mailer.js";
+import {
+  parseRefreshToken,
+  signAccessToken,
+  refreshSession,
+  ACCESS_TOKEN_TTL_SECONDS,
+} from "../services/sessionService.js";
+import {
+  limitSubstitutes,
+  applySubstitutionLimit,
+  limitExceededBody,
+  readOnlyRecipeBody,
+} from "../services/entitlementService.js";
+
+/** Run an Express middleware against a stub request; reports whether next() ran and what was sent. */
+function runMiddleware(middleware, user, locale = "en") {
+  const outcome = { nextCalled: false, status: null, body: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  middleware({ user, locale }, res, () => {
+    outcome.nextCalled = true;
+  });
+  return outcome;
+}
 
 describe("Integration: deterministic verdict in classification", () => {
   it("classifyIngredient returns same halal_status as evaluateIngredient for rice", async () => {
@@ -35,3 +82,328 @@ describe("Integration: deterministic verdict in classification", () => {
     assert.ok(r.substitutes.best !== undefined || Array.isArray(r.substitutes.alternatives));
   });
 });
+
+describe("Integration: batch conversion", () => {
+  it("isolates failing recipes and aggregates haram ingredients", async () => {
+    const tracked = [];
+    const { results, summary } = await convertRecipesBatch(
+      [{ recipeText: "1 lb pork" }, { recipeText: "" }, { recipeId: "missing", error: "Recipe not found" }, { recipeText: "2 slices bacon\n1 lb pork" }],
+      { onConverted: async (item) => tracked.push(item.recipeText) }
+    );
+    assert.deepStrictEqual(results.map((r) => r.ok), [true, false, false, true]);
+    assert.strictEqual(summary.succeeded, 2);
+    assert.strictEqual(summary.failed, 2);
+    assert.strictEqual(tracked.length, 2);
+    assert.strictEqual(summary.topHaramIngredients[0].ingredient, "pork");
+    assert.strictEqual(summary.topHaramIngredients[0].count, 2);
+  });
+});
+
+describe("Integration: meal plans", () => {
+  const withWine = { id: "a", title: "Risotto", original_recipe: "Serves 2\n1 cup wine\n2 cups rice" };
+  const plain = { id: "b", title: "Rice", original_recipe: "1 cup rice\n1 tsp salt" };
+
+  it("rejects entries outside the plan's date range and unknown slots", () => {
+    const plan = { name: "Week", startDate: "2026-10-19", endDate: "2026-10-25" };
+    const recipeId = "00000000-0000-4000-8000-000000000001";
+    assert.strictEqual(validateMealPlan({ ...plan, entries: [{ date: "2026-10-26", slot: "lunch", recipeId }] }).error, "errors.entryOutsideRange");
+    assert.strictEqual(validateMealPlan({ ...plan, entries: [{ date: "2026-10-20", slot: "brunch", recipeId }] }).error, "errors.entrySlotInvalid");
+    assert.strictEqual(validateMealPlan({ ...plan, entries: [{ date: "2026-10-20", slot: "dinner", recipeId }] }).value.entries[0].servings, 1);
+    assert.strictEqual(validateMealPlan({ endDate: "2026-10-18" }, { partial: true, current: plan }).error, "errors.planDatesReversed");
+  });
+
+  it("scales each slot to its servings and merges the combined list", async () => {
+    const list = await buildMealPlanShoppingList([{ recipe: withWine, servings: 4 }, { recipe: plain, servings: 2 }]);
+    assert.strictEqual(list.items.find((i) => i.name === "rice").quantity, 5);
+    assert.strictEqual(list.items.find((i) => i.isSubstitute).quantity, 1.5);
+  });
+
+  it("rolls up the worst status across distinct recipes", () => {
+    const rollup = summarizeMealPlanHalalStatus([withWine, plain, withWine]);
+    assert.strictEqual(rollup.overall, "converted");
+    assert.deepStrictEqual(rollup.counts, { halal: 1, converted: 1, conditional: 0, haram: 0 });
+    assert.strictEqual(rollup.recipes.length, 2);
+  });
+});
+
+describe("Integration: product verification", () => {
+  const now = new Date("2026-10-18T12:00:00Z");
+  const gummies = {
+    id: "p1",
+    ingredients_text: "sugar, gelatin, citric acid",
+    certification_body: "IFANCA",
+    verification_source: "certifier",
+  };
+
+  it("a valid certificate covers conditional ingredients; an expired one does not", async () => {
+    const valid = await verifyProduct({ ...gummies, certificate_expires_at: "2027-01-01" }, { now });
+    assert.strictEqual(valid.certification.status, "certified");
+    assert.strictEqual(valid.verdict.status, "halal");
+    const expired = await verifyProduct({ ...gummies, certificate_expires_at: "2026-01-01" }, { now });
+    assert.strictEqual(expired.certification.status, "expired");
+    assert.strictEqual(expired.verdict.status, "conditional");
+  });
+
+  it("ignores certification a user submitted or one without an expiry date", async () => {
+    for (const product of [
+      { ...gummies, verification_source: "user_submission", certificate_expires_at: "2027-01-01" },
+      { ...gummies, verification_source: "label_scan", certificate_expires_at: "2027-01-01" },
+      { ...gummies, certificate_expires_at: null },
+    ]) {
+      const r = await verifyProduct(product, { now });
+      assert.strictEqual(r.certification.status, "unverified");
+      assert.strictEqual(r.verdict.status, "conditional");
+      assert.ok(r.verdict.reasons.some((reason) => /IFANCA.*not (?:been )?verified/.test(reason)));
+    }
+  });
+
+  it("honours a user-submitted certificate once a curator has verified it", async () => {
+    const r = await verifyProduct(
+      { ...gummies, verification_source: "user_submission", verified_at: "2026-09-01T00:00:00Z", certificate_expires_at: "2027-01-01" },
+      { now }
+    );
+    assert.strictEqual(r.certification.status, "certified");
+    assert.strictEqual(r.verdict.status, "halal");
+  });
+
+  it("a haram ingredient overrides certification and is flagged as a conflict", async () => {
+    const r = await verifyProduct(
+      { ...gummies, ingredients_text: "water, pork, salt", certificate_expires_at: "2027-01-01" },
+      { now }
+    );
+    assert.strictEqual(r.verdict.status, "haram");
+    assert.ok(r.verdict.reasons.some((reason) => /conflicts/.test(reason)));
+  });
+
+  it("validates barcode check digits and canonicalizes UPC-A to EAN-13", () => {
+    assert.strictEqual(normalizeBarcode("0 12345-67890 5"), "0012345678905");
+    assert.strictEqual(normalizeBarcode("00012345678905"), "0012345678905");
+    assert.strictEqual(normalizeBarcode("4006381333931"), "4006381333931");
+    assert.strictEqual(validateBarcode("012345678906").error, "errors.barcodeCheckDigit");
+    assert.strictEqual(normalizeBarcode("12345"), null);
+  });
+});
+
+describe("Integration: rule admin access", () => {
+  const runRequireAdmin = (user) => runMiddleware(requireAdmin, user);
+  const verifiedAt = new Date("2026-01-01T00:00:00Z");
+
+  it("lets ADMIN_EMAILS accounts through, case-insensitively, and refuses everyone else", () => {
+    const previous = process.env.ADMIN_EMAILS;
+    process.env.ADMIN_EMAILS = "curator@example.com, Lead@Example.com";
+    try {
+      assert.strictEqual(runRequireAdmin({ id: "1", email: "lead@example.com", email_verified_at: verifiedAt }).nextCalled, true);
+      const denied = runRequireAdmin({ id: "2", email: "user@example.com", email_verified_at: verifiedAt });
+      assert.strictEqual(denied.nextCalled, false);
+      assert.strictEqual(denied.status, 403);
+      assert.strictEqual(denied.body.error, "Admin access required");
+    } finally {
+      if (previous === undefined) delete process.env.ADMIN_EMAILS;
+      else process.env.ADMIN_EMAILS = previous;
+    }
+  });
+
+  it("refuses everyone when ADMIN_EMAILS is not set", () => {
+    const previous = process.env.ADMIN_EMAILS;
+    delete process.env.ADMIN_EMAILS;
+    try {
+      assert.strictEqual(runRequireAdmin({ id: "1", email: "lead@example.com", email_verified_at: verifiedAt }).status, 403);
+    } finally {
+      if (previous !== undefined) process.env.ADMIN_EMAILS = previous;
+    }
+  });
+});
+
+describe("Integration: role-based access", () => {
+  it("requireRole lets any listed role and admins through", () => {
+    const dashboardGate = requireRole("analyst");
+    assert.strictEqual(runMiddleware(dashboardGate, { id: "1", roles: ["user", "analyst"] }).nextCalled, true);
+    assert.strictEqual(runMiddleware(dashboardGate, { id: "2", roles: ["user", "admin"] }).nextCalled, true);
+    assert.strictEqual(runMiddleware(requireRole("curator", "analyst"), { id: "3", roles: ["curator"] }).nextCalled, true);
+  });
+
+  it("requireRole refuses other roles with a localized 403", () => {
+    const curatorOnly = runMiddleware(requireRole("analyst"), { id: "1", roles: ["user", "curator"] });
+    assert.strictEqual(curatorOnly.nextCalled, false);
+    assert.strictEqual(curatorOnly.status, 403);
+    assert.strictEqual(curatorOnly.body.error, "Requires one of these roles: analyst");
+    const french = runMiddleware(requireRole("analyst"), { id: "1", roles: ["user"] }, "fr");
+    assert.strictEqual(french.body.error, "Nécessite l'un de ces rôles : analyst");
+    assert.strictEqual(runMiddleware(requireAdmin, { id: "2", roles: ["analyst"] }).status, 403);
+    assert.strictEqual(runMiddleware(requireRole("analyst"), undefined).status, 403);
+  });
+
+  it("rolesForUser defaults to user and adds admin for verified ADMIN_EMAILS accounts", () => {
+    const previous = process.env.ADMIN_EMAILS;
+    process.env.ADMIN_EMAILS = "lead@example.com";
+    try {
+      assert.deepStrictEqual(rolesForUser({ email: "someone@example.com" }), ["user"]);
+      assert.deepStrictEqual(rolesForUser({ email: "someone@example.com", roles: ["analyst", "user"] }), ["user", "analyst"]);
+      assert.deepStrictEqual(rolesForUser({ email: "Lead@Example.com", roles: ["user"], email_verified_at: new Date() }), ["user", "admin"]);
+      assert.deepStrictEqual(rolesForUser({ email: "lead@example.com", roles: ["user"], email_verified_at: null }), ["user"]);
+    } finally {
+      if (previous === undefined) delete process.env.ADMIN_EMAILS;
+      else process.env.ADMIN_EMAILS = previous;
+    }
+  });
+});
+
+describe("Integration: auth sessions", () => {
+  const sessionId = "3f2b8c1e-9a4d-4c7b-8e21-5d6f7a8b9c0d";
+
+  it("access tokens carry the session id and expire quickly", () => {
+    const token = signAccessToken({ id: "u1", email: "a@example.com", roles: ["user", "curator"] }, sessionId);
+    const decoded = jwt.verify(token, JWT_SECRET);
+    assert.strictEqual(decoded.sid, sessionId);
+    assert.strictEqual(decoded.userId, "u1");
+    assert.deepStrictEqual(decoded.roles, ["user", "curator"]);
+    assert.strictEqual(decoded.exp - decoded.iat, ACCESS_TOKEN_TTL_SECONDS);
+    assert.ok(ACCESS_TOKEN_TTL_SECONDS <= 60 * 60);
+  });
+
+  it("parseRefreshToken splits session id and secret and rejects malformed tokens", () => {
+    const secret = "x".repeat(43);
+    assert.deepStrictEqual(parseRefreshToken(`${sessionId}.${secret}`), { sessionId, secret });
+    assert.strictEqual(parseRefreshToken(secret), null);
+    assert.strictEqual(parseRefreshToken(`not-a-uuid.${secret}`), null);
+    assert.strictEqual(parseRefreshToken(`${sessionId}.short`), null);
+    assert.strictEqual(parseRefreshToken(undefined), null);
+  });
+
+  it("refreshSession refuses a malformed token without touching the database", async () => {
+    assert.strictEqual(await refreshSession("garbage", {}), null);
+  });
+});
+
+describe("Integration: account emails", () => {
+  it("file transport writes each message to the outbox", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-test-"));
+    const previous = process.env.MAIL_OUTBOX_DIR;
+    process.env.MAIL_OUTBOX_DIR = dir;
+    try {
+      const result = await sendMail(
+        { to: "a@example.com", subject: "Hello", text: "Reset link: https://example.com/r?token=abc" },
+        { transport: "file" }
+      );
+      assert.strictEqual(result.transport, "file");
+      const files = await fs.readdir(dir);
+      assert.strictEqual(files.length, 1);
+      const message = JSON.parse(await fs.readFile(path.join(dir, files[0]), "utf8"));
+      assert.strictEqual(message.to, "a@example.com");
+      assert.strictEqual(message.id, result.id);
+      assert.ok(message.from);
+    } finally {
+      if (previous === undefined) delete process.env.MAIL_OUTBOX_DIR;
+      else process.env.MAIL_OUTBOX_DIR = previous;
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("registered transports receive the message; unknown names fall back to console", async () => {
+    const sent = [];
+    registerMailTransport("test-capture", () => ({
+      async send(message) {
+        sent.push(message);
+        return { id: "m1" };
+      },
+    }));
+    const result = await sendMail({ to: "b@example.com", subject: "Hi", text: "Body" }, { transport: "test-capture" });
+    assert.deepStrictEqual(result, { transport: "test-capture", id: "m1" });
+    assert.strictEqual(sent[0].subject, "Hi");
+    assert.strictEqual(getMailTransport("no-such-transport").name, "console");
+    await assert.rejects(sendMail({ to: "b@example.com" }), /requires to, subject and text/);
+  });
+
+  it("console transport logs the recipient but not the body", async (t) => {
+    const logged = t.mock.method(console, "log", () => {});
+    await sendMail({ to: "c@example.com", subject: "Reset", text: "https://example.com/r?token=secret" }, { transport: "console" });
+    const output = logged.mock.calls.map((call) => call.arguments.join(" ")).join("\n");
+    assert.match(output, /c@example\.com/);
+    assert.doesNotMatch(output, /token=secret/);
+  });
+
+  it("refuses development transports in production", () => {
+    const previous = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    try {
+      assert.throws(() => getMailTransport("console"), /does not deliver mail/);
+      assert.throws(() => getMailTransport("file"), /does not deliver mail/);
+      assert.throws(() => getMailTransport("no-such-transport"), /does not deliver mail/);
+      assert.strictEqual(getMailTransport("test-capture").name, "test-capture");
+    } finally {
+      if (previous === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = previous;
+    }
+  });
+
+  it("checkout email gate only applies when enabled", () => {
+    const previous = process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT;
+    const run = (user) => runMiddleware(requireVerifiedEmail, user);
+    try {
+      delete process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT;
+      assert.strictEqual(run({ id: "1", emailVerified: false }).nextCalled, true);
+      process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT = "true";
+      const blocked = run({ id: "1", emailVerified: false });
+      assert.strictEqual(blocked.status, 403);
+      assert.strictEqual(blocked.body.error, "Please verify your email address first");
+      assert.strictEqual(run({ id: "2", emailVerified: true }).nextCalled, true);
+    } finally {
+      if (previous === undefined) delete process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT;
+      else process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT = previous;
+    }
+  });
+});
+
+describe("Integration: plan entitlements", () => {
+  const sub = (name) => ({ name, score: 0.5, reason: "", notes: "" });
+
+  it("caps classification substitutes at the limit, best first, and reports how many were hidden", () => {
+    const result = { halal_status: "haram", substitutes: { best: sub("A"), alternatives: [sub("B"), sub("C"), sub("D")] } };
+    const limited = limitSubstitutes(result, 2);
+    assert.strictEqual(limited.substitutes.best.name, "A");
+    assert.deepStrictEqual(limited.substitutes.alternatives.map((s) => s.name), ["B"]);
+    assert.deepStrictEqual(limited.substitution_limit, { limit: 2, hidden: 2, upgrade_url: "/subscription/upgrade" });
+    assert.strictEqual(result.substitutes.alternatives.length, 3, "input is left untouched");
+    assert.strictEqual(limitSubstitutes(result, Infinity), result);
+    assert.strictEqual(limitSubstitutes({ substitutes: { best: sub("A"), alternatives: [] } }, 2).substitution_limit, undefined);
+  });
+
+  it("caps each conversion issue's alternatives and keeps the replacement", () => {
+    const limited = limitSubstitutes(
+      {
+        convertedText: "x",
+        issues: [
+          { ingredient: "pork bacon", replacement: "Turkey bacon", alternatives: ["Turkey bacon", "Beef bacon", "Tempeh"] },
+          { ingredient: "white wine", replacement: "Grape juice", alternatives: ["Grape juice"] },
+        ],
+      },
+      2
+    );
+    assert.deepStrictEqual(limited.issues[0].alternatives, ["Turkey bacon", "Beef bacon"]);
+    assert.strictEqual(limited.issues[0].replacement, "Turkey bacon");
+    assert.deepStrictEqual(limited.issues[1].alternatives, ["Grape juice"]);
+    assert.strictEqual(limited.substitution_limit.hidden, 1);
+  });
+
+  it("applies the free limit when the plan cannot be looked up", async () => {
+    const limited = await applySubstitutionLimit("user-1", {
+      substitutes: { best: sub("A"), alternatives: [sub("B"), sub("C")] },
+    });
+    assert.strictEqual(limited.substitution_limit.limit, 2);
+    assert.strictEqual(limited.substitution_limit.hidden, 1);
+  });
+
+  it("describes what was exceeded and by how much", () => {
+    const body = limitExceededBody(
+      { allowed: false, feature: "savedRecipes", limit: 10, used: 12, requested: 1, exceeded_by: 3 },
+      "fr"
+    );
+    assert.strictEqual(body.error, "Limite de l'offre gratuite atteinte pour savedRecipes");
+    assert.strictEqual(body.exceeded_by, 3);
+    assert.strictEqual(body.upgrade_url, "/subscription/upgrade");
+
+    const readOnly = readOnlyRecipeBody({ id: "r1", read_only_since: "2026-01-01T00:00:00.000Z" }, "en");
+    assert.match(readOnly.error, /read-only on the free plan, which keeps 10 recipes editable/);
+    assert.strictEqual(readOnly.read_only_since, "2026-01-01T00:00:00.000Z");
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Schema migrations: versioned up/down SQL files and the runner's bookkeeping.
+ * Verifies file naming and pairing, that pending / edited / missing migrations are detected,
+ * and that every table the code queries is created by a migration and dropped by one.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseMigrationFileName, loadMigrations, planMigrations } from "../db/migrator.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = path.resolve(__dirname, "..");
+
+function sourceFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === "__tests__" ? [] : sourceFiles(full);
+    return entry.name.endsWith(".js") ? [full] : [];
+  });
+}
+
+function tableNames(sql, pattern) {
+  return new Set([...sql.matchAll(pattern)].map((m) => m[1]));
+}
+
+describe("Migration files", () => {
+  const migrations = loadMigrations();
+
+  it("parses versioned file names and ignores others", () => {
+    assert.deepStrictEqual(parseMigrationFileName("019_auth_sessions.up.sql"), {
+      version: 19,
+      name: "019_auth_sessions",
+      direction: "up",
+    });
+    assert.strictEqual(parseMigrationFileName("019_auth_sessions.down.sql").direction, "down");
+    assert.strictEqual(parseMigrationFileName("seed_affiliate_examples.sql"), null);
+    assert.strictEqual(parseMigrationFileName("README.md"), null);
+  });
+
+  it("numbers migrations 1..n without gaps, each with up and down", () => {
+    assert.ok(migrations.length > 0);
+    migrations.forEach((m, i) => {
+      assert.strictEqual(m.version, i + 1, `${m.name} is out of sequence`);
+      assert.ok(m.up.trim() && typeof m.down === "string");
+      assert.match(m.checksum, /^[0-9a-f]{64}$/);
+    });
+  });
+
+  it("leaves transactions to the runner", () => {
+    for (const m of migrations) {
+      for (const sql of [m.up, m.down]) {
+        assert.doesNotMatch(sql, /^\s*(BEGIN|COMMIT);\s*$/m, `${m.name} has its own BEGIN/COMMIT`);
+      }
+    }
+  });
+
+  it("creates and drops every table the code queries", () => {
+    const created = new Set();
+    const dropped = new Set();
+    for (const m of migrations) {
+      tableNames(m.up, /CREATE TABLE IF NOT EXISTS ([a-z_]+)/g).forEach((t) => created.add(t));
+      tableNames(m.down, /DROP TABLE IF EXISTS ([a-z_]+)/g).forEach((t) => dropped.add(t));
+    }
+    const queried = new Set();
+    for (const file of sourceFiles(SRC_DIR)) {
+      const code = fs.readFileSync(file, "utf8");
+      tableNames(code, /\b(?:FROM|JOIN|INSERT INTO|UPDATE)\s+([a-z_]+)\b(?=[\s,;)`]|$)/g).forEach((t) => queried.add(t));
+    }
+    queried.delete("schema_migrations"); // created by the runner itself
+    for (const table of queried) {
+      assert.ok(created.has(table), `${table} is queried but no migration creates it`);
+    }
+    for (const table of created) {
+      assert.ok(dropped.has(table), `${table} is created but no down migration drops it`);
+    }
+  });
+
+  it("rejects a migration without a down file", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    try {
+      fs.writeFileSync(path.join(dir, "001_first.up.sql"), "SELECT 1;");
+      fs.writeFileSync(path.join(dir, "001_first.down.sql"), "SELECT 1;");
+      fs.writeFileSync(path.join(dir, "002_second.up.sql"), "SELECT 2;");
+      assert.throws(() => loadMigrations(dir), /002_second needs both/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("Migration planning", () => {
+  const migrations = [
+    { version: 1, name: "001_a", checksum: "aaa" },
+    { version: 2, name: "002_b", checksum: "bbb" },
+    { version: 3, name: "003_c", checksum: "ccc" },
+  ];
+
+  it("lists unapplied migrations as pending, in order", () => {
+    const plan = planMigrations(migrations, [{ version: 1, name: "001_a", checksum: "aaa" }]);
+    assert.deepStrictEqual(plan.applied.map((m) => m.name), ["001_a"]);
+    assert.deepStrictEqual(plan.pending.map((m) => m.name), ["002_b", "003_c"]);
+    assert.deepStrictEqual(plan.changed, []);
+  });
+
+  it("flags edited and deleted migrations", () => {
+    const plan = planMigrations(migrations, [
+      { version: 1, name: "001_a", checksum: "edited" },
+      { version: 2, name: "002_b", checksum: "bbb" },
+      { version: 3, name: "003_c", checksum: "ccc" },
+      { version: 4, name: "004_gone", checksum: "ddd" },
+    ]);
+    assert.deepStrictEqual(plan.pending, []);
+    assert.deepStrictEqual(plan.changed.map((m) => m.name), ["001_a"]);
+    assert.deepStrictEqual(plan.missing.map((r) => r.name), ["004_gone"]);
+  });
+});
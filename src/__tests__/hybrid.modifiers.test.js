@@ -6,6 +6,7 @@
 import { describe, it } from "node:test";
 import assert from "node:assert";
 import { evaluateIngredient, detectModifiers } from "../services/ingredientRuleEngine.js";
+import { detectIngredientLanguage, foldIngredientText } from "../services/ingredientLanguages.js";
 
 describe("Modifier detection", () => {
   it("pork gelatin returns haram (hard override)", async () => {
@@ -49,3 +50,43 @@ describe("Modifier detection", () => {
     assert.ok(Array.isArray(slugs));
   });
 });
+
+describe("Multilingual recognition", () => {
+  const equivalents = [
+    ["pork gelatin", "gélatine de porc", "fr"],
+    ["pork gelatin", "gelatin babi", "ms"],
+    ["pork gelatin", "domuz jelatini", "tr"],
+    ["pork gelatin", "جيلاتين الخنزير", "ar"],
+    ["pork", "سور کا گوشت", "ur"],
+    ["halal-certified gelatin", "gélatine certifiée halal", "fr"],
+    ["alcohol-free vanilla extract", "extrait de vanille sans alcool", "fr"],
+    ["wine", "şarap", "tr"],
+    ["rice", "أرز", "ar"],
+    ["beef gelatin", "gelatin lembu", "ms"],
+  ];
+
+  for (const [english, foreign, language] of equivalents) {
+    it(`"${foreign}" gets the same verdict as "${english}"`, async () => {
+      const en = await evaluateIngredient(english, {});
+      const other = await evaluateIngredient(foreign, {});
+      assert.strictEqual(other.language, language);
+      assert.strictEqual(other.verdict, en.verdict);
+      assert.strictEqual(other.halal_status, en.halal_status);
+      assert.strictEqual(other.baseSlug, en.baseSlug);
+    });
+  }
+
+  it("keeps Arabic script and folds letter variants and digits", () => {
+    assert.strictEqual(foldIngredientText("جيلاتين، إي٤٧١"), "جيلاتين  اي471");
+    assert.strictEqual(foldIngredientText("İçindekiler", "tr"), "icindekiler");
+  });
+
+  it("detects label language and uses an explicit one when given", async () => {
+    assert.strictEqual(detectIngredientLanguage("Sugar, salt and water"), "en");
+    assert.strictEqual(detectIngredientLanguage("gula, garam dan minyak"), "ms");
+    assert.strictEqual(detectIngredientLanguage("چینی، نمک اور پانی"), "ur");
+    // "vin" is only wine when the label is French
+    assert.strictEqual((await evaluateIngredient("vin", {}, { language: "en" })).halal_status, "unknown");
+    assert.strictEqual((await evaluateIngredient("vin", {}, { language: "fr" })).halal_status, "haram");
+  });
+});
@@ -7,9 +7,25 @@ import { describe, it } from "node:test";
 import assert from "node:assert";
 import {
   parseIngredientList,
+  parseIngredientTree,
   cleanToken,
   runPhotoScanPipeline,
+  tokenConfidences,
 } from "../services/photoScanPipelineService.js";
+import {
+  otsuThreshold,
+  estimateSkewAngle,
+  cropToIngredientsBlock,
+} from "../services/ocrPreprocessing.js";
+import {
+  registerOcrAdapter,
+  listOcrAdapters,
+  extractTextFromImage,
+} from "../services/ocrAdapter.js";
+
+function word(text, confidence, line, x0, y0, width = 40) {
+  return { text, confidence, line, bbox: { x0, y0, x1: x0 + width, y1: y0 + 10 } };
+}
 
 describe("OCR cleanup", () => {
   it("parseIngredientList splits on comma, semicolon, newline", () => {
@@ -30,6 +46,92 @@ describe("OCR cleanup", () => {
     assert.ok(tokens.every((t) => t.length > 0));
   });
 
+  it("parseIngredientList splits on Arabic commas and the label language's conjunction", () => {
+    assert.deepStrictEqual(parseIngredientList("سكر، ملح؛ زيت"), ["سكر", "ملح", "زيت"]);
+    assert.deepStrictEqual(parseIngredientList("sucre et sel", { language: "fr" }), ["sucre", "sel"]);
+    assert.deepStrictEqual(parseIngredientList("sucre et sel"), ["sucre et sel"]);
+  });
+
+  it("parseIngredientTree nests bracketed sub-ingredient lists and keeps single qualifiers in the name", () => {
+    const outline = (nodes) => nodes.map((n) => (n.children.length ? { [n.name]: outline(n.children) } : n.name));
+    const label = "Sugar, chocolate chips (sugar, cocoa butter, emulsifier (soy lecithin), natural flavor (alcohol, glycerin)), Gelatin (Beef)";
+    assert.deepStrictEqual(outline(parseIngredientTree(label)), [
+      "Sugar",
+      { "chocolate chips": ["sugar", "cocoa butter", "emulsifier (soy lecithin)", { "natural flavor": ["alcohol", "glycerin"] }] },
+      "Gelatin (Beef)",
+    ]);
+    assert.strictEqual(parseIngredientTree(label)[1].text, "chocolate chips (sugar, cocoa butter, emulsifier (soy lecithin), natural flavor (alcohol, glycerin))");
+  });
+
+  it("parseIngredientTree tolerates unclosed and stray brackets", () => {
+    const outline = (nodes) => nodes.map((n) => (n.children.length ? { [n.name]: outline(n.children) } : n.name));
+    assert.deepStrictEqual(outline(parseIngredientTree("biscuit [flour, butter; salt), (water, yeast")), [
+      { biscuit: ["flour", "butter", "salt"] },
+      "water",
+      "yeast",
+    ]);
+    assert.deepStrictEqual(outline(parseIngredientTree("cocoa mass (cocoa (beans, nibs)), milk)")), [
+      { "cocoa mass": [{ cocoa: ["beans", "nibs"] }] },
+      "milk",
+    ]);
+  });
+
+  it("parseIngredientList returns every node of the tree, compound ingredients before their parts", () => {
+    assert.deepStrictEqual(
+      parseIngredientList("chocolate chips (sugar, cocoa butter), sugar, Gelatin (Beef)"),
+      ["chocolate chips", "sugar", "cocoa butter", "Gelatin (Beef)"]
+    );
+    assert.deepStrictEqual(parseIngredientList("pork sausage (salt, spices), water"), ["pork sausage", "salt", "spices", "water"]);
+  });
+
+  it("runPhotoScanPipeline rolls the worst leaf verdict up and reports the path to it", async () => {
+    const result = await runPhotoScanPipeline(
+      "Sugar, chocolate chips (sugar, emulsifier (soy lecithin), natural flavor (glycerin, alcohol))",
+      { useAINormalization: false }
+    );
+    assert.strictEqual(result.ingredients.length, 2);
+    assert.deepStrictEqual(result.summary, { halal: 1, conditional: 0, haram: 1, unknown: 0 });
+
+    const [sugar, chips] = result.ingredients;
+    assert.strictEqual(sugar.problem_path, null);
+    assert.deepStrictEqual(sugar.sub_ingredients, []);
+    assert.strictEqual(chips.ingredient, "chocolate chips");
+    assert.strictEqual(chips.halal_status, "haram");
+    assert.strictEqual(chips.problem_path, "chocolate chips → natural flavor → alcohol");
+
+    const flavor = chips.sub_ingredients[2];
+    assert.strictEqual(flavor.ingredient, "natural flavor");
+    assert.strictEqual(flavor.halal_status, "haram");
+    assert.strictEqual(flavor.explanation, flavor.sub_ingredients[1].explanation);
+    assert.strictEqual(flavor.sub_ingredients[0].halal_status, "conditional");
+  });
+
+  it("runPhotoScanPipeline evaluates the compound's own name as well as its parts", async () => {
+    const result = await runPhotoScanPipeline("pork sausage (salt, spices), water", { useAINormalization: false });
+    const [sausage, water] = result.ingredients;
+    assert.strictEqual(sausage.halal_status, "haram");
+    assert.strictEqual(sausage.problem_path, "pork sausage");
+    assert.deepStrictEqual(sausage.sub_ingredients.map((s) => s.ingredient), ["salt", "spices"]);
+    assert.strictEqual(water.halal_status, "unknown");
+    assert.strictEqual(water.problem_path, null);
+
+    const [bacon] = (await runPhotoScanPipeline("bacon (salt, sugar)", { useAINormalization: false })).ingredients;
+    assert.strictEqual(bacon.halal_status, "haram");
+    assert.strictEqual(bacon.problem_path, "bacon");
+  });
+
+  it("runPhotoScanPipeline gives no problem_path to an unknown roll-up", async () => {
+    const [chips] = (await runPhotoScanPipeline("chips (salt, sugar)", { useAINormalization: false })).ingredients;
+    assert.strictEqual(chips.halal_status, "unknown");
+    assert.strictEqual(chips.problem_path, null);
+  });
+
+  it("runPhotoScanPipeline detects the label language", async () => {
+    const result = await runPhotoScanPipeline("Sucre, gélatine de porc, sel", { useAINormalization: false });
+    assert.strictEqual(result.language, "fr");
+    assert.strictEqual(result.ingredients.find((i) => i.raw === "gélatine de porc").halal_status, "haram");
+  });
+
   it("cleanToken collapses spaces and optional dots", () => {
     assert.strictEqual(cleanToken("  sugar  .  syrup  "), "sugar syrup");
   });
@@ -58,3 +160,95 @@ describe("OCR cleanup", () => {
     assert.ok(result.ingredients.length >= 2);
   });
 });
+
+describe("OCR preprocessing and adapters", () => {
+  it("otsuThreshold separates ink from paper", () => {
+    const gray = new Uint8Array(200).map((_, i) => (i < 50 ? 20 : 230));
+    const level = otsuThreshold(gray);
+    assert.ok(level >= 20 && level < 230);
+  });
+
+  it("estimateSkewAngle finds the slope of tilted text lines", () => {
+    const width = 200;
+    const height = 120;
+    const gray = new Uint8Array(width * height).fill(255);
+    const slope = Math.tan((4 * Math.PI) / 180);
+    for (const row of [30, 60, 90]) {
+      for (let x = 0; x < width; x++) {
+        gray[Math.round(row + x * slope) * width + x] = 0;
+      }
+    }
+    assert.ok(Math.abs(estimateSkewAngle(gray, width, height) - 4) <= 0.5);
+    assert.strictEqual(estimateSkewAngle(new Uint8Array(100).fill(255), 10, 10), 0);
+  });
+
+  it("cropToIngredientsBlock keeps the ingredients column up to the next heading", () => {
+    const words = [
+      word("Crunchy", 0.9, 0, 0, 0),
+      word("Bites", 0.9, 0, 50, 0),
+      word("Ingredients:", 0.95, 1, 0, 20),
+      word("Sugar,", 0.9, 1, 50, 20),
+      word("emulsi-", 0.6, 1, 100, 20),
+      word("Energy", 0.9, 2, 400, 32),
+      word("fier,", 0.8, 3, 0, 34),
+      word("Gelatin", 0.4, 3, 50, 34),
+      word("Contains:", 0.9, 4, 0, 48),
+      word("milk", 0.9, 4, 50, 48),
+    ];
+    const block = cropToIngredientsBlock(words);
+    assert.strictEqual(block.found, true);
+    assert.strictEqual(block.text, "Sugar, emulsifier, Gelatin");
+    assert.deepStrictEqual(block.words.map((w) => w.text), ["Sugar,", "emulsi-", "fier,", "Gelatin"]);
+
+    const plain = cropToIngredientsBlock([word("Sugar,", 0.9, 0, 0, 0), word("salt", 0.9, 0, 50, 0)]);
+    assert.strictEqual(plain.found, false);
+    assert.strictEqual(plain.text, "Sugar, salt");
+  });
+
+  it("extractTextFromImage uses a registered adapter and crops to the ingredients block", async () => {
+    registerOcrAdapter("test-fake", () => ({
+      async extractText() {
+        return {
+          text: "Ingredients: Sugar, Gelatin\nNutrition",
+          confidence: 0.9,
+          words: [
+            word("Ingredients:", 0.9, 0, 0, 0),
+            word("Sugar,", 0.8, 0, 50, 0),
+            word("Gelatin", 0.4, 0, 100, 0),
+            word("Nutrition", 0.9, 1, 0, 14),
+          ],
+        };
+      },
+    }));
+    assert.ok(listOcrAdapters().includes("test-fake"));
+    assert.ok(listOcrAdapters().includes("tesseract"));
+
+    const result = await extractTextFromImage(Buffer.from("not an image"), { provider: "test-fake", preprocess: false });
+    assert.strictEqual(result.provider, "test-fake");
+    assert.strictEqual(result.ingredientsBlock, true);
+    assert.strictEqual(result.text, "Sugar, Gelatin");
+    assert.ok(Math.abs(result.confidence - 0.6) < 1e-9);
+    assert.strictEqual(result.words.length, 2);
+  });
+
+  it("runPhotoScanPipeline flags only the tokens whose own words were read poorly", async () => {
+    const words = [
+      { text: "Sugar,", confidence: 0.92 },
+      { text: "Palm", confidence: 0.88 },
+      { text: "Oil,", confidence: 0.3 },
+      { text: "Salt", confidence: 0.95 },
+    ];
+    assert.deepStrictEqual(tokenConfidences(["Sugar", "Palm Oil", "Salt", "Yeast"], words, 0.7), [0.92, 0.3, 0.95, 0.7]);
+
+    const result = await runPhotoScanPipeline("Sugar, Palm Oil, Salt", {
+      useAINormalization: false,
+      ocrConfidence: 0.8,
+      words,
+    });
+    const byName = Object.fromEntries(result.ingredients.map((i) => [i.raw, i]));
+    assert.strictEqual(byName.Sugar.ocr_uncertain, false);
+    assert.strictEqual(byName["Palm Oil"].ocr_uncertain, true);
+    assert.strictEqual(byName["Palm Oil"].ocr_confidence, 0.3);
+    assert.strictEqual(result.ocr_confidence, 0.8);
+  });
+});
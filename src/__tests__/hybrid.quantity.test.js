@@ -0,0 +1,159 @@
+/**
+ * Hybrid architecture: quantity parsing and ratio-aware conversion.
+ * Verifies fractions, ranges, units, sizes and notes are parsed, substitutions carry their ratio into amounts,
+ * recipes scale, and shopping lists merge duplicate items.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { parseIngredientLine, parseQuantity, normalizeUnit } from "../utils/quantityParser.js";
+import { parseConversionRatio, formatQuantity, convertUnit, scaleIngredientLine } from "../utils/quantityConverter.js";
+import { convertRecipe } from "../utils/halalConverter.js";
+import { scaleRecipe, detectServings } from "../services/recipeScalingService.js";
+import { buildShoppingList, exportShoppingList } from "../services/shoppingListService.js";
+
+describe("Quantity parsing", () => {
+  it("parses mixed numbers and unicode fractions", () => {
+    assert.strictEqual(parseQuantity("1 1/2"), 1.5);
+    assert.strictEqual(parseQuantity("½"), 0.5);
+    assert.strictEqual(parseQuantity("1½"), 1.5);
+    assert.strictEqual(parseQuantity("1,5"), 1.5);
+    assert.strictEqual(parseQuantity("1/0"), null);
+  });
+
+  it("parses ranges, units and trailing notes", () => {
+    const r = parseIngredientLine("2-3 cups flour, sifted");
+    assert.strictEqual(r.quantity, 2);
+    assert.strictEqual(r.quantityMax, 3);
+    assert.strictEqual(r.unit, "cup");
+    assert.strictEqual(r.ingredient, "flour");
+    assert.strictEqual(r.note, "sifted");
+  });
+
+  it("parses package sizes", () => {
+    const r = parseIngredientLine("1 (14 oz) can diced tomatoes");
+    assert.deepStrictEqual(r.size, { quantity: 14, unit: "oz" });
+    assert.strictEqual(r.unit, "can");
+    assert.strictEqual(r.ingredient, "diced tomatoes");
+  });
+
+  it("does not mistake ingredient words for units", () => {
+    const r = parseIngredientLine("2 large eggs");
+    assert.strictEqual(r.unit, "");
+    assert.strictEqual(r.ingredient, "large eggs");
+    assert.strictEqual(normalizeUnit("Tablespoons"), "tbsp");
+    assert.strictEqual(normalizeUnit("fl. oz"), "fl_oz");
+  });
+
+  it("reads T as tablespoons and t as teaspoons", () => {
+    assert.strictEqual(parseIngredientLine("1 T sugar").unit, "tbsp");
+    assert.strictEqual(parseIngredientLine("1 t salt").unit, "tsp");
+    assert.strictEqual(parseIngredientLine("1 t salt").ingredient, "salt");
+    assert.strictEqual(parseIngredientLine("2 T-bone steaks").unit, "");
+  });
+
+  it("returns quantity null for lines without an amount", () => {
+    const r = parseIngredientLine("salt to taste");
+    assert.strictEqual(r.quantity, null);
+    assert.strictEqual(r.ingredient, "salt to taste");
+  });
+});
+
+describe("Quantity conversion", () => {
+  it("parses knowledge-base ratios", () => {
+    assert.strictEqual(parseConversionRatio("1:0.75"), 0.75);
+    assert.strictEqual(parseConversionRatio("1:1"), 1);
+    assert.strictEqual(parseConversionRatio("bogus"), 1);
+  });
+
+  it("formats common fractions and converts within a unit type", () => {
+    assert.strictEqual(formatQuantity(1.5), "1 1/2");
+    assert.strictEqual(formatQuantity(0.75), "3/4");
+    assert.strictEqual(convertUnit(1, "kg", "g"), 1000);
+    assert.strictEqual(convertUnit(1, "cup", "g"), null);
+  });
+
+  it("scales the leading amount and keeps the rest of the line", () => {
+    assert.strictEqual(scaleIngredientLine("- 2-3 cups wine, divided", 0.75).line, "- 1 1/2-2 1/4 cups wine, divided");
+  });
+
+  it("convertRecipe applies the substitution ratio to the amount", () => {
+    const r = convertRecipe("2 cups wine\n1 cup flour", {});
+    const [wineLine, flourLine] = r.convertedText.split("\n");
+    assert.ok(wineLine.startsWith("1 1/2 cups"), wineLine);
+    assert.ok(!/\bwine\b/i.test(wineLine));
+    assert.strictEqual(flourLine, "1 cup flour");
+  });
+
+  it("leaves amounts alone on non-ingredient lines", () => {
+    const r = convertRecipe("2 minutes later add the wine", {});
+    assert.ok(r.convertedText.startsWith("2 minutes"));
+  });
+
+  it("scales only the ingredient that owns the amount", () => {
+    const r = convertRecipe("1 cup chicken broth plus a splash of wine", {});
+    assert.ok(r.convertedText.startsWith("1 cup chicken broth"), r.convertedText);
+    assert.ok(!/\bwine\b/i.test(r.convertedText));
+  });
+});
+
+describe("Recipe scaling", () => {
+  const recipe = "Serves 4\n2 cups grape juice\n1 lb chicken, diced\n2 minutes later stir";
+  const substitutions = [{ ingredient: "wine", replacement: "grape juice", conversionRatio: 0.75 }];
+
+  it("detects declared servings", () => {
+    assert.strictEqual(detectServings(recipe), 4);
+    assert.strictEqual(detectServings("2 cups flour"), null);
+  });
+
+  it("scales to target servings and marks substitutes", () => {
+    const r = scaleRecipe(recipe, { servings: 2, substitutions });
+    assert.strictEqual(r.factor, 0.5);
+    assert.ok(r.convertedText.startsWith("Serves 2\n1 cup grape juice\n1/2 lb chicken, diced"), r.convertedText);
+    assert.ok(r.convertedText.endsWith("2 minutes later stir"));
+    const juice = r.ingredients.find((i) => i.isSubstitute);
+    assert.strictEqual(juice.substituteFor, "wine");
+    assert.strictEqual(juice.conversionRatio, 0.75);
+  });
+
+  it("leaves numbered steps and oven temperatures alone", () => {
+    const r = scaleRecipe("Serves 2\n2 eggs\n2 Bake for 20 minutes\n350 F oven\nPreheat to 180°C", { servings: 4 });
+    assert.strictEqual(r.convertedText, "Serves 4\n4 eggs\n2 Bake for 20 minutes\n350 F oven\nPreheat to 180°C");
+    assert.deepStrictEqual(r.ingredients.map((i) => i.ingredient), ["eggs"]);
+  });
+
+  it("converts to metric without changing spoon measures", () => {
+    const r = scaleRecipe("1 lb chicken\n2 tbsp oil", { unitSystem: "metric" });
+    assert.strictEqual(r.convertedText, "454 g chicken\n2 tbsp oil");
+  });
+
+  it("rejects scaling when servings are unknown", () => {
+    assert.throws(() => scaleRecipe("2 cups flour", { servings: 2 }), /originalServings/);
+  });
+});
+
+describe("Shopping list", () => {
+  const recipe = { id: "r1", title: "Test", ingredients: ["2 tbsp flour", "1 tbsp flour", "1 cup wine", "2 eggs", "1 egg"] };
+
+  it("merges duplicates and swaps haram items for substitutes", async () => {
+    const list = await buildShoppingList(recipe);
+    const flour = list.items.find((i) => i.name === "flour");
+    assert.strictEqual(flour.quantity, 3);
+    assert.strictEqual(flour.sources.length, 2);
+    assert.strictEqual(list.items.filter((i) => /^eggs?$/.test(i.name)).length, 1);
+    const sub = list.items.find((i) => i.isSubstitute);
+    assert.strictEqual(sub.substituteFor, "wine");
+    assert.strictEqual(sub.quantity, 0.75);
+    assert.ok(list.aisles.every((a) => a.items.length > 0));
+  });
+
+  it("exports csv and pdf", async () => {
+    const list = await buildShoppingList(recipe);
+    const csv = exportShoppingList(list, "csv");
+    assert.ok(csv.body.startsWith("aisle,item,quantity"));
+    const pdf = exportShoppingList(list, "pdf");
+    assert.strictEqual(pdf.contentType, "application/pdf");
+    assert.ok(pdf.body.toString("latin1").startsWith("%PDF-1.4"));
+    assert.throws(() => exportShoppingList(list, "docx"), /Unsupported format/);
+  });
+});
@@ -0,0 +1,788 @@
+/**
+ * Storage layer: the embedded drivers (memory and file) honor the same repository contract as the PostgreSQL
+ * data access modules, the file driver survives a restart and imports the old JSON recipes, and the API routes
+ * run end to end with no database.
+ */
+
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import jwt from "jsonwebtoken";
+import { createStorage, getStorage, setStorage, resolveStorageDriver } from "../storage/index.js";
+import { JWT_SECRET } from "../middleware/auth.js";
+import authRouter from "../routes/auth.js";
+import profileRouter from "../routes/profile.js";
+import recipesRouter from "../routes/recipes.js";
+import subscriptionsRouter from "../routes/subscriptions.js";
+import analyticsRouter from "../routes/analytics.js";
+import mealPlansRouter from "../routes/mealPlans.js";
+import productsRouter from "../routes/products.js";
+import adminRulesRouter from "../routes/adminRules.js";
+import affiliateRouter from "../routes/affiliate.js";
+import { getSubscriptionStatus } from "../services/subscriptionService.js";
+import {
+  exportUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeDeletedAccounts,
+  startAccountPurge,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  ACCOUNT_PURGE_INTERVAL_MS,
+} from "../services/accountDataService.js";
+import { convertService } from "../services/convertService.js";
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "halal-storage-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+describe("resolveStorageDriver", () => {
+  it("uses postgres with DATABASE_URL and the file driver without it", () => {
+    assert.strictEqual(resolveStorageDriver({ DATABASE_URL: "postgres://localhost/db" }), "postgres");
+    assert.strictEqual(resolveStorageDriver({}), "file");
+  });
+
+  it("honors STORAGE_DRIVER and rejects unknown drivers", () => {
+    assert.strictEqual(resolveStorageDriver({ STORAGE_DRIVER: "Memory", DATABASE_URL: "postgres://x" }), "memory");
+    assert.throws(() => resolveStorageDriver({ STORAGE_DRIVER: "sqlite" }), /Unknown STORAGE_DRIVER/);
+  });
+});
+
+for (const driver of ["memory", "file"]) {
+  const open = () => createStorage(driver, { file: path.join(tempDir, `${driver}-contract.json`), legacyRecipesFile: null });
+
+  describe(`${driver} driver`, () => {
+    const storage = open();
+    let user;
+    let other;
+
+    before(async () => {
+      user = await storage.users.createUser("Cook@Example.com", "secret123");
+      other = await storage.users.createUser("other@example.com", "secret123");
+      await storage.profiles.createProfile(user.id, { displayName: "Cook" });
+    });
+
+    it("creates users with the PostgreSQL validation messages", async () => {
+      assert.strictEqual(user.email, "cook@example.com");
+      assert.strictEqual(user.password_hash, undefined);
+      await assert.rejects(storage.users.createUser("cook@example.com", "secret123"), /Email already exists/);
+      await assert.rejects(storage.users.createUser("not-an-email", "secret123"), /Invalid email format/);
+      assert.strictEqual((await storage.users.verifyUserPassword("cook@example.com", "secret123")).id, user.id);
+      assert.strictEqual(await storage.users.verifyUserPassword("cook@example.com", "wrong"), null);
+    });
+
+    it("keeps profiles one per user and joins them onto the user", async () => {
+      await assert.rejects(storage.profiles.createProfile(user.id, {}), /Profile already exists/);
+      await storage.profiles.updateProfile(user.id, { language: "ar" });
+      const joined = await storage.profiles.getUserWithProfile(user.id);
+      assert.strictEqual(joined.profile.language, "ar");
+      assert.strictEqual(joined.profile.display_name, "Cook");
+    });
+
+    it("stores recipes with visibility, ownership and read-only marking", async () => {
+      const pub = await storage.recipes.createRecipe({ userId: user.id, title: "Public", visibility: "public" });
+      const priv = await storage.recipes.createRecipe({ userId: user.id, title: "Private", visibility: "private" });
+
+      const listed = await storage.recipes.getPublicRecipes();
+      assert.deepStrictEqual(listed.map((r) => r.id), [pub.id]);
+      assert.strictEqual((await storage.recipes.getRecipesByUserId(user.id)).length, 2);
+      assert.strictEqual(await storage.recipes.countRecipesByUserId(user.id), 2);
+
+      const readOnly = await storage.recipes.markRecipesReadOnlyBeyond(user.id, 1);
+      assert.strictEqual(readOnly.length, 1);
+      assert.strictEqual(await storage.recipes.clearRecipesReadOnly(user.id), 1);
+
+      await assert.rejects(storage.recipes.deleteRecipe(priv.id, other.id), /only delete your own/);
+      assert.strictEqual(await storage.recipes.deleteRecipe(priv.id, user.id), true);
+      assert.strictEqual(await storage.recipes.getRecipeById(priv.id), null);
+    });
+
+    it("refuses a recipe past maxRecipes, also when saves overlap", async () => {
+      const saver = await storage.users.createUser("saver@example.com", "secret123");
+      const saves = await Promise.all(
+        [1, 2, 3].map((i) => storage.recipes.createRecipe({ userId: saver.id, title: `Save ${i}`, maxRecipes: 1 }))
+      );
+      assert.strictEqual(saves.filter(Boolean).length, 1);
+      assert.strictEqual(await storage.recipes.countRecipesByUserId(saver.id), 1);
+    });
+
+    it("upserts subscriptions by Stripe ID and logs their events", async () => {
+      const period = { currentPeriodStart: new Date(), currentPeriodEnd: new Date(Date.now() + 86400000) };
+      const created = await storage.subscriptions.upsertSubscription({
+        userId: user.id, stripeSubscriptionId: "sub_1", stripeCustomerId: "cus_1", planType: "monthly", status: "active", ...period,
+      });
+      const again = await storage.subscriptions.upsertSubscription({
+        userId: user.id, stripeSubscriptionId: "sub_1", stripeCustomerId: "cus_1", planType: "monthly", status: "past_due", ...period,
+      });
+      assert.strictEqual(again.id, created.id);
+      assert.strictEqual((await storage.subscriptions.getLatestSubscription(user.id)).status, "past_due");
+      assert.strictEqual(await storage.subscriptions.getLatestSubscription(user.id, { status: "active" }), null);
+
+      const updated = await storage.subscriptions.updateSubscription("sub_1", { status: "active", cancelAtPeriodEnd: true });
+      assert.strictEqual(updated.cancel_at_period_end, true);
+      assert.strictEqual(await storage.subscriptions.updateSubscription("sub_missing", { status: "active" }), null);
+
+      await storage.subscriptions.recordSubscriptionEvent(user.id, "plan_changed", { to: "yearly" }, created.id);
+      const [event] = await storage.subscriptions.listSubscriptionEvents(user.id);
+      assert.deepStrictEqual(event.event_data, { to: "yearly" });
+    });
+
+    it("counts free conversions and searches conversion history", async () => {
+      const since = new Date(Date.now() - 1000);
+      await storage.conversions.recordConversion({
+        userId: user.id, recipeText: "pork stew", originalText: "pork stew", convertedText: "beef stew",
+        issues: [{ ingredient: "pork" }], confidenceScore: 90, isPremium: false,
+      });
+      await storage.conversions.recordConversion({
+        userId: user.id, recipeText: "wine sauce", originalText: "wine sauce", convertedText: "grape juice sauce",
+        issues: [], confidenceScore: 80, isPremium: true,
+      });
+
+      assert.strictEqual(await storage.conversions.countFreeConversionsSince(user.id, since), 1);
+      const page = await storage.conversions.listConversions(user.id, { search: "BEEF" });
+      assert.strictEqual(page.total, 1);
+      assert.strictEqual(page.conversions[0].issue_count, 1);
+      assert.strictEqual(await storage.conversions.getConversionById("not-a-uuid", user.id), null);
+      assert.strictEqual(await storage.conversions.getConversionById(page.conversions[0].id, other.id), null);
+    });
+
+    it("rotates session tokens and remembers the previous one", async () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      const session = await storage.sessions.createSession(user.id, { refreshTokenHash: "h1", expiresAt });
+      assert.strictEqual(session.refresh_token_hash, undefined);
+
+      assert.ok(await storage.sessions.rotateSessionToken(session.id, "h1", { refreshTokenHash: "h2", expiresAt }));
+      assert.strictEqual(await storage.sessions.rotateSessionToken(session.id, "h1", { refreshTokenHash: "h3", expiresAt }), null);
+      assert.strictEqual(await storage.sessions.isPreviousSessionToken(session.id, "h1"), true);
+
+      assert.strictEqual(await storage.sessions.revokeSession(session.id, other.id), false);
+      assert.strictEqual(await storage.sessions.revokeSession(session.id, user.id), true);
+      assert.strictEqual(await storage.sessions.getActiveSession(session.id), null);
+    });
+
+    it("lets only the newest account token be used, once", async () => {
+      const expiresAt = new Date(Date.now() + 60000);
+      await storage.accountTokens.createAccountToken(user.id, "password_reset", "t1", expiresAt);
+      await storage.accountTokens.createAccountToken(user.id, "password_reset", "t2", expiresAt);
+      assert.strictEqual(await storage.accountTokens.consumeAccountToken("password_reset", "t1"), null);
+      assert.strictEqual(await storage.accountTokens.consumeAccountToken("email_verification", "t2"), null);
+      assert.strictEqual(await storage.accountTokens.consumeAccountToken("password_reset", "t2"), user.id);
+      assert.strictEqual(await storage.accountTokens.consumeAccountToken("password_reset", "t2"), null);
+    });
+
+    it("aggregates analytics like the dashboard queries", async () => {
+      const record = (eventType, props) => storage.analytics.recordAnalyticsEvent({ eventType, props, sessionId: "s1" });
+      await record("ingredient_view", { ingredient_id: "gelatin", region: "US" });
+      await record("ingredient_view", { ingredient_id: "gelatin", region: "GB" });
+      await record("affiliate_click", { platform: "amazon", region: "US" });
+
+      const all = await storage.analytics.getDashboardMetrics();
+      assert.deepStrictEqual(all.total_events, [{ count: "3" }]);
+      assert.deepStrictEqual(all.top_ingredients, [{ ingredient_id: "gelatin", views: "2" }]);
+      const us = await storage.analytics.getDashboardMetrics({ region: "US" });
+      assert.deepStrictEqual(us.total_events, [{ count: "2" }]);
+
+      await storage.analytics.recordPremiumAnalyticsEvent({
+        eventType: "subscription_success", props: { plan: "yearly", revenue: 29.99 }, sessionId: "s1", userId: user.id,
+      });
+      const premium = await storage.analytics.getPremiumDashboardMetrics({ plan: "yearly" });
+      assert.strictEqual(premium.subscription_success[0].total_subscriptions, "1");
+      assert.strictEqual(premium.revenue.yearly_revenue, "29.99");
+    });
+
+    it("stores meal plans with their entries and recipe titles", async () => {
+      const recipe = await storage.recipes.createRecipe({ userId: user.id, title: "Dal", visibility: "private" });
+      const plan = await storage.mealPlans.createMealPlan(user.id, {
+        name: " Week 1 ",
+        startDate: "2026-10-19",
+        endDate: "2026-10-25",
+        entries: [
+          { date: "2026-10-20", slot: "dinner", recipeId: recipe.id, servings: 4 },
+          { date: "2026-10-19", slot: "lunch", recipeId: recipe.id },
+        ],
+      });
+      assert.strictEqual(plan.name, "Week 1");
+      assert.deepStrictEqual(plan.entries.map((e) => [e.plan_date, e.slot, e.servings, e.recipe_title]), [
+        ["2026-10-19", "lunch", 1, "Dal"],
+        ["2026-10-20", "dinner", 4, "Dal"],
+      ]);
+      assert.strictEqual(await storage.mealPlans.getMealPlanById(plan.id, other.id), null);
+      assert.strictEqual(await storage.mealPlans.countMealPlansByUserId(user.id), 1);
+      assert.strictEqual(Number((await storage.mealPlans.getMealPlansByUserId(user.id))[0].entry_count), 2);
+
+      const updated = await storage.mealPlans.updateMealPlan(plan.id, user.id, { entries: [{ date: "2026-10-21", slot: "snack", recipeId: recipe.id }] });
+      assert.deepStrictEqual(updated.entries.map((e) => e.slot), ["snack"]);
+      assert.strictEqual((await storage.mealPlans.getMealPlansWithEntriesByUserId(user.id))[0].entries.length, 1);
+
+      assert.strictEqual(await storage.mealPlans.deleteMealPlan(plan.id, other.id), false);
+      assert.strictEqual(await storage.mealPlans.deleteMealPlan(plan.id, user.id), true);
+      await storage.recipes.deleteRecipe(recipe.id, user.id);
+    });
+
+    it("registers products, links scans and counts unknown barcodes", async () => {
+      const product = await storage.products.createProduct({
+        barcode: "5012345678900", brand: "Acme", name: "Gummy  Bears", certificateExpiresAt: "2027-01-31", createdBy: user.id,
+      });
+      assert.strictEqual(product.certificate_expires_at, "2027-01-31");
+      assert.strictEqual(product.verification_source, "user_submission");
+      assert.strictEqual((await storage.products.getProductByName("acme", "gummy bears")).id, product.id);
+      assert.strictEqual((await storage.products.getProductByBarcode("5012345678900")).id, product.id);
+      assert.deepStrictEqual((await storage.products.searchProducts("GUMMY")).map((p) => p.id), [product.id]);
+      await assert.rejects(storage.products.createProduct({ brand: "ACME", name: "gummy bears" }), (error) => error.code === "23505");
+
+      const updated = await storage.products.updateProduct(product.id, { certificationBody: "HFA", verifiedAt: new Date() });
+      assert.strictEqual(updated.certification_body, "HFA");
+      assert.ok(updated.verified_at instanceof Date);
+
+      await storage.products.linkProductScan(product.id, { userId: user.id, rawText: "sugar, gelatin", scanResult: { summary: {} } });
+      assert.strictEqual((await storage.products.getProductScans(product.id))[0].raw_text, "sugar, gelatin");
+      assert.strictEqual((await storage.products.getProductScansByUserId(user.id)).length, 1);
+
+      await storage.products.recordUnknownBarcode("0000000000017", user.id);
+      assert.strictEqual((await storage.products.recordUnknownBarcode("0000000000017", other.id)).scan_count, 2);
+      assert.strictEqual(await storage.products.resolveUnknownBarcode("0000000000017", product.id), true);
+      assert.strictEqual(await storage.products.resolveUnknownBarcode("0000000000017", product.id), false);
+    });
+
+    it("versions ingredient rules and serves only active ones to the engine", async () => {
+      const change = { userId: user.id, reason: "test" };
+      const rule = await storage.ingredientRules.createRule(
+        { baseSlug: "marshmallow", modifierSlug: "unspecified", halalStatus: "conditional", alternatives: ["halal_marshmallow"] },
+        change
+      );
+      assert.strictEqual(rule.version, 1);
+      assert.strictEqual(await storage.ingredientRules.createRule({ baseSlug: "marshmallow", modifierSlug: "unspecified", halalStatus: "haram" }, change), null);
+      assert.deepStrictEqual(await storage.ingredientRules.getBaseSlugs(), ["marshmallow"]);
+      assert.strictEqual(await storage.ingredientRules.getIngredientById("00000000-0000-4000-8000-000000000000"), null);
+      assert.strictEqual((await storage.ingredientRules.getRule("marshmallow", "beef")).halal_status, "conditional");
+
+      const updated = await storage.ingredientRules.updateRule(rule.id, { halalStatus: "haram" }, { ...change, expectedVersion: 1 });
+      assert.strictEqual(updated.rule.version, 2);
+      assert.strictEqual((await storage.ingredientRules.updateRule(rule.id, { notes: "x" }, { ...change, expectedVersion: 1 })).conflict, true);
+      await storage.ingredientRules.retireRule(rule.id, change);
+      assert.strictEqual(await storage.ingredientRules.getRule("marshmallow"), null);
+      assert.deepStrictEqual(await storage.ingredientRules.listRules(), []);
+
+      const restored = await storage.ingredientRules.rollbackRule(rule.id, 1, change);
+      assert.deepStrictEqual([restored.rule.version, restored.rule.halal_status, restored.rule.is_active], [4, "conditional", true]);
+      assert.deepStrictEqual((await storage.ingredientRules.getRuleVersions(rule.id)).map((v) => v.action), ["rollback", "retire", "update", "create"]);
+      assert.strictEqual((await storage.ingredientRules.rollbackRule(rule.id, 9, change)).notFound, true);
+    });
+
+    it("schedules, cancels and purges account deletion with the user's data", async () => {
+      assert.ok((await storage.users.scheduleUserDeletion(user.id, 30)) > new Date());
+      assert.strictEqual(await storage.users.cancelUserDeletion(user.id), true);
+      assert.strictEqual(await storage.users.cancelUserDeletion(user.id), false);
+
+      await storage.users.scheduleUserDeletion(other.id, 0);
+      assert.deepStrictEqual(await storage.users.purgeUsersDueForDeletion(), [other.id]);
+      assert.strictEqual(await storage.users.getUserById(other.id), null);
+      assert.ok(await storage.users.getUserById(user.id));
+    });
+
+    if (driver === "file") {
+      it("reloads every table from the file, with timestamps as Dates", async () => {
+        const reopened = open();
+        const reloaded = await reopened.users.getUserRecord(user.id);
+        assert.ok(reloaded.created_at instanceof Date);
+        assert.strictEqual((await reopened.recipes.getRecipesByUserId(user.id)).length, 1);
+        assert.strictEqual((await reopened.subscriptions.getSubscriptionByStripeId("sub_1")).user_id, user.id);
+        assert.strictEqual((await reopened.conversions.getConversionsByUserId(user.id)).length, 2);
+        // SERIAL ids keep counting from where the previous process stopped
+        const saved = await reopened.profiles.getProfileByUserId(user.id);
+        const newcomer = await reopened.users.createUser("newcomer@example.com", "secret123");
+        const created = await reopened.profiles.createProfile(newcomer.id, {});
+        assert.strictEqual(created.id, saved.id + 1);
+        // DATE columns stay YYYY-MM-DD strings
+        assert.strictEqual((await reopened.products.getProductByBarcode("5012345678900")).certificate_expires_at, "2027-01-31");
+        assert.strictEqual((await reopened.ingredientRules.getRuleVersions(1)).length, 4);
+      });
+    }
+  });
+}
+
+describe("Legacy JSON recipes", () => {
+  it("are imported when the file driver creates its store", async () => {
+    const legacyRecipesFile = path.join(tempDir, "legacy-recipes.json");
+    fs.writeFileSync(
+      legacyRecipesFile,
+      JSON.stringify([
+        { id: "1700000000000", userId: "u1", title: "Old Biryani", isPublic: true, originalRecipe: "rice", createdAt: "2024-01-02T03:04:05.000Z" },
+        { id: "1700000000001", user_id: "u1", title: "Old Notes", visibility: "private" },
+      ])
+    );
+    const file = path.join(tempDir, "legacy-store.json");
+    const storage = createStorage("file", { file, legacyRecipesFile });
+
+    const [recipe] = await storage.recipes.getPublicRecipes();
+    assert.deepStrictEqual([recipe.id, recipe.title, recipe.original_recipe], ["1700000000000", "Old Biryani", "rice"]);
+    assert.strictEqual(recipe.created_at.toISOString(), "2024-01-02T03:04:05.000Z");
+    assert.strictEqual((await storage.recipes.getRecipesByUserId("u1")).length, 2);
+
+    // Only a new store imports, so deleted recipes don't come back
+    await storage.recipes.deleteRecipe("1700000000001", "u1");
+    const reopened = createStorage("file", { file, legacyRecipesFile });
+    assert.strictEqual((await reopened.recipes.getRecipesByUserId("u1")).length, 1);
+  });
+});
+
+describe("Subscription expiry", () => {
+  before(() => setStorage(createStorage("memory")));
+  after(() => setStorage(null));
+
+  it("downgrades a canceled subscription once its paid period is over", async () => {
+    const storage = getStorage();
+    const user = await storage.users.createUser("lapsed@example.com", "secret123");
+    for (let i = 0; i < 12; i++) {
+      await storage.recipes.createRecipe({ userId: user.id, title: `Recipe ${i}` });
+    }
+    await storage.subscriptions.upsertSubscription({
+      userId: user.id,
+      stripeSubscriptionId: "sub_lapsed",
+      stripeCustomerId: "cus_lapsed",
+      planType: "monthly",
+      status: "canceled",
+      currentPeriodStart: new Date(Date.now() - 31 * 86400000),
+      currentPeriodEnd: new Date(Date.now() - 86400000),
+    });
+
+    const status = await getSubscriptionStatus(user.id);
+    assert.strictEqual(status.state, "expired");
+    assert.strictEqual(status.is_active, false);
+    assert.strictEqual((await storage.subscriptions.getLatestSubscription(user.id)).status, "expired");
+    const recipes = await storage.recipes.getRecipesByUserId(user.id);
+    assert.strictEqual(recipes.filter((r) => r.read_only_since).length, 2);
+    const events = await storage.subscriptions.listSubscriptionEvents(user.id);
+    assert.deepStrictEqual(events.map((e) => e.event_type), ["downgraded"]);
+  });
+
+  it("downgrades once when several status checks see the lapse together", async () => {
+    const storage = getStorage();
+    const user = await storage.users.createUser("racing@example.com", "secret123");
+    await storage.subscriptions.upsertSubscription({
+      userId: user.id,
+      stripeSubscriptionId: "sub_racing",
+      stripeCustomerId: "cus_racing",
+      planType: "monthly",
+      status: "active",
+      currentPeriodStart: new Date(Date.now() - 31 * 86400000),
+      currentPeriodEnd: new Date(Date.now() - 86400000),
+    });
+
+    const statuses = await Promise.all([1, 2, 3].map(() => getSubscriptionStatus(user.id)));
+    assert.deepStrictEqual(statuses.map((s) => s.state), ["expired", "expired", "expired"]);
+    const events = await storage.subscriptions.listSubscriptionEvents(user.id);
+    assert.deepStrictEqual(events.map((e) => e.event_type), ["downgraded"]);
+  });
+
+  it("still answers the status check when the expiry write fails", async (t) => {
+    const storage = getStorage();
+    const user = await storage.users.createUser("offline@example.com", "secret123");
+    await storage.subscriptions.upsertSubscription({
+      userId: user.id,
+      stripeSubscriptionId: "sub_offline",
+      stripeCustomerId: "cus_offline",
+      planType: "monthly",
+      status: "active",
+      currentPeriodStart: new Date(Date.now() - 31 * 86400000),
+      currentPeriodEnd: new Date(Date.now() - 86400000),
+    });
+    t.mock.method(storage.subscriptions, "updateSubscriptionById", async () => {
+      throw new Error("database unavailable");
+    });
+    t.mock.method(console, "error", () => {});
+
+    const status = await getSubscriptionStatus(user.id);
+    assert.strictEqual(status.state, "expired");
+    assert.strictEqual(status.is_active, false);
+  });
+});
+
+describe("Advanced substitutions by ingredient id", () => {
+  before(() => setStorage(createStorage("memory")));
+  after(() => setStorage(null));
+
+  it("looks the id up through the storage driver", async (t) => {
+    const id = "00000000-0000-4000-8000-000000000042";
+    assert.strictEqual(await convertService.getAdvancedSubstitutions(id), null);
+
+    const lookup = t.mock.method(getStorage().ingredientRules, "getIngredientById", async () => ({ id, slug: "white_wine" }));
+    const result = await convertService.getAdvancedSubstitutions(id);
+    assert.deepStrictEqual(lookup.mock.calls[0].arguments, [id]);
+    assert.ok(result);
+  });
+});
+
+describe("Account data", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  before(() => setStorage(createStorage("memory")));
+  after(() => setStorage(null));
+
+  it("exports everything stored about the user, without secrets", async () => {
+    const storage = getStorage();
+    const user = await storage.users.createUser("export@example.com", "secret123");
+    await storage.profiles.createProfile(user.id, { displayName: "Exporter" });
+    const recipe = await storage.recipes.createRecipe({ userId: user.id, title: "Dal" });
+    await storage.conversions.recordConversion({ userId: user.id, recipeText: "1 cup wine", convertedText: "1 cup grape juice" });
+    await storage.mealPlans.createMealPlan(user.id, {
+      name: "Week",
+      startDate: "2026-01-05",
+      endDate: "2026-01-11",
+      entries: [{ date: "2026-01-05", slot: "dinner", recipeId: recipe.id, servings: 2 }],
+    });
+    await storage.subscriptions.upsertSubscription({
+      userId: user.id, stripeSubscriptionId: "sub_export", stripeCustomerId: "cus_export", planType: "monthly",
+      status: "canceled", currentPeriodStart: new Date(), currentPeriodEnd: new Date(Date.now() + DAY),
+    });
+    const product = await storage.products.createProduct({ brand: "Acme", name: "Gummies" });
+    await storage.products.linkProductScan(product.id, { userId: user.id, rawText: "gelatin", scanResult: { summary: {} } });
+    await storage.sessions.createSession(user.id, { refreshTokenHash: "hash", expiresAt: new Date(Date.now() + DAY) });
+
+    const bundle = await exportUserData(user.id);
+    assert.strictEqual(bundle.user.email, "export@example.com");
+    assert.strictEqual(bundle.user.password_hash, undefined);
+    assert.strictEqual(bundle.profile.display_name, "Exporter");
+    assert.deepStrictEqual(bundle.recipes.map((r) => r.title), ["Dal"]);
+    assert.deepStrictEqual(bundle.conversions.map((c) => c.converted_text), ["1 cup grape juice"]);
+    assert.deepStrictEqual(bundle.meal_plans.map((p) => [p.name, p.entries.length]), [["Week", 1]]);
+    assert.deepStrictEqual(bundle.subscriptions.map((s) => s.stripe_subscription_id), ["sub_export"]);
+    assert.deepStrictEqual(bundle.product_scans.map((s) => s.product_id), [product.id]);
+    assert.strictEqual(bundle.sessions.length, 1);
+    assert.strictEqual(bundle.sessions[0].refresh_token_hash, undefined);
+    assert.deepStrictEqual([bundle.affiliate_clicks, bundle.legacy_recipes], [[], []]);
+    assert.strictEqual(await exportUserData("00000000-0000-4000-8000-000000000000"), null);
+  });
+
+  it("keeps a scheduled account until the grace period is over", async () => {
+    const user = await getStorage().users.createUser("leaving-later@example.com", "secret123");
+    const { deletionScheduledFor, canceledSubscriptions } = await scheduleAccountDeletion(user.id);
+    assert.strictEqual(canceledSubscriptions, 0);
+    assert.ok(Math.abs(deletionScheduledFor - Date.now() - ACCOUNT_DELETION_GRACE_DAYS * DAY) < 60 * 1000);
+
+    assert.strictEqual(await purgeDeletedAccounts(), 0);
+    assert.ok(await getStorage().users.getUserById(user.id));
+  });
+
+  it("schedules deletion without a Stripe client to cancel through", async () => {
+    const storage = getStorage();
+    const user = await storage.users.createUser("unbilled@example.com", "secret123");
+    await storage.subscriptions.upsertSubscription({
+      userId: user.id, stripeSubscriptionId: "sub_unbilled", stripeCustomerId: "cus_unbilled", planType: "monthly",
+      status: "active", currentPeriodStart: new Date(), currentPeriodEnd: new Date(Date.now() + DAY),
+    });
+
+    const { deletionScheduledFor, canceledSubscriptions } = await scheduleAccountDeletion(user.id);
+    assert.ok(deletionScheduledFor);
+    assert.strictEqual(canceledSubscriptions, 0);
+  });
+
+  it("does not purge an account whose deletion was canceled", async () => {
+    const user = await getStorage().users.createUser("changed-mind@example.com", "secret123");
+    await scheduleAccountDeletion(user.id);
+    assert.strictEqual(await cancelAccountDeletion(user.id), true);
+    assert.strictEqual(await cancelAccountDeletion(user.id), false);
+
+    assert.strictEqual(await purgeDeletedAccounts(), 0);
+    const kept = await getStorage().users.getUserRecord(user.id);
+    assert.deepStrictEqual([kept.deletion_requested_at, kept.deletion_scheduled_for], [null, null]);
+  });
+
+  it("purges accounts that are due when started and then every hour", async () => {
+    const storage = getStorage();
+    const first = await storage.users.createUser("due-now@example.com", "secret123");
+    await storage.users.scheduleUserDeletion(first.id, 0);
+
+    mock.timers.enable({ apis: ["setInterval"] });
+    let timer;
+    try {
+      timer = startAccountPurge();
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.strictEqual(await storage.users.getUserById(first.id), null);
+
+      const second = await storage.users.createUser("due-later@example.com", "secret123");
+      await storage.users.scheduleUserDeletion(second.id, 0);
+      mock.timers.tick(ACCOUNT_PURGE_INTERVAL_MS - 1);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.ok(await storage.users.getUserById(second.id));
+
+      mock.timers.tick(1);
+      await new Promise((resolve) => setImmediate(resolve));
+      assert.strictEqual(await storage.users.getUserById(second.id), null);
+    } finally {
+      clearInterval(timer);
+      mock.timers.reset();
+    }
+  });
+});
+
+describe("API routes without PostgreSQL", () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    setStorage(createStorage("memory"));
+    const app = express();
+    app.use(express.json());
+    app.use("/api/auth", authRouter);
+    app.use("/api/profile", profileRouter);
+    app.use("/api/recipes", recipesRouter);
+    app.use("/api/subscriptions", subscriptionsRouter);
+    app.use("/api/analytics", analyticsRouter);
+    app.use("/api/meal-plans", mealPlansRouter);
+    app.use("/api/products", productsRouter);
+    app.use("/api/admin/rules", adminRulesRouter);
+    app.use("/api/affiliate", affiliateRouter);
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server?.close();
+    setStorage(null);
+  });
+
+  async function call(method, url, { token, body } = {}) {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function register(email) {
+    const { status, body } = await call("POST", "/api/auth/register", {
+      body: { email, password: "secret123", displayName: email.split("@")[0] },
+    });
+    assert.strictEqual(status, 201);
+    return body;
+  }
+
+  it("registers, logs in and reads the profile", async () => {
+    const registered = await register("amina@example.com");
+    assert.strictEqual(registered.user.displayName, "amina");
+
+    const duplicate = await call("POST", "/api/auth/register", { body: { email: "amina@example.com", password: "secret123" } });
+    assert.strictEqual(duplicate.status, 400);
+
+    const login = await call("POST", "/api/auth/login", { body: { email: "amina@example.com", password: "secret123" } });
+    assert.strictEqual(login.status, 200);
+
+    const profile = await call("GET", "/api/profile", { token: login.body.token });
+    assert.strictEqual(profile.status, 200);
+    assert.strictEqual(profile.body.user.profile.halal_standard, "standard");
+
+    const updated = await call("PUT", "/api/profile", { token: login.body.token, body: { displayName: "Amina K" } });
+    assert.strictEqual(updated.body.user.displayName, "Amina K");
+  });
+
+  it("ends the session on logout for protected and optional-auth routes alike", async () => {
+    const { user, token } = await register("leaver@example.com");
+    await call("POST", "/api/recipes", { token, body: { title: "Private Pilaf", isPublic: false } });
+    assert.strictEqual((await call("GET", "/api/auth/me", { token })).body.user.email, "leaver@example.com");
+    assert.deepStrictEqual((await call("GET", "/api/recipes", { token })).body.recipes.map((r) => r.title), ["Private Pilaf"]);
+
+    assert.strictEqual((await call("POST", "/api/auth/logout", { token })).status, 200);
+    assert.strictEqual((await call("GET", "/api/auth/me", { token })).status, 401);
+    const anonymous = await call("GET", "/api/recipes", { token });
+    assert.strictEqual(anonymous.status, 200);
+    assert.deepStrictEqual(anonymous.body.recipes.map((r) => r.title), []);
+
+    // Tokens without a session id can't be revoked and are refused
+    const legacy = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: "1h" });
+    assert.strictEqual((await call("GET", "/api/auth/me", { token: legacy })).status, 401);
+    assert.deepStrictEqual((await call("GET", "/api/recipes", { token: legacy })).body.recipes.map((r) => r.title), []);
+  });
+
+  it("loads the optional-auth user from storage and stays anonymous once the account is gone", async (t) => {
+    const { token } = await register("vanishing@example.com");
+    await call("POST", "/api/recipes", { token, body: { title: "Hidden Haleem", isPublic: false } });
+    const own = await call("GET", "/api/recipes", { token });
+    assert.deepStrictEqual(own.body.recipes.map((r) => r.title), ["Hidden Haleem"]);
+
+    t.mock.method(getStorage().users, "getUserById", async () => null);
+    const anonymous = await call("GET", "/api/recipes", { token });
+    assert.strictEqual(anonymous.status, 200);
+    assert.deepStrictEqual(anonymous.body.recipes.map((r) => r.title), []);
+  });
+
+  it("creates, lists, updates and deletes recipes", async () => {
+    const { token } = await register("chef@example.com");
+    const { token: otherToken } = await register("guest@example.com");
+
+    const pub = await call("POST", "/api/recipes", { token, body: { title: "Beef Stew", isPublic: true } });
+    const priv = await call("POST", "/api/recipes", { token, body: { title: "Secret Sauce", isPublic: false } });
+    assert.strictEqual(pub.status, 201);
+    assert.strictEqual(priv.body.recipe.isPublic, false);
+
+    const publicList = await call("GET", "/api/recipes/public");
+    assert.deepStrictEqual(publicList.body.recipes.map((r) => r.title), ["Beef Stew"]);
+
+    const own = await call("GET", "/api/recipes", { token });
+    assert.deepStrictEqual(own.body.recipes.map((r) => r.title).sort(), ["Beef Stew", "Secret Sauce"]);
+    const anonymous = await call("GET", "/api/recipes");
+    assert.deepStrictEqual(anonymous.body.recipes.map((r) => r.title), ["Beef Stew"]);
+
+    assert.strictEqual((await call("GET", `/api/recipes/${priv.body.recipe.id}`, { token: otherToken })).status, 403);
+
+    const edited = await call("PUT", `/api/recipes/${pub.body.recipe.id}`, { token, body: { title: "Lamb Stew" } });
+    assert.strictEqual(edited.body.recipe.title, "Lamb Stew");
+    assert.strictEqual((await call("PUT", `/api/recipes/${pub.body.recipe.id}`, { token: otherToken, body: { title: "x" } })).status, 403);
+
+    assert.strictEqual((await call("DELETE", `/api/recipes/${priv.body.recipe.id}`, { token: otherToken })).status, 403);
+    assert.strictEqual((await call("DELETE", `/api/recipes/${priv.body.recipe.id}`, { token })).status, 200);
+    assert.strictEqual((await call("GET", "/api/recipes/my", { token })).body.recipes.length, 1);
+  });
+
+  it("enforces the free saved-recipe limit", async () => {
+    const { token } = await register("collector@example.com");
+    for (let i = 0; i < 10; i++) {
+      assert.strictEqual((await call("POST", "/api/recipes", { token, body: { title: `Recipe ${i}` } })).status, 201);
+    }
+    const refused = await call("POST", "/api/recipes", { token, body: { title: "One too many" } });
+    assert.strictEqual(refused.status, 402);
+  });
+
+  it("reports the free plan without a subscription", async () => {
+    const { token } = await register("free@example.com");
+    const status = await call("GET", "/api/subscriptions/status", { token });
+    assert.strictEqual(status.status, 200);
+    assert.strictEqual(status.body.status, "free");
+    assert.strictEqual(status.body.subscribed, false);
+  });
+
+  it("stores analytics events and serves the dashboard to analysts", async () => {
+    const stored = await call("POST", "/api/analytics/event", {
+      body: { event: "ingredient_view", props: { ingredient_id: "gelatin", region: "US", email: "x@y.z" }, session_id: "s1" },
+    });
+    assert.strictEqual(stored.status, 200);
+
+    const { user, token } = await register("analyst@example.com");
+    assert.strictEqual((await call("GET", "/api/analytics/dashboard", { token })).status, 403);
+
+    await getStorage().users.grantUserRole(user.id, "analyst");
+    const dashboard = await call("GET", "/api/analytics/dashboard", { token });
+    assert.strictEqual(dashboard.status, 200);
+    assert.deepStrictEqual(dashboard.body.top_ingredients, [{ ingredient_id: "gelatin", views: "1" }]);
+  });
+
+  it("plans meals from saved recipes", async () => {
+    const { token } = await register("planner@example.com");
+    const recipe = await call("POST", "/api/recipes", { token, body: { title: "Chicken Tagine", isPublic: false } });
+    const created = await call("POST", "/api/meal-plans", {
+      token,
+      body: {
+        name: "This week",
+        startDate: "2026-10-19",
+        endDate: "2026-10-25",
+        entries: [{ date: "2026-10-19", slot: "dinner", recipeId: recipe.body.recipe.id, servings: 2 }],
+      },
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.mealPlan.entries[0].recipeTitle, "Chicken Tagine");
+
+    const listed = await call("GET", "/api/meal-plans", { token });
+    assert.strictEqual(listed.status, 200);
+    assert.deepStrictEqual(listed.body.mealPlans.map((p) => [p.name, p.entryCount]), [["This week", 1]]);
+    assert.strictEqual((await call("GET", `/api/meal-plans/${created.body.mealPlan.id}/halal-status`, { token })).status, 200);
+    assert.strictEqual((await call("DELETE", `/api/meal-plans/${created.body.mealPlan.id}`, { token })).status, 200);
+  });
+
+  it("looks up barcodes and records unknown ones", async () => {
+    const { token } = await register("shopper@example.com");
+    await getStorage().products.createProduct({ barcode: "4006381333931", brand: "Acme", name: "Rice Crackers", ingredientsText: "rice, salt" });
+
+    const found = await call("GET", "/api/products/barcode/4006381333931", { token });
+    assert.strictEqual(found.status, 200);
+    assert.strictEqual(found.body.product.name, "Rice Crackers");
+
+    const missing = await call("GET", "/api/products/barcode/96385074", { token });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual((await getStorage().products.recordUnknownBarcode("96385074", null)).scan_count, 2);
+  });
+
+  it("lets curators verify a submitted certificate", async () => {
+    const product = await getStorage().products.createProduct({
+      brand: "Acme",
+      name: "Gelatin Sweets",
+      ingredientsText: "sugar, gelatin",
+      certificationBody: "HFA",
+      certificateExpiresAt: "2099-12-31",
+      verificationSource: "user_submission",
+    });
+    const { token: shopperToken } = await register("submitter@example.com");
+    assert.strictEqual((await call("POST", `/api/products/${product.id}/verify`, { token: shopperToken })).status, 403);
+
+    const { user, token } = await register("checker@example.com");
+    await getStorage().users.grantUserRole(user.id, "curator");
+    const untrusted = await call("POST", `/api/products/${product.id}/verify`, { token, body: { verificationSource: "label_scan" } });
+    assert.strictEqual(untrusted.status, 400);
+
+    const verified = await call("POST", `/api/products/${product.id}/verify`, { token });
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.product.verificationSource, "certifier");
+    assert.ok(verified.body.product.verifiedAt);
+    assert.strictEqual(verified.body.verification.certification.status, "certified");
+    assert.strictEqual(verified.body.verification.verdict.status, "halal");
+
+    const bare = await getStorage().products.createProduct({ brand: "Acme", name: "Plain Rice" });
+    assert.strictEqual((await call("POST", `/api/products/${bare.id}/verify`, { token })).status, 400);
+  });
+
+  it("lets curators edit ingredient rules", async () => {
+    const { user, token } = await register("curator@example.com");
+    await getStorage().users.grantUserRole(user.id, "curator");
+    const created = await call("POST", "/api/admin/rules", {
+      token,
+      body: { baseSlug: "marshmallow", halalStatus: "conditional", alternatives: ["halal_marshmallow"], reason: "New product line" },
+    });
+    assert.strictEqual(created.status, 201);
+    const listed = await call("GET", "/api/admin/rules", { token });
+    assert.deepStrictEqual(listed.body.rules.map((r) => r.baseSlug), ["marshmallow"]);
+    await call("DELETE", `/api/admin/rules/${created.body.rule.id}`, { token, body: { reason: "Cleanup" } });
+  });
+
+  it("answers affiliate requests with empty lists", async () => {
+    const providers = await call("GET", "/api/affiliate/providers");
+    assert.deepStrictEqual([providers.status, providers.body], [200, { providers: [] }]);
+  });
+
+  it("exports personal data and schedules account deletion", async () => {
+    const { token } = await register("leaving@example.com");
+    await call("POST", "/api/recipes", { token, body: { title: "Farewell Biryani" } });
+
+    const exported = await call("GET", "/api/profile/export", { token });
+    assert.strictEqual(exported.status, 200);
+    assert.strictEqual(exported.body.user.email, "leaving@example.com");
+    assert.strictEqual(exported.body.user.password_hash, undefined);
+    assert.deepStrictEqual(exported.body.recipes.map((r) => r.title), ["Farewell Biryani"]);
+    assert.deepStrictEqual(exported.body.meal_plans, []);
+
+    assert.strictEqual((await call("DELETE", "/api/profile", { token, body: { password: "wrong" } })).status, 403);
+    const deleted = await call("DELETE", "/api/profile", { token, body: { password: "secret123" } });
+    assert.strictEqual(deleted.status, 202);
+    assert.ok(deleted.body.deletion_scheduled_for);
+
+    // Every session was revoked with the deletion request
+    assert.strictEqual((await call("GET", "/api/profile", { token })).status, 401);
+  });
+
+  it("answers 500, not a Stripe 502, when scheduling the deletion fails", async (t) => {
+    const { token } = await register("stuck@example.com");
+    t.mock.method(getStorage().users, "scheduleUserDeletion", async () => {
+      throw new Error("database unavailable");
+    });
+    t.mock.method(console, "error", () => {});
+
+    const deleted = await call("DELETE", "/api/profile", { token, body: { password: "secret123" } });
+    assert.strictEqual(deleted.status, 500);
+    assert.strictEqual(deleted.body.error, "Failed to delete account");
+  });
+});
@@ -9,6 +9,7 @@ import {
   getRankedSubstitutes,
   computeSubstituteScore,
   formatRankedSubstitutesForApi,
+  getAdvancedSubstitutes,
 } from "../services/rankedSubstitutionsService.js";
 import { evaluateIngredient } from "../services/ingredientRuleEngine.js";
 
@@ -77,4 +78,16 @@ describe("Substitution ranking", () => {
       `agar agar should be permitted as substitute: ${r.halal_status}`
     );
   });
+
+  it("getAdvancedSubstitutes returns every permitted substitute with factors and ratio", async () => {
+    const ranked = await getRankedSubstitutes("white wine", {});
+    const advanced = await getAdvancedSubstitutes("white wine", { recipeContext: { cuisine: "french" } });
+    assert.ok(advanced.substitutes.length >= ranked.all.length);
+    assert.deepStrictEqual(advanced.recipeContext, { cuisine: "french" });
+    for (const sub of advanced.substitutes) {
+      assert.deepStrictEqual(Object.keys(sub.factors), ["flavor", "texture", "context", "availability", "affordability"]);
+      assert.strictEqual(sub.ratio, 0.75, `${sub.slug} should carry wine's 1:0.75 ratio`);
+      assert.ok(Array.isArray(sub.links));
+    }
+  });
 });
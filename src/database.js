@@ -5,6 +5,7 @@
 
 import pg from "pg";
 import dotenv from "dotenv";
+import { migrateUp, assertSchemaCurrent } from "./db/migrator.js";
 
 dotenv.config();
 
@@ -59,110 +60,24 @@ export async function testConnection() {
 
 /**
  * Initialize database schema
- * Creates all required tables if they don't exist
+ * Applies pending migrations when MIGRATE_ON_START=true, then refuses to continue if any are still
+ * pending (see src/db/migrator.js and `npm run migrate`)
+ * @returns {Promise<boolean>} False when there is no database; throws when the schema is behind
  */
 export async function initializeDatabase() {
   if (!pool) {
     console.warn("⚠️  Cannot initialize database (DATABASE_URL missing)");
     return false;
   }
-  
-  try {
-    const client = await pool.connect();
-    
-    // Create app_health table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS app_health (
-        id SERIAL PRIMARY KEY,
-        status TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    // Create users table with UUID
-    await client.query(`
-      CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-    `);
-    
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        display_name TEXT,
-        profile_image_url TEXT,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    // Create profiles table (merged into users for simplicity, keeping for backward compatibility)
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS profiles (
-        id SERIAL PRIMARY KEY,
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        display_name TEXT,
-        avatar_url TEXT,
-        halal_standard TEXT DEFAULT 'standard',
-        school_of_thought TEXT DEFAULT 'hanafi',
-        language TEXT DEFAULT 'en',
-        theme TEXT DEFAULT 'light',
-        created_at TIMESTAMP DEFAULT NOW(),
-        UNIQUE(user_id)
-      )
-    `);
-    
-    // Create recipes table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS recipes (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        title TEXT NOT NULL,
-        original_recipe TEXT,
-        converted_recipe TEXT,
-        ingredients JSONB,
-        instructions TEXT,
-        category TEXT DEFAULT 'Main Course',
-        hashtags TEXT[],
-        media_url TEXT,
-        confidence_score INTEGER DEFAULT 0,
-        visibility TEXT DEFAULT 'public' CHECK (visibility IN ('public', 'private')),
-        likes INTEGER DEFAULT 0,
-        comments INTEGER DEFAULT 0,
-        shares INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    // Create indexes
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_profiles_user_id ON profiles(user_id)
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_recipes_user_id ON recipes(user_id)
-    `);
-    
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_recipes_visibility ON recipes(visibility)
-    `);
 
-    // Save Halal Version: substitutions used (optional column for existing DBs)
-    await client.query(`
-      ALTER TABLE recipes ADD COLUMN IF NOT EXISTS substitutions_used JSONB DEFAULT '[]'
-    `);
-
-    client.release();
-    console.log("✅ Database schema initialized");
-    console.log("   - app_health table ready");
-    console.log("   - users table ready (UUID)");
-    console.log("   - profiles table ready");
-    console.log("   - recipes table ready");
-    return true;
-  } catch (error) {
-    console.error("❌ Database initialization failed:", error.message);
-    return false;
+  if (process.env.MIGRATE_ON_START === "true") {
+    const applied = await migrateUp(pool);
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : "✅ No pending migrations");
   }
+
+  await assertSchemaCurrent(pool);
+  console.log("✅ Database schema is up to date");
+  return true;
 }
 
 /**
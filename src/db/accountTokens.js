@@ -0,0 +1,65 @@
+/**
+ * Account Tokens Data Access Layer
+ * Handles all database operations for account_tokens table (password reset, email verification)
+ */
+
+import { getPool } from "../database.js";
+
+/**
+ * Store a new token and retire the user's earlier unused tokens for the same purpose,
+ * so only the most recent link works.
+ * @param {string} userId - User ID (UUID)
+ * @param {string} purpose - "password_reset" | "email_verification"
+ * @param {string} tokenHash - SHA-256 of the token
+ * @param {Date} expiresAt
+ */
+export async function createAccountToken(userId, purpose, tokenHash, expiresAt) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `UPDATE account_tokens
+       SET used_at = NOW()
+       WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+      [userId, purpose]
+    );
+    await client.query(
+      `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, purpose, tokenHash, expiresAt]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Use a token: succeeds once, while it has not expired
+ * @param {string} purpose - "password_reset" | "email_verification"
+ * @param {string} tokenHash - SHA-256 of the token
+ * @returns {Promise<string|null>} The token's user ID, or null if unknown, used or expired
+ */
+export async function consumeAccountToken(purpose, tokenHash) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE account_tokens
+       SET used_at = NOW()
+       WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING user_id`,
+      [tokenHash, purpose]
+    );
+
+    return result.rows[0]?.user_id || null;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Analytics Data Access Layer
+ * Handles all database operations for analytics_events (anonymous) and premium_analytics_events
+ */
+
+import { getPool } from "../database.js";
+
+/**
+ * Store an anonymous analytics event
+ * @param {Object} event
+ * @param {string} event.eventType - e.g. 'ingredient_view', 'affiliate_click'
+ * @param {Object} event.props - Sanitized event properties
+ * @param {string} event.sessionId
+ * @param {Date} [event.createdAt]
+ */
+export async function recordAnalyticsEvent({ eventType, props, sessionId, createdAt }) {
+  const pool = getPool();
+  await pool.query(
+    `INSERT INTO analytics_events (event_type, event_props, session_id, created_at)
+     VALUES ($1, $2, $3, $4)`,
+    [eventType, JSON.stringify(props), sessionId, createdAt || new Date()]
+  );
+}
+
+/**
+ * Store a premium analytics event
+ * @param {Object} event
+ * @param {string} event.eventType - e.g. 'subscription_success', 'conversion_limit_hit'
+ * @param {Object} event.props - Sanitized event properties
+ * @param {string} event.sessionId
+ * @param {string} [event.userId] - Set for authenticated users
+ * @param {Date} [event.createdAt]
+ */
+export async function recordPremiumAnalyticsEvent({ eventType, props, sessionId, userId, createdAt }) {
+  const pool = getPool();
+  await pool.query(
+    `INSERT INTO premium_analytics_events (event_type, event_props, session_id, user_id, created_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [eventType, JSON.stringify(props), sessionId, userId || null, createdAt || new Date()]
+  );
+}
+
+/**
+ * WHERE clause for a date range plus one event_props key, e.g. region or plan.
+ * dateFilter starts with WHERE; queries that already have a WHERE swap it for AND.
+ */
+function buildFilters({ startDate, endDate }, propKey, propValue) {
+  const dateFilter = startDate && endDate
+    ? `WHERE created_at >= $1 AND created_at <= $2`
+    : startDate
+    ? `WHERE created_at >= $1`
+    : "";
+  const params = startDate && endDate ? [startDate, endDate] : startDate ? [startDate] : [];
+  const propFilter = propValue
+    ? `${dateFilter ? "AND" : "WHERE"} event_props->>'${propKey}' = $${params.length + 1}`
+    : "";
+  return { dateFilter, propFilter, params: propValue ? [...params, propValue] : params };
+}
+
+/**
+ * Aggregated analytics_events metrics for the analytics dashboard
+ * @param {Object} [filters]
+ * @param {string} [filters.startDate] - ISO date
+ * @param {string} [filters.endDate] - ISO date (only used with startDate)
+ * @param {string} [filters.region] - Country code
+ * @returns {Promise<Object>} { total_events, ingredient_views, substitute_clicks, affiliate_clicks, conversion_funnel,
+ *   recipe_conversions, top_ingredients, top_platforms, regional_breakdown }
+ */
+export async function getDashboardMetrics(filters = {}) {
+  const pool = getPool();
+  const { dateFilter, propFilter: regionFilter, params } = buildFilters(filters, "region", filters.region);
+  const andDate = dateFilter.replace("WHERE", "AND");
+  const query = async (sql) => (await pool.query(sql, params)).rows;
+
+  return {
+    total_events: await query(`SELECT COUNT(*) as count FROM analytics_events ${dateFilter} ${regionFilter}`),
+
+    ingredient_views: await query(
+      `SELECT COUNT(*) as count,
+              event_props->>'ingredient_id' as ingredient_id,
+              event_props->>'source' as source,
+              event_props->>'status' as status
+       FROM analytics_events
+       WHERE event_type = 'ingredient_view' ${andDate} ${regionFilter}
+       GROUP BY ingredient_id, source, status
+       ORDER BY count DESC
+       LIMIT 20`
+    ),
+
+    substitute_clicks: await query(
+      `SELECT COUNT(*) as count,
+              event_props->>'ingredient_id' as ingredient_id,
+              event_props->>'substitute_id' as substitute_id
+       FROM analytics_events
+       WHERE event_type = 'substitute_click' ${andDate} ${regionFilter}
+       GROUP BY ingredient_id, substitute_id
+       ORDER BY count DESC
+       LIMIT 20`
+    ),
+
+    affiliate_clicks: await query(
+      `SELECT COUNT(*) as count,
+              event_props->>'platform' as platform,
+              event_props->>'ingredient_id' as ingredient_id,
+              event_props->>'substitute_id' as substitute_id,
+              event_props->>'is_featured' as is_featured
+       FROM analytics_events
+       WHERE event_type = 'affiliate_click' ${andDate} ${regionFilter}
+       GROUP BY platform, ingredient_id, substitute_id, is_featured
+       ORDER BY count DESC
+       LIMIT 20`
+    ),
+
+    conversion_funnel: await query(
+      `SELECT event_props->>'step' as step,
+              COUNT(*) as count
+       FROM analytics_events
+       WHERE event_type = 'conversion_funnel' ${andDate} ${regionFilter}
+       GROUP BY step
+       ORDER BY
+         CASE step
+           WHEN 'view' THEN 1
+           WHEN 'substitute_view' THEN 2
+           WHEN 'affiliate_click' THEN 3
+           ELSE 4
+         END`
+    ),
+
+    recipe_conversions: (await query(
+      `SELECT AVG((event_props->>'total_ingredients')::int) as avg_total,
+              AVG((event_props->>'haram_ingredients')::int) as avg_haram,
+              AVG((event_props->>'substitutes_shown')::int) as avg_substitutes,
+              AVG((event_props->>'affiliate_links_shown')::int) as avg_links,
+              COUNT(*) as total_conversions
+       FROM analytics_events
+       WHERE event_type = 'recipe_conversion' ${andDate} ${regionFilter}`
+    ))[0] || {},
+
+    top_ingredients: await query(
+      `SELECT event_props->>'ingredient_id' as ingredient_id,
+              COUNT(*) as views
+       FROM analytics_events
+       WHERE event_type = 'ingredient_view' ${andDate} ${regionFilter}
+       GROUP BY ingredient_id
+       ORDER BY views DESC
+       LIMIT 10`
+    ),
+
+    top_platforms: await query(
+      `SELECT event_props->>'platform' as platform,
+              COUNT(*) as clicks
+       FROM analytics_events
+       WHERE event_type = 'affiliate_click' ${andDate} ${regionFilter}
+       GROUP BY platform
+       ORDER BY clicks DESC`
+    ),
+
+    regional_breakdown: await query(
+      `SELECT event_props->>'region' as region,
+              COUNT(*) as events
+       FROM analytics_events
+       ${dateFilter} ${regionFilter}
+       GROUP BY region
+       ORDER BY events DESC
+       LIMIT 20`
+    ),
+  };
+}
+
+/**
+ * Aggregated premium_analytics_events metrics for the premium dashboard
+ * @param {Object} [filters]
+ * @param {string} [filters.startDate] - ISO date
+ * @param {string} [filters.endDate] - ISO date (only used with startDate)
+ * @param {string} [filters.plan] - 'monthly' | 'yearly'
+ * @returns {Promise<Object>} { conversion_limit_hits, upgrade_funnel, subscription_success, premium_feature_usage,
+ *   cancellations, revenue, retention }
+ */
+export async function getPremiumDashboardMetrics(filters = {}) {
+  const pool = getPool();
+  const { dateFilter, propFilter: planFilter, params } = buildFilters(filters, "plan", filters.plan);
+  const andDate = dateFilter.replace("WHERE", "AND");
+  const query = async (sql) => (await pool.query(sql, params)).rows;
+
+  return {
+    conversion_limit_hits: (await query(
+      `SELECT
+        COUNT(*) as total_hits,
+        COUNT(DISTINCT session_id) as unique_users,
+        AVG((event_props->>'current_count')::int) as avg_conversions_before_hit
+       FROM premium_analytics_events
+       WHERE event_type = 'conversion_limit_hit'
+       ${andDate}
+       ${planFilter}`
+    ))[0] || {},
+
+    upgrade_funnel: await query(
+      `SELECT
+        event_type,
+        COUNT(*) as count,
+        COUNT(DISTINCT session_id) as unique_users
+       FROM premium_analytics_events
+       WHERE event_type IN (
+         'conversion_limit_hit',
+         'upgrade_modal_view',
+         'upgrade_attempt',
+         'checkout_start',
+         'subscription_success'
+       )
+       ${andDate}
+       ${planFilter}
+       GROUP BY event_type
+       ORDER BY
+         CASE event_type
+           WHEN 'conversion_limit_hit' THEN 1
+           WHEN 'upgrade_modal_view' THEN 2
+           WHEN 'upgrade_attempt' THEN 3
+           WHEN 'checkout_start' THEN 4
+           WHEN 'subscription_success' THEN 5
+           ELSE 6
+         END`
+    ),
+
+    subscription_success: await query(
+      `SELECT
+        COUNT(*) as total_subscriptions,
+        COUNT(DISTINCT session_id) as unique_subscribers,
+        SUM((event_props->>'revenue')::numeric) as total_revenue,
+        AVG((event_props->>'revenue')::numeric) as avg_revenue,
+        event_props->>'plan' as plan,
+        COUNT(*) FILTER (WHERE event_props->>'plan' = 'monthly') as monthly_count,
+        COUNT(*) FILTER (WHERE event_props->>'plan' = 'yearly') as yearly_count
+       FROM premium_analytics_events
+       WHERE event_type = 'subscription_success'
+       ${andDate}
+       ${planFilter}
+       GROUP BY event_props->>'plan'`
+    ),
+
+    premium_feature_usage: await query(
+      `SELECT
+        event_props->>'feature' as feature,
+        event_props->>'action' as action,
+        COUNT(*) as usage_count,
+        COUNT(DISTINCT session_id) as unique_users
+       FROM premium_analytics_events
+       WHERE event_type = 'premium_feature_usage'
+       ${andDate}
+       ${planFilter}
+       GROUP BY feature, action
+       ORDER BY usage_count DESC`
+    ),
+
+    cancellations: await query(
+      `SELECT
+        COUNT(*) as total_cancellations,
+        COUNT(DISTINCT session_id) as unique_cancellations,
+        event_props->>'plan' as plan,
+        event_props->>'reason' as reason
+       FROM premium_analytics_events
+       WHERE event_type = 'subscription_cancelled'
+       ${andDate}
+       ${planFilter}
+       GROUP BY plan, reason`
+    ),
+
+    revenue: (await query(
+      `SELECT
+        SUM((event_props->>'revenue')::numeric) as total_revenue,
+        AVG((event_props->>'revenue')::numeric) as avg_revenue,
+        COUNT(*) FILTER (WHERE event_props->>'plan' = 'monthly') * 2.99 as monthly_revenue,
+        COUNT(*) FILTER (WHERE event_props->>'plan' = 'yearly') * 29.99 as yearly_revenue
+       FROM premium_analytics_events
+       WHERE event_type IN ('subscription_success', 'subscription_renewed')
+       ${andDate}
+       ${planFilter}`
+    ))[0] || {},
+
+    retention: (await query(
+      `SELECT
+        AVG((event_props->>'days_since_subscription')::int) as avg_days_active,
+        COUNT(*) FILTER (WHERE (event_props->>'days_since_subscription')::int < 30) as new_subscribers,
+        COUNT(*) FILTER (WHERE (event_props->>'days_since_subscription')::int >= 30) as retained_subscribers
+       FROM premium_analytics_events
+       WHERE event_type = 'premium_retention'
+       ${andDate}
+       ${planFilter}`
+    ))[0] || {},
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * Conversion History Data Access Layer
+ * Handles all database operations for conversion_history (one row per conversion, see conversionLimitService.trackConversion)
+ */
+
+import { getPool } from "../database.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function parseIssues(row) {
+  if (row && row.issues != null) {
+    row.issues = typeof row.issues === "string" ? JSON.parse(row.issues) : row.issues;
+  }
+  return row;
+}
+
+/**
+ * Store a conversion
+ * @param {Object} conversion
+ * @param {string} conversion.userId
+ * @param {string} conversion.recipeText - Preview (first 500 chars)
+ * @param {string|null} conversion.originalText - Full input
+ * @param {string|null} conversion.convertedText
+ * @param {Array} conversion.issues
+ * @param {number|null} conversion.confidenceScore
+ * @param {boolean} conversion.isPremium - Premium rows do not count toward the free monthly limit
+ * @returns {Promise<string>} Conversion ID
+ */
+export async function recordConversion({ userId, recipeText, originalText, convertedText, issues, confidenceScore, isPremium }) {
+  const pool = getPool();
+  const result = await pool.query(
+    `INSERT INTO conversion_history (
+      user_id, recipe_text, original_text, converted_text, issues, confidence_score, is_premium
+    )
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [userId, recipeText, originalText, convertedText, JSON.stringify(issues || []), confidenceScore, isPremium]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Count a user's free-tier conversions since a date
+ * @param {string} userId - User ID
+ * @param {Date} since
+ * @returns {Promise<number>}
+ */
+export async function countFreeConversionsSince(userId, since) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT COUNT(*) as count
+     FROM conversion_history
+     WHERE user_id = $1
+     AND created_at >= $2
+     AND is_premium IS NOT TRUE`,
+    [userId, since]
+  );
+  return parseInt(result.rows[0]?.count || "0", 10);
+}
+
+/**
+ * A user's conversions since a date, newest first (id, recipe_text, created_at)
+ * @param {string} userId - User ID
+ * @param {Date} since
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listConversionsSince(userId, since) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT id, recipe_text, created_at
+     FROM conversion_history
+     WHERE user_id = $1
+     AND created_at >= $2
+     ORDER BY created_at DESC`,
+    [userId, since]
+  );
+  return result.rows;
+}
+
+/**
+ * All of a user's conversions with every column, oldest first (for data export)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getConversionsByUserId(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT * FROM conversion_history WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows.map(parseIssues);
+}
+
+/**
+ * List a user's conversions, newest first
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Page size (default 20, max 100)
+ * @param {number} [options.offset] - Rows to skip
+ * @param {string} [options.search] - Case-insensitive match on original or converted text
+ * @returns {Promise<{ conversions: Array<Object>, total: number, limit: number, offset: number }>}
+ */
+export async function listConversions(userId, options = {}) {
+  if (!userId) {
+    throw new Error("User ID is required");
+  }
+
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+  const search = typeof options.search === "string" ? options.search.trim() : "";
+
+  const params = [userId];
+  let where = "user_id = $1";
+  if (search) {
+    params.push(`%${search.replace(/[\\%_]/g, "\\$&")}%`);
+    where += ` AND (COALESCE(original_text, recipe_text) ILIKE $2 OR converted_text ILIKE $2)`;
+  }
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const countResult = await client.query(
+      `SELECT COUNT(*) as count FROM conversion_history WHERE ${where}`,
+      params
+    );
+    const result = await client.query(
+      `SELECT id, recipe_text, confidence_score, is_premium, saved_recipe_id, created_at,
+              jsonb_array_length(COALESCE(issues, '[]'::jsonb)) as issue_count
+       FROM conversion_history
+       WHERE ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return {
+      conversions: result.rows,
+      total: parseInt(countResult.rows[0].count, 10),
+      limit,
+      offset
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a single conversion with its full input, output and issues
+ * @param {string} id - Conversion ID
+ * @param {string} userId - Owner; other users' conversions are not returned
+ * @returns {Promise<Object|null>} Conversion row or null
+ */
+export async function getConversionById(id, userId) {
+  if (!id || !userId) {
+    throw new Error("Conversion ID and user ID are required");
+  }
+  if (!UUID_PATTERN.test(String(id))) return null;
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT id, user_id, recipe_text, original_text, converted_text, issues,
+              confidence_score, is_premium, saved_recipe_id, created_at
+       FROM conversion_history
+       WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+
+    return parseIssues(result.rows[0] || null);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link a conversion to the recipe it was saved as
+ * @param {string} id - Conversion ID
+ * @param {string} recipeId - Recipe ID
+ * @returns {Promise<Object|null>} Updated conversion row or null
+ */
+export async function markConversionSaved(id, recipeId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE conversion_history
+       SET saved_recipe_id = $2
+       WHERE id = $1
+       RETURNING id, saved_recipe_id`,
+      [id, recipeId]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
@@ -1,6 +1,7 @@
 /**
  * Ingredient rules DB layer (hybrid AI architecture).
  * Deterministic rules: base_slug + modifier_slug → halal_status, notes, alternatives.
+ * Reads only see active rules; admin writes keep a version history (ingredient_rule_versions).
  */
 
 import { getPool } from "../database.js";
@@ -31,7 +32,7 @@ export async function getRule(baseSlug, modifierSlug = "unspecified") {
     const result = await pool.query(
       `SELECT halal_status, notes, COALESCE(alternatives, '[]') AS alternatives
        FROM ingredient_rules
-       WHERE base_slug = $1 AND modifier_slug = $2`,
+       WHERE base_slug = $1 AND modifier_slug = $2 AND is_active`,
       [normalizedBase, normalizedMod]
     );
 
@@ -41,7 +42,7 @@ export async function getRule(baseSlug, modifierSlug = "unspecified") {
         const fallback = await pool.query(
           `SELECT halal_status, notes, COALESCE(alternatives, '[]') AS alternatives
            FROM ingredient_rules
-           WHERE base_slug = $1 AND modifier_slug = 'unspecified'`,
+           WHERE base_slug = $1 AND modifier_slug = 'unspecified' AND is_active`,
           [normalizedBase]
         );
         if (fallback.rows.length > 0) {
@@ -101,3 +102,241 @@ export async function getModifierSlugs() {
     return [];
   }
 }
+
+/**
+ * Look up a canonical ingredient (ingredients table) by id.
+ * @param {string} ingredientId - UUID
+ * @returns {Promise<{ id: string, slug: string, display_name: string } | null>}
+ */
+export async function getIngredientById(ingredientId) {
+  const pool = safeGetPool();
+  if (!pool || !ingredientId) return null;
+
+  try {
+    const result = await pool.query(
+      "SELECT id, slug, display_name FROM ingredients WHERE id = $1 AND is_active = true",
+      [ingredientId]
+    );
+    return result.rows[0] || null;
+  } catch (err) {
+    console.error("[ingredientRules] getIngredientById error:", err.message);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Admin: rule CRUD with version history
+// ---------------------------------------------------------------------------
+
+const RULE_COLUMNS = `id, base_slug, modifier_slug, halal_status, notes, COALESCE(alternatives, '[]') AS alternatives,
+  is_active, version, created_at, updated_at, updated_by`;
+
+const VERSION_COLUMNS = `version, action, base_slug, modifier_slug, halal_status, notes,
+  COALESCE(alternatives, '[]') AS alternatives, is_active, rolled_back_to, reason, changed_by, changed_at`;
+
+/**
+ * Snapshot the rule's current row as a new version.
+ */
+async function insertVersion(client, rule, action, { userId, reason, rolledBackTo = null }) {
+  await client.query(
+    `INSERT INTO ingredient_rule_versions
+       (rule_id, version, action, base_slug, modifier_slug, halal_status, notes, alternatives, is_active, rolled_back_to, reason, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [
+      rule.id,
+      rule.version,
+      action,
+      rule.base_slug,
+      rule.modifier_slug,
+      rule.halal_status,
+      rule.notes,
+      JSON.stringify(rule.alternatives || []),
+      rule.is_active,
+      rolledBackTo,
+      reason,
+      userId || null,
+    ]
+  );
+}
+
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List rules for the admin API.
+ * @param {Object} [options]
+ * @param {string} [options.baseSlug] - Only rules for this base
+ * @param {boolean} [options.includeRetired] - Default false
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRules(options = {}) {
+  const conditions = [];
+  const values = [];
+  if (options.baseSlug) {
+    values.push(options.baseSlug);
+    conditions.push(`base_slug = $${values.length}`);
+  }
+  if (!options.includeRetired) {
+    conditions.push("is_active");
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const result = await getPool().query(
+    `SELECT ${RULE_COLUMNS} FROM ingredient_rules ${where} ORDER BY base_slug, modifier_slug`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Get a rule by id, active or retired.
+ * @param {number} ruleId
+ * @returns {Promise<Object|null>}
+ */
+export async function getRuleById(ruleId) {
+  const result = await getPool().query(`SELECT ${RULE_COLUMNS} FROM ingredient_rules WHERE id = $1`, [ruleId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Version history of a rule, newest first.
+ * @param {number} ruleId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getRuleVersions(ruleId) {
+  const result = await getPool().query(
+    `SELECT ${VERSION_COLUMNS} FROM ingredient_rule_versions WHERE rule_id = $1 ORDER BY version DESC`,
+    [ruleId]
+  );
+  return result.rows;
+}
+
+/**
+ * Create a rule (version 1). Base and modifier slugs that are not registered yet are added.
+ * @param {Object} ruleData - { baseSlug, modifierSlug, halalStatus, notes, alternatives, baseDisplayName?, modifierDisplayName? }
+ * @param {Object} change - { userId, reason }
+ * @returns {Promise<Object|null>} The rule, or null if one already exists for this base + modifier
+ */
+export async function createRule(ruleData, change) {
+  return withTransaction(async (client) => {
+    await client.query(
+      "INSERT INTO ingredient_rule_bases (slug, display_name) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING",
+      [ruleData.baseSlug, ruleData.baseDisplayName || ruleData.baseSlug.replace(/_/g, " ")]
+    );
+    await client.query(
+      "INSERT INTO ingredient_rule_modifiers (slug, display_name) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING",
+      [ruleData.modifierSlug, ruleData.modifierDisplayName || ruleData.modifierSlug.replace(/_/g, " ")]
+    );
+    const result = await client.query(
+      `INSERT INTO ingredient_rules (base_slug, modifier_slug, halal_status, notes, alternatives, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (base_slug, modifier_slug) DO NOTHING
+       RETURNING ${RULE_COLUMNS}`,
+      [
+        ruleData.baseSlug,
+        ruleData.modifierSlug,
+        ruleData.halalStatus,
+        ruleData.notes || "",
+        JSON.stringify(ruleData.alternatives || []),
+        change.userId || null,
+      ]
+    );
+    const rule = result.rows[0];
+    if (!rule) return null;
+    await insertVersion(client, rule, "create", change);
+    return rule;
+  });
+}
+
+/**
+ * Lock the rule row, apply the fields returned by getFields, bump the version and record the snapshot.
+ * getFields returning null means there is nothing to apply (reported as notFound).
+ * @returns {Promise<{ rule?: Object, notFound?: boolean, conflict?: boolean }>}
+ */
+async function changeRule(ruleId, change, action, getFields) {
+  return withTransaction(async (client) => {
+    const current = await client.query(`SELECT ${RULE_COLUMNS} FROM ingredient_rules WHERE id = $1 FOR UPDATE`, [ruleId]);
+    if (current.rows.length === 0) return { notFound: true };
+    if (change.expectedVersion != null && current.rows[0].version !== change.expectedVersion) {
+      return { conflict: true, rule: current.rows[0] };
+    }
+
+    const fields = await getFields(client, current.rows[0]);
+    if (!fields) return { notFound: true };
+
+    const sets = [];
+    const values = [];
+    for (const [column, value] of Object.entries(fields)) {
+      values.push(column === "alternatives" ? JSON.stringify(value) : value);
+      sets.push(`${column} = $${values.length}`);
+    }
+    values.push(change.userId || null);
+    sets.push(`updated_by = $${values.length}`, "version = version + 1", "updated_at = NOW()");
+    values.push(ruleId);
+
+    const result = await client.query(
+      `UPDATE ingredient_rules SET ${sets.join(", ")} WHERE id = $${values.length} RETURNING ${RULE_COLUMNS}`,
+      values
+    );
+    const rule = result.rows[0];
+    await insertVersion(client, rule, action, change);
+    return { rule };
+  });
+}
+
+/**
+ * Edit a rule's status, notes and/or alternatives.
+ * @param {number} ruleId
+ * @param {Object} updates - { halalStatus?, notes?, alternatives? }
+ * @param {Object} change - { userId, reason, expectedVersion? }; expectedVersion guards against overwriting a concurrent edit
+ * @returns {Promise<{ rule?: Object, notFound?: boolean, conflict?: boolean }>}
+ */
+export async function updateRule(ruleId, updates, change) {
+  return changeRule(ruleId, change, "update", async () => {
+    const fields = {};
+    if (updates.halalStatus !== undefined) fields.halal_status = updates.halalStatus;
+    if (updates.notes !== undefined) fields.notes = updates.notes;
+    if (updates.alternatives !== undefined) fields.alternatives = updates.alternatives;
+    return fields;
+  });
+}
+
+/**
+ * Retire a rule: the engine stops using it, its history stays.
+ * @param {number} ruleId
+ * @param {Object} change - { userId, reason, expectedVersion? }
+ * @returns {Promise<{ rule?: Object, notFound?: boolean, conflict?: boolean }>}
+ */
+export async function retireRule(ruleId, change) {
+  return changeRule(ruleId, change, "retire", async () => ({ is_active: false }));
+}
+
+/**
+ * Roll a rule back to an earlier version. The old snapshot (including whether it was active) is saved as a new version.
+ * @param {number} ruleId
+ * @param {number} version - Version to restore
+ * @param {Object} change - { userId, reason, expectedVersion? }
+ * @returns {Promise<{ rule?: Object, notFound?: boolean, conflict?: boolean }>} notFound also when the version does not exist
+ */
+export async function rollbackRule(ruleId, version, change) {
+  return changeRule(ruleId, { ...change, rolledBackTo: version }, "rollback", async (client) => {
+    const snapshot = await client.query(
+      "SELECT halal_status, notes, COALESCE(alternatives, '[]') AS alternatives, is_active FROM ingredient_rule_versions WHERE rule_id = $1 AND version = $2",
+      [ruleId, version]
+    );
+    if (snapshot.rows.length === 0) return null;
+    const { halal_status, notes, alternatives, is_active } = snapshot.rows[0];
+    return { halal_status, notes, alternatives, is_active };
+  });
+}
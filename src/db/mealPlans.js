@@ -0,0 +1,254 @@
+/**
+ * Meal Plans Data Access Layer
+ * Handles all database operations for meal_plans and meal_plan_entries tables
+ * Dates are read back as YYYY-MM-DD strings so they don't shift with the server timezone.
+ */
+
+import { getPool } from "../database.js";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PLAN_COLUMNS = `id, user_id, name,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date,
+  created_at, updated_at`;
+
+async function insertEntries(client, mealPlanId, entries) {
+  for (const [position, entry] of entries.entries()) {
+    await client.query(
+      `INSERT INTO meal_plan_entries (meal_plan_id, plan_date, slot, recipe_id, servings, position)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [mealPlanId, entry.date, entry.slot, entry.recipeId, entry.servings || 1, position]
+    );
+  }
+}
+
+async function selectEntries(client, mealPlanId) {
+  const result = await client.query(
+    `SELECT e.id, to_char(e.plan_date, 'YYYY-MM-DD') as plan_date, e.slot, e.recipe_id, e.servings,
+            r.title as recipe_title
+     FROM meal_plan_entries e
+     LEFT JOIN recipes r ON e.recipe_id = r.id
+     WHERE e.meal_plan_id = $1
+     ORDER BY e.plan_date, e.position`,
+    [mealPlanId]
+  );
+  return result.rows;
+}
+
+/**
+ * Create a meal plan with its entries
+ * @param {string} userId - Owner
+ * @param {Object} planData - { name, startDate, endDate, entries: [{ date, slot, recipeId, servings }] }
+ * @returns {Promise<Object>} Created plan with entries
+ */
+export async function createMealPlan(userId, planData) {
+  const { name, startDate, endDate, entries = [] } = planData;
+
+  if (!userId || !name) {
+    throw new Error("User ID and name are required");
+  }
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO meal_plans (user_id, name, start_date, end_date)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${PLAN_COLUMNS}`,
+      [userId, name.trim(), startDate, endDate]
+    );
+    const plan = result.rows[0];
+    await insertEntries(client, plan.id, entries);
+    await client.query("COMMIT");
+
+    plan.entries = await selectEntries(client, plan.id);
+    return plan;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a meal plan with its entries
+ * @param {string} id - Meal plan ID
+ * @param {string} userId - Owner; other users' plans are not returned
+ * @returns {Promise<Object|null>} Plan object, or null if not found
+ */
+export async function getMealPlanById(id, userId) {
+  if (!id || !UUID_PATTERN.test(String(id))) {
+    return null;
+  }
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT ${PLAN_COLUMNS} FROM meal_plans WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const plan = result.rows[0];
+    plan.entries = await selectEntries(client, plan.id);
+    return plan;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a user's meal plans (without entries), most recent start date first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Plans with entry_count
+ */
+export async function getMealPlansByUserId(userId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT p.id, p.user_id, p.name,
+              to_char(p.start_date, 'YYYY-MM-DD') as start_date,
+              to_char(p.end_date, 'YYYY-MM-DD') as end_date,
+              p.created_at, p.updated_at,
+              (SELECT COUNT(*) FROM meal_plan_entries e WHERE e.meal_plan_id = p.id) as entry_count
+       FROM meal_plans p
+       WHERE p.user_id = $1
+       ORDER BY p.start_date DESC, p.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a user's meal plans with their entries, oldest first (personal data export)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Plans with entries
+ */
+export async function getMealPlansWithEntriesByUserId(userId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT ${PLAN_COLUMNS} FROM meal_plans WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    );
+    for (const plan of result.rows) {
+      plan.entries = await selectEntries(client, plan.id);
+    }
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Count a user's meal plans (free-tier limit)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+export async function countMealPlansByUserId(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    "SELECT COUNT(*) as count FROM meal_plans WHERE user_id = $1",
+    [userId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Update a meal plan; entries, when given, replace the existing ones
+ * @param {string} id - Meal plan ID
+ * @param {string} userId - Owner
+ * @param {Object} updates - { name?, startDate?, endDate?, entries? }
+ * @returns {Promise<Object|null>} Updated plan with entries, or null if not found
+ */
+export async function updateMealPlan(id, userId, updates) {
+  if (!id || !UUID_PATTERN.test(String(id))) {
+    return null;
+  }
+
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  if (updates.name !== undefined) {
+    fields.push(`name = $${paramIndex++}`);
+    values.push(updates.name.trim());
+  }
+  if (updates.startDate !== undefined) {
+    fields.push(`start_date = $${paramIndex++}`);
+    values.push(updates.startDate);
+  }
+  if (updates.endDate !== undefined) {
+    fields.push(`end_date = $${paramIndex++}`);
+    values.push(updates.endDate);
+  }
+  fields.push("updated_at = NOW()");
+  values.push(id, userId);
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `UPDATE meal_plans
+       SET ${fields.join(", ")}
+       WHERE id = $${paramIndex} AND user_id = $${paramIndex + 1}
+       RETURNING ${PLAN_COLUMNS}`,
+      values
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const plan = result.rows[0];
+    if (Array.isArray(updates.entries)) {
+      await client.query("DELETE FROM meal_plan_entries WHERE meal_plan_id = $1", [plan.id]);
+      await insertEntries(client, plan.id, updates.entries);
+    }
+    await client.query("COMMIT");
+
+    plan.entries = await selectEntries(client, plan.id);
+    return plan;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a meal plan (entries cascade)
+ * @param {string} id - Meal plan ID
+ * @param {string} userId - Owner
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteMealPlan(id, userId) {
+  if (!id || !UUID_PATTERN.test(String(id))) {
+    return false;
+  }
+
+  const pool = getPool();
+  const result = await pool.query(
+    "DELETE FROM meal_plans WHERE id = $1 AND user_id = $2",
+    [id, userId]
+  );
+  return result.rowCount > 0;
+}
@@ -0,0 +1,251 @@
+/**
+ * Schema Migration Runner
+ * Applies the versioned SQL files in src/migrations (NNN_name.up.sql / NNN_name.down.sql) in order and
+ * records each applied version in schema_migrations. Every migration runs in its own transaction, and an
+ * advisory lock keeps two processes from migrating at once.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIR = path.resolve(__dirname, "../migrations");
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const MIGRATION_LOCK_ID = 4817203;
+
+/**
+ * Parse a migration file name.
+ * @param {string} fileName - e.g. "019_auth_sessions.up.sql"
+ * @returns {{ version: number, name: string, direction: "up"|"down" } | null} null for other files
+ */
+export function parseMigrationFileName(fileName) {
+  const match = MIGRATION_FILE_PATTERN.exec(fileName);
+  if (!match) return null;
+  return { version: Number(match[1]), name: `${match[1]}_${match[2]}`, direction: match[3] };
+}
+
+/**
+ * Read the migrations on disk, oldest first.
+ * Every version needs both an up and a down file, and versions must be unique.
+ * @param {string} [dir]
+ * @returns {Array<{ version: number, name: string, up: string, down: string, checksum: string }>}
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const fileName of fs.readdirSync(dir)) {
+    const parsed = parseMigrationFileName(fileName);
+    if (!parsed) continue;
+    const entry = byVersion.get(parsed.version) || { version: parsed.version, name: parsed.name };
+    if (entry.name !== parsed.name) {
+      throw new Error(`Migration version ${parsed.version} is used by both ${entry.name} and ${parsed.name}`);
+    }
+    entry[parsed.direction] = fs.readFileSync(path.join(dir, fileName), "utf8");
+    byVersion.set(parsed.version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${migration.name} needs both ${migration.name}.up.sql and ${migration.name}.down.sql`);
+    }
+    migration.checksum = crypto.createHash("sha256").update(migration.up).digest("hex");
+  }
+  return migrations;
+}
+
+/**
+ * Compare migrations on disk with the rows in schema_migrations.
+ * @param {Array} migrations - From loadMigrations
+ * @param {Array<{ version: number, name: string, checksum: string, applied_at: Date }>} appliedRows
+ * @returns {{ applied: Array, pending: Array, changed: Array, missing: Array }}
+ *   changed: applied, but the up file was edited since; missing: applied, but no longer on disk
+ */
+export function planMigrations(migrations, appliedRows) {
+  const appliedByVersion = new Map(appliedRows.map((row) => [Number(row.version), row]));
+  const onDisk = new Set(migrations.map((m) => m.version));
+  return {
+    applied: migrations.filter((m) => appliedByVersion.has(m.version)),
+    pending: migrations.filter((m) => !appliedByVersion.has(m.version)),
+    changed: migrations.filter((m) => {
+      const row = appliedByVersion.get(m.version);
+      return row && row.checksum !== m.checksum;
+    }),
+    missing: appliedRows.filter((row) => !onDisk.has(Number(row.version))),
+  };
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function readAppliedRows(client) {
+  const result = await client.query(
+    `SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`
+  );
+  return result.rows;
+}
+
+/**
+ * Run fn with a client holding the migration lock.
+ */
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, sql, record) {
+  try {
+    await client.query("BEGIN");
+    await client.query(sql);
+    await record();
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+/**
+ * Applied and pending migrations.
+ * @param {import("pg").Pool} pool
+ * @returns {Promise<{ applied: Array, pending: Array, changed: Array, missing: Array }>}
+ */
+export async function getMigrationStatus(pool) {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    return planMigrations(loadMigrations(), await readAppliedRows(client));
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply pending migrations in order.
+ * @param {import("pg").Pool} pool
+ * @param {object} [options]
+ * @param {number} [options.to] - Stop after this version (default: latest)
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<string[]>} Names of the migrations applied
+ */
+export async function migrateUp(pool, { to = Infinity, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const { pending } = planMigrations(loadMigrations(), await readAppliedRows(client));
+    const applied = [];
+    for (const migration of pending.filter((m) => m.version <= to)) {
+      log(`⬆️  ${migration.name}`);
+      try {
+        await runInTransaction(client, migration.up, () =>
+          client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`, [
+            migration.version,
+            migration.name,
+            migration.checksum,
+          ])
+        );
+      } catch (error) {
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+      applied.push(migration.name);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first.
+ * @param {import("pg").Pool} pool
+ * @param {object} [options]
+ * @param {number} [options.steps] - How many to roll back (default 1; ignored when `to` is given)
+ * @param {number} [options.to] - Roll back every migration newer than this version (0 = all)
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<string[]>} Names of the migrations rolled back
+ */
+export async function migrateDown(pool, { steps = 1, to, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const appliedRows = await readAppliedRows(client);
+    const { applied, missing } = planMigrations(loadMigrations(), appliedRows);
+    const newest = [...applied].reverse();
+    const targets = to === undefined ? newest.slice(0, steps) : newest.filter((m) => m.version > to);
+    const blocking = missing.filter((row) => targets.some((m) => Number(row.version) > m.version));
+    if (blocking.length) {
+      throw new Error(`Cannot roll back past ${blocking.map((r) => r.name).join(", ")}: migration files are missing`);
+    }
+
+    const rolledBack = [];
+    for (const migration of targets) {
+      log(`⬇️  ${migration.name}`);
+      try {
+        await runInTransaction(client, migration.down, () =>
+          client.query(`DELETE FROM schema_migrations WHERE version = $1`, [migration.version])
+        );
+      } catch (error) {
+        throw new Error(`Rollback of ${migration.name} failed: ${error.message}`);
+      }
+      rolledBack.push(migration.name);
+    }
+    return rolledBack;
+  });
+}
+
+/**
+ * Mark migrations up to a version as applied without running them, for databases whose tables were
+ * created before the runner existed.
+ * @param {import("pg").Pool} pool
+ * @param {number} to - Last version already present in the database
+ * @returns {Promise<string[]>} Names of the migrations recorded
+ */
+export async function baselineMigrations(pool, to) {
+  return withMigrationLock(pool, async (client) => {
+    const { pending } = planMigrations(loadMigrations(), await readAppliedRows(client));
+    const recorded = [];
+    for (const migration of pending.filter((m) => m.version <= to)) {
+      await client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`, [
+        migration.version,
+        migration.name,
+        migration.checksum,
+      ]);
+      recorded.push(migration.name);
+    }
+    return recorded;
+  });
+}
+
+/**
+ * Throw when the database is missing migrations, so the server does not start against an old schema.
+ * Edited migrations are only warned about.
+ * @param {import("pg").Pool} pool
+ */
+export async function assertSchemaCurrent(pool) {
+  const { pending, changed } = await getMigrationStatus(pool);
+  for (const migration of changed) {
+    console.warn(`⚠️  Migration ${migration.name} was edited after it was applied`);
+  }
+  if (pending.length) {
+    throw new Error(
+      `Database schema is behind by ${pending.length} migration(s): ${pending.map((m) => m.name).join(", ")}. ` +
+        "Run `npm run migrate` (or set MIGRATE_ON_START=true)."
+    );
+  }
+}
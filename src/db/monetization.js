@@ -67,7 +67,7 @@ export async function getActiveProviders(regionCode = null) {
  * @param {string} substituteSlug
  * @returns {string}
  */
-function categorizeProductFit(substituteSlug) {
+export function categorizeProductFit(substituteSlug) {
   if (!substituteSlug) return "unknown";
   const s = substituteSlug.toLowerCase();
   const pantry = ["agar_agar", "grape_juice", "vanilla", "vinegar", "flour", "sugar", "oil", "spices", "canned", "dried", "white_wine_vinegar_halal", "halal_vanilla_extract"];
@@ -0,0 +1,311 @@
+/**
+ * Products Data Access Layer
+ * Handles all database operations for products and product_scans tables (brand verification registry)
+ */
+
+import { getPool } from "../database.js";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PRODUCT_COLUMNS = `id, barcode, brand, name, ingredients_text, certification_body, certificate_number,
+  to_char(certificate_expires_at, 'YYYY-MM-DD') as certificate_expires_at,
+  verification_source, verified_at, created_by, created_at, updated_at`;
+
+/**
+ * Lookup key for brand + product name: case- and whitespace-insensitive
+ * @param {string} brand
+ * @param {string} name
+ * @returns {string}
+ */
+export function productKey(brand, name) {
+  const clean = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+  return `${clean(brand)}|${clean(name)}`;
+}
+
+/**
+ * Create a product
+ * @param {Object} productData - { barcode, brand, name, ingredientsText, certificationBody, certificateNumber, certificateExpiresAt, verificationSource, verifiedAt, createdBy }
+ * @returns {Promise<Object>} Created product
+ */
+export async function createProduct(productData) {
+  const {
+    barcode,
+    brand,
+    name,
+    ingredientsText,
+    certificationBody,
+    certificateNumber,
+    certificateExpiresAt,
+    verificationSource = "user_submission",
+    verifiedAt,
+    createdBy
+  } = productData;
+
+  if (!brand || !name) {
+    throw new Error("Brand and name are required");
+  }
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `INSERT INTO products (
+        barcode, brand, name, normalized_key, ingredients_text,
+        certification_body, certificate_number, certificate_expires_at,
+        verification_source, verified_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING ${PRODUCT_COLUMNS}`,
+      [
+        barcode || null,
+        brand.trim(),
+        name.trim(),
+        productKey(brand, name),
+        ingredientsText || null,
+        certificationBody || null,
+        certificateNumber || null,
+        certificateExpiresAt || null,
+        verificationSource,
+        verifiedAt || null,
+        createdBy || null
+      ]
+    );
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get product by ID
+ * @param {string} productId - Product ID (UUID)
+ * @returns {Promise<Object|null>} Product, or null if not found
+ */
+export async function getProductById(productId) {
+  if (!productId || !UUID_PATTERN.test(String(productId))) {
+    return null;
+  }
+
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = $1`,
+    [productId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get product by barcode
+ * @param {string} barcode - Canonical barcode (see validateBarcode)
+ * @returns {Promise<Object|null>} Product, or null if not registered
+ */
+export async function getProductByBarcode(barcode) {
+  if (!barcode) {
+    return null;
+  }
+
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${PRODUCT_COLUMNS} FROM products WHERE barcode = $1`,
+    [barcode]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get product by brand and product name
+ * @param {string} brand
+ * @param {string} name
+ * @returns {Promise<Object|null>} Product, or null if not registered
+ */
+export async function getProductByName(brand, name) {
+  if (!brand || !name) {
+    return null;
+  }
+
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${PRODUCT_COLUMNS} FROM products WHERE normalized_key = $1`,
+    [productKey(brand, name)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Search products by brand or name
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of products to return
+ * @returns {Promise<Array>} Matching products, brand then name order
+ */
+export async function searchProducts(query, limit = 20) {
+  const pool = getPool();
+  const pattern = `%${String(query || "").trim().replace(/[\\%_]/g, "\\$&")}%`;
+  const result = await pool.query(
+    `SELECT ${PRODUCT_COLUMNS}
+     FROM products
+     WHERE brand ILIKE $1 OR name ILIKE $1
+     ORDER BY lower(brand), lower(name)
+     LIMIT $2`,
+    [pattern, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Update a product
+ * @param {string} productId - Product ID
+ * @param {Object} updates - Same fields as createProduct (camelCase)
+ * @returns {Promise<Object|null>} Updated product, or null if not found
+ */
+export async function updateProduct(productId, updates) {
+  if (!productId || !UUID_PATTERN.test(String(productId))) {
+    return null;
+  }
+
+  const columns = {
+    barcode: "barcode",
+    brand: "brand",
+    name: "name",
+    ingredientsText: "ingredients_text",
+    certificationBody: "certification_body",
+    certificateNumber: "certificate_number",
+    certificateExpiresAt: "certificate_expires_at",
+    verificationSource: "verification_source",
+    verifiedAt: "verified_at"
+  };
+
+  const fields = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] !== undefined) {
+      fields.push(`${column} = $${paramIndex++}`);
+      values.push(updates[key] === "" ? null : updates[key]);
+    }
+  }
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    if (updates.brand !== undefined || updates.name !== undefined) {
+      const current = await client.query("SELECT brand, name FROM products WHERE id = $1", [productId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+      fields.push(`normalized_key = $${paramIndex++}`);
+      values.push(productKey(updates.brand ?? current.rows[0].brand, updates.name ?? current.rows[0].name));
+    }
+
+    if (fields.length === 0) {
+      return getProductById(productId);
+    }
+
+    fields.push("updated_at = NOW()");
+    values.push(productId);
+
+    const result = await client.query(
+      `UPDATE products
+       SET ${fields.join(", ")}
+       WHERE id = $${paramIndex}
+       RETURNING ${PRODUCT_COLUMNS}`,
+      values
+    );
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Link a scan result to a product
+ * @param {string} productId - Product ID
+ * @param {Object} scan - { userId, rawText, scanResult }
+ * @returns {Promise<Object>} Created product_scans row
+ */
+export async function linkProductScan(productId, scan) {
+  const pool = getPool();
+  const result = await pool.query(
+    `INSERT INTO product_scans (product_id, user_id, raw_text, scan_result)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, product_id, user_id, created_at`,
+    [productId, scan.userId || null, scan.rawText || null, JSON.stringify(scan.scanResult || {})]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get the latest scans linked to a product
+ * @param {string} productId - Product ID
+ * @param {number} limit - Maximum number of scans to return
+ * @returns {Promise<Array>} Scans, newest first
+ */
+export async function getProductScans(productId, limit = 10) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT id, product_id, user_id, raw_text, scan_result, created_at
+     FROM product_scans
+     WHERE product_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [productId, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Record a scanned barcode that is not in the registry (upsert; counts repeat scans)
+ * @param {string} barcode - Canonical barcode
+ * @param {string} userId - User who scanned it
+ * @returns {Promise<Object>} unknown_barcodes row
+ */
+export async function recordUnknownBarcode(barcode, userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `INSERT INTO unknown_barcodes (barcode, last_user_id)
+     VALUES ($1, $2)
+     ON CONFLICT (barcode) DO UPDATE
+       SET scan_count = unknown_barcodes.scan_count + 1,
+           last_seen_at = NOW(),
+           last_user_id = EXCLUDED.last_user_id
+     RETURNING barcode, scan_count, first_seen_at, last_seen_at`,
+    [barcode, userId || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Mark an unknown barcode as curated once a product is registered with it
+ * @param {string} barcode - Canonical barcode
+ * @param {string} productId - Registered product ID
+ * @returns {Promise<boolean>} True if an open unknown barcode was resolved
+ */
+export async function resolveUnknownBarcode(barcode, productId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `UPDATE unknown_barcodes
+     SET resolved_product_id = $2, resolved_at = NOW()
+     WHERE barcode = $1 AND resolved_product_id IS NULL`,
+    [barcode, productId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Get the scans a user linked to products, oldest first (personal data export)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Scans
+ */
+export async function getProductScansByUserId(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT id, product_id, raw_text, scan_result, created_at
+     FROM product_scans
+     WHERE user_id = $1
+     ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
@@ -244,3 +244,13 @@ export async function getAllUsersWithProfiles() {
     client.release();
   }
 }
+
+/**
+ * Set a profile's avatar (mirrors users.profile_image_url)
+ * @param {string} userId - User ID (UUID)
+ * @param {string|null} avatarUrl
+ */
+export async function setProfileAvatar(userId, avatarUrl) {
+  const pool = getPool();
+  await pool.query(`UPDATE profiles SET avatar_url = $1 WHERE user_id = $2`, [avatarUrl, userId]);
+}
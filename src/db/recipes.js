@@ -7,8 +7,10 @@ import { getPool } from "../database.js";
 
 /**
  * Create a new recipe
- * @param {Object} recipeData - Recipe data
- * @returns {Promise<Object>} Created recipe object
+ * With maxRecipes, the count and the insert run under a lock on the user's row, so concurrent saves
+ * cannot take a free account past its limit.
+ * @param {Object} recipeData - Recipe data; maxRecipes (optional) is the user's savedRecipes limit
+ * @returns {Promise<Object|null>} Created recipe object, or null if the user already has maxRecipes recipes
  */
 export async function createRecipe(recipeData) {
   const {
@@ -23,17 +25,29 @@ export async function createRecipe(recipeData) {
     mediaUrl,
     confidenceScore,
     visibility = "public",
-    substitutionsUsed = []
+    substitutionsUsed = [],
+    maxRecipes = Infinity
   } = recipeData;
 
   if (!userId || !title) {
     throw new Error("User ID and title are required");
   }
 
+  const limited = Number.isFinite(maxRecipes);
   const pool = getPool();
   const client = await pool.connect();
 
   try {
+    if (limited) {
+      await client.query("BEGIN");
+      await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+      const count = await client.query("SELECT COUNT(*) AS count FROM recipes WHERE user_id = $1", [userId]);
+      if (parseInt(count.rows[0].count, 10) >= maxRecipes) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+    }
+
     const result = await client.query(
       `INSERT INTO recipes (
         user_id, title, original_recipe, converted_recipe,
@@ -57,6 +71,9 @@ export async function createRecipe(recipeData) {
         Array.isArray(substitutionsUsed) ? JSON.stringify(substitutionsUsed) : "[]"
       ]
     );
+    if (limited) {
+      await client.query("COMMIT");
+    }
 
     // Parse JSONB ingredients and substitutions_used
     const recipe = result.rows[0];
@@ -72,6 +89,11 @@ export async function createRecipe(recipeData) {
     }
 
     return recipe;
+  } catch (error) {
+    if (limited) {
+      await client.query("ROLLBACK");
+    }
+    throw error;
   } finally {
     client.release();
   }
@@ -221,6 +243,58 @@ export async function getRecipesByUserId(userId, includePrivate = true) {
   }
 }
 
+/**
+ * Count a user's saved recipes (read-only ones included)
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<number>}
+ */
+export async function countRecipesByUserId(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT COUNT(*) AS count FROM recipes WHERE user_id = $1`,
+    [userId]
+  );
+  return parseInt(result.rows[0]?.count || "0", 10);
+}
+
+/**
+ * Mark all but a user's `keep` most recently updated recipes read-only (used when premium ends)
+ * @param {string} userId - User ID (UUID)
+ * @param {number} keep - How many recipes stay editable
+ * @returns {Promise<string[]>} IDs of the recipes newly marked read-only
+ */
+export async function markRecipesReadOnlyBeyond(userId, keep) {
+  const pool = getPool();
+  const result = await pool.query(
+    `UPDATE recipes
+     SET read_only_since = NOW()
+     WHERE id IN (
+       SELECT id FROM recipes
+       WHERE user_id = $1
+       ORDER BY updated_at DESC NULLS LAST, created_at DESC
+       OFFSET $2
+     )
+     AND read_only_since IS NULL
+     RETURNING id`,
+    [userId, keep]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Make all of a user's read-only recipes editable again (used when premium starts)
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<number>} Number of recipes released
+ */
+export async function clearRecipesReadOnly(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `UPDATE recipes SET read_only_since = NULL WHERE user_id = $1 AND read_only_since IS NOT NULL`,
+    [userId]
+  );
+  return result.rowCount;
+}
+
 /**
  * Update recipe
  * @param {string} recipeId - Recipe ID (UUID)
@@ -0,0 +1,222 @@
+/**
+ * Auth Sessions Data Access Layer
+ * Handles all database operations for auth_sessions table (one row per signed-in device)
+ */
+
+import { getPool } from "../database.js";
+
+const SESSION_COLUMNS = "id, user_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at";
+
+/**
+ * Create a session
+ * @param {string} userId - User ID (UUID)
+ * @param {Object} sessionData
+ * @param {string} sessionData.refreshTokenHash - SHA-256 of the refresh token secret
+ * @param {Date} sessionData.expiresAt - When the refresh token stops working
+ * @param {string} [sessionData.userAgent]
+ * @param {string} [sessionData.ipAddress]
+ * @returns {Promise<Object>} Created session (without token hashes)
+ */
+export async function createSession(userId, { refreshTokenHash, expiresAt, userAgent, ipAddress }) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `INSERT INTO auth_sessions (user_id, refresh_token_hash, expires_at, user_agent, ip_address)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${SESSION_COLUMNS}`,
+      [userId, refreshTokenHash, expiresAt, userAgent || null, ipAddress || null]
+    );
+
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a session that is neither revoked nor expired
+ * @param {string} sessionId - Session ID (UUID)
+ * @returns {Promise<Object|null>} Session, or null if missing, revoked or expired
+ */
+export async function getActiveSession(sessionId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT ${SESSION_COLUMNS}
+       FROM auth_sessions
+       WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [sessionId]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Replace a session's refresh token. Only succeeds while currentHash is the session's current token,
+ * so two refreshes racing with the same token cannot both win.
+ * @param {string} sessionId - Session ID (UUID)
+ * @param {string} currentHash - Hash of the token being exchanged
+ * @param {Object} rotation
+ * @param {string} rotation.refreshTokenHash - Hash of the new token
+ * @param {Date} rotation.expiresAt
+ * @param {string} [rotation.userAgent]
+ * @param {string} [rotation.ipAddress]
+ * @returns {Promise<Object|null>} Updated session, or null if the token is not current (or the session ended)
+ */
+export async function rotateSessionToken(sessionId, currentHash, { refreshTokenHash, expiresAt, userAgent, ipAddress }) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE auth_sessions
+       SET previous_token_hash = refresh_token_hash,
+           refresh_token_hash = $3,
+           expires_at = $4,
+           user_agent = COALESCE($5, user_agent),
+           ip_address = COALESCE($6, ip_address),
+           last_used_at = NOW()
+       WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL AND expires_at > NOW()
+       RETURNING ${SESSION_COLUMNS}`,
+      [sessionId, currentHash, refreshTokenHash, expiresAt, userAgent || null, ipAddress || null]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Check whether a hash is the session's previous (already rotated) refresh token
+ * @param {string} sessionId - Session ID (UUID)
+ * @param {string} tokenHash
+ * @returns {Promise<boolean>}
+ */
+export async function isPreviousSessionToken(sessionId, tokenHash) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT 1 FROM auth_sessions WHERE id = $1 AND previous_token_hash = $2`,
+      [sessionId, tokenHash]
+    );
+
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record that a session was used (at most once a minute)
+ * @param {string} sessionId - Session ID (UUID)
+ */
+export async function touchSession(sessionId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      `UPDATE auth_sessions
+       SET last_used_at = NOW()
+       WHERE id = $1 AND last_used_at < NOW() - INTERVAL '1 minute'`,
+      [sessionId]
+    );
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Array>}
+ */
+export async function listActiveSessions(userId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT ${SESSION_COLUMNS}
+       FROM auth_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke one session
+ * @param {string} sessionId - Session ID (UUID)
+ * @param {string} [userId] - When given, only revoke if the session belongs to this user
+ * @returns {Promise<boolean>} true if an active session was revoked
+ */
+export async function revokeSession(sessionId, userId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE auth_sessions
+       SET revoked_at = NOW()
+       WHERE id = $1 AND ($2::uuid IS NULL OR user_id = $2) AND revoked_at IS NULL`,
+      [sessionId, userId || null]
+    );
+
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeUserSessions(userId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE auth_sessions
+       SET revoked_at = NOW()
+       WHERE user_id = $1 AND revoked_at IS NULL`,
+      [userId]
+    );
+
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List all of a user's sessions, ended ones included, oldest first (for data export)
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Array>}
+ */
+export async function listUserSessions(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS} FROM auth_sessions WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
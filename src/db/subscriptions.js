@@ -0,0 +1,189 @@
+/**
+ * Subscriptions Data Access Layer
+ * Handles all database operations for subscriptions and subscription_events tables
+ */
+
+import { getPool } from "../database.js";
+
+const SUBSCRIPTION_COLUMNS = `id, user_id, stripe_subscription_id, stripe_customer_id, plan_type, status,
+  current_period_start, current_period_end, cancel_at_period_end, created_at, updated_at`;
+
+// updateSubscription option → column
+const UPDATABLE_COLUMNS = {
+  status: "status",
+  planType: "plan_type",
+  currentPeriodStart: "current_period_start",
+  currentPeriodEnd: "current_period_end",
+  cancelAtPeriodEnd: "cancel_at_period_end",
+};
+
+/**
+ * Get a user's most recent subscription
+ * @param {string} userId - User ID (UUID)
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only consider subscriptions in this status (e.g. 'active')
+ * @returns {Promise<Object|null>} Subscription row, or null if none
+ */
+export async function getLatestSubscription(userId, { status } = {}) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS}
+     FROM subscriptions
+     WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [userId, status || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List all of a user's subscriptions, oldest first
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Array>}
+ */
+export async function listSubscriptions(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM subscriptions WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a subscription by its Stripe subscription ID
+ * @param {string} stripeSubscriptionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getSubscriptionByStripeId(stripeSubscriptionId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS} FROM subscriptions WHERE stripe_subscription_id = $1`,
+    [stripeSubscriptionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create a subscription, or refresh status and period if the Stripe subscription is already stored
+ * @param {Object} data
+ * @param {string} data.userId
+ * @param {string} data.stripeSubscriptionId
+ * @param {string} data.stripeCustomerId
+ * @param {string} data.planType - 'monthly' | 'yearly'
+ * @param {string} data.status
+ * @param {Date} data.currentPeriodStart
+ * @param {Date} data.currentPeriodEnd
+ * @param {boolean} [data.cancelAtPeriodEnd]
+ * @returns {Promise<Object>} Stored subscription row
+ */
+export async function upsertSubscription(data) {
+  const pool = getPool();
+  const result = await pool.query(
+    `INSERT INTO subscriptions (
+      user_id, stripe_subscription_id, stripe_customer_id, plan_type, status,
+      current_period_start, current_period_end, cancel_at_period_end
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (stripe_subscription_id)
+    DO UPDATE SET
+      status = EXCLUDED.status,
+      current_period_start = EXCLUDED.current_period_start,
+      current_period_end = EXCLUDED.current_period_end,
+      updated_at = NOW()
+    RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    [
+      data.userId,
+      data.stripeSubscriptionId,
+      data.stripeCustomerId,
+      data.planType,
+      data.status,
+      data.currentPeriodStart,
+      data.currentPeriodEnd,
+      data.cancelAtPeriodEnd || false,
+    ]
+  );
+  return result.rows[0];
+}
+
+async function updateWhere(column, value, changes, { fromStatus } = {}) {
+  const fields = [];
+  const values = [];
+  for (const [option, columnName] of Object.entries(UPDATABLE_COLUMNS)) {
+    if (changes[option] !== undefined) {
+      values.push(changes[option]);
+      fields.push(`${columnName} = $${values.length}`);
+    }
+  }
+  fields.push("updated_at = NOW()");
+  values.push(value);
+  const where = [`${column} = $${values.length}`];
+  if (fromStatus !== undefined) {
+    values.push(fromStatus);
+    where.push(`status = $${values.length}`);
+  }
+
+  const pool = getPool();
+  const result = await pool.query(
+    `UPDATE subscriptions
+     SET ${fields.join(", ")}
+     WHERE ${where.join(" AND ")}
+     RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Update a subscription by its Stripe subscription ID (updated_at is always set)
+ * @param {string} stripeSubscriptionId
+ * @param {Object} changes - Any of status, planType, currentPeriodStart, currentPeriodEnd, cancelAtPeriodEnd
+ * @returns {Promise<Object|null>} Updated row, or null if not found
+ */
+export async function updateSubscription(stripeSubscriptionId, changes) {
+  const rows = await updateWhere("stripe_subscription_id", stripeSubscriptionId, changes);
+  return rows[0] || null;
+}
+
+/**
+ * Update a subscription by its ID
+ * @param {string} subscriptionId - Subscription ID (UUID)
+ * @param {Object} changes - As for updateSubscription
+ * @param {Object} [options]
+ * @param {string} [options.fromStatus] - Only update while the stored status is still this one
+ * @returns {Promise<Object|null>} Updated row, or null if not found (or no longer in fromStatus)
+ */
+export async function updateSubscriptionById(subscriptionId, changes, { fromStatus } = {}) {
+  const rows = await updateWhere("id", subscriptionId, changes, { fromStatus });
+  return rows[0] || null;
+}
+
+/**
+ * Append to a user's subscription history
+ * @param {string} userId - User ID (UUID)
+ * @param {string} eventType - e.g. 'checkout_completed', 'plan_changed', 'downgraded'
+ * @param {Object} eventData - Stored as JSONB
+ * @param {string} [subscriptionId] - Subscription the event belongs to
+ */
+export async function recordSubscriptionEvent(userId, eventType, eventData, subscriptionId = null) {
+  const pool = getPool();
+  await pool.query(
+    `INSERT INTO subscription_events (subscription_id, user_id, event_type, event_data)
+     VALUES ($1, $2, $3, $4)`,
+    [subscriptionId, userId, eventType, JSON.stringify(eventData)]
+  );
+}
+
+/**
+ * List a user's subscription events, oldest first
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Array>}
+ */
+export async function listSubscriptionEvents(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `SELECT * FROM subscription_events WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
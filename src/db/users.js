@@ -39,7 +39,7 @@ export async function createUser(email, password) {
     const result = await client.query(
       `INSERT INTO users (email, password_hash, display_name)
        VALUES ($1, $2, $3)
-       RETURNING id, email, display_name, profile_image_url, created_at`,
+       RETURNING id, email, display_name, profile_image_url, roles, email_verified_at, deletion_scheduled_for, created_at`,
       [email.toLowerCase().trim(), passwordHash, email.split("@")[0]]
     );
 
@@ -71,7 +71,7 @@ export async function getUserByEmail(email) {
 
   try {
     const result = await client.query(
-      `SELECT id, email, password_hash, display_name, profile_image_url, created_at
+      `SELECT id, email, password_hash, display_name, profile_image_url, roles, email_verified_at, deletion_scheduled_for, created_at
        FROM users
        WHERE email = $1`,
       [email.toLowerCase().trim()]
@@ -98,7 +98,7 @@ export async function getUserById(userId) {
 
   try {
     const result = await client.query(
-      `SELECT id, email, display_name, profile_image_url, created_at
+      `SELECT id, email, display_name, profile_image_url, roles, email_verified_at, deletion_scheduled_for, created_at
        FROM users
        WHERE id = $1`,
       [userId]
@@ -210,3 +210,214 @@ export async function updateUserProfileImage(userId, profileImageUrl) {
     client.release();
   }
 }
+
+/**
+ * Grant a role to a user (no-op if the user already has it)
+ * @param {string} userId - User ID (UUID)
+ * @param {string} role - One of user, curator, admin, analyst
+ * @returns {Promise<Object|null>} { id, email, roles, email_verified_at }, or null if not found
+ */
+export async function grantUserRole(userId, role) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE users
+       SET roles = CASE WHEN $2 = ANY(roles) THEN roles ELSE array_append(roles, $2) END
+       WHERE id = $1
+       RETURNING id, email, roles, email_verified_at`,
+      [userId, role]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke a role from a user (no-op if the user does not have it)
+ * @param {string} userId - User ID (UUID)
+ * @param {string} role - One of curator, admin, analyst
+ * @returns {Promise<Object|null>} { id, email, roles, email_verified_at }, or null if not found
+ */
+export async function revokeUserRole(userId, role) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE users
+       SET roles = array_remove(roles, $2)
+       WHERE id = $1
+       RETURNING id, email, roles, email_verified_at`,
+      [userId, role]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Set a new password
+ * @param {string} userId - User ID (UUID)
+ * @param {string} password - Plain text password (will be hashed)
+ * @returns {Promise<boolean>} true if the user exists
+ */
+export async function updateUserPassword(userId, password) {
+  if (!password || password.length < 6) {
+    throw new Error("Password must be at least 6 characters");
+  }
+
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const passwordHash = await bcrypt.hash(password, 10);
+    const result = await client.query(
+      `UPDATE users SET password_hash = $1 WHERE id = $2`,
+      [passwordHash, userId]
+    );
+
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a user's email address as verified (keeps the first verification time)
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Object|null>} { id, email, email_verified_at }, or null if not found
+ */
+export async function markEmailVerified(userId) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1
+       RETURNING id, email, email_verified_at`,
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get every stored column of a user except the password hash (for data export)
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<Object|null>}
+ */
+export async function getUserRecord(userId) {
+  const pool = getPool();
+  const result = await pool.query(`SELECT * FROM users WHERE id = $1`, [userId]);
+  if (result.rows.length === 0) return null;
+  const { password_hash, ...user } = result.rows[0];
+  return user;
+}
+
+/**
+ * Get the Stripe customer linked to a user
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<string|null>}
+ */
+export async function getStripeCustomerId(userId) {
+  const pool = getPool();
+  const result = await pool.query(`SELECT stripe_customer_id FROM users WHERE id = $1`, [userId]);
+  return result.rows[0]?.stripe_customer_id || null;
+}
+
+/**
+ * Link a Stripe customer to a user
+ * @param {string} userId - User ID (UUID)
+ * @param {string} customerId - Stripe customer ID
+ */
+export async function setStripeCustomerId(userId, customerId) {
+  const pool = getPool();
+  await pool.query(`UPDATE users SET stripe_customer_id = $1 WHERE id = $2`, [customerId, userId]);
+}
+
+/**
+ * Find the user linked to a Stripe customer
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Promise<string|null>} User ID
+ */
+export async function getUserIdByStripeCustomerId(customerId) {
+  const pool = getPool();
+  const result = await pool.query(`SELECT id FROM users WHERE stripe_customer_id = $1`, [customerId]);
+  return result.rows[0]?.id || null;
+}
+
+/**
+ * Schedule an account for deletion. In one transaction: anonymizes the user's analytics rows,
+ * revokes every session and sets deletion_scheduled_for.
+ * @param {string} userId - User ID (UUID)
+ * @param {number} graceDays - Days until purgeUsersDueForDeletion removes the account
+ * @returns {Promise<Date|null>} deletion_scheduled_for, or null if the user does not exist
+ */
+export async function scheduleUserDeletion(userId, graceDays) {
+  const pool = getPool();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    for (const sql of [
+      `UPDATE affiliate_link_clicks SET user_id = NULL, session_id = NULL, ip_address = NULL, user_agent = NULL, referrer = NULL WHERE user_id = $1`,
+      `UPDATE premium_analytics_events SET user_id = NULL WHERE user_id = $1`,
+      `UPDATE product_scans SET user_id = NULL WHERE user_id = $1`,
+      `UPDATE unknown_barcodes SET last_user_id = NULL WHERE last_user_id = $1`,
+      `UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL`,
+    ]) {
+      await client.query(sql, [userId]);
+    }
+    const result = await client.query(
+      `UPDATE users
+       SET deletion_requested_at = NOW(),
+           deletion_scheduled_for = NOW() + make_interval(days => $2)
+       WHERE id = $1
+       RETURNING deletion_scheduled_for`,
+      [userId, graceDays]
+    );
+    await client.query("COMMIT");
+    return result.rows[0]?.deletion_scheduled_for || null;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Keep an account that is scheduled for deletion (only within the grace period)
+ * @param {string} userId - User ID (UUID)
+ * @returns {Promise<boolean>} true if a pending deletion was canceled
+ */
+export async function cancelUserDeletion(userId) {
+  const pool = getPool();
+  const result = await pool.query(
+    `UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+     WHERE id = $1 AND deletion_scheduled_for > NOW()`,
+    [userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete the accounts whose grace period has ended; foreign keys cascade to their data
+ * @returns {Promise<string[]>} IDs of the deleted users
+ */
+export async function purgeUsersDueForDeletion() {
+  const pool = getPool();
+  const result = await pool.query(`DELETE FROM users WHERE deletion_scheduled_for <= NOW() RETURNING id`);
+  return result.rows.map((row) => row.id);
+}
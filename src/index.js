@@ -13,7 +13,16 @@ import devRouter from "./routes/dev.js";
 import subscriptionsRouter from "./routes/subscriptions.js";
 import analyticsRouter from "./routes/analytics.js";
 import affiliateRouter from "./routes/affiliate.js";
+import conversionHistoryRouter from "./routes/conversionHistory.js";
+import mealPlansRouter from "./routes/mealPlans.js";
+import productsRouter from "./routes/products.js";
+import adminRulesRouter from "./routes/adminRules.js";
+import adminUsersRouter from "./routes/adminUsers.js";
+import { resolveLocale } from "./middleware/locale.js";
 import { testConnection, initializeDatabase, closePool } from "./database.js";
+import { startAccountPurge } from "./services/accountDataService.js";
+import { getMailTransport } from "./services/mailer.js";
+import { getStorage } from "./storage/index.js";
 
 // #region agent log
 const __logPath = "debug-38872d.log";
@@ -53,6 +62,7 @@ app.use((req, res, next) => {
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(resolveLocale);
 
 // Serve static files from uploads directory
 const UPLOAD_DIR = path.resolve(__dirname, "../uploads");
@@ -85,7 +95,12 @@ app.use("/api/health", healthRouter);
 app.use("/api/subscriptions", subscriptionsRouter);
 app.use("/api/analytics", analyticsRouter);
 app.use("/api/affiliate", affiliateRouter);
-app.use("/api/dev", devRouter); // ⚠️ Dev-only routes - remove or protect in production
+app.use("/api/conversions", conversionHistoryRouter);
+app.use("/api/meal-plans", mealPlansRouter);
+app.use("/api/products", productsRouter);
+app.use("/api/admin/rules", adminRulesRouter);
+app.use("/api/admin/users", adminUsersRouter);
+app.use("/api/dev", devRouter); // Dev-only routes (admin role required)
 
 app.get("/health", (req, res) => res.json({ status: "ok" }));
 
@@ -98,13 +113,35 @@ function logRegisteredRoutes() {
   console.log("   POST   /api/auth/register");
   console.log("   POST   /api/auth/login");
   console.log("   GET    /api/auth/me");
+  console.log("   POST   /api/auth/refresh");
+  console.log("   POST   /api/auth/logout");
+  console.log("   POST   /api/auth/logout-all");
+  console.log("   GET    /api/auth/sessions");
+  console.log("   DELETE /api/auth/sessions/:id");
+  console.log("   POST   /api/auth/password-reset/request");
+  console.log("   POST   /api/auth/password-reset/confirm");
+  console.log("   POST   /api/auth/verify-email");
+  console.log("   POST   /api/auth/verify-email/resend");
   console.log("   GET    /api/profile/*");
+  console.log("   GET    /api/profile/export");
+  console.log("   DELETE /api/profile");
+  console.log("   POST   /api/profile/deletion/cancel");
   console.log("   GET    /api/recipes/*");
   console.log("   GET    /api/health/*");
   console.log("   GET    /api/affiliate/providers");
   console.log("   GET    /api/affiliate/links");
   console.log("   POST   /api/affiliate/links/batch");
-  console.log("   GET    /api/dev/*");
+  console.log("   GET    /api/conversions");
+  console.log("   GET    /api/conversions/stats");
+  console.log("   GET    /api/conversions/:id");
+  console.log("   POST   /api/conversions/:id/save");
+  console.log("   *      /api/meal-plans/*");
+  console.log("   GET    /api/products/barcode/:code");
+  console.log("   GET    /api/products/lookup");
+  console.log("   *      /api/products/*");
+  console.log("   *      /api/admin/rules/* (curator, admin)");
+  console.log("   *      /api/admin/users/:id/roles (admin)");
+  console.log("   *      /api/dev/* (admin)");
   console.log("   Static /uploads/*");
 }
 
@@ -116,6 +153,9 @@ async function startServer() {
   // #region agent log
   __agentLog({ location: "index.js:startServer:entry", message: "startServer entered", hypothesisId: "H2" });
   // #endregion
+  // Refuse to start in production without a mail transport that delivers (throws)
+  getMailTransport();
+
   // Test database connection
   const dbConnected = await testConnection();
   // #region agent log
@@ -123,7 +163,7 @@ async function startServer() {
   // #endregion
   
   if (dbConnected) {
-    // Initialize database schema
+    // Check the schema is migrated (throws, and the server exits, if migrations are pending)
     // #region agent log
     __agentLog({ location: "index.js:beforeInitDb", message: "about to initializeDatabase", hypothesisId: "H3" });
     // #endregion
@@ -134,6 +174,13 @@ async function startServer() {
   } else {
     console.warn("⚠️  Server starting without database connection. Some features may be unavailable.");
   }
+
+  // Accounts, recipes, subscriptions and analytics go through the storage driver (STORAGE_DRIVER)
+  const storage = getStorage();
+  if (storage.driver !== "postgres" || dbConnected) {
+    // Hard-delete accounts whose deletion grace period has ended (hourly)
+    startAccountPurge();
+  }
   
   // Log registered routes
   logRegisteredRoutes();
@@ -153,6 +200,7 @@ async function startServer() {
     } else {
       console.log(`   ⚠️  Database: Not connected`);
     }
+    console.log(`   💾 Storage: ${storage.driver}${storage.file ? ` (${storage.file})` : ""}`);
     console.log(`\n✅ Auth routes available at:`);
     console.log(`   POST   http://${HOST}:${PORT}/api/auth/register`);
     console.log(`   POST   http://${HOST}:${PORT}/api/auth/login`);
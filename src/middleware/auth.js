@@ -1,64 +1,194 @@
 import jwt from "jsonwebtoken";
-import { getUserById } from "../db/users.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+import { applyProfileLocale } from "./locale.js";
 
 const JWT_SECRET = process.env.JWT_SECRET || "halal-kitchen-secret-key-change-in-production";
 
+/**
+ * Access roles. Every account has "user"; curators edit ingredient rules, analysts read the
+ * analytics dashboards, admins can do everything (including granting roles).
+ */
+export const ROLES = ["user", "curator", "admin", "analyst"];
+
+/**
+ * Roles of a user record (users.roles). Accounts listed in ADMIN_EMAILS (comma-separated) are
+ * always admins once their email is verified, so a fresh deployment has someone who can grant roles
+ * and nobody becomes admin by registering a listed address first.
+ * @param {Object} user - User row (with email_verified_at) or req.user
+ * @returns {string[]}
+ */
+export function rolesForUser(user) {
+  const roles = new Set(Array.isArray(user?.roles) && user.roles.length ? user.roles : ["user"]);
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+  if (user?.email && user.email_verified_at && adminEmails.includes(user.email.toLowerCase())) {
+    roles.add("admin");
+  }
+  return ROLES.filter((role) => roles.has(role));
+}
+
+/**
+ * Whether a token's session is still signed in; also records the session's last use.
+ * @param {string} sessionId - sid claim
+ * @param {string} userId - userId claim (must own the session)
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(sessionId, userId) {
+  const session = await getStorage().sessions.getActiveSession(sessionId);
+  if (!session || session.user_id !== userId) {
+    return false;
+  }
+  getStorage().sessions.touchSession(sessionId).catch((error) => console.error("Failed to record session use:", error.message));
+  return true;
+}
+
+/**
+ * Bearer token from the Authorization header, or null.
+ */
+function bearerToken(req) {
+  const authHeader = req.headers["authorization"];
+  return (authHeader && authHeader.split(" ")[1]) || null; // Bearer TOKEN
+}
+
+/**
+ * Decoded access token when it is valid and its session (sid claim) is still signed in, otherwise null.
+ * Tokens without a sid predate sessions and can't be revoked, so they are refused.
+ * @param {string} token
+ * @returns {Promise<Object|null>} Token claims (userId, email, roles, sid)
+ * @throws {JsonWebTokenError|TokenExpiredError} When the token itself is invalid
+ */
+async function verifySessionToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.userId))) {
+    return null;
+  }
+  return decoded;
+}
+
+/**
+ * The request user for verified token claims, loaded from storage (null when the account no longer exists).
+ * Roles and emailVerified come from the stored user, not the token, so changes apply at once.
+ * @param {Object} decoded - Claims from verifySessionToken
+ * @returns {Promise<Object|null>}
+ */
+async function loadRequestUser(decoded) {
+  const user = await getStorage().users.getUserById(decoded.userId);
+  if (!user) {
+    return null;
+  }
+  return {
+    userId: user.id, // Keep for backward compatibility
+    id: user.id,
+    email: user.email,
+    displayName: user.display_name || user.email.split("@")[0],
+    username: user.display_name || user.email.split("@")[0],
+    profile_image_url: user.profile_image_url,
+    roles: rolesForUser(user),
+    sessionId: decoded.sid,
+    emailVerified: Boolean(user.email_verified_at),
+  };
+}
+
 /**
  * Middleware to verify JWT token and load full user from database
  * Adds req.user with full user object (id, email, display_name, etc.)
+ * and switches req.locale to the user's profile language
+ * Tokens are refused with 401 unless their session (sid claim) is still active
  */
 export const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
+    const token = bearerToken(req);
 
     if (!token) {
-      return res.status(401).json({ error: "Authentication required" });
+      return res.status(401).json({ error: translate("errors.authRequired", req.locale) });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifySessionToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: translate("errors.sessionRevoked", req.locale) });
+    }
     
     // Load full user from database
-    const user = await getUserById(decoded.userId);
+    const user = await loadRequestUser(decoded);
 
     if (!user) {
-      return res.status(401).json({ error: "User not found" });
+      return res.status(401).json({ error: translate("errors.userNotFound", req.locale) });
     }
 
-    // Attach full user object to request
-    req.user = {
-      userId: user.id, // Keep for backward compatibility
-      id: user.id,
-      email: user.email,
-      displayName: user.display_name || user.email.split("@")[0],
-      username: user.display_name || user.email.split("@")[0],
-      profile_image_url: user.profile_image_url,
-    };
+    req.user = user;
+    await applyProfileLocale(req, user.id);
 
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError" || error.name === "TokenExpiredError") {
-      return res.status(403).json({ error: "Invalid or expired token" });
+      return res.status(403).json({ error: translate("errors.invalidToken", req.locale) });
     }
     console.error("Auth middleware error:", error);
-    return res.status(500).json({ error: "Authentication error" });
+    return res.status(500).json({ error: translate("errors.authFailed", req.locale) });
+  }
+};
+
+/**
+ * Middleware factory restricting a route to users with at least one of the given roles
+ * (use after authenticateToken). Admins pass every role check.
+ * Roles come from the database via authenticateToken, not from the token, so revocations apply at once.
+ * @param {...string} allowedRoles - e.g. requireRole("admin", "analyst")
+ */
+export const requireRole = (...allowedRoles) => (req, res, next) => {
+  const roles = rolesForUser(req.user);
+  if (!req.user || !(roles.includes("admin") || allowedRoles.some((role) => roles.includes(role)))) {
+    const error = allowedRoles.length === 1 && allowedRoles[0] === "admin"
+      ? translate("errors.adminRequired", req.locale)
+      : translate("errors.roleRequired", req.locale, { roles: allowedRoles.join(", ") });
+    return res.status(403).json({ error });
+  }
+  next();
+};
+
+/**
+ * Middleware to restrict a route to administrators (use after authenticateToken)
+ */
+export const requireAdmin = requireRole("admin");
+
+/**
+ * Optional gate for routes that need a confirmed email address (use after authenticateToken).
+ * Only enforced when REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true, so existing unverified accounts keep working by default.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === "true" && !req.user?.emailVerified) {
+    return res.status(403).json({
+      error: translate("errors.emailNotVerified", req.locale),
+      resend_url: "/api/auth/verify-email/resend",
+    });
   }
+  next();
 };
 
 /**
  * Optional authentication middleware
- * Sets req.user if token is present but doesn't fail if missing
+ * Sets req.user (and the profile locale) like authenticateToken when the token, its session and the user are
+ * valid; otherwise the request is anonymous
  */
-export const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
+export const optionalAuth = async (req, res, next) => {
+  const token = bearerToken(req);
 
   if (token) {
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-      if (!err) {
+    try {
+      const decoded = await verifySessionToken(token);
+      const user = decoded && (await loadRequestUser(decoded));
+      if (user) {
         req.user = user;
+        await applyProfileLocale(req, user.id);
       }
-    });
+    } catch (error) {
+      if (error.name !== "JsonWebTokenError" && error.name !== "TokenExpiredError") {
+        console.error("Optional auth error:", error);
+      }
+    }
   }
   next();
 };
@@ -4,6 +4,8 @@
  */
 
 import { hasPremiumAccess, canUseFeature, getFeatureLimit } from '../services/subscriptionService.js';
+import { translate } from '../services/i18nService.js';
+import { checkUsageLimit, limitExceededBody } from '../services/entitlementService.js';
 
 /**
  * Middleware to check premium access
@@ -13,14 +15,14 @@ export function requirePremium(req, res, next) {
   const userId = req.user?.id;
 
   if (!userId) {
-    return res.status(401).json({ error: 'Authentication required' });
+    return res.status(401).json({ error: translate('errors.authRequired', req.locale) });
   }
 
   hasPremiumAccess(userId)
     .then(hasAccess => {
       if (!hasAccess) {
         return res.status(403).json({
-          error: 'Premium subscription required',
+          error: translate('errors.premiumRequired', req.locale),
           upgrade_url: '/subscription/upgrade'
         });
       }
@@ -28,35 +30,46 @@ export function requirePremium(req, res, next) {
     })
     .catch(error => {
       console.error('Error checking premium access:', error);
-      res.status(500).json({ error: 'Failed to check subscription status' });
+      res.status(500).json({ error: translate('errors.subscriptionCheckFailed', req.locale) });
     });
 }
 
 /**
  * Middleware to check specific feature access
+ * With options.usage, features that carry a max (free-tier limits) are also checked against current usage:
+ * the request is refused with 402 (see entitlementService.limitExceededBody) once usage has reached the user's limit.
  * @param {string} feature - Feature name
+ * @param {Object} [options]
+ * @param {(req: Object) => Promise<number>} [options.usage] - Current usage count for the requesting user
  */
-export function requireFeature(feature) {
+export function requireFeature(feature, options = {}) {
   return (req, res, next) => {
     const userId = req.user?.id;
 
     if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
+      return res.status(401).json({ error: translate('errors.authRequired', req.locale) });
     }
 
     canUseFeature(userId, feature)
-      .then(hasAccess => {
+      .then(async hasAccess => {
         if (!hasAccess) {
           return res.status(403).json({
-            error: `Premium feature required: ${feature}`,
+            error: translate('errors.featureRequired', req.locale, { feature }),
             upgrade_url: '/subscription/upgrade'
           });
         }
+
+        if (options.usage) {
+          const check = await checkUsageLimit(userId, feature, { usage: () => options.usage(req) });
+          if (!check.allowed) {
+            return res.status(402).json(limitExceededBody(check, req.locale));
+          }
+        }
         next();
       })
       .catch(error => {
         console.error('Error checking feature access:', error);
-        res.status(500).json({ error: 'Failed to check feature access' });
+        res.status(500).json({ error: translate('errors.featureCheckFailed', req.locale) });
       });
   };
 }
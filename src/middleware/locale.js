@@ -0,0 +1,36 @@
+/**
+ * Locale negotiation middleware.
+ * resolveLocale sets req.locale from Accept-Language on every request; authenticateToken then calls
+ * applyProfileLocale so a signed-in user's profile language takes precedence.
+ */
+
+import { negotiateLocale } from "../services/i18nService.js";
+import { getProfileSettings } from "../services/profileSettingsService.js";
+
+function setLocale(req, res, locale) {
+  req.locale = locale;
+  res?.set("Content-Language", locale);
+}
+
+/**
+ * Set req.locale from the Accept-Language header (English when nothing matches).
+ */
+export function resolveLocale(req, res, next) {
+  setLocale(req, res, negotiateLocale({ acceptLanguage: req.headers["accept-language"] }));
+  next();
+}
+
+/**
+ * Re-negotiate req.locale with the user's profile language. Never fails the request:
+ * without a database (or on a lookup error) the header-based locale stays.
+ * @param {Object} req - Express request
+ * @param {number} userId
+ */
+export async function applyProfileLocale(req, userId) {
+  try {
+    const { language: profileLanguage } = await getProfileSettings(userId);
+    setLocale(req, req.res, negotiateLocale({ profileLanguage, acceptLanguage: req.headers["accept-language"] }));
+  } catch {
+    // Keep the Accept-Language locale
+  }
+}
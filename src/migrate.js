@@ -0,0 +1,86 @@
+/**
+ * Migration CLI
+ *
+ *   npm run migrate                    apply all pending migrations
+ *   npm run migrate -- up --to 12      apply pending migrations up to version 12
+ *   npm run migrate -- down            roll back the newest migration
+ *   npm run migrate -- down --steps 3  roll back the three newest
+ *   npm run migrate -- down --to 12    roll back everything newer than version 12
+ *   npm run migrate -- status          list applied and pending migrations
+ *   npm run migrate -- baseline 12     record 001–012 as applied without running them (pre-existing schema)
+ */
+
+import { getPool, closePool } from "./database.js";
+import {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  baselineMigrations,
+} from "./db/migrator.js";
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return undefined;
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} needs a non-negative integer`);
+  }
+  return value;
+}
+
+async function printStatus(pool) {
+  const { applied, pending, changed, missing } = await getMigrationStatus(pool);
+  const changedVersions = new Set(changed.map((m) => m.version));
+  for (const migration of applied) {
+    console.log(`  ✅ ${migration.name}${changedVersions.has(migration.version) ? "  (edited since applied)" : ""}`);
+  }
+  for (const migration of pending) {
+    console.log(`  ⏳ ${migration.name}`);
+  }
+  for (const row of missing) {
+    console.log(`  ❓ ${row.name}  (applied, file missing)`);
+  }
+  console.log(`\n${applied.length} applied, ${pending.length} pending`);
+}
+
+async function main() {
+  const [command = "up", ...args] = process.argv.slice(2);
+  if (!process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is not set. Point it at the PostgreSQL database to migrate (see docs/MIGRATIONS.md).");
+  }
+  const pool = getPool();
+
+  switch (command) {
+    case "up": {
+      const applied = await migrateUp(pool, { to: readOption(args, "to") });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : "✅ Nothing to migrate");
+      break;
+    }
+    case "down": {
+      const rolledBack = await migrateDown(pool, { steps: readOption(args, "steps") ?? 1, to: readOption(args, "to") });
+      console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s)` : "✅ Nothing to roll back");
+      break;
+    }
+    case "status":
+      await printStatus(pool);
+      break;
+    case "baseline": {
+      const to = Number(args[0]);
+      if (!Number.isInteger(to) || to < 1) {
+        throw new Error("baseline needs the last version already in the database, e.g. `baseline 12`");
+      }
+      const recorded = await baselineMigrations(pool, to);
+      console.log(`✅ Recorded ${recorded.length} migration(s) as applied`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down, status or baseline.`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(closePool);
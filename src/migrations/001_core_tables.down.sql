@@ -0,0 +1,5 @@
+-- Drops the core tables and everything stored in them
+DROP TABLE IF EXISTS recipes;
+DROP TABLE IF EXISTS profiles;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS app_health;
@@ -1,5 +1,4 @@
 -- Bootstrap: core tables required by other migrations (users, profiles, recipes)
--- Run this first. Mirrors backend/src/database.js initializeDatabase().
 
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
@@ -55,4 +54,3 @@ CREATE TABLE IF NOT EXISTS recipes (
 CREATE INDEX IF NOT EXISTS idx_profiles_user_id ON profiles(user_id);
 CREATE INDEX IF NOT EXISTS idx_recipes_user_id ON recipes(user_id);
 CREATE INDEX IF NOT EXISTS idx_recipes_visibility ON recipes(visibility);
-
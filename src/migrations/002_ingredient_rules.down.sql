@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS ingredient_rules;
+DROP TABLE IF EXISTS ingredient_rule_modifiers;
+DROP TABLE IF EXISTS ingredient_rule_bases;
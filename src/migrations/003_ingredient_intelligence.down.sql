@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS ingredient_pages;
+DROP TABLE IF EXISTS ingredient_substitutions;
+DROP TABLE IF EXISTS ingredient_references;
+DROP TABLE IF EXISTS ingredient_rule_overrides;
+DROP TABLE IF EXISTS ingredient_modifiers;
+DROP TABLE IF EXISTS ingredient_aliases;
+DROP TABLE IF EXISTS ingredients;
@@ -210,19 +210,26 @@ SELECT i.id, m.id, 'halal', 'high', 'Plant-based; no animal source.'
 FROM ingredients i, ingredient_modifiers m WHERE i.slug = 'gelatin' AND m.slug = 'plant'
 ON CONFLICT (ingredient_id, modifier_id) DO UPDATE SET verdict = EXCLUDED.verdict, notes = EXCLUDED.notes;
 
-INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order) VALUES
+INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order)
+SELECT v.ingredient_id, v.ref_type, v.ref_text, v.sort_order FROM (VALUES
   ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'quran', 'Surah Al-Baqarah 2:173', 1),
-  ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'hadith', 'Sahih Bukhari 7:67:400', 2);
+  ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'hadith', 'Sahih Bukhari 7:67:400', 2)
+) AS v(ingredient_id, ref_type, ref_text, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_references r WHERE r.ingredient_id = v.ingredient_id AND r.ref_text = v.ref_text);
 
-INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes) VALUES
+INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+SELECT v.ingredient_id, v.substitute_slug, v.substitute_display_name, v.sort_order, v.notes FROM (VALUES
   ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'agar_agar', 'Agar agar', 1, '1:0.5 ratio for setting'),
   ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'halal_beef_gelatin', 'Halal beef gelatin', 2, 'Check certification'),
-  ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'pectin', 'Pectin', 3, 'For fruit-based gels');
+  ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'pectin', 'Pectin', 3, 'For fruit-based gels')
+) AS v(ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_substitutions s WHERE s.ingredient_id = v.ingredient_id AND s.substitute_slug = v.substitute_slug);
 
 INSERT INTO ingredient_pages (ingredient_id, locale, slug, meta_title, meta_description, h1, is_published) VALUES
   ((SELECT id FROM ingredients WHERE slug = 'gelatin'), 'en', 'is-gelatin-halal',
    'Is Gelatin Halal? | Halal Kitchen', 'Learn when gelatin is halal or haram and best halal substitutes.',
-   'Is Gelatin Halal?', true);
+   'Is Gelatin Halal?', true)
+ON CONFLICT (ingredient_id, locale) DO NOTHING;
 
 -- Cheese
 INSERT INTO ingredients (id, slug, display_name, category, default_verdict, default_confidence, notes_summary, last_reviewed_at) VALUES
@@ -236,17 +243,24 @@ INSERT INTO ingredient_aliases (ingredient_id, alias_normalized, alias_display,
   ((SELECT id FROM ingredients WHERE slug = 'cheese'), 'cheese', 'cheese', false)
 ON CONFLICT (alias_normalized) DO NOTHING;
 
-INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order) VALUES
-  ((SELECT id FROM ingredients WHERE slug = 'cheese'), 'scholarly', 'Rennet source determines permissibility.', 1);
+INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order)
+SELECT v.ingredient_id, v.ref_type, v.ref_text, v.sort_order FROM (VALUES
+  ((SELECT id FROM ingredients WHERE slug = 'cheese'), 'scholarly', 'Rennet source determines permissibility.', 1)
+) AS v(ingredient_id, ref_type, ref_text, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_references r WHERE r.ingredient_id = v.ingredient_id AND r.ref_text = v.ref_text);
 
-INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes) VALUES
+INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+SELECT v.ingredient_id, v.substitute_slug, v.substitute_display_name, v.sort_order, v.notes FROM (VALUES
   ((SELECT id FROM ingredients WHERE slug = 'cheese'), 'halal_cheese', 'Halal-certified cheese', 1, 'Check label for microbial rennet'),
-  ((SELECT id FROM ingredients WHERE slug = 'cheese'), 'vegan_cheese', 'Vegan cheese', 2, 'Plant-based');
+  ((SELECT id FROM ingredients WHERE slug = 'cheese'), 'vegan_cheese', 'Vegan cheese', 2, 'Plant-based')
+) AS v(ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_substitutions s WHERE s.ingredient_id = v.ingredient_id AND s.substitute_slug = v.substitute_slug);
 
 INSERT INTO ingredient_pages (ingredient_id, locale, slug, meta_title, meta_description, h1, is_published) VALUES
   ((SELECT id FROM ingredients WHERE slug = 'cheese'), 'en', 'is-cheese-halal',
    'Is Cheese Halal? | Halal Kitchen', 'When is cheese halal? Rennet and halal cheese substitutes.',
-   'Is Cheese Halal?', true);
+   'Is Cheese Halal?', true)
+ON CONFLICT (ingredient_id, locale) DO NOTHING;
 
 -- Soy sauce
 INSERT INTO ingredients (id, slug, display_name, category, default_verdict, default_confidence, notes_summary, last_reviewed_at) VALUES
@@ -272,18 +286,25 @@ SELECT i.id, m.id, 'halal', 'high', 'No alcohol; permissible.'
 FROM ingredients i, ingredient_modifiers m WHERE i.slug = 'soy_sauce' AND m.slug = 'alcohol_free'
 ON CONFLICT (ingredient_id, modifier_id) DO UPDATE SET verdict = EXCLUDED.verdict, notes = EXCLUDED.notes;
 
-INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order) VALUES
+INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order)
+SELECT v.ingredient_id, v.ref_type, v.ref_text, v.sort_order FROM (VALUES
   ((SELECT id FROM ingredients WHERE slug = 'soy_sauce'), 'quran', 'Surah Al-Ma''idah 5:90', 1),
-  ((SELECT id FROM ingredients WHERE slug = 'soy_sauce'), 'hadith', 'Sahih Muslim 10:3893', 2);
+  ((SELECT id FROM ingredients WHERE slug = 'soy_sauce'), 'hadith', 'Sahih Muslim 10:3893', 2)
+) AS v(ingredient_id, ref_type, ref_text, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_references r WHERE r.ingredient_id = v.ingredient_id AND r.ref_text = v.ref_text);
 
-INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes) VALUES
+INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+SELECT v.ingredient_id, v.substitute_slug, v.substitute_display_name, v.sort_order, v.notes FROM (VALUES
   ((SELECT id FROM ingredients WHERE slug = 'soy_sauce'), 'halal_soy_sauce', 'Halal-certified soy sauce', 1, ''),
-  ((SELECT id FROM ingredients WHERE slug = 'soy_sauce'), 'tamari_alcohol_free', 'Tamari (alcohol-free)', 2, 'Gluten-free option');
+  ((SELECT id FROM ingredients WHERE slug = 'soy_sauce'), 'tamari_alcohol_free', 'Tamari (alcohol-free)', 2, 'Gluten-free option')
+) AS v(ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_substitutions s WHERE s.ingredient_id = v.ingredient_id AND s.substitute_slug = v.substitute_slug);
 
 INSERT INTO ingredient_pages (ingredient_id, locale, slug, meta_title, meta_description, h1, is_published) VALUES
   ((SELECT id FROM ingredients WHERE slug = 'soy_sauce'), 'en', 'is-soy-sauce-halal',
    'Is Soy Sauce Halal? | Halal Kitchen', 'Soy sauce and trace alcohol: is it halal? Halal soy sauce substitutes.',
-   'Is Soy Sauce Halal?', true);
+   'Is Soy Sauce Halal?', true)
+ON CONFLICT (ingredient_id, locale) DO NOTHING;
 
 -- Vanilla extract
 INSERT INTO ingredients (id, slug, display_name, category, default_verdict, default_confidence, notes_summary, last_reviewed_at) VALUES
@@ -309,19 +330,26 @@ SELECT i.id, m.id, 'halal', 'high', 'Vanilla powder or bean; no alcohol carrier.
 FROM ingredients i, ingredient_modifiers m WHERE i.slug = 'vanilla_extract' AND m.slug = 'plant'
 ON CONFLICT (ingredient_id, modifier_id) DO UPDATE SET verdict = EXCLUDED.verdict, notes = EXCLUDED.notes;
 
-INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order) VALUES
+INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order)
+SELECT v.ingredient_id, v.ref_type, v.ref_text, v.sort_order FROM (VALUES
   ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'quran', 'Surah Al-Ma''idah 5:90', 1),
-  ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'hadith', 'Sahih Muslim 10:3893', 2);
+  ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'hadith', 'Sahih Muslim 10:3893', 2)
+) AS v(ingredient_id, ref_type, ref_text, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_references r WHERE r.ingredient_id = v.ingredient_id AND r.ref_text = v.ref_text);
 
-INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes) VALUES
+INSERT INTO ingredient_substitutions (ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+SELECT v.ingredient_id, v.substitute_slug, v.substitute_display_name, v.sort_order, v.notes FROM (VALUES
   ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'alcohol_free_vanilla', 'Alcohol-free vanilla', 1, ''),
   ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'vanilla_powder', 'Vanilla powder', 2, '½ tsp ≈ 1 tsp extract'),
-  ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'vanilla_bean_paste', 'Vanilla bean paste', 3, '');
+  ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'vanilla_bean_paste', 'Vanilla bean paste', 3, '')
+) AS v(ingredient_id, substitute_slug, substitute_display_name, sort_order, notes)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_substitutions s WHERE s.ingredient_id = v.ingredient_id AND s.substitute_slug = v.substitute_slug);
 
 INSERT INTO ingredient_pages (ingredient_id, locale, slug, meta_title, meta_description, h1, is_published) VALUES
   ((SELECT id FROM ingredients WHERE slug = 'vanilla_extract'), 'en', 'is-vanilla-extract-halal',
    'Is Vanilla Extract Halal? | Halal Kitchen', 'Alcohol in vanilla extract: halal or not? Alcohol-free vanilla options.',
-   'Is Vanilla Extract Halal?', true);
+   'Is Vanilla Extract Halal?', true)
+ON CONFLICT (ingredient_id, locale) DO NOTHING;
 
 -- Rice
 INSERT INTO ingredients (id, slug, display_name, category, default_verdict, default_confidence, notes_summary, last_reviewed_at) VALUES
@@ -336,10 +364,14 @@ INSERT INTO ingredient_aliases (ingredient_id, alias_normalized, alias_display,
   ((SELECT id FROM ingredients WHERE slug = 'rice'), 'rices', 'rice', true)
 ON CONFLICT (alias_normalized) DO NOTHING;
 
-INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order) VALUES
-  ((SELECT id FROM ingredients WHERE slug = 'rice'), 'quran', 'Surah Al-Baqarah 2:172', 1);
+INSERT INTO ingredient_references (ingredient_id, ref_type, ref_text, sort_order)
+SELECT v.ingredient_id, v.ref_type, v.ref_text, v.sort_order FROM (VALUES
+  ((SELECT id FROM ingredients WHERE slug = 'rice'), 'quran', 'Surah Al-Baqarah 2:172', 1)
+) AS v(ingredient_id, ref_type, ref_text, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM ingredient_references r WHERE r.ingredient_id = v.ingredient_id AND r.ref_text = v.ref_text);
 
 INSERT INTO ingredient_pages (ingredient_id, locale, slug, meta_title, meta_description, h1, is_published) VALUES
   ((SELECT id FROM ingredients WHERE slug = 'rice'), 'en', 'is-rice-halal',
    'Is Rice Halal? | Halal Kitchen', 'Rice is a plain plant and halal. Learn about different types of rice.',
-   'Is Rice Halal?', true);
+   'Is Rice Halal?', true)
+ON CONFLICT (ingredient_id, locale) DO NOTHING;
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS affiliate_link_clicks;
+DROP TABLE IF EXISTS affiliate_links;
+DROP TABLE IF EXISTS ingredient_substitutes;
+DROP TABLE IF EXISTS sponsored_brands;
+DROP TABLE IF EXISTS affiliate_platforms;
+DROP TABLE IF EXISTS regions;
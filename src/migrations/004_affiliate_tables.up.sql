@@ -1,8 +1,6 @@
 -- Affiliate Monetization Database Schema Migration
 -- Run this migration to create all affiliate-related tables
 
-BEGIN;
-
 -- 1. Regions table
 CREATE TABLE IF NOT EXISTS regions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -150,5 +148,3 @@ INSERT INTO affiliate_platforms (name, display_name, base_url_template, color_he
 ('instacart', 'Instacart', 'https://www.instacart.com/store/search?q={query}', '#00A862'),
 ('thrivemarket', 'Thrive Market', 'https://thrivemarket.com/search?q={query}', '#2E7D32')
 ON CONFLICT (name) DO NOTHING;
-
-COMMIT;
@@ -0,0 +1,7 @@
+-- Walmart/Target rows and the Instacart deactivation are data changes and are left in place
+ALTER TABLE affiliate_platforms
+  DROP COLUMN IF EXISTS product_fit,
+  DROP COLUMN IF EXISTS sort_order,
+  DROP COLUMN IF EXISTS regions,
+  DROP COLUMN IF EXISTS affiliate_param_key,
+  DROP COLUMN IF EXISTS affiliate_param_value;
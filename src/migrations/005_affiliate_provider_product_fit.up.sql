@@ -2,8 +2,6 @@
 -- Enables enabling/disabling providers and ranking by product fit without code changes.
 -- Instacart is not used; preferred: Amazon, Walmart, Target, Thrive Market.
 
-BEGIN;
-
 -- Extend affiliate_platforms for product-fit ranking and region support
 ALTER TABLE affiliate_platforms
   ADD COLUMN IF NOT EXISTS product_fit TEXT[] DEFAULT '{}',
@@ -43,5 +41,3 @@ ON CONFLICT (name) DO UPDATE SET
 
 -- Optional: disable Instacart so backend APIs that read from DB do not return it
 UPDATE affiliate_platforms SET is_active = false WHERE name = 'instacart';
-
-COMMIT;
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS premium_analytics_events;
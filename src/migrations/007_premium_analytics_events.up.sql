@@ -1,8 +1,6 @@
 -- Premium Analytics Events Table
 -- Tracks premium subscription success metrics
 
-BEGIN;
-
 CREATE TABLE IF NOT EXISTS premium_analytics_events (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   event_type VARCHAR(100) NOT NULL,
@@ -22,5 +20,3 @@ CREATE INDEX IF NOT EXISTS idx_premium_analytics_user_id ON premium_analytics_ev
 CREATE INDEX IF NOT EXISTS idx_premium_analytics_props_plan ON premium_analytics_events ((event_props->>'plan'));
 CREATE INDEX IF NOT EXISTS idx_premium_analytics_props_feature ON premium_analytics_events ((event_props->>'feature'));
 CREATE INDEX IF NOT EXISTS idx_premium_analytics_props_trigger ON premium_analytics_events ((event_props->>'trigger_feature'));
-
-COMMIT;
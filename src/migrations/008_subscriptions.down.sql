@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS subscription_events;
+DROP TABLE IF EXISTS subscriptions;
+DROP INDEX IF EXISTS idx_users_stripe_customer;
+ALTER TABLE users DROP COLUMN IF EXISTS stripe_customer_id;
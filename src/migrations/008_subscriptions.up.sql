@@ -1,8 +1,6 @@
 -- Subscription Management Tables
 -- Supports Stripe subscriptions with graceful downgrade
 
-BEGIN;
-
 -- Subscriptions table
 CREATE TABLE IF NOT EXISTS subscriptions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -69,5 +67,3 @@ BEGIN
     CREATE INDEX IF NOT EXISTS idx_users_stripe_customer ON users(stripe_customer_id);
   END IF;
 END $$;
-
-COMMIT;
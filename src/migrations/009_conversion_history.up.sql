@@ -1,7 +1,6 @@
 -- Conversion History Table
 -- Tracks conversions for free users (monthly limit enforcement)
-
-BEGIN;
+-- Full conversion records: see 013_conversion_history_details
 
 CREATE TABLE IF NOT EXISTS conversion_history (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -13,5 +12,3 @@ CREATE TABLE IF NOT EXISTS conversion_history (
 CREATE INDEX IF NOT EXISTS idx_conversion_history_user ON conversion_history(user_id);
 CREATE INDEX IF NOT EXISTS idx_conversion_history_created ON conversion_history(created_at);
 CREATE INDEX IF NOT EXISTS idx_conversion_history_user_month ON conversion_history(user_id, created_at);
-
-COMMIT;
@@ -0,0 +1,2 @@
+-- recipes.substitutions_used is part of the recipes table since 001_core_tables (this migration only
+-- backfilled older databases), so there is nothing to undo here.
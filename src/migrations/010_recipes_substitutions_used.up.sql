@@ -1,5 +1,4 @@
 -- Save Halal Version: store substitutions used for each saved recipe
--- Run after 00_create_core_tables.sql (recipes table must exist)
 
 ALTER TABLE recipes
   ADD COLUMN IF NOT EXISTS substitutions_used JSONB DEFAULT '[]';
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS ingredient_substitute_links;
+DROP TABLE IF EXISTS affiliate_providers;
@@ -1,8 +1,6 @@
 -- Monetization layer: provider-agnostic affiliate_providers + ingredient_substitute_links.
 -- No dependency on ingredients table; supports enabling/disabling providers and future direct halal sponsors.
 
-BEGIN;
-
 -- 1. Affiliate providers (retailers + future direct halal brands)
 CREATE TABLE IF NOT EXISTS affiliate_providers (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -53,5 +51,3 @@ CREATE INDEX IF NOT EXISTS idx_ingredient_substitute_links_active ON ingredient_
 
 COMMENT ON COLUMN ingredient_substitute_links.substitute_slug IS 'Normalized ingredient id e.g. agar_agar, halal_beef_bacon';
 COMMENT ON COLUMN ingredient_substitute_links.region_code IS 'NULL = all regions; otherwise e.g. US, CA';
-
-COMMIT;
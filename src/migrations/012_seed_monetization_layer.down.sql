@@ -0,0 +1,3 @@
+-- Removes the seeded providers; their substitute links go with them (ON DELETE CASCADE)
+DELETE FROM affiliate_providers
+WHERE name IN ('amazon', 'walmart', 'target', 'thrivemarket', 'halal_brand_partner');
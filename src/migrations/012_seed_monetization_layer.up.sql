@@ -1,7 +1,4 @@
 -- Seed data for monetization layer: affiliate_providers + ingredient_substitute_links.
--- Run after create_monetization_layer.sql.
-
-BEGIN;
 
 -- Ensure uuid extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -132,5 +129,3 @@ BEGIN
   VALUES ('white_wine_vinegar_halal', pid_walmart, 'white wine vinegar', false, true, 2)
   ON CONFLICT (substitute_slug, provider_id) DO UPDATE SET search_query = EXCLUDED.search_query, updated_at = NOW();
 END $$;
-
-COMMIT;
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_conversion_history_user_created_desc;
+ALTER TABLE conversion_history
+  DROP COLUMN IF EXISTS original_text,
+  DROP COLUMN IF EXISTS converted_text,
+  DROP COLUMN IF EXISTS issues,
+  DROP COLUMN IF EXISTS confidence_score,
+  DROP COLUMN IF EXISTS is_premium,
+  DROP COLUMN IF EXISTS saved_recipe_id;
@@ -0,0 +1,16 @@
+-- Conversion History: store full conversion records for the premium history API
+-- recipe_text stays as the 500-char preview; the columns below hold the complete input and output.
+-- is_premium marks conversions made on a premium plan so they don't count toward the free monthly limit.
+
+ALTER TABLE conversion_history
+  ADD COLUMN IF NOT EXISTS original_text TEXT,
+  ADD COLUMN IF NOT EXISTS converted_text TEXT,
+  ADD COLUMN IF NOT EXISTS issues JSONB DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS confidence_score INTEGER,
+  ADD COLUMN IF NOT EXISTS is_premium BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS saved_recipe_id UUID REFERENCES recipes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_conversion_history_user_created_desc ON conversion_history(user_id, created_at DESC);
+
+COMMENT ON COLUMN conversion_history.issues IS 'Issues returned by the converter: [{ ingredient, replacement, status, wasReplaced, ... }]';
+COMMENT ON COLUMN conversion_history.saved_recipe_id IS 'Recipe created from this conversion via the history API, if any';
@@ -0,0 +1,30 @@
+-- Meal Planning Tables
+-- Named date ranges with breakfast/lunch/dinner/snack slots referencing saved recipes
+-- Free tier: 1 plan; premium: unlimited (see mealPlanning in subscriptionService.js)
+
+CREATE TABLE IF NOT EXISTS meal_plans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (end_date >= start_date)
+);
+
+CREATE TABLE IF NOT EXISTS meal_plan_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  meal_plan_id UUID NOT NULL REFERENCES meal_plans(id) ON DELETE CASCADE,
+  plan_date DATE NOT NULL,
+  slot VARCHAR(20) NOT NULL CHECK (slot IN ('breakfast', 'lunch', 'dinner', 'snack')),
+  recipe_id UUID NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  servings INTEGER NOT NULL DEFAULT 1 CHECK (servings > 0),
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meal_plans_user ON meal_plans(user_id);
+CREATE INDEX IF NOT EXISTS idx_meal_plans_user_dates ON meal_plans(user_id, start_date);
+CREATE INDEX IF NOT EXISTS idx_meal_plan_entries_plan ON meal_plan_entries(meal_plan_id, plan_date);
+CREATE INDEX IF NOT EXISTS idx_meal_plan_entries_recipe ON meal_plan_entries(recipe_id);
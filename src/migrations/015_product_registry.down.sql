@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS product_scans;
+DROP TABLE IF EXISTS products;
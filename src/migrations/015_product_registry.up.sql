@@ -0,0 +1,41 @@
+-- Product Registry (brand verification)
+-- Packaged products keyed by barcode (UPC/EAN) and by brand + product name, with their ingredient list
+-- and halal certification. Scans from /convert/scan-ingredients can be linked to a product.
+
+CREATE TABLE IF NOT EXISTS products (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  barcode VARCHAR(14) UNIQUE, -- canonical GTIN: EAN-8, EAN-13 (UPC-A stored zero-padded) or GTIN-14; see validateBarcode
+  brand TEXT NOT NULL,
+  name TEXT NOT NULL,
+  normalized_key TEXT NOT NULL UNIQUE, -- lower(brand) || '|' || lower(name), whitespace collapsed
+  ingredients_text TEXT,
+  certification_body TEXT,
+  certificate_number TEXT,
+  certificate_expires_at DATE,
+  verification_source VARCHAR(30) NOT NULL DEFAULT 'user_submission' CHECK (verification_source IN (
+    'manufacturer',
+    'certifier',
+    'label_scan',
+    'user_submission',
+    'admin'
+  )),
+  verified_at TIMESTAMP,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_brand ON products(lower(brand));
+CREATE INDEX IF NOT EXISTS idx_products_cert_expiry ON products(certificate_expires_at);
+
+-- Scan results linked to a product (label photo or pasted ingredient list)
+CREATE TABLE IF NOT EXISTS product_scans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  raw_text TEXT,
+  scan_result JSONB NOT NULL, -- runPhotoScanPipeline output: { summary, ingredients, ocr_confidence }
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_scans_product ON product_scans(product_id, created_at DESC);
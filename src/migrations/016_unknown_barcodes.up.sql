@@ -0,0 +1,15 @@
+-- Unknown Barcodes
+-- Barcodes scanned via /api/products/barcode/:code that are not in the product registry yet.
+-- Curators work through the most-scanned ones first; registering a product with the barcode marks it resolved.
+
+CREATE TABLE IF NOT EXISTS unknown_barcodes (
+  barcode VARCHAR(14) PRIMARY KEY, -- canonical GTIN (see validateBarcode)
+  scan_count INTEGER NOT NULL DEFAULT 1,
+  first_seen_at TIMESTAMP DEFAULT NOW(),
+  last_seen_at TIMESTAMP DEFAULT NOW(),
+  last_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_unknown_barcodes_open ON unknown_barcodes(scan_count DESC) WHERE resolved_product_id IS NULL;
@@ -0,0 +1,8 @@
+-- Rules retired through the admin API become active again once is_active is dropped
+DROP TABLE IF EXISTS ingredient_rule_versions;
+DROP INDEX IF EXISTS idx_ingredient_rules_active;
+ALTER TABLE ingredient_rules
+  DROP COLUMN IF EXISTS is_active,
+  DROP COLUMN IF EXISTS version,
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS updated_by;
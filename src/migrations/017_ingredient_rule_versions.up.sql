@@ -0,0 +1,36 @@
+-- Ingredient rule versioning
+-- Rules are edited through /api/admin/rules instead of hand-written SQL. Every change writes a snapshot to
+-- ingredient_rule_versions (who, when, why); retiring a rule deactivates it instead of deleting it, and
+-- rolling back copies an earlier snapshot forward as a new version.
+
+ALTER TABLE ingredient_rules ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE ingredient_rules ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE ingredient_rules ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+ALTER TABLE ingredient_rules ADD COLUMN IF NOT EXISTS updated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS ingredient_rule_versions (
+  id SERIAL PRIMARY KEY,
+  rule_id INTEGER NOT NULL REFERENCES ingredient_rules(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'retire', 'rollback', 'import')),
+  base_slug TEXT NOT NULL,
+  modifier_slug TEXT,
+  halal_status TEXT NOT NULL,
+  notes TEXT DEFAULT '',
+  alternatives JSONB DEFAULT '[]',
+  is_active BOOLEAN NOT NULL,
+  rolled_back_to INTEGER, -- source version for action = 'rollback'
+  reason TEXT NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(rule_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingredient_rule_versions_rule ON ingredient_rule_versions(rule_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_ingredient_rules_active ON ingredient_rules(base_slug, modifier_slug) WHERE is_active;
+
+-- Version 1 of every existing rule, so rollback has something to return to
+INSERT INTO ingredient_rule_versions (rule_id, version, action, base_slug, modifier_slug, halal_status, notes, alternatives, is_active, reason)
+SELECT id, version, 'import', base_slug, modifier_slug, halal_status, notes, alternatives, is_active, 'Imported from seed data'
+FROM ingredient_rules
+ON CONFLICT (rule_id, version) DO NOTHING;
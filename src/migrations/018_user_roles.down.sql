@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_users_roles;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_roles_check;
+ALTER TABLE users DROP COLUMN IF EXISTS roles;
@@ -0,0 +1,12 @@
+-- User roles for access control
+-- user (everyone), curator (edits ingredient rules), analyst (reads analytics dashboards), admin (everything,
+-- including granting roles through /api/admin/users/:id/roles). Roles are read from the database on every
+-- authenticated request, so a revoked role stops working immediately even though the JWT still lists it.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS roles TEXT[] NOT NULL DEFAULT ARRAY['user'];
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_roles_check;
+ALTER TABLE users ADD CONSTRAINT users_roles_check
+  CHECK (roles <@ ARRAY['user', 'curator', 'admin', 'analyst']::TEXT[]);
+
+CREATE INDEX IF NOT EXISTS idx_users_roles ON users USING GIN (roles);
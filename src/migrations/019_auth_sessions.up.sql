@@ -0,0 +1,20 @@
+-- Auth sessions (refresh tokens)
+-- One row per signed-in device. Access tokens are short-lived JWTs carrying the session id (sid);
+-- the refresh token is stored as a SHA-256 hash and rotated on every /api/auth/refresh.
+-- previous_token_hash keeps the last rotated-out token: presenting it again means the token was copied,
+-- and the whole session is revoked.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  previous_token_hash TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id, last_used_at DESC) WHERE revoked_at IS NULL;
@@ -0,0 +1,9 @@
+-- Account deletion grace period
+-- DELETE /api/profile schedules the account for hard deletion; until deletion_scheduled_for the user can
+-- sign in and cancel. After that the purge job deletes the users row, and foreign keys cascade
+-- (profiles, recipes, conversion_history, meal_plans, subscriptions, auth_sessions, ...) or set NULL (analytics).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
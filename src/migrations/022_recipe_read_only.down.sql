@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_recipes_read_only;
+ALTER TABLE recipes DROP COLUMN IF EXISTS read_only_since;
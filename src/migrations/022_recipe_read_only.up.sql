@@ -0,0 +1,7 @@
+-- Read-only recipes after a downgrade
+-- When premium ends, recipes beyond the free plan's saved-recipe limit are kept but marked read-only
+-- (read_only_since set): they can be viewed and deleted, not edited. Upgrading again clears the mark.
+
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS read_only_since TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_recipes_read_only ON recipes(user_id) WHERE read_only_since IS NOT NULL;
@@ -0,0 +1,282 @@
+/**
+ * Admin API for the deterministic rule engine's ingredient_rules.
+ * Create, edit, retire and roll back base + modifier rules; every change needs a reason and is kept
+ * in the rule's version history. Saving a rule invalidates the engine's base-slug cache.
+ * Open to curators and admins.
+ */
+
+import express from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+import { invalidateBaseSlugsCache } from "../services/ingredientRuleEngine.js";
+
+const router = express.Router();
+
+const HALAL_STATUSES = ["halal", "conditional", "haram"];
+const SLUG_PATTERN = /^[a-z0-9]+(_[a-z0-9]+)*$/;
+
+router.use(authenticateToken, requireRole("curator"));
+
+function toSlug(value) {
+  return String(value).trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+function formatRule(r) {
+  return {
+    id: r.id,
+    baseSlug: r.base_slug,
+    modifierSlug: r.modifier_slug,
+    halalStatus: r.halal_status,
+    notes: r.notes || "",
+    alternatives: Array.isArray(r.alternatives) ? r.alternatives : JSON.parse(r.alternatives || "[]"),
+    isActive: r.is_active,
+    version: r.version,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+    updatedBy: r.updated_by
+  };
+}
+
+function formatVersion(v) {
+  return {
+    version: v.version,
+    action: v.action,
+    halalStatus: v.halal_status,
+    notes: v.notes || "",
+    alternatives: Array.isArray(v.alternatives) ? v.alternatives : JSON.parse(v.alternatives || "[]"),
+    isActive: v.is_active,
+    rolledBackTo: v.rolled_back_to,
+    reason: v.reason,
+    changedBy: v.changed_by,
+    changedAt: v.changed_at
+  };
+}
+
+/**
+ * Validate rule fields from a request body.
+ * @returns {{ value: object } | { error: string, params?: object }} error is a message catalogue key
+ */
+function validateRuleInput(body, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial) {
+    if (typeof body.baseSlug !== "string" || !SLUG_PATTERN.test(toSlug(body.baseSlug))) {
+      return { error: "errors.baseSlugInvalid" };
+    }
+    value.baseSlug = toSlug(body.baseSlug);
+    const modifier = body.modifierSlug == null || body.modifierSlug === "" ? "unspecified" : body.modifierSlug;
+    if (typeof modifier !== "string" || !SLUG_PATTERN.test(toSlug(modifier))) {
+      return { error: "errors.modifierSlugInvalid" };
+    }
+    value.modifierSlug = toSlug(modifier);
+    for (const field of ["baseDisplayName", "modifierDisplayName"]) {
+      if (typeof body[field] === "string" && body[field].trim()) value[field] = body[field].trim();
+    }
+  }
+
+  if (body.halalStatus !== undefined || !partial) {
+    if (!HALAL_STATUSES.includes(body.halalStatus)) {
+      return { error: "errors.halalStatusInvalid", params: { statuses: HALAL_STATUSES.join(", ") } };
+    }
+    value.halalStatus = body.halalStatus;
+  }
+  if (body.notes !== undefined) {
+    if (typeof body.notes !== "string") {
+      return { error: "errors.notesNotString" };
+    }
+    value.notes = body.notes.trim();
+  }
+  if (body.alternatives !== undefined) {
+    if (!Array.isArray(body.alternatives) || body.alternatives.some((a) => typeof a !== "string" || !a.trim())) {
+      return { error: "errors.alternativesInvalid" };
+    }
+    value.alternatives = [...new Set(body.alternatives.map(toSlug))];
+  }
+  return { value };
+}
+
+/**
+ * Who and why for a change. expectedVersion (optional) makes the write fail with 409 if someone saved in between.
+ * @returns {{ change: object } | { error: string }} error is a message catalogue key
+ */
+function readChange(req) {
+  const reason = req.body?.reason ?? req.query.reason;
+  if (typeof reason !== "string" || !reason.trim()) {
+    return { error: "errors.reasonRequired" };
+  }
+  const expectedVersion = req.body?.expectedVersion;
+  if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+    return { error: "errors.expectedVersionInvalid" };
+  }
+  return { change: { userId: req.user.id, reason: reason.trim(), expectedVersion } };
+}
+
+function parseRuleId(param) {
+  const id = Number(param);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Send the outcome of a versioned write (update, retire, rollback).
+ */
+function sendChangeResult(req, res, outcome, notFoundKey = "errors.ruleNotFound") {
+  if (outcome.notFound) {
+    return res.status(404).json({ error: translate(notFoundKey, req.locale) });
+  }
+  if (outcome.conflict) {
+    return res.status(409).json({
+      error: translate("errors.ruleConflict", req.locale),
+      rule: formatRule(outcome.rule)
+    });
+  }
+  invalidateBaseSlugsCache();
+  res.json({ rule: formatRule(outcome.rule) });
+}
+
+/**
+ * GET /api/admin/rules
+ * Query: base (slug), includeRetired=true
+ */
+router.get("/", async (req, res) => {
+  try {
+    const rules = await getStorage().ingredientRules.listRules({
+      baseSlug: req.query.base ? toSlug(req.query.base) : undefined,
+      includeRetired: req.query.includeRetired === "true"
+    });
+    res.json({ rules: rules.map(formatRule) });
+  } catch (error) {
+    console.error("Error listing ingredient rules:", error);
+    res.status(500).json({ error: translate("errors.rulesListFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/admin/rules/:id
+ * Rule with its version history (newest first)
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    const rule = id && (await getStorage().ingredientRules.getRuleById(id));
+    if (!rule) {
+      return res.status(404).json({ error: translate("errors.ruleNotFound", req.locale) });
+    }
+    const versions = await getStorage().ingredientRules.getRuleVersions(id);
+    res.json({ rule: formatRule(rule), versions: versions.map(formatVersion) });
+  } catch (error) {
+    console.error("Error fetching ingredient rule:", error);
+    res.status(500).json({ error: translate("errors.ruleFetchFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/admin/rules
+ * Body: { baseSlug, modifierSlug?, halalStatus, notes?, alternatives?, baseDisplayName?, modifierDisplayName?, reason }
+ * modifierSlug defaults to "unspecified". 409 if a rule (active or retired) exists for the pair.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { value, error, params } = validateRuleInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale, params) });
+    }
+    const { change, error: changeError } = readChange(req);
+    if (changeError) {
+      return res.status(400).json({ error: translate(changeError, req.locale) });
+    }
+
+    const rule = await getStorage().ingredientRules.createRule(value, change);
+    if (!rule) {
+      return res.status(409).json({
+        error: translate("errors.ruleExists", req.locale, { base: value.baseSlug, modifier: value.modifierSlug })
+      });
+    }
+    invalidateBaseSlugsCache();
+    res.status(201).json({ rule: formatRule(rule) });
+  } catch (error) {
+    console.error("Error creating ingredient rule:", error);
+    res.status(500).json({ error: translate("errors.ruleCreateFailed", req.locale) });
+  }
+});
+
+/**
+ * PUT /api/admin/rules/:id
+ * Body: { halalStatus?, notes?, alternatives?, reason, expectedVersion? }
+ * Base and modifier are the rule's identity: to move a rule, retire it and create a new one.
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    if (!id) {
+      return res.status(404).json({ error: translate("errors.ruleNotFound", req.locale) });
+    }
+    const { value, error, params } = validateRuleInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale, params) });
+    }
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: translate("errors.ruleNothingToUpdate", req.locale) });
+    }
+    const { change, error: changeError } = readChange(req);
+    if (changeError) {
+      return res.status(400).json({ error: translate(changeError, req.locale) });
+    }
+
+    sendChangeResult(req, res, await getStorage().ingredientRules.updateRule(id, value, change));
+  } catch (error) {
+    console.error("Error updating ingredient rule:", error);
+    res.status(500).json({ error: translate("errors.ruleUpdateFailed", req.locale) });
+  }
+});
+
+/**
+ * DELETE /api/admin/rules/:id
+ * Retire a rule (the engine stops using it; history is kept). Body or query: { reason, expectedVersion? }
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    if (!id) {
+      return res.status(404).json({ error: translate("errors.ruleNotFound", req.locale) });
+    }
+    const { change, error } = readChange(req);
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale) });
+    }
+
+    sendChangeResult(req, res, await getStorage().ingredientRules.retireRule(id, change));
+  } catch (error) {
+    console.error("Error retiring ingredient rule:", error);
+    res.status(500).json({ error: translate("errors.ruleRetireFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/admin/rules/:id/rollback
+ * Body: { version, reason, expectedVersion? }
+ * Restores the status, notes, alternatives and active flag of an earlier version as a new version.
+ */
+router.post("/:id/rollback", async (req, res) => {
+  try {
+    const id = parseRuleId(req.params.id);
+    if (!id) {
+      return res.status(404).json({ error: translate("errors.ruleNotFound", req.locale) });
+    }
+    const version = req.body?.version;
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: translate("errors.ruleVersionInvalid", req.locale) });
+    }
+    const { change, error } = readChange(req);
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale) });
+    }
+
+    sendChangeResult(req, res, await getStorage().ingredientRules.rollbackRule(id, version, change), "errors.ruleOrVersionNotFound");
+  } catch (error) {
+    console.error("Error rolling back ingredient rule:", error);
+    res.status(500).json({ error: translate("errors.ruleRollbackFailed", req.locale) });
+  }
+});
+
+export default router;
@@ -0,0 +1,86 @@
+/**
+ * Admin API for user roles.
+ * Grant and revoke curator, analyst and admin; every account keeps the base "user" role.
+ */
+
+import express from "express";
+import { authenticateToken, requireRole, rolesForUser, ROLES } from "../middleware/auth.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+
+const router = express.Router();
+
+const GRANTABLE_ROLES = ROLES.filter((role) => role !== "user");
+
+router.use(authenticateToken, requireRole("admin"));
+
+function formatUserRoles(user) {
+  return { id: user.id, email: user.email, roles: rolesForUser(user) };
+}
+
+/**
+ * GET /api/admin/users/:id/roles
+ */
+router.get("/:id/roles", async (req, res) => {
+  try {
+    const user = await getStorage().users.getUserById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
+    }
+    res.json({ user: formatUserRoles(user) });
+  } catch (error) {
+    console.error("Error fetching user roles:", error);
+    res.status(500).json({ error: translate("errors.rolesFetchFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/roles
+ * Body: { role } — curator, analyst or admin
+ */
+router.post("/:id/roles", async (req, res) => {
+  try {
+    const role = req.body?.role;
+    if (!GRANTABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: translate("errors.roleInvalid", req.locale, { roles: GRANTABLE_ROLES.join(", ") }) });
+    }
+
+    const user = await getStorage().users.grantUserRole(req.params.id, role);
+    if (!user) {
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
+    }
+    console.log(`Role ${role} granted to user ${user.id} by ${req.user.id}`);
+    res.json({ user: formatUserRoles(user) });
+  } catch (error) {
+    console.error("Error granting role:", error);
+    res.status(500).json({ error: translate("errors.roleGrantFailed", req.locale) });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/roles/:role
+ * Admins cannot revoke their own admin role, so there is always someone left to grant it back.
+ */
+router.delete("/:id/roles/:role", async (req, res) => {
+  try {
+    const { id, role } = req.params;
+    if (!GRANTABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: translate("errors.roleInvalid", req.locale, { roles: GRANTABLE_ROLES.join(", ") }) });
+    }
+    if (role === "admin" && id === String(req.user.id)) {
+      return res.status(400).json({ error: translate("errors.ownAdminRoleRevoke", req.locale) });
+    }
+
+    const user = await getStorage().users.revokeUserRole(id, role);
+    if (!user) {
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
+    }
+    console.log(`Role ${role} revoked from user ${user.id} by ${req.user.id}`);
+    res.json({ user: formatUserRoles(user) });
+  } catch (error) {
+    console.error("Error revoking role:", error);
+    res.status(500).json({ error: translate("errors.roleRevokeFailed", req.locale) });
+  }
+});
+
+export default router;
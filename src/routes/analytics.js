@@ -6,10 +6,13 @@
  * - No personal data stored
  * - Aggregate data only
  * - Session-based tracking (not persistent)
+ * - Per-user rows (affiliate clicks, premium events) are anonymized on account deletion; see docs/ACCOUNT_DATA.md
  */
 
 import express from 'express';
-import { getPool } from '../database.js';
+import { getStorage } from '../storage/index.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { translate } from '../services/i18nService.js';
 import premiumAnalyticsRouter from './premiumAnalytics.js';
 
 const router = express.Router();
@@ -73,25 +76,24 @@ router.post('/event', async (req, res) => {
 
     // Validate event structure
     if (!event || !props || !session_id) {
-      return res.status(400).json({ error: 'Invalid event structure' });
+      return res.status(400).json({ error: translate('errors.eventInvalid', req.locale) });
     }
 
     // Ensure no personal data
     const sanitizedProps = sanitizeProps(props);
 
-    const pool = getPool();
-    
     // Store event (aggregate only, no personal data)
-    await pool.query(
-      `INSERT INTO analytics_events (event_type, event_props, session_id, created_at)
-       VALUES ($1, $2, $3, $4)`,
-      [event, JSON.stringify(sanitizedProps), session_id, new Date(timestamp || Date.now())]
-    );
+    await getStorage().analytics.recordAnalyticsEvent({
+      eventType: event,
+      props: sanitizedProps,
+      sessionId: session_id,
+      createdAt: new Date(timestamp || Date.now())
+    });
 
     res.json({ success: true });
   } catch (error) {
     console.error('Error storing analytics event:', error);
-    res.status(500).json({ error: 'Failed to store event' });
+    res.status(500).json({ error: translate('errors.eventStoreFailed', req.locale) });
   }
 });
 
@@ -103,66 +105,24 @@ router.post('/event', async (req, res) => {
  * - start_date: ISO date string
  * - end_date: ISO date string
  * - region: country code (optional)
+ *
+ * Analysts and admins only
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', authenticateToken, requireRole('analyst'), async (req, res) => {
   try {
     const { start_date, end_date, region } = req.query;
-    const pool = getPool();
-
-    // Build date filter
-    const dateFilter = start_date && end_date
-      ? `WHERE created_at >= $1 AND created_at <= $2`
-      : start_date
-      ? `WHERE created_at >= $1`
-      : '';
-
-    const dateParams = start_date && end_date
-      ? [start_date, end_date]
-      : start_date
-      ? [start_date]
-      : [];
-
-    // Build region filter
-    const regionFilter = region
-      ? `${dateFilter ? 'AND' : 'WHERE'} event_props->>'region' = $${dateParams.length + 1}`
-      : '';
-
-    const allParams = region ? [...dateParams, region] : dateParams;
 
     // Get aggregated metrics
-    const metrics = {
-      // Total events
-      total_events: await getTotalEvents(pool, dateFilter, regionFilter, allParams),
-      
-      // Ingredient views
-      ingredient_views: await getIngredientViews(pool, dateFilter, regionFilter, allParams),
-      
-      // Substitute clicks
-      substitute_clicks: await getSubstituteClicks(pool, dateFilter, regionFilter, allParams),
-      
-      // Affiliate clicks
-      affiliate_clicks: await getAffiliateClicks(pool, dateFilter, regionFilter, allParams),
-      
-      // Conversion funnel
-      conversion_funnel: await getConversionFunnel(pool, dateFilter, regionFilter, allParams),
-      
-      // Recipe conversions
-      recipe_conversions: await getRecipeConversions(pool, dateFilter, regionFilter, allParams),
-      
-      // Top ingredients
-      top_ingredients: await getTopIngredients(pool, dateFilter, regionFilter, allParams),
-      
-      // Top platforms
-      top_platforms: await getTopPlatforms(pool, dateFilter, regionFilter, allParams),
-      
-      // Regional breakdown
-      regional_breakdown: await getRegionalBreakdown(pool, dateFilter, regionFilter, allParams)
-    };
+    const metrics = await getStorage().analytics.getDashboardMetrics({
+      startDate: start_date,
+      endDate: end_date,
+      region
+    });
 
     res.json(metrics);
   } catch (error) {
     console.error('Error fetching dashboard metrics:', error);
-    res.status(500).json({ error: 'Failed to fetch metrics' });
+    res.status(500).json({ error: translate('errors.metricsFetchFailed', req.locale) });
   }
 });
 
@@ -187,136 +147,6 @@ function sanitizeProps(props) {
   return sanitized;
 }
 
-async function getTotalEvents(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT COUNT(*) as count FROM analytics_events ${dateFilter} ${regionFilter}`,
-    params
-  );
-  return parseInt(result.rows[0].count, 10);
-}
-
-async function getIngredientViews(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT COUNT(*) as count, 
-            event_props->>'ingredient_id' as ingredient_id,
-            event_props->>'source' as source,
-            event_props->>'status' as status
-     FROM analytics_events 
-     WHERE event_type = 'ingredient_view' ${dateFilter.replace('WHERE', 'AND')} ${regionFilter}
-     GROUP BY ingredient_id, source, status
-     ORDER BY count DESC
-     LIMIT 20`,
-    params
-  );
-  return result.rows;
-}
-
-async function getSubstituteClicks(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT COUNT(*) as count,
-            event_props->>'ingredient_id' as ingredient_id,
-            event_props->>'substitute_id' as substitute_id
-     FROM analytics_events
-     WHERE event_type = 'substitute_click' ${dateFilter.replace('WHERE', 'AND')} ${regionFilter}
-     GROUP BY ingredient_id, substitute_id
-     ORDER BY count DESC
-     LIMIT 20`,
-    params
-  );
-  return result.rows;
-}
-
-async function getAffiliateClicks(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT COUNT(*) as count,
-            event_props->>'platform' as platform,
-            event_props->>'ingredient_id' as ingredient_id,
-            event_props->>'substitute_id' as substitute_id,
-            event_props->>'is_featured' as is_featured
-     FROM analytics_events
-     WHERE event_type = 'affiliate_click' ${dateFilter.replace('WHERE', 'AND')} ${regionFilter}
-     GROUP BY platform, ingredient_id, substitute_id, is_featured
-     ORDER BY count DESC
-     LIMIT 20`,
-    params
-  );
-  return result.rows;
-}
-
-async function getConversionFunnel(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT event_props->>'step' as step,
-            COUNT(*) as count
-     FROM analytics_events
-     WHERE event_type = 'conversion_funnel' ${dateFilter.replace('WHERE', 'AND')} ${regionFilter}
-     GROUP BY step
-     ORDER BY 
-       CASE step
-         WHEN 'view' THEN 1
-         WHEN 'substitute_view' THEN 2
-         WHEN 'affiliate_click' THEN 3
-         ELSE 4
-       END`,
-    params
-  );
-  return result.rows;
-}
-
-async function getRecipeConversions(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT AVG((event_props->>'total_ingredients')::int) as avg_total,
-            AVG((event_props->>'haram_ingredients')::int) as avg_haram,
-            AVG((event_props->>'substitutes_shown')::int) as avg_substitutes,
-            AVG((event_props->>'affiliate_links_shown')::int) as avg_links,
-            COUNT(*) as total_conversions
-     FROM analytics_events
-     WHERE event_type = 'recipe_conversion' ${dateFilter.replace('WHERE', 'AND')} ${regionFilter}`,
-    params
-  );
-  return result.rows[0] || {};
-}
-
-async function getTopIngredients(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT event_props->>'ingredient_id' as ingredient_id,
-            COUNT(*) as views
-     FROM analytics_events
-     WHERE event_type = 'ingredient_view' ${dateFilter.replace('WHERE', 'AND')} ${regionFilter}
-     GROUP BY ingredient_id
-     ORDER BY views DESC
-     LIMIT 10`,
-    params
-  );
-  return result.rows;
-}
-
-async function getTopPlatforms(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT event_props->>'platform' as platform,
-            COUNT(*) as clicks
-     FROM analytics_events
-     WHERE event_type = 'affiliate_click' ${dateFilter.replace('WHERE', 'AND')} ${regionFilter}
-     GROUP BY platform
-     ORDER BY clicks DESC`,
-    params
-  );
-  return result.rows;
-}
-
-async function getRegionalBreakdown(pool, dateFilter, regionFilter, params) {
-  const result = await pool.query(
-    `SELECT event_props->>'region' as region,
-            COUNT(*) as events
-     FROM analytics_events
-     ${dateFilter} ${regionFilter}
-     GROUP BY region
-     ORDER BY events DESC
-     LIMIT 20`,
-    params
-  );
-  return result.rows;
-}
-
 // Mount premium analytics routes
 router.use('/', premiumAnalyticsRouter);
 
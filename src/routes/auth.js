@@ -1,10 +1,15 @@
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import { JWT_SECRET } from "../middleware/auth.js";
-import { createUser, getUserByEmail, verifyUserPassword, getUserById } from "../db/users.js";
-import { createProfile } from "../db/profiles.js";
-import { getPool } from "../database.js";
+import { rolesForUser, authenticateToken } from "../middleware/auth.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+import { startSession, refreshSession, isSessionId } from "../services/sessionService.js";
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  resetPassword,
+  verifyEmail,
+} from "../services/accountEmailService.js";
 
 // Initialize Stripe
 let stripe = null;
@@ -26,7 +31,7 @@ router.get("/test", (req, res) => {
 
 /**
  * POST /api/auth/register
- * Register a new user (using PostgreSQL)
+ * Register a new user
  */
 router.post("/register", async (req, res) => {
   try {
@@ -34,121 +39,103 @@ router.post("/register", async (req, res) => {
 
     // Validation
     if (!email || !password) {
-      return res.status(400).json({ error: "Email and password are required" });
+      return res.status(400).json({ error: translate("errors.emailPasswordRequired", req.locale) });
     }
 
     if (password.length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
+      return res.status(400).json({ error: translate("errors.passwordTooShort", req.locale) });
     }
 
-    const pool = getPool();
-    const client = await pool.connect();
+    const { users, profiles } = getStorage();
 
+    // Create user
+    let user;
     try {
-      // Start transaction
-      await client.query("BEGIN");
-
-      // Create user in PostgreSQL
-      let user;
-      try {
-        user = await createUser(email, password);
-      } catch (userError) {
-        await client.query("ROLLBACK");
-        if (userError.message === "Email already exists") {
-          return res.status(400).json({ error: "User with this email already exists" });
-        }
-        throw userError;
+      user = await users.createUser(email, password);
+    } catch (userError) {
+      if (userError.message === "Email already exists") {
+        return res.status(400).json({ error: translate("errors.emailTaken", req.locale) });
       }
+      throw userError;
+    }
 
-      // Update display_name if provided
-      if (displayName && displayName !== user.display_name) {
-        await client.query(
-          `UPDATE users SET display_name = $1 WHERE id = $2`,
-          [displayName, user.id]
-        );
-        user.display_name = displayName;
-      }
+    // Update display_name if provided
+    if (displayName && displayName !== user.display_name) {
+      await users.updateUserDisplayName(user.id, displayName);
+      user.display_name = displayName;
+    }
+
+    // Create profile with default values
+    await profiles.createProfile(user.id, {
+      displayName: displayName || user.display_name || email.split("@")[0],
+      halalStandard: "standard",
+      schoolOfThought: "hanafi",
+      language: "en",
+      theme: "light",
+    });
 
-      // Create profile with default values
-      const profile = await createProfile(user.id, {
-        displayName: displayName || user.display_name || email.split("@")[0],
-        halalStandard: "standard",
-        schoolOfThought: "hanafi",
-        language: "en",
-        theme: "light",
-      });
-
-      // Create Stripe customer on signup
-      let stripeCustomerId = null;
-      if (stripe && process.env.STRIPE_SECRET_KEY) {
-        try {
-          const customer = await stripe.customers.create({
-            email: email,
-            metadata: {
-              user_id: user.id,
-              created_at: new Date().toISOString()
-            }
-          });
-          stripeCustomerId = customer.id;
-          
-          // Store Stripe customer ID in users table
-          await client.query(
-            `UPDATE users SET stripe_customer_id = $1 WHERE id = $2`,
-            [stripeCustomerId, user.id]
-          );
-          console.log(`✅ Stripe customer created for user ${user.id}: ${stripeCustomerId}`);
-        } catch (stripeError) {
-          // Log error but don't fail registration
-          console.error('Error creating Stripe customer:', stripeError.message);
-          // Continue with registration even if Stripe fails
-        }
+    // Create Stripe customer on signup
+    let stripeCustomerId = null;
+    if (stripe && process.env.STRIPE_SECRET_KEY) {
+      try {
+        const customer = await stripe.customers.create({
+          email: email,
+          metadata: {
+            user_id: user.id,
+            created_at: new Date().toISOString()
+          }
+        });
+        stripeCustomerId = customer.id;
+        
+        // Store Stripe customer ID in users table
+        await users.setStripeCustomerId(user.id, stripeCustomerId);
+        console.log(`✅ Stripe customer created for user ${user.id}: ${stripeCustomerId}`);
+      } catch (stripeError) {
+        // Log error but don't fail registration
+        console.error('Error creating Stripe customer:', stripeError.message);
+        // Continue with registration even if Stripe fails
       }
+    }
 
-      // Commit transaction
-      await client.query("COMMIT");
+    // Start a session: short-lived access token + refresh token
+    const { token, refreshToken, expiresIn } = await startSession(user, req);
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email },
-        JWT_SECRET,
-        { expiresIn: "30d" }
-      );
+    // Ask the user to confirm their address (registration succeeds even if mail fails)
+    sendVerificationEmail(user, req.locale).catch((mailError) =>
+      console.error("Error sending verification email:", mailError.message)
+    );
 
-      // Return user data in format compatible with frontend
-      const userResponse = {
-        id: user.id,
-        email: user.email,
-        displayName: user.display_name || email.split("@")[0],
-        username: user.display_name || email.split("@")[0],
-        profile_image_url: user.profile_image_url || null,
-        profilePhoto: user.profile_image_url || null, // Backward compatibility
-        profile_photo_url: user.profile_image_url || null, // Backward compatibility
-        created_at: user.created_at,
-        createdAt: user.created_at, // Backward compatibility
-      };
-
-      res.status(201).json({
-        message: "User registered successfully",
-        token,
-        user: userResponse,
-      });
-    } catch (error) {
-      await client.query("ROLLBACK");
-      throw error;
-    } finally {
-      client.release();
-    }
+    // Return user data in format compatible with frontend
+    const userResponse = {
+      id: user.id,
+      email: user.email,
+      displayName: user.display_name || email.split("@")[0],
+      username: user.display_name || email.split("@")[0],
+      profile_image_url: user.profile_image_url || null,
+      profilePhoto: user.profile_image_url || null, // Backward compatibility
+      profile_photo_url: user.profile_image_url || null, // Backward compatibility
+      created_at: user.created_at,
+      createdAt: user.created_at, // Backward compatibility
+      roles: rolesForUser(user),
+      emailVerified: Boolean(user.email_verified_at),
+    };
+
+    res.status(201).json({
+      message: translate("messages.registered", req.locale),
+      token,
+      refreshToken,
+      expiresIn,
+      user: userResponse,
+    });
   } catch (error) {
     console.error("Error in register:", error);
-    res.status(500).json({ 
-      error: error.message || "Registration failed. Please try again." 
-    });
+    res.status(500).json({ error: translate("errors.registerFailed", req.locale) });
   }
 });
 
 /**
  * POST /api/auth/login
- * Login user (using PostgreSQL)
+ * Login user
  */
 router.post("/login", async (req, res) => {
   try {
@@ -156,22 +143,18 @@ router.post("/login", async (req, res) => {
 
     // Validation
     if (!email || !password) {
-      return res.status(400).json({ error: "Email and password are required" });
+      return res.status(400).json({ error: translate("errors.emailPasswordRequired", req.locale) });
     }
 
     // Verify password using DB helper
-    const user = await verifyUserPassword(email, password);
+    const user = await getStorage().users.verifyUserPassword(email, password);
 
     if (!user) {
-      return res.status(401).json({ error: "Invalid email or password" });
+      return res.status(401).json({ error: translate("errors.invalidCredentials", req.locale) });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    // Start a session: short-lived access token + refresh token
+    const { token, refreshToken, expiresIn } = await startSession(user, req);
 
     // Return user data in format compatible with frontend
     const userResponse = {
@@ -184,16 +167,21 @@ router.post("/login", async (req, res) => {
       profile_photo_url: user.profile_image_url || null, // Backward compatibility
       created_at: user.created_at,
       createdAt: user.created_at, // Backward compatibility
+      roles: rolesForUser(user),
+      emailVerified: Boolean(user.email_verified_at),
+      deletionScheduledFor: user.deletion_scheduled_for || null,
     };
 
     res.json({
-      message: "Login successful",
+      message: translate("messages.loggedIn", req.locale),
       token,
+      refreshToken,
+      expiresIn,
       user: userResponse,
     });
   } catch (error) {
     console.error("Error in login:", error);
-    res.status(500).json({ error: "Login failed. Please try again." });
+    res.status(500).json({ error: translate("errors.loginFailed", req.locale) });
   }
 });
 
@@ -201,22 +189,13 @@ router.post("/login", async (req, res) => {
  * GET /api/auth/me
  * Get current user (protected route, using PostgreSQL)
  */
-router.get("/me", async (req, res) => {
+router.get("/me", authenticateToken, async (req, res) => {
   try {
-    const authHeader = req.headers["authorization"];
-    const token = authHeader && authHeader.split(" ")[1];
-
-    if (!token) {
-      return res.status(401).json({ error: "Authentication required" });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
     // Get user from PostgreSQL
-    const user = await getUserById(decoded.userId);
+    const user = await getStorage().users.getUserById(req.user.id);
 
     if (!user) {
-      return res.status(404).json({ error: "User not found" });
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
     }
 
     // Return user data in format compatible with frontend
@@ -230,12 +209,204 @@ router.get("/me", async (req, res) => {
       profile_photo_url: user.profile_image_url || null, // Backward compatibility
       created_at: user.created_at,
       createdAt: user.created_at, // Backward compatibility
+      roles: rolesForUser(user),
+      emailVerified: Boolean(user.email_verified_at),
+      deletionScheduledFor: user.deletion_scheduled_for || null,
     };
 
     res.json({ user: userResponse });
   } catch (error) {
     console.error("Error in /me:", error);
-    res.status(401).json({ error: "Invalid or expired token" });
+    res.status(500).json({ error: translate("errors.userLoadFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and a new refresh token (the old one stops working)
+ * Body: { refreshToken }
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: translate("errors.refreshTokenRequired", req.locale) });
+    }
+
+    const session = await refreshSession(refreshToken, req);
+    if (!session) {
+      return res.status(401).json({ error: translate("errors.invalidRefreshToken", req.locale) });
+    }
+
+    res.json({ token: session.token, refreshToken: session.refreshToken, expiresIn: session.expiresIn });
+  } catch (error) {
+    console.error("Error in refresh:", error);
+    res.status(500).json({ error: translate("errors.refreshFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session (its access and refresh tokens stop working)
+ */
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await getStorage().sessions.revokeSession(req.user.sessionId, req.user.id);
+    res.json({ message: translate("messages.loggedOut", req.locale) });
+  } catch (error) {
+    console.error("Error in logout:", error);
+    res.status(500).json({ error: translate("errors.logoutFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * End every session of the current user, including this one
+ */
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await getStorage().sessions.revokeUserSessions(req.user.id);
+    res.json({ message: translate("messages.loggedOutAll", req.locale), revoked });
+  } catch (error) {
+    console.error("Error in logout-all:", error);
+    res.status(500).json({ error: translate("errors.logoutAllFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions of the current user (device, IP, last use); current marks the caller's session
+ */
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getStorage().sessions.listActiveSessions(req.user.id);
+    res.json({
+      sessions: sessions.map((s) => ({
+        id: s.id,
+        userAgent: s.user_agent,
+        ipAddress: s.ip_address,
+        createdAt: s.created_at,
+        lastUsedAt: s.last_used_at,
+        expiresAt: s.expires_at,
+        current: s.id === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({ error: translate("errors.sessionsListFailed", req.locale) });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * End one of the current user's sessions (e.g. a lost phone)
+ */
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    if (!isSessionId(sessionId)) {
+      return res.status(404).json({ error: translate("errors.sessionNotFound", req.locale) });
+    }
+    const revoked = await getStorage().sessions.revokeSession(sessionId, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({ error: translate("errors.sessionNotFound", req.locale) });
+    }
+    res.json({ message: translate("messages.sessionEnded", req.locale) });
+  } catch (error) {
+    console.error("Error ending session:", error);
+    res.status(500).json({ error: translate("errors.sessionEndFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/auth/password-reset/request
+ * Email a reset link. Always answers 200 so the response does not reveal which emails have accounts.
+ * Body: { email }
+ */
+router.post("/password-reset/request", async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: translate("errors.emailRequired", req.locale) });
+    }
+
+    const user = await getStorage().users.getUserByEmail(email);
+    if (user) {
+      // Not awaited: a slow mail provider would otherwise show which emails have accounts
+      sendPasswordResetEmail(user, req.locale).catch((mailError) =>
+        console.error("Error sending password reset email:", mailError.message)
+      );
+    }
+    res.json({ message: translate("messages.resetLinkSent", req.locale) });
+  } catch (error) {
+    console.error("Error in password reset request:", error);
+    res.status(500).json({ error: translate("errors.resetEmailFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/auth/password-reset/confirm
+ * Set a new password with the emailed token. The token works once; all sessions are signed out.
+ * Body: { token, password }
+ */
+router.post("/password-reset/confirm", async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: translate("errors.resetTokenRequired", req.locale) });
+    }
+    if (!password || password.length < 6) {
+      return res.status(400).json({ error: translate("errors.passwordTooShort", req.locale) });
+    }
+
+    const userId = await resetPassword(token, password);
+    if (!userId) {
+      return res.status(400).json({ error: translate("errors.resetLinkInvalid", req.locale) });
+    }
+    res.json({ message: translate("messages.passwordUpdated", req.locale) });
+  } catch (error) {
+    console.error("Error in password reset confirm:", error);
+    res.status(500).json({ error: translate("errors.passwordResetFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm the email address with the token from the verification email
+ * Body: { token }
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ error: translate("errors.verificationTokenRequired", req.locale) });
+    }
+
+    const user = await verifyEmail(token);
+    if (!user) {
+      return res.status(400).json({ error: translate("errors.verificationLinkInvalid", req.locale) });
+    }
+    res.json({ message: translate("messages.emailVerified", req.locale), emailVerified: true });
+  } catch (error) {
+    console.error("Error in verify-email:", error);
+    res.status(500).json({ error: translate("errors.verifyEmailFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email/resend
+ * Send a new verification email to the current user (earlier links stop working)
+ */
+router.post("/verify-email/resend", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.json({ message: translate("messages.emailAlreadyVerified", req.locale), emailVerified: true });
+    }
+    await sendVerificationEmail(req.user, req.locale);
+    res.json({ message: translate("messages.verificationEmailSent", req.locale), emailVerified: false });
+  } catch (error) {
+    console.error("Error in verify-email resend:", error);
+    res.status(500).json({ error: translate("errors.verificationEmailFailed", req.locale) });
   }
 });
 
@@ -0,0 +1,138 @@
+/**
+ * Conversion History API Routes
+ * Browse, re-open and save past conversions (premium: conversionHistory)
+ */
+
+import express from "express";
+import { authenticateToken } from "../middleware/auth.js";
+import { requireFeature } from "../middleware/featureGate.js";
+import { getConversionStats } from "../services/conversionLimitService.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+
+const router = express.Router();
+
+const VISIBILITIES = ["public", "private"];
+
+function formatConversion(row) {
+  return {
+    id: row.id,
+    preview: row.recipe_text?.substring(0, 100) || "",
+    originalText: row.original_text ?? row.recipe_text ?? "",
+    convertedText: row.converted_text ?? null,
+    issues: Array.isArray(row.issues) ? row.issues : [],
+    confidenceScore: row.confidence_score ?? null,
+    savedRecipeId: row.saved_recipe_id || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * GET /api/conversions/stats
+ * Monthly usage for the current user (limit, used, remaining, this month's conversions). Available on every plan.
+ */
+router.get("/stats", authenticateToken, async (req, res) => {
+  try {
+    const stats = await getConversionStats(req.user.id);
+    res.json(stats);
+  } catch (error) {
+    console.error("Error fetching conversion stats:", error);
+    res.status(500).json({ error: translate("errors.conversionStatsFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/conversions
+ * Paginated conversion history, newest first.
+ * Query: ?limit=20&offset=0&q=search text
+ * Response: { conversions: [{ id, preview, confidenceScore, issueCount, savedRecipeId, createdAt }], total, limit, offset }
+ */
+router.get("/", authenticateToken, requireFeature("conversionHistory"), async (req, res) => {
+  try {
+    const { limit, offset, q } = req.query;
+    const page = await getStorage().conversions.listConversions(req.user.id, { limit, offset, search: q });
+
+    res.json({
+      ...page,
+      conversions: page.conversions.map((row) => ({
+        id: row.id,
+        preview: row.recipe_text?.substring(0, 100) || "",
+        confidenceScore: row.confidence_score ?? null,
+        issueCount: parseInt(row.issue_count, 10) || 0,
+        savedRecipeId: row.saved_recipe_id || null,
+        createdAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching conversion history:", error);
+    res.status(500).json({ error: translate("errors.conversionHistoryFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/conversions/:id
+ * Re-open a past conversion with its full input, output, issues and confidence score.
+ */
+router.get("/:id", authenticateToken, requireFeature("conversionHistory"), async (req, res) => {
+  try {
+    const conversion = await getStorage().conversions.getConversionById(req.params.id, req.user.id);
+    if (!conversion) {
+      return res.status(404).json({ error: translate("errors.conversionNotFound", req.locale) });
+    }
+    res.json({ conversion: formatConversion(conversion) });
+  } catch (error) {
+    console.error("Error fetching conversion:", error);
+    res.status(500).json({ error: translate("errors.conversionFetchFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/conversions/:id/save
+ * Promote a past conversion into a saved recipe.
+ * Body: { title: string, visibility?: 'public'|'private', category?: string }
+ * Response: 201 { recipe, conversionId }; 409 if the conversion was already saved.
+ */
+router.post("/:id/save", authenticateToken, requireFeature("conversionHistory"), async (req, res) => {
+  try {
+    const { title, visibility = "private", category } = req.body || {};
+    if (!title || typeof title !== "string" || !title.trim()) {
+      return res.status(400).json({ error: translate("errors.titleRequired", req.locale) });
+    }
+    if (!VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: translate("errors.visibilityInvalid", req.locale, { visibilities: VISIBILITIES.join(", ") }) });
+    }
+
+    const conversion = await getStorage().conversions.getConversionById(req.params.id, req.user.id);
+    if (!conversion) {
+      return res.status(404).json({ error: translate("errors.conversionNotFound", req.locale) });
+    }
+    if (conversion.saved_recipe_id) {
+      return res.status(409).json({
+        error: translate("errors.conversionAlreadySaved", req.locale),
+        recipeId: conversion.saved_recipe_id,
+      });
+    }
+    if (!conversion.converted_text) {
+      return res.status(422).json({ error: translate("errors.conversionNoOutput", req.locale) });
+    }
+
+    const recipe = await getStorage().recipes.createRecipe({
+      userId: req.user.id,
+      title,
+      originalRecipe: conversion.original_text || conversion.recipe_text,
+      convertedRecipe: conversion.converted_text,
+      category,
+      confidenceScore: conversion.confidence_score,
+      visibility,
+      substitutionsUsed: conversion.issues || [],
+    });
+    await getStorage().conversions.markConversionSaved(conversion.id, recipe.id);
+
+    res.status(201).json({ recipe, conversionId: conversion.id });
+  } catch (error) {
+    console.error("Error saving conversion as recipe:", error);
+    res.status(500).json({ error: translate("errors.conversionSaveFailed", req.locale) });
+  }
+});
+
+export default router;
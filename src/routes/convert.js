@@ -6,16 +6,24 @@
 import express from 'express';
 import multer from 'multer';
 import { authenticateToken } from '../middleware/auth.js';
-import { requirePremium, attachFeatureLimits } from '../middleware/featureGate.js';
-import { hasPremiumAccess } from '../services/subscriptionService.js';
+import { requirePremium, requireFeature, attachFeatureLimits } from '../middleware/featureGate.js';
+import { hasPremiumAccess, getSubscriptionStatus, canUseFeature } from '../services/subscriptionService.js';
 import { checkConversionLimit, trackConversion } from '../services/conversionLimitService.js';
+import { applySubstitutionLimit } from '../services/entitlementService.js';
 import { getPool } from '../database.js';
 import convertService from '../services/convertService.js';
 import { classifyIngredient } from '../services/halalClassificationService.js';
 import { runPhotoScanPipeline } from '../services/photoScanPipelineService.js';
 import { extractTextFromImage } from '../services/ocrAdapter.js';
+import { SUPPORTED_LANGUAGES } from '../services/ingredientLanguages.js';
+import { translate } from '../services/i18nService.js';
+import { resolveUserPreferences } from '../services/profileSettingsService.js';
 import { ROUTE, shouldUseOCRCleanupAI } from '../services/aiRoutingService.js';
 import { getAIFeatureFlags, isFallbackAIEnabled } from '../config/aiFeatureFlags.js';
+import { getStorage } from '../storage/index.js';
+import { scaleRecipe } from '../services/recipeScalingService.js';
+import { SHOPPING_LIST_FORMATS } from '../services/shoppingListService.js';
+import { convertRecipesBatch, MAX_BATCH_SIZE } from '../services/batchConversionService.js';
 
 const router = express.Router();
 
@@ -28,14 +36,17 @@ const scanUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize:
  * 
  * Free users: 5 conversions per month
  * Premium users: Unlimited conversions
+ * Verdicts follow the user's profile halal_standard and school_of_thought (body userPreferences override them)
+ * Response includes conversionId (conversion_history row; null if it could not be stored)
+ * Each issue lists at most the plan's substitutions limit of alternatives; substitution_limit reports how many were hidden
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { recipeText } = req.body;
+    const { recipeText, userPreferences } = req.body;
 
     if (!recipeText || typeof recipeText !== 'string') {
-      return res.status(400).json({ error: 'Recipe text is required' });
+      return res.status(400).json({ error: translate('errors.recipeTextRequired', req.locale) });
     }
 
     // Check conversion limit before conversion
@@ -43,8 +54,8 @@ router.post('/', authenticateToken, async (req, res) => {
     
     if (!limitCheck.canConvert) {
       return res.status(403).json({
-        error: 'Monthly conversion limit reached',
-        message: `You've used all ${limitCheck.limit} free conversions this month. Upgrade to Premium for unlimited conversions.`,
+        error: translate('errors.conversionLimitReached', req.locale),
+        message: translate('messages.conversionLimitReached', req.locale, { limit: limitCheck.limit }),
         limit: limitCheck.limit,
         used: limitCheck.used,
         remaining: limitCheck.remaining,
@@ -55,17 +66,18 @@ router.post('/', authenticateToken, async (req, res) => {
 
     // Perform conversion
     const result = await convertService(recipeText, {
+      ...(await resolveUserPreferences(userId, userPreferences)),
       userId: userId,
       isPremium: limitCheck.isPremium
     });
 
-    // Track conversion in database (for limit tracking)
-    await trackConversion(userId, recipeText);
+    // Store the conversion (limit tracking for free users, history for premium)
+    const conversionId = await trackConversion(userId, recipeText, result);
 
-    res.json(result);
+    res.json({ ...(await applySubstitutionLimit(userId, result)), conversionId });
   } catch (error) {
     console.error('Error converting recipe:', error);
-    res.status(500).json({ error: 'Failed to convert recipe' });
+    res.status(500).json({ error: translate('errors.convertFailed', req.locale) });
   }
 });
 
@@ -74,59 +86,87 @@ router.post('/', authenticateToken, async (req, res) => {
  * Hybrid halal classification: deterministic rule engine + AI-enhanced explanation and substitutes.
  * Returns structured output; halal_status and confidence always from rules, not AI.
  *
- * Body: { ingredient: string, useOCRNormalization?: boolean, recipeContext?: object, intent?: string, ocrConfidence?: number }
+ * Body: { ingredient: string, useOCRNormalization?: boolean, recipeContext?: object, userPreferences?: object, intent?: string, ocrConfidence?: number }
+ * userPreferences ({ halal_standard, school_of_thought }) default to the user's profile
  * intent: simple_lookup | known_page | recipe_conversion | ocr_cleanup | ambiguous_fallback (optional; inferred from recipeContext if omitted)
- * Response: { ingredient, modifiers, halal_status, confidence, explanation, warnings, substitutes }
+ * Response: { ingredient, modifiers, halal_status, confidence, preferenceAdjustments, explanation, warnings, substitutes }
  * substitutes: { best: { name, score, reason, notes } | null, alternatives: Array<{ name, score, reason, notes }> }
+ * Best plus alternatives are capped at the plan's substitutions limit; substitution_limit: { limit, hidden, upgrade_url } when cut
  */
 router.post('/classify-ingredient', authenticateToken, async (req, res) => {
   try {
     const { ingredient, useOCRNormalization, recipeContext, userPreferences, intent, ocrConfidence } = req.body || {};
     if (!ingredient || typeof ingredient !== 'string') {
-      return res.status(400).json({ error: 'ingredient string is required' });
+      return res.status(400).json({ error: translate('errors.ingredientRequired', req.locale) });
     }
     const result = await classifyIngredient(ingredient.trim(), {
-      userPreferences: userPreferences || {},
+      userPreferences: await resolveUserPreferences(req.user.id, userPreferences),
       useOCRNormalization: Boolean(useOCRNormalization),
       recipeContext: recipeContext || {},
       intent: intent || undefined,
       ocrConfidence: ocrConfidence != null ? Number(ocrConfidence) : undefined,
+      locale: req.locale,
     });
-    res.json(result);
+    res.json(await applySubstitutionLimit(req.user.id, result));
   } catch (error) {
     console.error('Error classifying ingredient:', error);
-    res.status(500).json({ error: 'Failed to classify ingredient' });
+    res.status(500).json({ error: translate('errors.classifyFailed', req.locale) });
   }
 });
 
 /**
  * POST /convert/scan-ingredients
- * Photo scan pipeline: OCR text (or raw text) → parse → normalize → rule-engine evaluation.
- * Body (JSON): { rawText: string, ocrConfidence?: number, useAINormalization?: boolean }
- * Or multipart: field "image" (file) — then OCR runs server-side and pipeline uses extracted text.
- * Response: { summary: { halal, conditional, haram, unknown }, ingredients: [...], ocr_confidence }
+ * Photo scan pipeline: OCR text (or raw text) → parse into an ingredient tree → normalize → rule-engine evaluation.
+ * Body (JSON): { rawText: string, ocrConfidence?: number, words?: [{ text, confidence }], useAINormalization?: boolean, productId?: string, language?: string }
+ * language (en, fr, ms, tr, ar, ur) skips detection when the client already knows the label language.
+ * words (client-side OCR, confidence 0–1) gives each ingredient the confidence of its own words.
+ * Or multipart: field "image" (file) — then OCR runs server-side (preprocessed, cropped to the "Ingredients:" block)
+ * and the pipeline uses the extracted text and word confidences.
+ * productId (brandVerification) links the scan to a registered product; the response then includes productScan: { id, productId }.
+ * Response: { summary: { halal, conditional, haram, unknown }, ingredients: [...], ocr_confidence, language }
+ * Compound ingredients carry sub_ingredients and the worst verdict of their own name and parts; problem_path names the
+ * ingredient behind a haram or conditional verdict.
  */
 router.post('/scan-ingredients', authenticateToken, scanUpload.single('image'), async (req, res) => {
   try {
     let rawText = '';
     let ocrConfidence = 0.7;
+    let words = null;
 
     const body = req.body && typeof req.body === 'object' ? req.body : {};
     if (req.file && req.file.buffer) {
-      const { text, confidence } = await extractTextFromImage(req.file.buffer);
-      rawText = text || '';
-      ocrConfidence = typeof confidence === 'number' ? confidence : 0.5;
+      const ocr = await extractTextFromImage(req.file.buffer);
+      rawText = ocr.text || '';
+      ocrConfidence = typeof ocr.confidence === 'number' ? ocr.confidence : 0.5;
+      words = ocr.words;
     } else {
       rawText = (body.rawText != null ? String(body.rawText) : '').trim();
       if (body.ocrConfidence != null) ocrConfidence = Number(body.ocrConfidence);
+      if (Array.isArray(body.words)) {
+        words = body.words.filter((w) => w && typeof w.text === 'string' && Number.isFinite(w.confidence));
+      }
     }
 
     if (!rawText) {
       return res.status(400).json({
-        error: 'No text to analyze. Send rawText (JSON) or upload an image (multipart/form-data with field "image").',
+        error: translate('errors.noTextToAnalyze', req.locale),
       });
     }
 
+    let product = null;
+    if (body.productId) {
+      if (!(await canUseFeature(req.user.id, 'brandVerification'))) {
+        return res.status(403).json({
+          error: translate('errors.featureRequired', req.locale, { feature: 'brandVerification' }),
+          upgrade_url: '/subscription/upgrade'
+        });
+      }
+      product = await getStorage().products.getProductById(body.productId);
+      if (!product) {
+        return res.status(404).json({ error: translate('errors.productNotFound', req.locale) });
+      }
+    }
+
     const useOCRRoute = ocrConfidence < 0.5 ? ROUTE.AMBIGUOUS_FALLBACK : ROUTE.OCR_CLEANUP;
     const aiCleanupAllowed =
       shouldUseOCRCleanupAI(useOCRRoute, { ocrConfidence }) ||
@@ -134,15 +174,23 @@ router.post('/scan-ingredients', authenticateToken, scanUpload.single('image'),
     const useAINormalization = (body.useAINormalization !== false) && aiCleanupAllowed;
 
     const result = await runPhotoScanPipeline(rawText, {
-      userPreferences: body.userPreferences || {},
+      userPreferences: await resolveUserPreferences(req.user.id, body.userPreferences),
       ocrConfidence,
       useAINormalization,
+      words,
+      language: SUPPORTED_LANGUAGES.includes(body.language) ? body.language : undefined,
+      locale: req.locale,
     });
 
+    if (product) {
+      const scan = await getStorage().products.linkProductScan(product.id, { userId: req.user.id, rawText, scanResult: result });
+      return res.json({ ...result, productScan: { id: scan.id, productId: product.id } });
+    }
+
     res.json(result);
   } catch (error) {
     console.error('Error in scan-ingredients:', error);
-    res.status(500).json({ error: 'Failed to scan ingredients' });
+    res.status(500).json({ error: translate('errors.scanFailed', req.locale) });
   }
 });
 
@@ -166,51 +214,217 @@ router.get('/limit', authenticateToken, async (req, res) => {
     res.json(limitCheck);
   } catch (error) {
     console.error('Error fetching conversion limit:', error);
-    res.status(500).json({ error: 'Failed to fetch conversion limit' });
+    res.status(500).json({ error: translate('errors.conversionLimitFetchFailed', req.locale) });
+  }
+});
+
+/**
+ * Load a saved recipe the user may read (own recipe or public).
+ * error is in the given locale.
+ * @returns {Promise<{ recipe?: object, status?: number, error?: string }>}
+ */
+async function loadReadableRecipe(recipeId, userId, locale) {
+  const recipe = await getStorage().recipes.getRecipeById(recipeId);
+  if (!recipe) {
+    return { status: 404, error: translate('errors.recipeNotFound', locale) };
+  }
+  if (recipe.visibility !== 'public' && recipe.user_id !== userId) {
+    return { status: 403, error: translate('errors.accessDenied', locale) };
+  }
+  return { recipe };
+}
+
+/**
+ * POST /convert/scale
+ * Rescale a recipe to a number of servings and/or convert its units (premium: recipeScaling).
+ * Body: { recipeId?: string, recipeText?: string, servings?: number, originalServings?: number, unitSystem?: 'metric'|'us' }
+ * recipeId scales the saved converted recipe; recipeText is converted first, then scaled.
+ * Response: { factor, originalServings, servings, unitSystem, convertedText, ingredients: [{ original, scaled, quantity, unit, ingredient, isSubstitute, substituteFor, conversionRatio, ... }] }
+ */
+router.post('/scale', authenticateToken, requireFeature('recipeScaling'), async (req, res) => {
+  try {
+    const { recipeId, recipeText, servings, originalServings, unitSystem } = req.body || {};
+
+    if (!recipeId && (!recipeText || typeof recipeText !== 'string')) {
+      return res.status(400).json({ error: translate('errors.recipeOrTextRequired', req.locale) });
+    }
+    if (servings == null && !unitSystem) {
+      return res.status(400).json({ error: translate('errors.servingsOrUnitRequired', req.locale) });
+    }
+
+    let text;
+    let substitutions;
+    if (recipeId) {
+      const { recipe, status, error } = await loadReadableRecipe(recipeId, req.user.id, req.locale);
+      if (!recipe) {
+        return res.status(status).json({ error });
+      }
+      if (recipe.converted_recipe) {
+        text = recipe.converted_recipe;
+        substitutions = Array.isArray(recipe.substitutions_used) ? recipe.substitutions_used : [];
+      } else {
+        const converted = await convertService(recipe.original_recipe || '', { userId: req.user.id });
+        text = converted.convertedText;
+        substitutions = converted.issues.filter((issue) => issue.wasReplaced);
+      }
+    } else {
+      const converted = await convertService(recipeText, { userId: req.user.id });
+      text = converted.convertedText;
+      substitutions = converted.issues.filter((issue) => issue.wasReplaced);
+    }
+
+    let result;
+    try {
+      result = scaleRecipe(text, {
+        originalServings: originalServings != null ? Number(originalServings) : undefined,
+        servings: servings != null ? Number(servings) : null,
+        unitSystem: unitSystem || null,
+        substitutions,
+      });
+    } catch (validationError) {
+      if (!validationError.messageKey) throw validationError;
+      return res.status(400).json({ error: translate(validationError.messageKey, req.locale, validationError.params) });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error scaling recipe:', error);
+    res.status(500).json({ error: translate('errors.scaleFailed', req.locale) });
+  }
+});
+
+/**
+ * POST /convert/batch
+ * Convert many recipes in one request (premium: batchConversion).
+ * Body: { recipes?: Array<string | { recipeText: string, title?: string }>, recipeIds?: string[], userPreferences?: object }
+ * Response: { results: [{ index, recipeId, title, ok, result?, error? }], summary: { total, succeeded, failed, averageConfidence, topHaramIngredients } }
+ * Each successful conversion is tracked individually; a recipe that fails is reported in its result only.
+ */
+router.post('/batch', authenticateToken, requireFeature('batchConversion'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { recipes = [], recipeIds = [], userPreferences } = req.body || {};
+
+    if (!Array.isArray(recipes) || !Array.isArray(recipeIds)) {
+      return res.status(400).json({ error: translate('errors.batchNotArrays', req.locale) });
+    }
+    const total = recipes.length + recipeIds.length;
+    if (total === 0) {
+      return res.status(400).json({ error: translate('errors.batchEmpty', req.locale) });
+    }
+    if (total > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: translate('errors.batchTooLarge', req.locale, { max: MAX_BATCH_SIZE }) });
+    }
+
+    const items = recipes.map((r) =>
+      typeof r === 'string' ? { recipeText: r } : { recipeText: r?.recipeText, title: r?.title || null }
+    );
+    for (const recipeId of recipeIds) {
+      try {
+        const { recipe, error } = await loadReadableRecipe(recipeId, userId, req.locale);
+        items.push(recipe
+          ? { recipeId, title: recipe.title, recipeText: recipe.original_recipe }
+          : { recipeId, error });
+      } catch (loadError) {
+        console.error(`Error loading recipe ${recipeId} for batch:`, loadError);
+        items.push({ recipeId, error: translate('errors.recipeLoadFailed', req.locale) });
+      }
+    }
+
+    const result = await convertRecipesBatch(items, {
+      userPreferences: await resolveUserPreferences(userId, userPreferences),
+      locale: req.locale,
+      onConverted: (item, converted) => trackConversion(userId, item.recipeText, converted)
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in batch conversion:', error);
+    res.status(500).json({ error: translate('errors.batchFailed', req.locale) });
   }
 });
 
 /**
  * POST /convert/advanced-substitutions
- * Get advanced substitutions (premium only)
+ * Get advanced substitutions (premium only): every permitted substitute with factor breakdown, ratio, notes and affiliate links.
+ * Body: { ingredientId?: string, ingredient?: string, recipeContext?: object, userPreferences?: object, region?: string }
+ * ingredientId may be an ingredients-table UUID or a slug; ingredient is a free-text phrase.
+ * userPreferences are merged over the profile's halal standard and school of thought, as for /convert.
  */
 router.post('/advanced-substitutions', authenticateToken, requirePremium, async (req, res) => {
   try {
-    const { ingredientId } = req.body;
+    const { ingredientId, ingredient, recipeContext, userPreferences, region } = req.body || {};
+    const lookup = ingredientId || ingredient;
     
-    if (!ingredientId) {
-      return res.status(400).json({ error: 'Ingredient ID is required' });
+    if (!lookup || typeof lookup !== 'string') {
+      return res.status(400).json({ error: translate('errors.ingredientIdRequired', req.locale) });
     }
 
     // Get all alternatives with match scores (premium feature)
-    const result = await convertService.getAdvancedSubstitutions(ingredientId);
+    const result = await convertService.getAdvancedSubstitutions(lookup, {
+      recipeContext: recipeContext || {},
+      userPreferences: await resolveUserPreferences(req.user.id, userPreferences),
+      regionCode: region || null,
+      locale: req.locale
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: translate('errors.ingredientNotFound', req.locale) });
+    }
     
     res.json(result);
   } catch (error) {
     console.error('Error getting advanced substitutions:', error);
-    res.status(500).json({ error: 'Failed to get advanced substitutions' });
+    res.status(500).json({ error: translate('errors.substitutionsFailed', req.locale) });
   }
 });
 
 /**
  * POST /convert/export-shopping-list
  * Export shopping list (premium only)
+ * Body: { recipeId: string, format?: 'json'|'txt'|'csv'|'pdf', includeLinks?: boolean, region?: string }
+ * json responds with { shoppingList }; other formats download as a file.
  */
 router.post('/export-shopping-list', authenticateToken, requirePremium, async (req, res) => {
   try {
-    const { recipeId, format } = req.body;
+    const { recipeId, format = 'json', includeLinks, region } = req.body || {};
     
     if (!recipeId) {
-      return res.status(400).json({ error: 'Recipe ID is required' });
+      return res.status(400).json({ error: translate('errors.recipeIdRequired', req.locale) });
+    }
+    if (!SHOPPING_LIST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: translate('errors.formatInvalid', req.locale, { formats: SHOPPING_LIST_FORMATS.join(', ') }) });
+    }
+
+    const { features } = await getSubscriptionStatus(req.user.id);
+    if (!features.exportFormats?.includes(format)) {
+      return res.status(403).json({
+        error: translate('errors.exportFormatUnavailable', req.locale, { format }),
+        upgrade_url: '/subscription/upgrade'
+      });
+    }
+
+    const { recipe, status, error } = await loadReadableRecipe(recipeId, req.user.id, req.locale);
+    if (!recipe) {
+      return res.status(status).json({ error });
     }
 
     // Generate shopping list (premium feature)
-    const shoppingList = await convertService.generateShoppingList(recipeId, format || 'json');
-    
-    res.json({ shoppingList });
+    const exported = await convertService.generateShoppingList(recipe, format, {
+      includeLinks: Boolean(includeLinks),
+      regionCode: region || null,
+      locale: req.locale
+    });
+
+    if (format === 'json') {
+      return res.json({ shoppingList: exported.shoppingList });
+    }
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
   } catch (error) {
     console.error('Error exporting shopping list:', error);
-    res.status(500).json({ error: 'Failed to export shopping list' });
+    res.status(500).json({ error: translate('errors.exportFailed', req.locale) });
   }
 });
 
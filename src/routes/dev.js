@@ -1,19 +1,21 @@
 /**
  * Development Routes
- * Temporary routes for testing database operations
- * ⚠️ These routes should be removed or protected in production
+ * Temporary routes for testing storage operations
+ * Admins only (they create users and list every account)
  */
 
 import express from "express";
-import bcrypt from "bcrypt";
-import { getPool } from "../database.js";
-import { getAllUsersWithProfiles } from "../db/profiles.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
 
 const router = express.Router();
 
+router.use(authenticateToken, requireRole("admin"));
+
 /**
  * POST /api/dev/create-user
- * Creates a new user and profile in a transaction
+ * Creates a new user and profile
  * Body: { email: string, password: string }
  */
 router.post("/create-user", async (req, res) => {
@@ -24,7 +26,7 @@ router.post("/create-user", async (req, res) => {
     if (!email || !password) {
       return res.status(400).json({
         success: false,
-        error: "Email and password are required",
+        error: translate("errors.emailPasswordRequired", req.locale),
       });
     }
 
@@ -33,7 +35,7 @@ router.post("/create-user", async (req, res) => {
     if (!emailRegex.test(email)) {
       return res.status(400).json({
         success: false,
-        error: "Invalid email format",
+        error: translate("errors.emailInvalid", req.locale),
       });
     }
 
@@ -41,97 +43,56 @@ router.post("/create-user", async (req, res) => {
     if (password.length < 6) {
       return res.status(400).json({
         success: false,
-        error: "Password must be at least 6 characters",
+        error: translate("errors.passwordTooShort", req.locale),
       });
     }
 
-    const pool = getPool();
-    const client = await pool.connect();
+    const { users, profiles } = getStorage();
 
+    let user;
     try {
-      // Start transaction
-      await client.query("BEGIN");
-
-      // Hash password
-      const passwordHash = await bcrypt.hash(password, 10);
-      const emailLower = email.toLowerCase().trim();
-
-      // Create user (within transaction)
-      let userResult;
-      try {
-        userResult = await client.query(
-          `INSERT INTO users (email, password_hash)
-           VALUES ($1, $2)
-           RETURNING id, email, created_at`,
-          [emailLower, passwordHash]
-        );
-      } catch (userError) {
-        await client.query("ROLLBACK");
-        if (userError.code === "23505") {
-          // PostgreSQL unique violation
-          return res.status(409).json({
-            success: false,
-            error: "Email already exists",
-          });
-        }
-        throw userError;
+      user = await users.createUser(email, password);
+    } catch (userError) {
+      if (userError.message === "Email already exists") {
+        return res.status(409).json({
+          success: false,
+          error: translate("errors.emailExists", req.locale),
+        });
       }
+      throw userError;
+    }
 
-      const user = userResult.rows[0];
-
-      // Create profile with default values (within transaction)
-      const profileResult = await client.query(
-        `INSERT INTO profiles (
-          user_id, display_name, avatar_url,
-          halal_standard, school_of_thought, language, theme
-        )
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING *`,
-        [
-          user.id,
-          email.split("@")[0], // Use email prefix as default display name
-          null, // avatar_url
-          "standard", // halal_standard
-          "hanafi", // school_of_thought
-          "en", // language
-          "light", // theme
-        ]
-      );
-
-      const profile = profileResult.rows[0];
-
-      // Commit transaction
-      await client.query("COMMIT");
+    // Create profile with default values
+    const profile = await profiles.createProfile(user.id, {
+      displayName: email.split("@")[0], // Use email prefix as default display name
+      halalStandard: "standard",
+      schoolOfThought: "hanafi",
+      language: "en",
+      theme: "light",
+    });
 
-      res.status(201).json({
-        success: true,
-        message: "User and profile created successfully",
-        user: {
-          id: user.id,
-          email: user.email,
-          created_at: user.created_at,
-        },
-        profile: {
-          id: profile.id,
-          display_name: profile.display_name,
-          halal_standard: profile.halal_standard,
-          school_of_thought: profile.school_of_thought,
-          language: profile.language,
-          theme: profile.theme,
-        },
-      });
-    } catch (error) {
-      // Rollback on any error
-      await client.query("ROLLBACK");
-      throw error;
-    } finally {
-      client.release();
-    }
+    res.status(201).json({
+      success: true,
+      message: translate("messages.userCreated", req.locale),
+      user: {
+        id: user.id,
+        email: user.email,
+        created_at: user.created_at,
+      },
+      profile: {
+        id: profile.id,
+        display_name: profile.display_name,
+        halal_standard: profile.halal_standard,
+        school_of_thought: profile.school_of_thought,
+        language: profile.language,
+        theme: profile.theme,
+      },
+    });
   } catch (error) {
     console.error("Error creating user:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to create user",
+      error: translate("errors.userCreateFailed", req.locale),
       message: error.message,
     });
   }
@@ -143,7 +104,7 @@ router.post("/create-user", async (req, res) => {
  */
 router.get("/users", async (req, res) => {
   try {
-    const users = await getAllUsersWithProfiles();
+    const users = await getStorage().profiles.getAllUsersWithProfiles();
 
     res.json({
       success: true,
@@ -154,7 +115,7 @@ router.get("/users", async (req, res) => {
     console.error("Error fetching users:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch users",
+      error: translate("errors.usersFetchFailed", req.locale),
       message: error.message,
     });
   }
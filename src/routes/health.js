@@ -5,6 +5,7 @@
 
 import express from "express";
 import { getPool } from "../database.js";
+import { translate } from "../services/i18nService.js";
 
 const router = express.Router();
 
@@ -21,8 +22,7 @@ router.get("/db", async (req, res) => {
     } catch (error) {
       return res.status(503).json({
         success: false,
-        error: "Database not configured",
-        message: "DATABASE_URL environment variable is not set",
+        error: translate("errors.databaseNotConfigured", req.locale),
         timestamp: new Date().toISOString()
       });
     }
@@ -48,7 +48,7 @@ router.get("/db", async (req, res) => {
     if (readResult.rows[0].id === insertedRow.id) {
       res.json({
         success: true,
-        message: "Database read/write operations successful",
+        message: translate("messages.databaseHealthy", req.locale),
         inserted: {
           id: insertedRow.id,
           status: insertedRow.status,
@@ -64,15 +64,14 @@ router.get("/db", async (req, res) => {
     } else {
       res.status(500).json({
         success: false,
-        error: "Data mismatch between insert and read operations"
+        error: translate("errors.databaseMismatch", req.locale)
       });
     }
   } catch (error) {
     console.error("Database health check error:", error);
     res.status(500).json({
       success: false,
-      error: "Database operation failed",
-      message: error.message,
+      error: translate("errors.databaseCheckFailed", req.locale),
       timestamp: new Date().toISOString()
     });
   }
@@ -0,0 +1,257 @@
+/**
+ * Meal Plan API Routes
+ * Weekly (or any range up to 31 days) plans built from saved recipes
+ * Free tier: 1 plan; premium: unlimited (mealPlanning feature limit)
+ */
+
+import express from "express";
+import { authenticateToken } from "../middleware/auth.js";
+import { requireFeature } from "../middleware/featureGate.js";
+import { getSubscriptionStatus } from "../services/subscriptionService.js";
+import { validateMealPlan, summarizeMealPlanHalalStatus } from "../services/mealPlanService.js";
+import {
+  buildMealPlanShoppingList,
+  exportShoppingList,
+  SHOPPING_LIST_FORMATS
+} from "../services/shoppingListService.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+
+const router = express.Router();
+
+function formatPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    startDate: plan.start_date,
+    endDate: plan.end_date,
+    ...(plan.entries
+      ? {
+          entries: plan.entries.map((e) => ({
+            id: e.id,
+            date: e.plan_date,
+            slot: e.slot,
+            recipeId: e.recipe_id,
+            recipeTitle: e.recipe_title,
+            servings: e.servings
+          }))
+        }
+      : { entryCount: parseInt(plan.entry_count, 10) || 0 }),
+    createdAt: plan.created_at,
+    updatedAt: plan.updated_at
+  };
+}
+
+/**
+ * Load the recipes referenced by plan entries; each must be the user's own or public.
+ * @returns {Promise<{ recipes?: Map<string, object>, status?: number, error?: string }>}
+ */
+async function loadPlanRecipes(recipeIds, userId, locale) {
+  const recipes = new Map();
+  for (const recipeId of new Set(recipeIds)) {
+    const recipe = await getStorage().recipes.getRecipeById(recipeId);
+    if (!recipe) {
+      return { status: 404, error: translate("errors.planRecipeNotFound", locale, { recipeId }) };
+    }
+    if (recipe.visibility !== "public" && recipe.user_id !== userId) {
+      return { status: 403, error: translate("errors.planRecipeAccessDenied", locale, { recipeId }) };
+    }
+    recipes.set(recipeId, recipe);
+  }
+  return { recipes };
+}
+
+/**
+ * GET /api/meal-plans
+ * List the current user's meal plans (without entries)
+ */
+router.get("/", authenticateToken, requireFeature("mealPlanning"), async (req, res) => {
+  try {
+    const plans = await getStorage().mealPlans.getMealPlansByUserId(req.user.id);
+    res.json({ mealPlans: plans.map(formatPlan) });
+  } catch (error) {
+    console.error("Error fetching meal plans:", error);
+    res.status(500).json({ error: translate("errors.mealPlansFetchFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/meal-plans
+ * Create a meal plan
+ * Body: { name, startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD', entries?: [{ date, slot: 'breakfast'|'lunch'|'dinner'|'snack', recipeId, servings? }] }
+ * Free users are refused (402 with limit/used) once they have reached their plan limit.
+ */
+router.post(
+  "/",
+  authenticateToken,
+  requireFeature("mealPlanning", { usage: (req) => getStorage().mealPlans.countMealPlansByUserId(req.user.id) }),
+  async (req, res) => {
+    try {
+      const { value, error, params } = validateMealPlan(req.body);
+      if (error) {
+        return res.status(400).json({ error: translate(error, req.locale, params) });
+      }
+
+      const loaded = await loadPlanRecipes(value.entries.map((e) => e.recipeId), req.user.id, req.locale);
+      if (!loaded.recipes) {
+        return res.status(loaded.status).json({ error: loaded.error });
+      }
+
+      const plan = await getStorage().mealPlans.createMealPlan(req.user.id, value);
+      res.status(201).json({ mealPlan: formatPlan(plan) });
+    } catch (error) {
+      console.error("Error creating meal plan:", error);
+      res.status(500).json({ error: translate("errors.mealPlanCreateFailed", req.locale) });
+    }
+  }
+);
+
+/**
+ * GET /api/meal-plans/:id
+ * Get a meal plan with its entries
+ */
+router.get("/:id", authenticateToken, requireFeature("mealPlanning"), async (req, res) => {
+  try {
+    const plan = await getStorage().mealPlans.getMealPlanById(req.params.id, req.user.id);
+    if (!plan) {
+      return res.status(404).json({ error: translate("errors.mealPlanNotFound", req.locale) });
+    }
+    res.json({ mealPlan: formatPlan(plan) });
+  } catch (error) {
+    console.error("Error fetching meal plan:", error);
+    res.status(500).json({ error: translate("errors.mealPlanFetchFailed", req.locale) });
+  }
+});
+
+/**
+ * PUT /api/meal-plans/:id
+ * Update a meal plan; any of name, startDate, endDate, entries. entries replaces the whole list.
+ */
+router.put("/:id", authenticateToken, requireFeature("mealPlanning"), async (req, res) => {
+  try {
+    const existing = await getStorage().mealPlans.getMealPlanById(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ error: translate("errors.mealPlanNotFound", req.locale) });
+    }
+
+    const { value, error, params } = validateMealPlan(req.body, {
+      partial: true,
+      current: formatPlan(existing)
+    });
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale, params) });
+    }
+
+    if (value.entries) {
+      const loaded = await loadPlanRecipes(value.entries.map((e) => e.recipeId), req.user.id, req.locale);
+      if (!loaded.recipes) {
+        return res.status(loaded.status).json({ error: loaded.error });
+      }
+    }
+
+    const plan = await getStorage().mealPlans.updateMealPlan(existing.id, req.user.id, value);
+    if (!plan) {
+      return res.status(404).json({ error: translate("errors.mealPlanNotFound", req.locale) });
+    }
+    res.json({ mealPlan: formatPlan(plan) });
+  } catch (error) {
+    console.error("Error updating meal plan:", error);
+    res.status(500).json({ error: translate("errors.mealPlanUpdateFailed", req.locale) });
+  }
+});
+
+/**
+ * DELETE /api/meal-plans/:id
+ * Delete a meal plan. Not feature-gated so a downgraded user can always remove plans.
+ */
+router.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const deleted = await getStorage().mealPlans.deleteMealPlan(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: translate("errors.mealPlanNotFound", req.locale) });
+    }
+    res.json({ message: translate("messages.mealPlanDeleted", req.locale) });
+  } catch (error) {
+    console.error("Error deleting meal plan:", error);
+    res.status(500).json({ error: translate("errors.mealPlanDeleteFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/meal-plans/:id/shopping-list
+ * Combined shopping list for every planned slot, scaled to each slot's servings
+ * Query: ?format=json|txt|csv|pdf&includeLinks=true&region=US
+ * json responds with { shoppingList }; other formats download as a file and must be in the plan's exportFormats.
+ */
+router.get("/:id/shopping-list", authenticateToken, requireFeature("mealPlanning"), async (req, res) => {
+  try {
+    const { format = "json", includeLinks, region } = req.query;
+    if (!SHOPPING_LIST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: translate("errors.formatInvalid", req.locale, { formats: SHOPPING_LIST_FORMATS.join(", ") }) });
+    }
+    if (format !== "json") {
+      const { features } = await getSubscriptionStatus(req.user.id);
+      if (!features.exportFormats?.includes(format)) {
+        return res.status(403).json({
+          error: translate("errors.exportFormatUnavailable", req.locale, { format }),
+          upgrade_url: "/subscription/upgrade"
+        });
+      }
+    }
+
+    const plan = await getStorage().mealPlans.getMealPlanById(req.params.id, req.user.id);
+    if (!plan) {
+      return res.status(404).json({ error: translate("errors.mealPlanNotFound", req.locale) });
+    }
+    const loaded = await loadPlanRecipes(plan.entries.map((e) => e.recipe_id), req.user.id, req.locale);
+    if (!loaded.recipes) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    const shoppingList = await buildMealPlanShoppingList(
+      plan.entries.map((e) => ({ recipe: loaded.recipes.get(e.recipe_id), servings: e.servings })),
+      {
+        title: plan.name,
+        mealPlanId: plan.id,
+        includeLinks: includeLinks === "true",
+        regionCode: region || null
+      }
+    );
+
+    if (format === "json") {
+      return res.json({ shoppingList });
+    }
+    const exported = exportShoppingList(shoppingList, format);
+    res.setHeader("Content-Type", exported.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    console.error("Error building meal plan shopping list:", error);
+    res.status(500).json({ error: translate("errors.shoppingListFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/meal-plans/:id/halal-status
+ * Halal-status rollup of the planned recipes
+ * Response: { overall, counts: { halal, converted, conditional, haram }, averageConfidence, recipes: [...] }
+ */
+router.get("/:id/halal-status", authenticateToken, requireFeature("mealPlanning"), async (req, res) => {
+  try {
+    const plan = await getStorage().mealPlans.getMealPlanById(req.params.id, req.user.id);
+    if (!plan) {
+      return res.status(404).json({ error: translate("errors.mealPlanNotFound", req.locale) });
+    }
+    const loaded = await loadPlanRecipes(plan.entries.map((e) => e.recipe_id), req.user.id, req.locale);
+    if (!loaded.recipes) {
+      return res.status(loaded.status).json({ error: loaded.error });
+    }
+
+    res.json(summarizeMealPlanHalalStatus([...loaded.recipes.values()]));
+  } catch (error) {
+    console.error("Error summarizing meal plan halal status:", error);
+    res.status(500).json({ error: translate("errors.halalStatusFailed", req.locale) });
+  }
+});
+
+export default router;
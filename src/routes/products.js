@@ -0,0 +1,358 @@
+/**
+ * Product Registry API Routes
+ * Brand/product verification (premium: brandVerification): lookup by barcode or brand + name,
+ * verdict from the stored ingredient list combined with halal certification.
+ * Barcode scanning (/barcode/:code) is open to every signed-in user; certification details need the premium feature.
+ */
+
+import express from "express";
+import { authenticateToken, requireRole } from "../middleware/auth.js";
+import { requireFeature } from "../middleware/featureGate.js";
+import { canUseFeature } from "../services/subscriptionService.js";
+import {
+  verifyProduct,
+  validateBarcode,
+  VERIFICATION_SOURCES,
+  TRUSTED_CERTIFICATION_SOURCES
+} from "../services/productVerificationService.js";
+import { runPhotoScanPipeline } from "../services/photoScanPipelineService.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+
+const router = express.Router();
+
+// Sources a regular user may set; the rest are reserved for certifier/manufacturer/admin imports
+const USER_SOURCES = ["user_submission", "label_scan"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function formatProduct(p) {
+  return {
+    id: p.id,
+    barcode: p.barcode,
+    brand: p.brand,
+    name: p.name,
+    ingredientsText: p.ingredients_text,
+    certificationBody: p.certification_body,
+    certificateNumber: p.certificate_number,
+    certificateExpiresAt: p.certificate_expires_at,
+    verificationSource: p.verification_source,
+    verifiedAt: p.verified_at,
+    createdAt: p.created_at,
+    updatedAt: p.updated_at
+  };
+}
+
+/**
+ * Validate product fields from a request body.
+ * @returns {{ value: object } | { error: string, params?: object }} error is a message catalogue key
+ */
+function validateProductInput(body, { partial = false } = {}) {
+  const value = {};
+
+  for (const field of ["brand", "name"]) {
+    if (body[field] !== undefined || !partial) {
+      if (typeof body[field] !== "string" || !body[field].trim()) {
+        return { error: "errors.fieldRequired", params: { field } };
+      }
+      value[field] = body[field];
+    }
+  }
+  if (body.barcode !== undefined && body.barcode !== null && body.barcode !== "") {
+    const { barcode, error } = validateBarcode(body.barcode);
+    if (error) return { error };
+    value.barcode = barcode;
+  }
+  if (body.certificateExpiresAt !== undefined && body.certificateExpiresAt !== null && body.certificateExpiresAt !== "") {
+    if (!DATE_PATTERN.test(body.certificateExpiresAt)) {
+      return { error: "errors.certificateDateInvalid" };
+    }
+  }
+  if (body.verificationSource !== undefined) {
+    if (!VERIFICATION_SOURCES.includes(body.verificationSource)) {
+      return { error: "errors.verificationSourceInvalid", params: { sources: VERIFICATION_SOURCES.join(", ") } };
+    }
+    if (!USER_SOURCES.includes(body.verificationSource)) {
+      return { error: "errors.verificationSourceReserved", params: { source: body.verificationSource } };
+    }
+  }
+
+  for (const field of ["ingredientsText", "certificationBody", "certificateNumber", "certificateExpiresAt", "verificationSource"]) {
+    if (body[field] !== undefined) value[field] = body[field];
+  }
+  return { value };
+}
+
+/**
+ * GET /api/products/barcode/:code
+ * Look up a scanned UPC/EAN (check digit validated) and return rule-engine verdicts for its ingredients.
+ * Premium (brandVerification) responses also carry certification and the combined verdict.
+ * Response (hit): { found: true, barcode, product, ingredients, summary, certification?, verdict? }
+ * Response (miss, 404): { found: false, barcode, error, fallback } — the barcode is recorded for curation and the
+ * client should photograph the ingredient panel and send it to fallback.endpoint.
+ */
+router.get("/barcode/:code", authenticateToken, async (req, res) => {
+  try {
+    const { barcode, error } = validateBarcode(req.params.code);
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale) });
+    }
+
+    const product = await getStorage().products.getProductByBarcode(barcode);
+    if (!product) {
+      try {
+        await getStorage().products.recordUnknownBarcode(barcode, req.user.id);
+      } catch (recordError) {
+        // Recording is best-effort; the client still gets the fallback
+        console.error("Error recording unknown barcode:", recordError);
+      }
+      return res.status(404).json({
+        found: false,
+        barcode,
+        error: translate("errors.productNotFound", req.locale),
+        fallback: {
+          action: "scan_ingredients",
+          endpoint: "/convert/scan-ingredients",
+          message: translate("messages.scanIngredientsFallback", req.locale)
+        }
+      });
+    }
+
+    const verification = await verifyProduct(product, { locale: req.locale });
+    const premium = await canUseFeature(req.user.id, "brandVerification");
+    res.json({
+      found: true,
+      barcode,
+      product: formatProduct(product),
+      ingredients: verification.ingredients,
+      summary: verification.summary,
+      ...(premium ? { certification: verification.certification, verdict: verification.verdict } : {})
+    });
+  } catch (error) {
+    console.error("Error looking up barcode:", error);
+    res.status(500).json({ error: translate("errors.barcodeLookupFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/products/lookup
+ * Find a product by barcode or brand + name and verify it
+ * Query: ?barcode=0123456789012 or ?brand=...&name=...
+ * Response: { product, verification: { certification, ingredients, summary, verdict } }
+ */
+router.get("/lookup", authenticateToken, requireFeature("brandVerification"), async (req, res) => {
+  try {
+    const { barcode, brand, name } = req.query;
+    let product;
+
+    if (barcode) {
+      const validated = validateBarcode(barcode);
+      if (validated.error) {
+        return res.status(400).json({ error: translate(validated.error, req.locale) });
+      }
+      product = await getStorage().products.getProductByBarcode(validated.barcode);
+    } else if (brand && name) {
+      product = await getStorage().products.getProductByName(brand, name);
+    } else {
+      return res.status(400).json({ error: translate("errors.productQueryRequired", req.locale) });
+    }
+
+    if (!product) {
+      return res.status(404).json({ error: translate("errors.productNotFound", req.locale) });
+    }
+
+    const verification = await verifyProduct(product, { locale: req.locale });
+    res.json({ product: formatProduct(product), verification });
+  } catch (error) {
+    console.error("Error looking up product:", error);
+    res.status(500).json({ error: translate("errors.productLookupFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/products/search
+ * Search the registry by brand or product name
+ * Query: ?q=search text&limit=20
+ */
+router.get("/search", authenticateToken, requireFeature("brandVerification"), async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (q.length < 2) {
+      return res.status(400).json({ error: translate("errors.searchQueryTooShort", req.locale) });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const products = await getStorage().products.searchProducts(q, limit);
+    res.json({ products: products.map(formatProduct) });
+  } catch (error) {
+    console.error("Error searching products:", error);
+    res.status(500).json({ error: translate("errors.productSearchFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/products
+ * Register a product
+ * Body: { brand, name, barcode?, ingredientsText?, certificationBody?, certificateNumber?, certificateExpiresAt?, verificationSource? }
+ * Certification submitted here is reported as "unverified" until a curator checks it (see getCertificationStatus).
+ */
+router.post("/", authenticateToken, requireFeature("brandVerification"), async (req, res) => {
+  try {
+    const { value, error, params } = validateProductInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale, params) });
+    }
+
+    const product = await getStorage().products.createProduct({ ...value, createdBy: req.user.id });
+    if (product.barcode) {
+      await getStorage().products.resolveUnknownBarcode(product.barcode, product.id);
+    }
+    res.status(201).json({ product: formatProduct(product) });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: translate("errors.productExists", req.locale) });
+    }
+    console.error("Error creating product:", error);
+    res.status(500).json({ error: translate("errors.productCreateFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/products/:id
+ * Get a product with its verification and latest linked scans
+ */
+router.get("/:id", authenticateToken, requireFeature("brandVerification"), async (req, res) => {
+  try {
+    const product = await getStorage().products.getProductById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: translate("errors.productNotFound", req.locale) });
+    }
+
+    const [verification, scans] = await Promise.all([
+      verifyProduct(product, { locale: req.locale }),
+      getStorage().products.getProductScans(product.id)
+    ]);
+    res.json({
+      product: formatProduct(product),
+      verification,
+      scans: scans.map((s) => ({
+        id: s.id,
+        summary: s.scan_result?.summary || null,
+        createdAt: s.created_at
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching product:", error);
+    res.status(500).json({ error: translate("errors.productFetchFailed", req.locale) });
+  }
+});
+
+/**
+ * PUT /api/products/:id
+ * Update a product (submitter only). Editing the certificate clears verified_at and the trusted source,
+ * so the new certificate is unverified until a curator checks it again.
+ */
+router.put("/:id", authenticateToken, requireFeature("brandVerification"), async (req, res) => {
+  try {
+    const existing = await getStorage().products.getProductById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: translate("errors.productNotFound", req.locale) });
+    }
+    if (existing.created_by !== req.user.id) {
+      return res.status(403).json({ error: translate("errors.accessDenied", req.locale) });
+    }
+
+    const { value, error, params } = validateProductInput(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ error: translate(error, req.locale, params) });
+    }
+
+    // A curator's check covers the certificate as it was; changing it needs a new check
+    const certificationChanged = ["certificationBody", "certificateNumber", "certificateExpiresAt"].some(
+      (field) => value[field] !== undefined
+    );
+    const product = await getStorage().products.updateProduct(
+      existing.id,
+      certificationChanged
+        ? { verificationSource: "user_submission", ...value, verifiedAt: null }
+        : value
+    );
+    if (value.barcode && value.barcode !== existing.barcode) {
+      await getStorage().products.resolveUnknownBarcode(product.barcode, product.id);
+    }
+    res.json({ product: formatProduct(product) });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ error: translate("errors.productExists", req.locale) });
+    }
+    console.error("Error updating product:", error);
+    res.status(500).json({ error: translate("errors.productUpdateFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/products/:id/verify
+ * Record that a curator has checked the product's certificate (curators and admins only).
+ * Sets verified_at and a trusted verification source, so the certificate counts (see getCertificationStatus).
+ * Body: { verificationSource?: 'certifier'|'manufacturer'|'admin' } — who confirmed it; defaults to certifier
+ * Response: { product, verification }
+ */
+router.post("/:id/verify", authenticateToken, requireRole("curator"), async (req, res) => {
+  try {
+    const { verificationSource = "certifier" } = req.body || {};
+    if (!TRUSTED_CERTIFICATION_SOURCES.includes(verificationSource)) {
+      return res.status(400).json({
+        error: translate("errors.verificationSourceInvalid", req.locale, { sources: TRUSTED_CERTIFICATION_SOURCES.join(", ") })
+      });
+    }
+
+    const existing = await getStorage().products.getProductById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: translate("errors.productNotFound", req.locale) });
+    }
+    if (!existing.certification_body || !existing.certificate_expires_at) {
+      return res.status(400).json({ error: translate("errors.certificateIncomplete", req.locale) });
+    }
+
+    const product = await getStorage().products.updateProduct(existing.id, { verificationSource, verifiedAt: new Date() });
+    console.log(`Certification of product ${product.id} verified by ${req.user.id}`);
+    res.json({ product: formatProduct(product), verification: await verifyProduct(product, { locale: req.locale }) });
+  } catch (error) {
+    console.error("Error verifying product:", error);
+    res.status(500).json({ error: translate("errors.productVerifyFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/products/:id/scans
+ * Link a label scan to a product
+ * Body: { scanResult } (response of /convert/scan-ingredients) or { rawText } (scanned here without AI cleanup)
+ * Response: 201 { scan: { id, productId, summary } }
+ */
+router.post("/:id/scans", authenticateToken, requireFeature("brandVerification"), async (req, res) => {
+  try {
+    const { scanResult, rawText } = req.body || {};
+    if (!(scanResult && Array.isArray(scanResult.ingredients)) && !(typeof rawText === "string" && rawText.trim())) {
+      return res.status(400).json({ error: translate("errors.scanOrTextRequired", req.locale) });
+    }
+
+    const product = await getStorage().products.getProductById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: translate("errors.productNotFound", req.locale) });
+    }
+
+    const result = scanResult && Array.isArray(scanResult.ingredients)
+      ? scanResult
+      : await runPhotoScanPipeline(rawText, { useAINormalization: false });
+    const scan = await getStorage().products.linkProductScan(product.id, {
+      userId: req.user.id,
+      rawText: rawText || null,
+      scanResult: result
+    });
+
+    res.status(201).json({ scan: { id: scan.id, productId: product.id, summary: result.summary || null } });
+  } catch (error) {
+    console.error("Error linking product scan:", error);
+    res.status(500).json({ error: translate("errors.scanLinkFailed", req.locale) });
+  }
+});
+
+export default router;
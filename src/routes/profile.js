@@ -1,6 +1,6 @@
 /**
  * Profile Routes
- * Handle user profile management with PostgreSQL
+ * Handle user profile management
  */
 
 import express from "express";
@@ -9,11 +9,16 @@ import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
 import { authenticateToken } from "../middleware/auth.js";
-import { getUserById, updateUserDisplayName, updateUserProfileImage } from "../db/users.js";
-import { getUserWithProfile, updateProfile } from "../db/profiles.js";
-import { getRecipesByUserId } from "../db/recipes.js";
-import { getPool } from "../database.js";
-import { readUsers, writeUsers } from "../utils/dataStorage.js"; // Keep for fallback
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+import { forgetProfileSettings } from "../services/profileSettingsService.js";
+import {
+  exportUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  SUBSCRIPTION_CANCEL_FAILED,
+} from "../services/accountDataService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -54,187 +59,102 @@ const upload = multer({
   },
 });
 
-// Helper to check if DB is available
-const isDbAvailable = () => {
-  try {
-    return !!getPool();
-  } catch {
-    return false;
-  }
-};
+// Profile fields as the frontend expects them (old names kept for backward compatibility)
+function formatUserForFrontend(user) {
+  const name = user.profile?.display_name || user.display_name || user.email.split("@")[0];
+  const photo = user.profile_image_url || user.profile?.avatar_url || null;
+  return {
+    id: user.id,
+    email: user.email,
+    displayName: name,
+    username: name,
+    profile_image_url: photo,
+    profilePhoto: photo,
+    profile_photo_url: photo,
+    created_at: user.created_at,
+    createdAt: user.created_at,
+  };
+}
 
 /**
  * GET /api/profile
  * Get user profile (protected)
- * Uses PostgreSQL if available, falls back to JSON file storage
  */
 router.get("/", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
+    const userWithProfile = await getStorage().profiles.getUserWithProfile(userId);
 
-    // Try PostgreSQL first
-    if (isDbAvailable()) {
-      try {
-        const userWithProfile = await getUserWithProfile(userId);
-        
-        if (!userWithProfile) {
-          return res.status(404).json({ error: "User not found" });
-        }
-
-        // Format for frontend compatibility
-        const userResponse = {
-          id: userWithProfile.id,
-          email: userWithProfile.email,
-          displayName: userWithProfile.profile?.display_name || userWithProfile.display_name || userWithProfile.email.split("@")[0],
-          username: userWithProfile.profile?.display_name || userWithProfile.display_name || userWithProfile.email.split("@")[0],
-          profile_image_url: userWithProfile.profile_image_url || userWithProfile.profile?.avatar_url || null,
-          profilePhoto: userWithProfile.profile_image_url || userWithProfile.profile?.avatar_url || null, // Backward compatibility
-          profile_photo_url: userWithProfile.profile_image_url || userWithProfile.profile?.avatar_url || null, // Backward compatibility
-          created_at: userWithProfile.created_at,
-          createdAt: userWithProfile.created_at, // Backward compatibility
-          profile: userWithProfile.profile, // Include full profile data
-        };
-
-        return res.json({ user: userResponse });
-      } catch (dbError) {
-        console.error("DB error, falling back to JSON:", dbError);
-        // Fall through to JSON fallback
-      }
-    }
-
-    // Fallback to JSON file storage
-    const users = readUsers();
-    const user = users.find((u) => u.id === userId);
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    if (!userWithProfile) {
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
     }
 
-    const { password: _, ...userWithoutPassword } = user;
-    res.json({ user: userWithoutPassword });
+    res.json({
+      user: {
+        ...formatUserForFrontend(userWithProfile),
+        profile: userWithProfile.profile, // Include full profile data
+      },
+    });
   } catch (error) {
     console.error("Error fetching profile:", error);
-    res.status(500).json({ error: "Failed to fetch profile" });
+    res.status(500).json({ error: translate("errors.profileFetchFailed", req.locale) });
   }
 });
 
 /**
  * PUT /api/profile
- * Update user profile (protected)
- * Uses PostgreSQL if available, falls back to JSON file storage
+ * Update user profile (protected); creates the profile row if the account has none yet
  */
 router.put("/", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    const { displayName, username, bio, avatarColor, halal_standard, school_of_thought, language } = req.body;
-
-    // Try PostgreSQL first
-    if (isDbAvailable()) {
-      try {
-        // Update user display_name in users table
-        if (displayName !== undefined || username !== undefined) {
-          const nameToUpdate = displayName || username;
-          const pool = getPool();
-          const client = await pool.connect();
-          try {
-            await client.query(
-              `UPDATE users SET display_name = $1 WHERE id = $2`,
-              [nameToUpdate, userId]
-            );
-          } finally {
-            client.release();
-          }
-        }
-
-        // Update profile table
-        const profileUpdate = {};
-        if (displayName !== undefined || username !== undefined) {
-          profileUpdate.displayName = displayName || username;
-        }
-        if (bio !== undefined) {
-          profileUpdate.bio = bio;
-        }
-        if (halal_standard !== undefined) {
-          profileUpdate.halalStandard = halal_standard;
-        }
-        if (school_of_thought !== undefined) {
-          profileUpdate.schoolOfThought = school_of_thought;
-        }
-        if (language !== undefined) {
-          profileUpdate.language = language;
-        }
-
-        if (Object.keys(profileUpdate).length > 0) {
-          await updateProfile(userId, profileUpdate);
-        }
-
-        // Get updated user with profile
-        const userWithProfile = await getUserWithProfile(userId);
-
-        // Format for frontend compatibility
-        const userResponse = {
-          id: userWithProfile.id,
-          email: userWithProfile.email,
-          displayName: userWithProfile.profile?.display_name || userWithProfile.display_name || userWithProfile.email.split("@")[0],
-          username: userWithProfile.profile?.display_name || userWithProfile.display_name || userWithProfile.email.split("@")[0],
-          profile_image_url: userWithProfile.profile_image_url || userWithProfile.profile?.avatar_url || null,
-          profilePhoto: userWithProfile.profile_image_url || userWithProfile.profile?.avatar_url || null,
-          profile_photo_url: userWithProfile.profile_image_url || userWithProfile.profile?.avatar_url || null,
-          created_at: userWithProfile.created_at,
-          createdAt: userWithProfile.created_at,
-        };
-
-        return res.json({
-          message: "Profile updated successfully",
-          user: userResponse,
-        });
-      } catch (dbError) {
-        console.error("DB error, falling back to JSON:", dbError);
-        // Fall through to JSON fallback
-      }
-    }
+    const { displayName, username, bio, halal_standard, school_of_thought, language } = req.body;
+    const { users, profiles } = getStorage();
 
-    // Fallback to JSON file storage
-    const users = readUsers();
-    const userIndex = users.findIndex((u) => u.id === userId);
-
-    if (userIndex === -1) {
-      return res.status(404).json({ error: "User not found" });
+    // Update user display_name in users table
+    if (displayName !== undefined || username !== undefined) {
+      await users.updateUserDisplayName(userId, displayName || username);
     }
 
-    // Update user fields
+    // Update profile table
+    const profileUpdate = {};
     if (displayName !== undefined || username !== undefined) {
-      const value = displayName || username;
-      users[userIndex].displayName = value;
-      users[userIndex].username = value;
+      profileUpdate.displayName = displayName || username;
     }
     if (bio !== undefined) {
-      users[userIndex].bio = bio;
-    }
-    if (avatarColor !== undefined) {
-      users[userIndex].avatarColor = avatarColor;
+      profileUpdate.bio = bio;
     }
     if (halal_standard !== undefined) {
-      users[userIndex].halal_standard = halal_standard;
+      profileUpdate.halalStandard = halal_standard;
     }
     if (school_of_thought !== undefined) {
-      users[userIndex].school_of_thought = school_of_thought;
+      profileUpdate.schoolOfThought = school_of_thought;
     }
     if (language !== undefined) {
-      users[userIndex].language = language;
+      profileUpdate.language = language;
     }
-    users[userIndex].updatedAt = new Date().toISOString();
 
-    writeUsers(users);
+    if (Object.keys(profileUpdate).length > 0) {
+      if (!(await profiles.getProfileByUserId(userId))) {
+        await profiles.createProfile(userId, {});
+      }
+      await profiles.updateProfile(userId, profileUpdate);
+    }
+    forgetProfileSettings(userId);
+
+    // Get updated user with profile
+    const userWithProfile = await profiles.getUserWithProfile(userId);
+    if (!userWithProfile) {
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
+    }
 
-    const { password: _, ...userWithoutPassword } = users[userIndex];
     res.json({
-      message: "Profile updated successfully",
-      user: userWithoutPassword,
+      message: translate("messages.profileUpdated", req.locale),
+      user: formatUserForFrontend(userWithProfile),
     });
   } catch (error) {
     console.error("Error updating profile:", error);
-    res.status(500).json({ error: "Failed to update profile" });
+    res.status(500).json({ error: translate("errors.profileUpdateFailed", req.locale) });
   }
 });
 
@@ -246,102 +166,119 @@ router.put("/", authenticateToken, async (req, res) => {
 router.post("/photo", authenticateToken, upload.single("photo"), async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
+      return res.status(400).json({ error: translate("errors.noFileUploaded", req.locale) });
     }
 
     const userId = req.user.id || req.user.userId;
     const photoUrl = `/uploads/${req.file.filename}`;
+    const { users, profiles } = getStorage();
 
-    // Try PostgreSQL first
-    if (isDbAvailable()) {
-      try {
-        // Update users table with profile_image_url
-        const pool = getPool();
-        const client = await pool.connect();
-        
-        try {
-          // Get current user to check for old photo
-          const currentUser = await getUserById(userId);
-          
-          // Delete old photo if exists
-          if (currentUser?.profile_image_url) {
-            const oldPhotoPath = path.resolve(UPLOAD_DIR, path.basename(currentUser.profile_image_url));
-            if (fs.existsSync(oldPhotoPath)) {
-              fs.unlinkSync(oldPhotoPath);
-            }
-          }
-
-          // Update profile_image_url in users table
-          await client.query(
-            `UPDATE users SET profile_image_url = $1 WHERE id = $2`,
-            [photoUrl, userId]
-          );
-
-          // Also update profiles.avatar_url for backward compatibility
-          await client.query(
-            `UPDATE profiles SET avatar_url = $1 WHERE user_id = $2`,
-            [photoUrl, userId]
-          );
-        } finally {
-          client.release();
-        }
-
-        // Get updated user
-        const user = await getUserById(userId);
-
-        const userResponse = {
-          id: user.id,
-          email: user.email,
-          displayName: user.display_name || user.email.split("@")[0],
-          username: user.display_name || user.email.split("@")[0],
-          profile_image_url: user.profile_image_url || null,
-          profilePhoto: user.profile_image_url || null,
-          profile_photo_url: user.profile_image_url || null,
-          created_at: user.created_at,
-          createdAt: user.created_at,
-        };
-
-        return res.json({
-          message: "Profile photo uploaded successfully",
-          user: userResponse,
-        });
-      } catch (dbError) {
-        console.error("DB error, falling back to JSON:", dbError);
-        // Fall through to JSON fallback
-      }
-    }
-
-    // Fallback to JSON file storage
-    const users = readUsers();
-    const userIndex = users.findIndex((u) => u.id === userId);
-
-    if (userIndex === -1) {
-      return res.status(404).json({ error: "User not found" });
+    // Get current user to check for old photo
+    const currentUser = await users.getUserById(userId);
+    if (!currentUser) {
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
     }
 
     // Delete old photo if exists
-    if (users[userIndex].profilePhoto) {
-      const oldPhotoPath = path.resolve(UPLOAD_DIR, path.basename(users[userIndex].profilePhoto));
+    if (currentUser.profile_image_url) {
+      const oldPhotoPath = path.resolve(UPLOAD_DIR, path.basename(currentUser.profile_image_url));
       if (fs.existsSync(oldPhotoPath)) {
         fs.unlinkSync(oldPhotoPath);
       }
     }
 
-    // Update profile photo URL
-    users[userIndex].profilePhoto = photoUrl;
-    users[userIndex].profile_photo_url = photoUrl;
-    users[userIndex].updatedAt = new Date().toISOString();
+    // Update profile_image_url in users table
+    const user = await users.updateUserProfileImage(userId, photoUrl);
 
-    writeUsers(users);
+    // Also update profiles.avatar_url for backward compatibility
+    await profiles.setProfileAvatar(userId, photoUrl);
 
-    const { password: _, ...userWithoutPassword } = users[userIndex];
     res.json({
-      message: "Profile photo uploaded successfully",
-      user: userWithoutPassword,
+      message: translate("messages.profilePhotoUploaded", req.locale),
+      user: formatUserForFrontend(user),
     });
   } catch (error) {
     console.error("Error uploading photo:", error);
-    res.status(500).json({ error: "Failed to upload photo" });
+    res.status(500).json({ error: translate("errors.photoUploadFailed", req.locale) });
+  }
+});
+
+/**
+ * GET /api/profile/export
+ * Download everything stored about the current user as one JSON file (GDPR data portability)
+ */
+router.get("/export", authenticateToken, async (req, res) => {
+  try {
+    const bundle = await exportUserData(req.user.id || req.user.userId);
+
+    if (!bundle) {
+      return res.status(404).json({ error: translate("errors.userNotFound", req.locale) });
+    }
+
+    const date = bundle.exported_at.slice(0, 10);
+    res.set("Content-Disposition", `attachment; filename="halal-kitchen-export-${date}.json"`);
+    res.json(bundle);
+  } catch (error) {
+    console.error("Error exporting user data:", error);
+    res.status(500).json({ error: translate("errors.dataExportFailed", req.locale) });
+  }
+});
+
+/**
+ * DELETE /api/profile
+ * Delete the current user's account (protected). Body: { password }
+ * Cancels the Stripe subscription, anonymizes analytics rows and signs out every session now;
+ * the account and its data are deleted for good after the grace period.
+ * 502 when Stripe refuses to cancel the subscription (nothing is changed then).
+ */
+router.delete("/", authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password) {
+      return res.status(400).json({ error: translate("errors.deletionPasswordRequired", req.locale) });
+    }
+
+    const verified = await getStorage().users.verifyUserPassword(req.user.email, password);
+    if (!verified || verified.id !== req.user.id) {
+      return res.status(403).json({ error: translate("errors.incorrectPassword", req.locale) });
+    }
+
+    let outcome;
+    try {
+      outcome = await scheduleAccountDeletion(req.user.id);
+    } catch (deletionError) {
+      if (deletionError.code !== SUBSCRIPTION_CANCEL_FAILED) throw deletionError;
+      console.error("Error canceling subscription for account deletion:", deletionError);
+      return res.status(502).json({
+        error: translate("errors.subscriptionCancelFailed", req.locale),
+      });
+    }
+
+    res.status(202).json({
+      message: translate("messages.accountDeletionScheduled", req.locale, { days: ACCOUNT_DELETION_GRACE_DAYS }),
+      deletion_scheduled_for: outcome.deletionScheduledFor,
+      canceled_subscriptions: outcome.canceledSubscriptions,
+    });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ error: translate("errors.accountDeleteFailed", req.locale) });
+  }
+});
+
+/**
+ * POST /api/profile/deletion/cancel
+ * Keep an account that is scheduled for deletion (protected, within the grace period)
+ */
+router.post("/deletion/cancel", authenticateToken, async (req, res) => {
+  try {
+    const canceled = await cancelAccountDeletion(req.user.id);
+    if (!canceled) {
+      return res.status(404).json({ error: translate("errors.noPendingDeletion", req.locale) });
+    }
+    res.json({ message: translate("messages.accountDeletionCanceled", req.locale) });
+  } catch (error) {
+    console.error("Error canceling account deletion:", error);
+    res.status(500).json({ error: translate("errors.deletionCancelFailed", req.locale) });
   }
 });
 
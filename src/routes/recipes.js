@@ -1,28 +1,17 @@
 import express from "express";
-import { readRecipes, writeRecipes } from "../utils/dataStorage.js";
 import { authenticateToken, optionalAuth } from "../middleware/auth.js";
-import { 
-  createRecipe as createRecipeDB, 
-  getRecipeById as getRecipeByIdDB,
-  getPublicRecipes as getPublicRecipesDB,
-  getRecipesByUserId as getRecipesByUserIdDB,
-  updateRecipe as updateRecipeDB,
-  deleteRecipe as deleteRecipeDB
-} from "../db/recipes.js";
-import { getPool } from "../database.js";
+import { getStorage } from "../storage/index.js";
+import { translate } from "../services/i18nService.js";
+import {
+  checkUsageLimit,
+  limitExceededBody,
+  isRecipeReadOnly,
+  readOnlyRecipeBody
+} from "../services/entitlementService.js";
 
 const router = express.Router();
 
-// Helper to check if DB is available
-const isDbAvailable = () => {
-  try {
-    return !!getPool();
-  } catch {
-    return false;
-  }
-};
-
-// Format DB recipe for frontend (id, userId, title, originalRecipe, convertedRecipe, substitutions_used, created_at, etc.)
+// Format a stored recipe for frontend (id, userId, title, originalRecipe, convertedRecipe, substitutions_used, created_at, etc.)
 function formatDbRecipeForFrontend(r) {
   const subs = r.substitutions_used != null
     ? (Array.isArray(r.substitutions_used) ? r.substitutions_used : [])
@@ -57,6 +46,8 @@ function formatDbRecipeForFrontend(r) {
     likes: r.likes || 0,
     comments: r.comments || 0,
     shares: r.shares || 0,
+    read_only: isRecipeReadOnly(r),
+    readOnly: isRecipeReadOnly(r),
     created_at: r.created_at,
     createdAt: r.created_at,
     savedAt: r.created_at,
@@ -67,117 +58,85 @@ function formatDbRecipeForFrontend(r) {
 
 /**
  * GET /api/recipes/public
- * Get all public recipes (no authentication required)
+ * Get public recipes (no authentication required), newest first
  */
-router.get("/public", (req, res) => {
+router.get("/public", async (req, res) => {
   try {
-    const recipes = readRecipes();
-    const publicRecipes = recipes.filter((r) => r.isPublic === true);
-    
-    // Sort by createdAt (newest first)
-    publicRecipes.sort((a, b) => new Date(b.createdAt || b.created_at) - new Date(a.createdAt || a.created_at));
-
-    res.json({ recipes: publicRecipes });
+    const recipes = await getStorage().recipes.getPublicRecipes();
+    res.json({ recipes: recipes.map(formatDbRecipeForFrontend) });
   } catch (error) {
     console.error("Error fetching public recipes:", error);
-    res.status(500).json({ error: "Failed to fetch recipes" });
+    res.status(500).json({ error: translate("errors.recipesFetchFailed", req.locale) });
   }
 });
 
 /**
  * GET /api/recipes
- * Get recipes (public recipes for all, private for authenticated user)
+ * Get recipes (public recipes for all, plus the authenticated user's private ones)
  */
-router.get("/", optionalAuth, (req, res) => {
+router.get("/", optionalAuth, async (req, res) => {
   try {
-    let recipes = readRecipes();
+    const { recipes } = getStorage();
+    const visible = new Map();
 
-    // If user is authenticated, show their private recipes + all public
-    // If not authenticated, only show public recipes
+    for (const recipe of await recipes.getPublicRecipes()) {
+      visible.set(recipe.id, recipe);
+    }
     if (req.user) {
-      recipes = recipes.filter(
-        (r) => r.isPublic === true || r.userId === req.user.userId
-      );
-    } else {
-      recipes = recipes.filter((r) => r.isPublic === true);
+      for (const recipe of await recipes.getRecipesByUserId(req.user.id)) {
+        visible.set(recipe.id, recipe);
+      }
     }
 
-    // Sort by createdAt (newest first)
-    recipes.sort((a, b) => new Date(b.createdAt || b.created_at) - new Date(a.createdAt || a.created_at));
+    // Sort by created_at (newest first)
+    const sorted = [...visible.values()].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
-    res.json({ recipes });
+    res.json({ recipes: sorted.map(formatDbRecipeForFrontend) });
   } catch (error) {
     console.error("Error fetching recipes:", error);
-    res.status(500).json({ error: "Failed to fetch recipes" });
+    res.status(500).json({ error: translate("errors.recipesFetchFailed", req.locale) });
   }
 });
 
 /**
  * GET /api/recipes/my
- * Get current user's recipes (protected). Uses DB when available.
+ * Get current user's recipes (protected)
  */
 router.get("/my", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id || req.user.userId;
-    if (isDbAvailable()) {
-      try {
-        const dbRecipes = await getRecipesByUserIdDB(userId);
-        const formatted = dbRecipes.map(formatDbRecipeForFrontend);
-        return res.json({ recipes: formatted });
-      } catch (dbErr) {
-        console.error("DB error in GET /my, falling back to file:", dbErr);
-      }
-    }
-    const recipes = readRecipes();
-    const userRecipes = recipes.filter((r) => r.userId === userId);
-    userRecipes.sort((a, b) => new Date(b.createdAt || b.created_at) - new Date(a.createdAt || a.created_at));
-    res.json({ recipes: userRecipes });
+    const recipes = await getStorage().recipes.getRecipesByUserId(userId);
+    res.json({ recipes: recipes.map(formatDbRecipeForFrontend) });
   } catch (error) {
     console.error("Error fetching user recipes:", error);
-    res.status(500).json({ error: "Failed to fetch recipes" });
+    res.status(500).json({ error: translate("errors.recipesFetchFailed", req.locale) });
   }
 });
 
 /**
  * GET /api/recipes/:id
- * Get single recipe by ID. Uses DB when available.
+ * Get single recipe by ID
  */
 router.get("/:id", optionalAuth, async (req, res) => {
   try {
-    const id = req.params.id;
-    if (isDbAvailable()) {
-      try {
-        const dbRecipe = await getRecipeByIdDB(id);
-        if (!dbRecipe) {
-          return res.status(404).json({ error: "Recipe not found" });
-        }
-        if (dbRecipe.visibility !== "public" && (!req.user || (req.user.id || req.user.userId) !== dbRecipe.user_id)) {
-          return res.status(403).json({ error: "Access denied" });
-        }
-        return res.json({ recipe: formatDbRecipeForFrontend(dbRecipe) });
-      } catch (dbErr) {
-        console.error("DB error in GET /:id, falling back to file:", dbErr);
-      }
-    }
-    const recipes = readRecipes();
-    const recipe = recipes.find((r) => r.id === id);
+    const recipe = await getStorage().recipes.getRecipeById(req.params.id);
     if (!recipe) {
-      return res.status(404).json({ error: "Recipe not found" });
+      return res.status(404).json({ error: translate("errors.recipeNotFound", req.locale) });
     }
-    if (!recipe.isPublic && (!req.user || recipe.userId !== req.user.userId)) {
-      return res.status(403).json({ error: "Access denied" });
+    if (recipe.visibility !== "public" && (!req.user || req.user.id !== recipe.user_id)) {
+      return res.status(403).json({ error: translate("errors.accessDenied", req.locale) });
     }
-    res.json({ recipe });
+    res.json({ recipe: formatDbRecipeForFrontend(recipe) });
   } catch (error) {
     console.error("Error fetching recipe:", error);
-    res.status(500).json({ error: "Failed to fetch recipe" });
+    res.status(500).json({ error: translate("errors.recipeFetchFailed", req.locale) });
   }
 });
 
 /**
  * POST /api/recipes
  * Create new recipe (protected)
- * Uses PostgreSQL if available, falls back to JSON file storage
+ * 402 when the user's plan allows no more saved recipes (savedRecipes limit)
  */
 router.post("/", authenticateToken, async (req, res) => {
   try {
@@ -198,7 +157,7 @@ router.post("/", authenticateToken, async (req, res) => {
 
     // Validation
     if (!title || !title.trim()) {
-      return res.status(400).json({ error: "Title is required" });
+      return res.status(400).json({ error: translate("errors.titleRequired", req.locale) });
     }
 
     // Normalize media_url (support both single URL and array)
@@ -211,217 +170,123 @@ router.post("/", authenticateToken, async (req, res) => {
 
     const visibility = isPublic === true || isPublic === undefined ? "public" : "private";
 
-    // Try PostgreSQL first
-    if (isDbAvailable()) {
-      try {
-        const subs = Array.isArray(substitutionsUsed) ? substitutionsUsed : (Array.isArray(substitutions_used) ? substitutions_used : []);
-        const recipeData = {
-          userId: req.user.id || req.user.userId,
-          title: title.trim(),
-          originalRecipe: originalRecipe || "",
-          convertedRecipe: convertedRecipe || "",
-          ingredients: ingredients || [],
-          instructions: instructions || "",
-          category: category || "Main Course",
-          hashtags: hashtags || [],
-          mediaUrl: media_url,
-          confidenceScore: confidenceScore || 0,
-          visibility: visibility,
-          substitutionsUsed: subs,
-        };
-
-        const dbRecipe = await createRecipeDB(recipeData);
-
-        // Format response for frontend compatibility (use shared formatter when available)
-        const formattedRecipe = formatDbRecipeForFrontend({
-          ...dbRecipe,
-          username: req.user.displayName || req.user.username || req.user.email?.split("@")[0],
-        });
-        formattedRecipe.mediaType = "image";
-        formattedRecipe.isLiked = false;
-        formattedRecipe.isSaved = false;
-
-        return res.status(201).json({
-          message: visibility === "public" ? "Recipe posted successfully" : "Recipe saved successfully",
-          recipe: formattedRecipe,
-        });
-      } catch (dbError) {
-        console.error("DB error, falling back to JSON:", dbError);
-        // Fall through to JSON fallback
-      }
+    const { recipes } = getStorage();
+    const userId = req.user.id || req.user.userId;
+    const savedRecipesUsage = { usage: () => recipes.countRecipesByUserId(userId) };
+    const limitCheck = await checkUsageLimit(userId, "savedRecipes", savedRecipesUsage);
+    if (!limitCheck.allowed) {
+      return res.status(402).json(limitExceededBody(limitCheck, req.locale));
     }
 
-    // Fallback to JSON file storage
-    const recipes = readRecipes();
-
-    const newRecipe = {
-      id: Date.now().toString(),
-      user_id: req.user.id || req.user.userId,
-      userId: req.user.id || req.user.userId, // Keep for backward compatibility
-      username: req.user.displayName || req.user.username || req.user.email?.split("@")[0],
+    const subs = Array.isArray(substitutionsUsed) ? substitutionsUsed : (Array.isArray(substitutions_used) ? substitutions_used : []);
+    const recipe = await recipes.createRecipe({
+      userId,
       title: title.trim(),
-      original_recipe: originalRecipe || "",
-      originalRecipe: originalRecipe || "", // Keep for backward compatibility
-      converted_recipe: convertedRecipe || "",
-      convertedRecipe: convertedRecipe || "", // Keep for backward compatibility
-      description: instructions || "",
+      originalRecipe: originalRecipe || "",
+      convertedRecipe: convertedRecipe || "",
       ingredients: ingredients || [],
+      instructions: instructions || "",
       category: category || "Main Course",
       hashtags: hashtags || [],
-      media_url: media_url,
-      mediaUrls: mediaUrls || [], // Keep for backward compatibility
-      mediaType: "image",
-      confidence_score: confidenceScore || 0,
-      confidenceScore: confidenceScore || 0, // Keep for backward compatibility
-      is_public: visibility === "public",
-      isPublic: visibility === "public", // Keep for backward compatibility
+      mediaUrl: media_url,
+      confidenceScore: confidenceScore || 0,
       visibility: visibility,
-      likes: 0,
-      comments: 0,
-      shares: 0,
-      isLiked: false,
-      isSaved: false,
-      created_at: new Date().toISOString(),
-      createdAt: new Date().toISOString(), // Keep for backward compatibility
-      updatedAt: new Date().toISOString(),
-    };
+      substitutionsUsed: subs,
+      maxRecipes: limitCheck.limit,
+    });
+    if (!recipe) {
+      // Another save reached the limit between the check and the insert
+      const check = await checkUsageLimit(userId, "savedRecipes", savedRecipesUsage);
+      return res.status(402).json(limitExceededBody(check, req.locale));
+    }
 
-    recipes.push(newRecipe);
-    writeRecipes(recipes);
+    // Format response for frontend compatibility
+    const formattedRecipe = formatDbRecipeForFrontend({
+      ...recipe,
+      username: req.user.displayName || req.user.username || req.user.email?.split("@")[0],
+    });
+    formattedRecipe.mediaType = "image";
+    formattedRecipe.isLiked = false;
+    formattedRecipe.isSaved = false;
 
     res.status(201).json({
-      message: visibility === "public" ? "Recipe posted successfully" : "Recipe saved successfully",
-      recipe: newRecipe,
+      message: translate(visibility === "public" ? "messages.recipePosted" : "messages.recipeSaved", req.locale),
+      recipe: formattedRecipe,
     });
   } catch (error) {
     console.error("Error creating recipe:", error);
-    res.status(500).json({ error: "Failed to create recipe" });
+    res.status(500).json({ error: translate("errors.recipeCreateFailed", req.locale) });
   }
 });
 
 /**
  * PUT /api/recipes/:id
  * Update recipe (protected, only owner)
+ * 403 with read_only_since when the recipe was made read-only by a downgrade to the free plan.
  */
-router.put("/:id", authenticateToken, (req, res) => {
+router.put("/:id", authenticateToken, async (req, res) => {
   try {
-    const recipes = readRecipes();
-    const recipeIndex = recipes.findIndex((r) => r.id === req.params.id);
-
-    if (recipeIndex === -1) {
-      return res.status(404).json({ error: "Recipe not found" });
-    }
-
-    const recipe = recipes[recipeIndex];
-
-    // Check ownership
-    if (recipe.userId !== req.user.userId) {
-      return res.status(403).json({ error: "You can only edit your own recipes" });
+    const { recipes } = getStorage();
+    const recipe = await recipes.getRecipeById(req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: translate("errors.recipeNotFound", req.locale) });
     }
 
-    // Update allowed fields (support both new and old field names)
-    const {
-      title,
-      originalRecipe,
-      original_recipe,
-      convertedRecipe,
-      converted_recipe,
-      ingredients,
-      instructions,
-      isPublic,
-      is_public,
-      category,
-      hashtags,
-      mediaUrls,
-      media_url,
-      confidenceScore,
-      confidence_score,
-    } = req.body;
-
-    if (title !== undefined) {
-      recipes[recipeIndex].title = title.trim();
-    }
-    if (originalRecipe !== undefined || original_recipe !== undefined) {
-      const value = originalRecipe || original_recipe;
-      recipes[recipeIndex].originalRecipe = value;
-      recipes[recipeIndex].original_recipe = value;
-    }
-    if (convertedRecipe !== undefined || converted_recipe !== undefined) {
-      const value = convertedRecipe || converted_recipe;
-      recipes[recipeIndex].convertedRecipe = value;
-      recipes[recipeIndex].converted_recipe = value;
-    }
-    if (ingredients !== undefined) recipes[recipeIndex].ingredients = ingredients;
-    if (instructions !== undefined) recipes[recipeIndex].description = instructions;
-    if (isPublic !== undefined || is_public !== undefined) {
-      const value = (isPublic === true || is_public === true);
-      recipes[recipeIndex].isPublic = value;
-      recipes[recipeIndex].is_public = value;
-    }
-    if (category !== undefined) recipes[recipeIndex].category = category;
-    if (hashtags !== undefined) recipes[recipeIndex].hashtags = hashtags;
-    if (mediaUrls !== undefined || media_url !== undefined) {
-      const value = mediaUrls || media_url;
-      recipes[recipeIndex].mediaUrls = Array.isArray(value) ? value : [value];
-      recipes[recipeIndex].media_url = Array.isArray(value) ? value[0] : value;
+    const userId = req.user.id || req.user.userId;
+    if (recipe.user_id !== userId) {
+      return res.status(403).json({ error: translate("errors.recipeEditOwnOnly", req.locale) });
     }
-    if (confidenceScore !== undefined || confidence_score !== undefined) {
-      const value = confidenceScore || confidence_score;
-      recipes[recipeIndex].confidenceScore = value;
-      recipes[recipeIndex].confidence_score = value;
+    if (isRecipeReadOnly(recipe)) {
+      return res.status(403).json(readOnlyRecipeBody(recipe, req.locale));
     }
 
-    recipes[recipeIndex].updatedAt = new Date().toISOString();
-
-    writeRecipes(recipes);
+    // Support both new and old field names
+    const body = req.body || {};
+    const pick = (...values) => values.find((v) => v !== undefined);
+    const publicFlag = pick(body.isPublic, body.is_public);
+    const mediaValue = pick(body.mediaUrls, body.media_url);
+    const updated = await recipes.updateRecipe(recipe.id, userId, {
+      title: body.title,
+      originalRecipe: pick(body.originalRecipe, body.original_recipe),
+      convertedRecipe: pick(body.convertedRecipe, body.converted_recipe),
+      ingredients: body.ingredients,
+      instructions: body.instructions,
+      category: body.category,
+      hashtags: body.hashtags,
+      mediaUrl: Array.isArray(mediaValue) ? mediaValue[0] || null : mediaValue,
+      confidenceScore: pick(body.confidenceScore, body.confidence_score),
+      visibility: publicFlag === undefined ? undefined : publicFlag === true ? "public" : "private",
+      substitutionsUsed: pick(body.substitutionsUsed, body.substitutions_used),
+    });
 
     res.json({
-      message: "Recipe updated successfully",
-      recipe: recipes[recipeIndex],
+      message: translate("messages.recipeUpdated", req.locale),
+      recipe: formatDbRecipeForFrontend({ ...updated, username: recipe.username }),
     });
   } catch (error) {
     console.error("Error updating recipe:", error);
-    res.status(500).json({ error: "Failed to update recipe" });
+    res.status(500).json({ error: translate("errors.recipeUpdateFailed", req.locale) });
   }
 });
 
 /**
  * DELETE /api/recipes/:id
- * Delete recipe (protected, only owner). Uses DB when available.
+ * Delete recipe (protected, only owner)
  */
 router.delete("/:id", authenticateToken, async (req, res) => {
   try {
-    const id = req.params.id;
     const userId = req.user.id || req.user.userId;
-    if (isDbAvailable()) {
-      try {
-        const deleted = await deleteRecipeDB(id, userId);
-        if (deleted) {
-          return res.json({ message: "Recipe deleted successfully" });
-        }
-        return res.status(404).json({ error: "Recipe not found" });
-      } catch (dbErr) {
-        if (dbErr.message && dbErr.message.includes("only delete your own")) {
-          return res.status(403).json({ error: dbErr.message });
-        }
-        console.error("DB error in DELETE /:id, falling back to file:", dbErr);
-      }
+    const deleted = await getStorage().recipes.deleteRecipe(req.params.id, userId);
+    if (!deleted) {
+      return res.status(404).json({ error: translate("errors.recipeNotFound", req.locale) });
     }
-    const recipes = readRecipes();
-    const recipeIndex = recipes.findIndex((r) => r.id === id);
-    if (recipeIndex === -1) {
-      return res.status(404).json({ error: "Recipe not found" });
-    }
-    const recipe = recipes[recipeIndex];
-    if (recipe.userId !== userId) {
-      return res.status(403).json({ error: "You can only delete your own recipes" });
-    }
-    recipes.splice(recipeIndex, 1);
-    writeRecipes(recipes);
-    res.json({ message: "Recipe deleted successfully" });
+    res.json({ message: translate("messages.recipeDeleted", req.locale) });
   } catch (error) {
+    if (error.message && error.message.includes("only delete your own")) {
+      return res.status(403).json({ error: translate("errors.recipeDeleteOwnOnly", req.locale) });
+    }
     console.error("Error deleting recipe:", error);
-    res.status(500).json({ error: "Failed to delete recipe" });
+    res.status(500).json({ error: translate("errors.recipeDeleteFailed", req.locale) });
   }
 });
 
@@ -4,8 +4,10 @@
  */
 
 import express from 'express';
-import { getPool } from '../database.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { getStorage } from '../storage/index.js';
+import { authenticateToken, requireVerifiedEmail } from '../middleware/auth.js';
+import { triggerGracefulDowngrade, restorePremiumEntitlements } from '../services/subscriptionService.js';
+import { translate } from '../services/i18nService.js';
 
 const router = express.Router();
 
@@ -18,30 +20,11 @@ const router = express.Router();
 router.get('/status', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const pool = getPool();
 
     // Get user's subscription
-    const subscriptionResult = await pool.query(
-      `SELECT 
-        s.id,
-        s.user_id,
-        s.stripe_subscription_id,
-        s.stripe_customer_id,
-        s.plan_type,
-        s.status,
-        s.current_period_start,
-        s.current_period_end,
-        s.cancel_at_period_end,
-        s.created_at,
-        s.updated_at
-      FROM subscriptions s
-      WHERE s.user_id = $1
-      ORDER BY s.created_at DESC
-      LIMIT 1`,
-      [userId]
-    );
+    const subscription = await getStorage().subscriptions.getLatestSubscription(userId);
 
-    if (subscriptionResult.rows.length === 0) {
+    if (!subscription) {
       // No subscription - return free tier status
       return res.json({
         subscribed: false,
@@ -53,7 +36,6 @@ router.get('/status', authenticateToken, async (req, res) => {
       });
     }
 
-    const subscription = subscriptionResult.rows[0];
     const isActive = subscription.status === 'active' && 
                      new Date(subscription.current_period_end) > new Date();
 
@@ -68,7 +50,7 @@ router.get('/status', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching subscription status:', error);
-    res.status(500).json({ error: 'Failed to fetch subscription status' });
+    res.status(500).json({ error: translate('errors.subscriptionStatusFailed', req.locale) });
   }
 });
 
@@ -77,14 +59,15 @@ router.get('/status', authenticateToken, async (req, res) => {
  * Create Stripe checkout session for subscription
  * 
  * Body: { plan: 'monthly' | 'yearly' }
+ * With REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true, unverified accounts get 403
  */
-router.post('/create-checkout', authenticateToken, async (req, res) => {
+router.post('/create-checkout', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
     const { plan } = req.body;
     const userId = req.user.id;
 
     if (!plan || !['monthly', 'yearly'].includes(plan)) {
-      return res.status(400).json({ error: 'Invalid plan. Must be "monthly" or "yearly"' });
+      return res.status(400).json({ error: translate('errors.planInvalid', req.locale) });
     }
 
     // Stripe prices (set these in Stripe dashboard)
@@ -96,18 +79,12 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
     // Create Stripe checkout session
     const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
     
-    const pool = getPool();
+    const { users } = getStorage();
     
     // Get or create Stripe customer
-    let customerId = null;
-    const userResult = await pool.query(
-      `SELECT stripe_customer_id FROM users WHERE id = $1`,
-      [userId]
-    );
+    let customerId = await users.getStripeCustomerId(userId);
     
-    if (userResult.rows.length > 0 && userResult.rows[0].stripe_customer_id) {
-      customerId = userResult.rows[0].stripe_customer_id;
-    } else {
+    if (!customerId) {
       // Create customer if doesn't exist
       const customer = await stripe.customers.create({
         email: req.user.email,
@@ -118,10 +95,7 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
       customerId = customer.id;
       
       // Store customer ID in database
-      await pool.query(
-        `UPDATE users SET stripe_customer_id = $1 WHERE id = $2`,
-        [customerId, userId]
-      );
+      await users.setStripeCustomerId(userId, customerId);
     }
     
     const session = await stripe.checkout.sessions.create({
@@ -154,7 +128,7 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating checkout session:', error);
-    res.status(500).json({ error: 'Failed to create checkout session' });
+    res.status(500).json({ error: translate('errors.checkoutFailed', req.locale) });
   }
 });
 
@@ -165,23 +139,16 @@ router.post('/create-checkout', authenticateToken, async (req, res) => {
 router.post('/cancel', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const pool = getPool();
+    const { subscriptions } = getStorage();
 
     // Get user's active subscription
-    const subscriptionResult = await pool.query(
-      `SELECT stripe_subscription_id, status
-       FROM subscriptions
-       WHERE user_id = $1 AND status = 'active'
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [userId]
-    );
+    const activeSubscription = await subscriptions.getLatestSubscription(userId, { status: 'active' });
 
-    if (subscriptionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'No active subscription found' });
+    if (!activeSubscription) {
+      return res.status(404).json({ error: translate('errors.noActiveSubscription', req.locale) });
     }
 
-    const { stripe_subscription_id } = subscriptionResult.rows[0];
+    const { stripe_subscription_id } = activeSubscription;
 
     // Cancel in Stripe (at period end)
     const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
@@ -190,22 +157,16 @@ router.post('/cancel', authenticateToken, async (req, res) => {
     });
 
     // Update database
-    await pool.query(
-      `UPDATE subscriptions
-       SET cancel_at_period_end = true,
-           updated_at = NOW()
-       WHERE stripe_subscription_id = $1`,
-      [stripe_subscription_id]
-    );
+    await subscriptions.updateSubscription(stripe_subscription_id, { cancelAtPeriodEnd: true });
 
     res.json({
       success: true,
-      message: 'Subscription will cancel at period end',
+      message: translate('messages.subscriptionCancelScheduled', req.locale),
       cancel_at: subscription.cancel_at
     });
   } catch (error) {
     console.error('Error canceling subscription:', error);
-    res.status(500).json({ error: 'Failed to cancel subscription' });
+    res.status(500).json({ error: translate('errors.cancelSubscriptionFailed', req.locale) });
   }
 });
 
@@ -216,23 +177,16 @@ router.post('/cancel', authenticateToken, async (req, res) => {
 router.post('/reactivate', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
-    const pool = getPool();
+    const { subscriptions } = getStorage();
 
     // Get user's subscription
-    const subscriptionResult = await pool.query(
-      `SELECT stripe_subscription_id
-       FROM subscriptions
-       WHERE user_id = $1
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [userId]
-    );
+    const latestSubscription = await subscriptions.getLatestSubscription(userId);
 
-    if (subscriptionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'No subscription found' });
+    if (!latestSubscription) {
+      return res.status(404).json({ error: translate('errors.noSubscription', req.locale) });
     }
 
-    const { stripe_subscription_id } = subscriptionResult.rows[0];
+    const { stripe_subscription_id } = latestSubscription;
 
     // Reactivate in Stripe
     const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
@@ -241,18 +195,12 @@ router.post('/reactivate', authenticateToken, async (req, res) => {
     });
 
     // Update database
-    await pool.query(
-      `UPDATE subscriptions
-       SET cancel_at_period_end = false,
-           updated_at = NOW()
-       WHERE stripe_subscription_id = $1`,
-      [stripe_subscription_id]
-    );
+    await subscriptions.updateSubscription(stripe_subscription_id, { cancelAtPeriodEnd: false });
 
-    res.json({ success: true, message: 'Subscription reactivated' });
+    res.json({ success: true, message: translate('messages.subscriptionReactivated', req.locale) });
   } catch (error) {
     console.error('Error reactivating subscription:', error);
-    res.status(500).json({ error: 'Failed to reactivate subscription' });
+    res.status(500).json({ error: translate('errors.reactivateFailed', req.locale) });
   }
 });
 
@@ -266,33 +214,26 @@ router.post('/change-plan', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const { newPlan } = req.body;
-    const pool = getPool();
+    const { subscriptions } = getStorage();
 
     if (!newPlan || !['monthly', 'yearly'].includes(newPlan)) {
-      return res.status(400).json({ error: 'Invalid plan. Must be "monthly" or "yearly"' });
+      return res.status(400).json({ error: translate('errors.planInvalid', req.locale) });
     }
 
     // Get user's active subscription
-    const subscriptionResult = await pool.query(
-      `SELECT stripe_subscription_id, plan_type, status
-       FROM subscriptions
-       WHERE user_id = $1 AND status = 'active'
-       ORDER BY created_at DESC
-       LIMIT 1`,
-      [userId]
-    );
+    const activeSubscription = await subscriptions.getLatestSubscription(userId, { status: 'active' });
 
-    if (subscriptionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'No active subscription found' });
+    if (!activeSubscription) {
+      return res.status(404).json({ error: translate('errors.noActiveSubscription', req.locale) });
     }
 
-    const { stripe_subscription_id, plan_type: currentPlan } = subscriptionResult.rows[0];
+    const { stripe_subscription_id, plan_type: currentPlan } = activeSubscription;
 
     // If already on the requested plan, return success
     if (currentPlan === newPlan) {
       return res.json({ 
         success: true, 
-        message: `Already on ${newPlan} plan`,
+        message: translate('messages.planUnchanged', req.locale, { plan: newPlan }),
         plan: newPlan 
       });
     }
@@ -322,35 +263,22 @@ router.post('/change-plan', authenticateToken, async (req, res) => {
     });
 
     // Update database
-    await pool.query(
-      `UPDATE subscriptions
-       SET plan_type = $1,
-           current_period_start = $2,
-           current_period_end = $3,
-           updated_at = NOW()
-       WHERE stripe_subscription_id = $4`,
-      [
-        newPlan,
-        new Date(updatedSubscription.current_period_start * 1000),
-        new Date(updatedSubscription.current_period_end * 1000),
-        stripe_subscription_id
-      ]
-    );
+    await subscriptions.updateSubscription(stripe_subscription_id, {
+      planType: newPlan,
+      currentPeriodStart: new Date(updatedSubscription.current_period_start * 1000),
+      currentPeriodEnd: new Date(updatedSubscription.current_period_end * 1000)
+    });
 
     // Log subscription event
-    await pool.query(
-      `INSERT INTO subscription_events (user_id, event_type, event_data, created_at)
-       VALUES ($1, 'plan_changed', $2, NOW())`,
-      [userId, JSON.stringify({ 
-        from: currentPlan, 
-        to: newPlan,
-        subscription_id: stripe_subscription_id
-      })]
-    );
+    await subscriptions.recordSubscriptionEvent(userId, 'plan_changed', {
+      from: currentPlan,
+      to: newPlan,
+      subscription_id: stripe_subscription_id
+    });
 
     res.json({
       success: true,
-      message: `Plan changed to ${newPlan}`,
+      message: translate('messages.planChanged', req.locale, { plan: newPlan }),
       plan: newPlan,
       subscription: {
         current_period_start: new Date(updatedSubscription.current_period_start * 1000).toISOString(),
@@ -359,7 +287,7 @@ router.post('/change-plan', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Error changing subscription plan:', error);
-    res.status(500).json({ error: 'Failed to change subscription plan' });
+    res.status(500).json({ error: translate('errors.planChangeFailed', req.locale) });
   }
 });
 
@@ -380,7 +308,6 @@ router.post('/change-plan', authenticateToken, async (req, res) => {
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
   const sig = req.headers['stripe-signature'];
-  const pool = getPool();
 
   let event;
 
@@ -398,24 +325,24 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   try {
     switch (event.type) {
       case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object, pool);
+        await handleCheckoutCompleted(event.data.object);
         break;
 
       case 'customer.subscription.created':
       case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object, pool);
+        await handleSubscriptionUpdated(event.data.object);
         break;
 
       case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object, pool);
+        await handleSubscriptionDeleted(event.data.object);
         break;
 
       case 'invoice.payment_succeeded':
-        await handlePaymentSucceeded(event.data.object, pool);
+        await handlePaymentSucceeded(event.data.object);
         break;
 
       case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object, pool);
+        await handlePaymentFailed(event.data.object);
         break;
 
       default:
@@ -425,13 +352,13 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
     res.json({ received: true });
   } catch (error) {
     console.error('Error processing webhook:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    res.status(500).json({ error: translate('errors.webhookFailed', req.locale) });
   }
 });
 
 // Webhook handlers
 
-async function handleCheckoutCompleted(session, pool) {
+async function handleCheckoutCompleted(session) {
   const userId = session.metadata.user_id;
   const plan = session.metadata.plan;
 
@@ -440,57 +367,33 @@ async function handleCheckoutCompleted(session, pool) {
   const subscription = await stripe.subscriptions.retrieve(session.subscription);
 
   // Create or update subscription record
-  const result = await pool.query(
-    `INSERT INTO subscriptions (
-      user_id,
-      stripe_subscription_id,
-      stripe_customer_id,
-      plan_type,
-      status,
-      current_period_start,
-      current_period_end,
-      cancel_at_period_end,
-      created_at,
-      updated_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
-    ON CONFLICT (stripe_subscription_id) 
-    DO UPDATE SET
-      status = EXCLUDED.status,
-      current_period_start = EXCLUDED.current_period_start,
-      current_period_end = EXCLUDED.current_period_end,
-      updated_at = NOW()
-    RETURNING id, user_id`,
-    [
-      userId,
-      subscription.id,
-      subscription.customer,
-      plan,
-      subscription.status,
-      new Date(subscription.current_period_start * 1000),
-      new Date(subscription.current_period_end * 1000),
-      subscription.cancel_at_period_end || false
-    ]
-  );
+  const { subscriptions } = getStorage();
+  const record = await subscriptions.upsertSubscription({
+    userId,
+    stripeSubscriptionId: subscription.id,
+    stripeCustomerId: subscription.customer,
+    planType: plan,
+    status: subscription.status,
+    currentPeriodStart: new Date(subscription.current_period_start * 1000),
+    currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+    cancelAtPeriodEnd: subscription.cancel_at_period_end || false
+  });
 
   // Log subscription event
-  if (result.rows.length > 0) {
-    const subId = result.rows[0].id;
-    const subUserId = result.rows[0].user_id;
+  if (record) {
+    const subUserId = record.user_id;
     
-    await pool.query(
-      `INSERT INTO subscription_events (subscription_id, user_id, event_type, event_data, created_at)
-       VALUES ($1, $2, 'checkout_completed', $3, NOW())`,
-      [subId, subUserId, JSON.stringify({ 
-        subscription_id: subscription.id,
-        plan: plan,
-        session_id: session.id 
-      })]
-    );
+    await subscriptions.recordSubscriptionEvent(subUserId, 'checkout_completed', {
+      subscription_id: subscription.id,
+      plan: plan,
+      session_id: session.id
+    }, record.id);
     
     console.log(`✅ Subscription created for user ${subUserId}: ${subscription.id}`);
+    await restorePremiumEntitlements(subUserId);
     
     // Log premium analytics event
-    await logPremiumAnalyticsEvent(pool, {
+    await logPremiumAnalyticsEvent({
       event_type: 'subscription_success',
       event_props: {
         plan: plan,
@@ -504,54 +407,30 @@ async function handleCheckoutCompleted(session, pool) {
   }
 }
 
-async function handleSubscriptionUpdated(subscription, pool) {
-  await pool.query(
-    `UPDATE subscriptions
-     SET status = $1,
-         current_period_start = $2,
-         current_period_end = $3,
-         cancel_at_period_end = $4,
-         updated_at = NOW()
-     WHERE stripe_subscription_id = $5`,
-    [
-      subscription.status,
-      new Date(subscription.current_period_start * 1000),
-      new Date(subscription.current_period_end * 1000),
-      subscription.cancel_at_period_end || false,
-      subscription.id
-    ]
-  );
+async function handleSubscriptionUpdated(subscription) {
+  await getStorage().subscriptions.updateSubscription(subscription.id, {
+    status: subscription.status,
+    currentPeriodStart: new Date(subscription.current_period_start * 1000),
+    currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+    cancelAtPeriodEnd: subscription.cancel_at_period_end || false
+  });
 }
 
-async function handleSubscriptionDeleted(subscription, pool) {
-  // Get user_id before updating
-  const subResult = await pool.query(
-    `SELECT user_id FROM subscriptions WHERE stripe_subscription_id = $1`,
-    [subscription.id]
-  );
-  
+async function handleSubscriptionDeleted(subscription) {
+  const { subscriptions } = getStorage();
+
   // Update subscription status to canceled
-  await pool.query(
-    `UPDATE subscriptions
-     SET status = 'canceled',
-         updated_at = NOW()
-     WHERE stripe_subscription_id = $1`,
-    [subscription.id]
-  );
+  const canceled = await subscriptions.updateSubscription(subscription.id, { status: 'canceled' });
 
   // Log subscription event
-  if (subResult.rows.length > 0) {
-    const userId = subResult.rows[0].user_id;
-    await pool.query(
-      `INSERT INTO subscription_events (user_id, event_type, event_data, created_at)
-       VALUES ($1, 'subscription_deleted', $2, NOW())`,
-      [userId, JSON.stringify({ subscription_id: subscription.id })]
-    );
+  if (canceled) {
+    const userId = canceled.user_id;
+    await subscriptions.recordSubscriptionEvent(userId, 'subscription_deleted', { subscription_id: subscription.id });
     
     console.log(`⚠️ Premium deactivated for user ${userId} via customer.subscription.deleted`);
     
     // Log premium analytics event
-    await logPremiumAnalyticsEvent(pool, {
+    await logPremiumAnalyticsEvent({
       event_type: 'subscription_cancelled',
       event_props: {
         subscription_id: subscription.id,
@@ -563,10 +442,10 @@ async function handleSubscriptionDeleted(subscription, pool) {
   }
 
   // Trigger graceful downgrade
-  await triggerGracefulDowngrade(subscription.customer, pool);
+  await downgradeCustomer(subscription.customer);
 }
 
-async function handlePaymentSucceeded(invoice, pool) {
+async function handlePaymentSucceeded(invoice) {
   const subscriptionId = invoice.subscription;
   
   if (subscriptionId) {
@@ -575,40 +454,28 @@ async function handlePaymentSucceeded(invoice, pool) {
     const subscription = await stripe.subscriptions.retrieve(subscriptionId);
     
     // Update subscription in database
-    const result = await pool.query(
-      `UPDATE subscriptions
-       SET current_period_start = $1,
-           current_period_end = $2,
-           status = 'active',
-           updated_at = NOW()
-       WHERE stripe_subscription_id = $3
-       RETURNING user_id`,
-      [
-        new Date(subscription.current_period_start * 1000),
-        new Date(subscription.current_period_end * 1000),
-        subscriptionId
-      ]
-    );
+    const { subscriptions } = getStorage();
+    const renewed = await subscriptions.updateSubscription(subscriptionId, {
+      currentPeriodStart: new Date(subscription.current_period_start * 1000),
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000),
+      status: 'active'
+    });
     
     // Log subscription event
-    if (result.rows.length > 0) {
-      const userId = result.rows[0].user_id;
-      await pool.query(
-        `INSERT INTO subscription_events (user_id, event_type, event_data, created_at)
-         VALUES ($1, 'payment_succeeded', $2, NOW())`,
-        [userId, JSON.stringify({ subscription_id: subscriptionId, invoice_id: invoice.id })]
-      );
+    if (renewed) {
+      const userId = renewed.user_id;
+      await subscriptions.recordSubscriptionEvent(userId, 'payment_succeeded', {
+        subscription_id: subscriptionId,
+        invoice_id: invoice.id
+      });
       
       console.log(`✅ Premium activated for user ${userId} via invoice.payment_succeeded`);
+      await restorePremiumEntitlements(userId);
       
       // Log premium analytics event (renewal)
-      const subscriptionData = await pool.query(
-        `SELECT plan_type FROM subscriptions WHERE stripe_subscription_id = $1`,
-        [subscriptionId]
-      );
-      const planType = subscriptionData.rows[0]?.plan_type || 'monthly';
+      const planType = renewed.plan_type || 'monthly';
       
-      await logPremiumAnalyticsEvent(pool, {
+      await logPremiumAnalyticsEvent({
         event_type: 'subscription_renewed',
         event_props: {
           plan: planType,
@@ -623,34 +490,23 @@ async function handlePaymentSucceeded(invoice, pool) {
   }
 }
 
-async function handlePaymentFailed(invoice, pool) {
+async function handlePaymentFailed(invoice) {
   const subscriptionId = invoice.subscription;
   
   if (subscriptionId) {
-    await pool.query(
-      `UPDATE subscriptions
-       SET status = 'past_due',
-           updated_at = NOW()
-       WHERE stripe_subscription_id = $1`,
-      [subscriptionId]
-    );
+    await getStorage().subscriptions.updateSubscription(subscriptionId, { status: 'past_due' });
   }
 }
 
-async function triggerGracefulDowngrade(customerId, pool) {
+async function downgradeCustomer(customerId) {
   // Get user by customer ID
-  const userResult = await pool.query(
-    `SELECT id FROM users WHERE stripe_customer_id = $1`,
-    [customerId]
-  );
+  const userId = await getStorage().users.getUserIdByStripeCustomerId(customerId);
 
-  if (userResult.rows.length === 0) return;
-
-  const userId = userResult.rows[0].id;
+  if (!userId) return;
 
   // Graceful downgrade: Keep user data, just remove premium features
-  // No data deletion, just feature access changes
-  console.log(`Graceful downgrade triggered for user ${userId}`);
+  // No data deletion; recipes over the free limit become read-only
+  await triggerGracefulDowngrade(userId, 'subscription_deleted');
   
   // Optional: Send email notification
   // await sendDowngradeEmail(userId);
@@ -658,31 +514,21 @@ async function triggerGracefulDowngrade(customerId, pool) {
 
 /**
  * Log premium analytics event
- * @param {Pool} pool - Database pool
  * @param {Object} eventData - Event data
  */
-async function logPremiumAnalyticsEvent(pool, eventData) {
+async function logPremiumAnalyticsEvent(eventData) {
   try {
     const { event_type, event_props, user_id } = eventData;
     
     // Generate session ID (use user_id as fallback for authenticated users)
     const session_id = user_id ? `user_${user_id}` : `anon_${Date.now()}`;
     
-    await pool.query(
-      `INSERT INTO premium_analytics_events (
-        event_type,
-        event_props,
-        session_id,
-        user_id,
-        created_at
-      ) VALUES ($1, $2, $3, $4, NOW())`,
-      [
-        event_type,
-        JSON.stringify(event_props),
-        session_id,
-        user_id || null
-      ]
-    );
+    await getStorage().analytics.recordPremiumAnalyticsEvent({
+      eventType: event_type,
+      props: event_props,
+      sessionId: session_id,
+      userId: user_id
+    });
   } catch (error) {
     // Don't throw - analytics logging shouldn't break subscription flow
     console.error('Error logging premium analytics event:', error);
@@ -700,7 +546,7 @@ function getFreeTierFeatures() {
     brandVerification: false,
     batchConversion: false,
     conversionHistory: false,
-    mealPlanning: false,
+    mealPlanning: { max: 1 },
     recipeScaling: false,
     prioritySupport: false,
     earlyAccess: false
@@ -712,11 +558,11 @@ function getPremiumFeatures() {
     conversions: { unlimited: true },
     substitutions: { max: Infinity },
     savedRecipes: { max: Infinity },
-    exportFormats: ['txt', 'pdf', 'json'],
+    exportFormats: ['txt', 'pdf', 'json', 'csv'],
     brandVerification: true,
     batchConversion: true,
     conversionHistory: true,
-    mealPlanning: true,
+    mealPlanning: { max: Infinity },
     recipeScaling: true,
     prioritySupport: true,
     earlyAccess: true
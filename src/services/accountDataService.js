@@ -0,0 +1,161 @@
+/**
+ * Personal data export and account deletion (GDPR).
+ * Export gathers everything stored about a user into one JSON bundle. Deletion is two-step: the request
+ * cancels the Stripe subscription, anonymizes analytics rows and schedules the account; after the grace
+ * period purgeDeletedAccounts removes the user and everything that belongs to it.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getPool } from "../database.js";
+import { getStorage } from "../storage/index.js";
+import { stripe, cancelSubscription } from "./stripeService.js";
+import { readRecipes, writeRecipes } from "../utils/dataStorage.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const UPLOAD_DIR = path.resolve(__dirname, "../../uploads");
+
+export const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+export const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Subscriptions that would still renew and charge the user
+const RENEWING_STATUSES = ["active", "trialing", "past_due"];
+
+// error.code when Stripe refused to cancel a subscription during scheduleAccountDeletion
+export const SUBSCRIPTION_CANCEL_FAILED = "subscription_cancel_failed";
+
+/**
+ * Affiliate clicks only exist in PostgreSQL; other storage drivers have none.
+ */
+async function affiliateClicks(userId) {
+  const result = await getPool().query(
+    `SELECT c.id, c.affiliate_link_id, p.name AS platform, l.product_name, c.session_id, c.ip_address,
+            c.user_agent, c.referrer, c.clicked_at, c.converted_at
+     FROM affiliate_link_clicks c
+     LEFT JOIN affiliate_links l ON l.id = c.affiliate_link_id
+     LEFT JOIN affiliate_platforms p ON p.id = l.platform_id
+     WHERE c.user_id = $1 ORDER BY c.clicked_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Everything stored about a user, for GET /api/profile/export.
+ * Password hashes and one-time token hashes are left out.
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Bundle, or null if the user does not exist
+ */
+export async function exportUserData(userId) {
+  const storage = getStorage();
+  const user = await storage.users.getUserRecord(userId);
+  if (!user) return null;
+
+  const [profile, recipes, conversions, mealPlans, subscriptions, subscriptionEvents, clicks, productScans, sessions] =
+    await Promise.all([
+      storage.profiles.getProfileByUserId(userId),
+      storage.recipes.getRecipesByUserId(userId),
+      storage.conversions.getConversionsByUserId(userId),
+      storage.mealPlans.getMealPlansWithEntriesByUserId(userId),
+      storage.subscriptions.listSubscriptions(userId),
+      storage.subscriptions.listSubscriptionEvents(userId),
+      storage.driver === "postgres" ? affiliateClicks(userId) : [],
+      storage.products.getProductScansByUserId(userId),
+      storage.sessions.listUserSessions(userId),
+    ]);
+
+  return {
+    exported_at: new Date().toISOString(),
+    user,
+    profile: profile || null,
+    recipes: [...recipes].sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+    legacy_recipes: readRecipes().filter((r) => r.userId === userId),
+    conversions,
+    meal_plans: mealPlans,
+    subscriptions,
+    subscription_events: subscriptionEvents,
+    affiliate_clicks: clicks,
+    product_scans: productScans,
+    sessions,
+  };
+}
+
+/**
+ * Schedule a user's account for deletion after the grace period.
+ * Cancels renewing Stripe subscriptions first (if Stripe refuses, nothing is changed and the error has
+ * code SUBSCRIPTION_CANCEL_FAILED), then anonymizes analytics rows, signs the user out everywhere and sets
+ * deletion_scheduled_for (users.scheduleUserDeletion). Without a Stripe client there is nothing to cancel.
+ * Analytics anonymization is not undone by cancelAccountDeletion.
+ * @param {string} userId
+ * @returns {Promise<{ deletionScheduledFor: Date, canceledSubscriptions: number }>}
+ */
+export async function scheduleAccountDeletion(userId) {
+  const storage = getStorage();
+
+  const renewing = stripe
+    ? (await storage.subscriptions.listSubscriptions(userId)).filter(
+        (s) => RENEWING_STATUSES.includes(s.status) && !s.cancel_at_period_end
+      )
+    : [];
+  for (const subscription of renewing) {
+    try {
+      await cancelSubscription(subscription.stripe_subscription_id);
+    } catch (error) {
+      const cancelError = new Error(`Failed to cancel subscription ${subscription.stripe_subscription_id}`, { cause: error });
+      cancelError.code = SUBSCRIPTION_CANCEL_FAILED;
+      throw cancelError;
+    }
+    await storage.subscriptions.updateSubscriptionById(subscription.id, { cancelAtPeriodEnd: true });
+  }
+
+  const deletionScheduledFor = await storage.users.scheduleUserDeletion(userId, ACCOUNT_DELETION_GRACE_DAYS);
+  return { deletionScheduledFor, canceledSubscriptions: renewing.length };
+}
+
+/**
+ * Keep an account that was scheduled for deletion (within the grace period).
+ * Canceled subscriptions stay canceled; the user can reactivate through /api/subscriptions/reactivate.
+ * @param {string} userId
+ * @returns {Promise<boolean>} true if a pending deletion was canceled
+ */
+export async function cancelAccountDeletion(userId) {
+  return getStorage().users.cancelUserDeletion(userId);
+}
+
+/**
+ * Hard-delete accounts whose grace period has ended, plus their legacy JSON recipes and uploaded photos.
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+export async function purgeDeletedAccounts() {
+  const deletedIds = new Set(await getStorage().users.purgeUsersDueForDeletion());
+  if (deletedIds.size === 0) return 0;
+
+  const recipes = readRecipes();
+  const kept = recipes.filter((r) => !deletedIds.has(r.userId));
+  if (kept.length !== recipes.length) writeRecipes(kept);
+
+  if (fs.existsSync(UPLOAD_DIR)) {
+    for (const file of fs.readdirSync(UPLOAD_DIR)) {
+      const owner = [...deletedIds].find((id) => file.startsWith(`profile-${id}-`));
+      if (owner) fs.rmSync(path.join(UPLOAD_DIR, file), { force: true });
+    }
+  }
+
+  console.log(`🗑️  Purged ${deletedIds.size} deleted account(s)`);
+  return deletedIds.size;
+}
+
+/**
+ * Run purgeDeletedAccounts now and then every ACCOUNT_PURGE_INTERVAL_MS (hourly); started with the server.
+ * Failures are logged and retried on the next run.
+ * @returns {NodeJS.Timeout} The interval, unref'd so it does not keep the process alive
+ */
+export function startAccountPurge() {
+  const purge = () => purgeDeletedAccounts().catch((error) => console.error("Account purge failed:", error.message));
+  purge();
+  const timer = setInterval(purge, ACCOUNT_PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,83 @@
+/**
+ * Password reset and email verification.
+ * Both send a link carrying a random single-use token; only its hash is stored (account_tokens).
+ * Links point at the frontend (FRONTEND_URL), which posts the token back to /api/auth.
+ */
+
+import crypto from "crypto";
+import { getStorage } from "../storage/index.js";
+import { sendMail } from "./mailer.js";
+import { translate } from "./i18nService.js";
+
+export const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 72;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function frontendLink(pathname, token) {
+  const base = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+async function issueToken(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await getStorage().accountTokens.createAccountToken(userId, purpose, hashToken(token), new Date(Date.now() + ttlMs));
+  return token;
+}
+
+/**
+ * Email a password reset link. Earlier reset links stop working.
+ * @param {{ id: string, email: string }} user
+ * @param {string} [locale]
+ */
+export async function sendPasswordResetEmail(user, locale) {
+  const token = await issueToken(user.id, "password_reset", PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  const link = frontendLink("/reset-password", token);
+  await sendMail({
+    to: user.email,
+    subject: translate("email.passwordReset.subject", locale),
+    text: translate("email.passwordReset.body", locale, { link, minutes: PASSWORD_RESET_TTL_MINUTES }),
+  });
+}
+
+/**
+ * Email a verification link for the account's address. Earlier verification links stop working.
+ * @param {{ id: string, email: string }} user
+ * @param {string} [locale]
+ */
+export async function sendVerificationEmail(user, locale) {
+  const token = await issueToken(user.id, "email_verification", EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const link = frontendLink("/verify-email", token);
+  await sendMail({
+    to: user.email,
+    subject: translate("email.verify.subject", locale),
+    text: translate("email.verify.body", locale, { link, hours: EMAIL_VERIFICATION_TTL_HOURS }),
+  });
+}
+
+/**
+ * Set a new password with a reset token, then sign the user out everywhere.
+ * @param {string} token
+ * @param {string} password - Already validated by the caller
+ * @returns {Promise<string|null>} User ID, or null if the token is invalid, used or expired
+ */
+export async function resetPassword(token, password) {
+  const userId = await getStorage().accountTokens.consumeAccountToken("password_reset", hashToken(token));
+  if (!userId) return null;
+  await getStorage().users.updateUserPassword(userId, password);
+  await getStorage().sessions.revokeUserSessions(userId);
+  return userId;
+}
+
+/**
+ * Confirm an email address with a verification token.
+ * @param {string} token
+ * @returns {Promise<Object|null>} { id, email, email_verified_at }, or null if the token is invalid, used or expired
+ */
+export async function verifyEmail(token) {
+  const userId = await getStorage().accountTokens.consumeAccountToken("email_verification", hashToken(token));
+  if (!userId) return null;
+  return getStorage().users.markEmailVerified(userId);
+}
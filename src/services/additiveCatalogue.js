@@ -0,0 +1,155 @@
+/**
+ * Food additive catalogue for Halal Kitchen ingredient evaluation.
+ * Maps E-numbers / INS codes and their chemical names to base slugs, source categories and default verdicts.
+ * Source tells the rule engine which category defaults and hard overrides apply
+ * (e.g. "E471 (vegetable)" → plant modifier on an animal_byproduct base → halal).
+ */
+
+/** Where an additive can come from. An entry may list several (e.g. E471: plant or animal). */
+export const ADDITIVE_SOURCES = Object.freeze({
+  PLANT: "plant",
+  ANIMAL: "animal",
+  INSECT: "insect",
+  SYNTHETIC: "synthetic",
+  ALCOHOL_DERIVED: "alcohol_derived",
+});
+
+const { PLANT, ANIMAL, INSECT, SYNTHETIC, ALCOHOL_DERIVED } = ADDITIVE_SOURCES;
+
+/**
+ * Additive entries: { code, name, names, baseSlug, sources, verdict, confidence, notes, alternatives, knowledgeKey? }
+ * code: canonical E-number (INS uses the same number without the "E")
+ * names: chemical / common names matched as whole words (lowercase, normalized spacing)
+ * knowledgeKey: matching key in data/halal_knowledge.json for the JSON fallback, when one exists
+ */
+export const ADDITIVE_CATALOGUE = Object.freeze([
+  // Colours
+  { code: "E100", name: "Curcumin", names: ["curcumin", "turmeric extract"], baseSlug: "curcumin", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Plant colour from turmeric.", alternatives: [] },
+  { code: "E101", name: "Riboflavin", names: ["riboflavin"], baseSlug: "riboflavin", sources: [SYNTHETIC, PLANT], verdict: "halal", confidence: "high", notes: "Vitamin B2; produced synthetically or by fermentation.", alternatives: [] },
+  { code: "E120", name: "Carmine", names: ["carmine", "cochineal", "carminic acid", "natural red 4"], baseSlug: "carmine", sources: [INSECT], verdict: "conditional", confidence: "medium", notes: "Red colour from cochineal insects; scholars differ on insect-derived colours.", alternatives: ["beetroot_color", "paprika_extract", "red_cabbage_extract"], knowledgeKey: "carmine" },
+  { code: "E140", name: "Chlorophyll", names: ["chlorophyll", "chlorophylls"], baseSlug: "chlorophyll", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Green colour from plants.", alternatives: [] },
+  { code: "E150A", name: "Plain caramel", names: ["caramel color", "caramel colour", "plain caramel"], baseSlug: "caramel_color", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Heated sugar colour.", alternatives: [] },
+  { code: "E153", name: "Vegetable carbon", names: ["vegetable carbon"], baseSlug: "vegetable_carbon", sources: [PLANT, ANIMAL], verdict: "usually_halal", confidence: "medium", notes: "Usually from plant charcoal; rarely from bone char.", alternatives: [] },
+  { code: "E160A", name: "Beta-carotene", names: ["beta carotene", "carotene"], baseSlug: "beta_carotene", sources: [PLANT, SYNTHETIC], verdict: "usually_halal", confidence: "medium", notes: "Colour itself is plant or synthetic; some preparations use a gelatin carrier.", alternatives: [] },
+  { code: "E162", name: "Beetroot red", names: ["beetroot red", "betanin"], baseSlug: "beetroot_red", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Plant colour from beetroot.", alternatives: [] },
+  // Preservatives and acids
+  { code: "E200", name: "Sorbic acid", names: ["sorbic acid"], baseSlug: "sorbic_acid", sources: [SYNTHETIC], verdict: "halal", confidence: "high", notes: "Synthetic preservative.", alternatives: [] },
+  { code: "E202", name: "Potassium sorbate", names: ["potassium sorbate"], baseSlug: "potassium_sorbate", sources: [SYNTHETIC], verdict: "halal", confidence: "high", notes: "Synthetic preservative.", alternatives: [] },
+  { code: "E211", name: "Sodium benzoate", names: ["sodium benzoate"], baseSlug: "sodium_benzoate", sources: [SYNTHETIC], verdict: "halal", confidence: "high", notes: "Synthetic preservative.", alternatives: [] },
+  { code: "E270", name: "Lactic acid", names: ["lactic acid"], baseSlug: "lactic_acid", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Produced by bacterial fermentation of sugars.", alternatives: [] },
+  { code: "E300", name: "Ascorbic acid", names: ["ascorbic acid", "vitamin c"], baseSlug: "ascorbic_acid", sources: [SYNTHETIC], verdict: "halal", confidence: "high", notes: "Vitamin C; synthetic.", alternatives: [] },
+  { code: "E322", name: "Lecithin", names: ["lecithin", "lecithins"], baseSlug: "lecithin", sources: [PLANT, ANIMAL], verdict: "usually_halal", confidence: "medium", notes: "Usually from soy or sunflower; rarely from egg or animal fat.", alternatives: ["soy_lecithin", "sunflower_lecithin"], knowledgeKey: "lecithin_animal" },
+  { code: "E330", name: "Citric acid", names: ["citric acid"], baseSlug: "citric_acid", sources: [SYNTHETIC], verdict: "halal", confidence: "high", notes: "Produced by fermentation; no animal source.", alternatives: [] },
+  // Thickeners, gelling agents, gums
+  { code: "E406", name: "Agar", names: ["agar"], baseSlug: "agar_agar", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Seaweed-derived gelling agent.", alternatives: [] },
+  { code: "E407", name: "Carrageenan", names: ["carrageenan"], baseSlug: "carrageenan", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Seaweed-derived thickener.", alternatives: [] },
+  { code: "E410", name: "Locust bean gum", names: ["locust bean gum", "carob bean gum"], baseSlug: "locust_bean_gum", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Plant gum.", alternatives: [] },
+  { code: "E412", name: "Guar gum", names: ["guar gum"], baseSlug: "guar_gum", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Plant gum.", alternatives: [] },
+  { code: "E415", name: "Xanthan gum", names: ["xanthan gum", "xanthan"], baseSlug: "xanthan_gum", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Produced by fermentation of sugars.", alternatives: [] },
+  { code: "E422", name: "Glycerol", names: ["glycerol", "glycerin", "glycerine"], baseSlug: "glycerin", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Animal origin possible; must be vegetable glycerin.", alternatives: ["vegetable_glycerin"], knowledgeKey: "glycerin" },
+  { code: "E440", name: "Pectin", names: ["pectin", "pectins"], baseSlug: "pectin", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Fruit-derived gelling agent.", alternatives: [] },
+  { code: "E441", name: "Gelatin", names: ["gelatin", "gelatine"], baseSlug: "gelatin", sources: [ANIMAL], verdict: "conditional", confidence: "medium", notes: "Source unknown; must be halal-certified if animal-derived.", alternatives: ["agar_agar", "halal_beef_gelatin", "pectin"], knowledgeKey: "gelatin" },
+  // Emulsifiers
+  { code: "E470A", name: "Salts of fatty acids", names: ["salts of fatty acids"], baseSlug: "fatty_acid_salts", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Fatty acids may be plant or animal; look for vegetable source.", alternatives: [] },
+  { code: "E471", name: "Mono- and diglycerides of fatty acids", names: ["mono and diglycerides", "mono and di glycerides", "monoglycerides", "diglycerides", "mono diglycerides"], baseSlug: "mono_diglycerides", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "May be animal-derived unless specified plant-based.", alternatives: ["plant_based_emulsifier", "lecithin"], knowledgeKey: "mono_diglycerides" },
+  { code: "E472E", name: "DATEM", names: ["datem", "diacetyl tartaric acid esters"], baseSlug: "datem", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Ester of mono- and diglycerides; fat source may be animal.", alternatives: ["lecithin"] },
+  { code: "E473", name: "Sucrose esters of fatty acids", names: ["sucrose esters"], baseSlug: "sucrose_esters", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Fatty acids may be plant or animal.", alternatives: [] },
+  { code: "E476", name: "Polyglycerol polyricinoleate", names: ["polyglycerol polyricinoleate", "pgpr"], baseSlug: "pgpr", sources: [PLANT], verdict: "halal", confidence: "high", notes: "Made from castor oil.", alternatives: [] },
+  { code: "E481", name: "Sodium stearoyl lactylate", names: ["sodium stearoyl lactylate"], baseSlug: "sodium_stearoyl_lactylate", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Stearic acid may be plant or animal.", alternatives: [] },
+  { code: "E491", name: "Sorbitan monostearate", names: ["sorbitan monostearate"], baseSlug: "sorbitan_monostearate", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Stearic acid may be plant or animal.", alternatives: [] },
+  // Minerals, anti-caking
+  { code: "E542", name: "Bone phosphate", names: ["bone phosphate", "edible bone phosphate"], baseSlug: "bone_phosphate", sources: [ANIMAL], verdict: "conditional", confidence: "medium", notes: "Made from animal bones; permissible only from halal-slaughtered animals.", alternatives: [] },
+  { code: "E570", name: "Stearic acid", names: ["stearic acid", "octadecanoic acid"], baseSlug: "stearic_acid", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Can be animal or plant-derived. Must be plant-based.", alternatives: ["vegetable_stearic_acid"], knowledgeKey: "stearic_acid" },
+  { code: "E572", name: "Magnesium stearate", names: ["magnesium stearate"], baseSlug: "magnesium_stearate", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Stearic acid may be plant or animal.", alternatives: [] },
+  // Flavour enhancers
+  { code: "E621", name: "Monosodium glutamate", names: ["monosodium glutamate", "msg"], baseSlug: "msg", sources: [SYNTHETIC], verdict: "halal", confidence: "high", notes: "Produced by fermentation.", alternatives: [], knowledgeKey: "msg" },
+  { code: "E627", name: "Disodium guanylate", names: ["disodium guanylate"], baseSlug: "disodium_guanylate", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Usually from yeast or fungi; can be from fish or meat.", alternatives: [] },
+  { code: "E631", name: "Disodium inosinate", names: ["disodium inosinate"], baseSlug: "disodium_inosinate", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Often from meat or fish; plant-based versions exist.", alternatives: [] },
+  { code: "E635", name: "Disodium ribonucleotides", names: ["disodium ribonucleotides", "disodium 5 ribonucleotides"], baseSlug: "disodium_ribonucleotides", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Mix of E627 and E631; source may be animal.", alternatives: [] },
+  // Glazing agents, flour treatment
+  { code: "E901", name: "Beeswax", names: ["beeswax", "bees wax"], baseSlug: "beeswax", sources: [INSECT], verdict: "halal", confidence: "high", notes: "Produced by bees; generally considered permissible.", alternatives: [], knowledgeKey: "beeswax" },
+  { code: "E904", name: "Shellac", names: ["shellac", "confectioners glaze", "lac resin"], baseSlug: "shellac", sources: [INSECT], verdict: "conditional", confidence: "medium", notes: "Resin secreted by lac insects; scholars differ.", alternatives: ["carnauba_wax", "plant_based_glaze"], knowledgeKey: "shellac" },
+  { code: "E920", name: "L-cysteine", names: ["l cysteine", "cysteine"], baseSlug: "l_cysteine", sources: [ANIMAL, SYNTHETIC], verdict: "usually_haram", confidence: "medium", notes: "Often from human hair or feathers; acceptable only if plant-based or synthetic.", alternatives: ["synthetic_l_cysteine"], knowledgeKey: "l_cysteine" },
+  // Miscellaneous
+  { code: "E1105", name: "Lysozyme", names: ["lysozyme"], baseSlug: "lysozyme", sources: [ANIMAL], verdict: "usually_halal", confidence: "medium", notes: "Usually from egg white.", alternatives: [] },
+  { code: "E1510", name: "Ethanol", names: ["ethanol", "ethyl alcohol"], baseSlug: "alcohol", sources: [ALCOHOL_DERIVED], verdict: "haram", confidence: "high", notes: "Intoxicating alcohol as ingredient.", alternatives: [], knowledgeKey: "alcohol" },
+  { code: "E1518", name: "Glyceryl triacetate", names: ["glyceryl triacetate", "triacetin"], baseSlug: "triacetin", sources: [PLANT, ANIMAL], verdict: "conditional", confidence: "medium", notes: "Glycerol may be animal-derived.", alternatives: [] },
+  { code: "E1520", name: "Propylene glycol", names: ["propylene glycol"], baseSlug: "propylene_glycol", sources: [SYNTHETIC], verdict: "halal", confidence: "high", notes: "Synthetic carrier; often used for flavours.", alternatives: [] },
+]);
+
+const BY_CODE = new Map(ADDITIVE_CATALOGUE.map((entry) => [entry.code, entry]));
+
+// Longest names first so "mono and diglycerides" wins over "diglycerides"
+const NAME_INDEX = ADDITIVE_CATALOGUE.flatMap((entry) => entry.names.map((name) => ({ name, entry }))).sort(
+  (a, b) => b.name.length - a.name.length
+);
+
+/**
+ * E/INS code inside ingredient text: "E471", "E160a", "E-471", "INS 322". The E must touch the number or be
+ * hyphenated to it, so "vitamin e 300 mg" is not read as E300.
+ */
+const CODE_PATTERN = /\b(?:e-?|ins[\s-]?)(\d{3,4})([a-f])?\b/i;
+// A string that is nothing but a code may be spaced freely: "e 471", "INS 160 a"
+const WHOLE_CODE_PATTERN = /^(?:e|ins) ?(\d{3,4}) ?([a-f])?$/;
+
+/**
+ * Normalize an additive code to canonical form ("e-471" → "E471", "INS 160a" → "E160A").
+ * @param {string} raw
+ * @returns {string|null}
+ */
+export function normalizeAdditiveCode(raw) {
+  if (!raw || typeof raw !== "string") return null;
+  const m = raw.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().match(WHOLE_CODE_PATTERN);
+  if (!m) return null;
+  return `E${m[1]}${(m[2] || "").toUpperCase()}`;
+}
+
+/**
+ * Look up an additive by code. Falls back to the base number when a sub-letter is not catalogued
+ * (e.g. E472b → no entry, E471 → entry; E150d → E150A is not assumed, only exact or bare number).
+ * @param {string} code - Any spelling accepted by normalizeAdditiveCode
+ * @returns {object|null}
+ */
+export function findAdditiveByCode(code) {
+  const normalized = normalizeAdditiveCode(code);
+  if (!normalized) return null;
+  return BY_CODE.get(normalized) || BY_CODE.get(normalized.replace(/[A-F]$/, "")) || null;
+}
+
+/**
+ * Identify an additive in normalized ingredient text. Codes win over names (codes are unambiguous).
+ * @param {string} normalizedText - Lowercase text with punctuation replaced by spaces
+ * @param {string} [rawText] - Text as written, searched for codes so "E-471" keeps its hyphen
+ * @returns {{ entry: object, matchedText: string, matchType: 'code'|'name' } | null}
+ */
+export function identifyAdditive(normalizedText, rawText = normalizedText) {
+  if (!normalizedText || typeof normalizedText !== "string") return null;
+  const text = normalizedText.toLowerCase().replace(/\s+/g, " ");
+
+  const codeMatch = String(rawText || "").match(CODE_PATTERN);
+  if (codeMatch) {
+    const entry = findAdditiveByCode(codeMatch[0]);
+    if (entry) return { entry, matchedText: codeMatch[0].toLowerCase(), matchType: "code" };
+  }
+
+  for (const { name, entry } of NAME_INDEX) {
+    const idx = ` ${text} `.indexOf(` ${name} `);
+    if (idx >= 0) return { entry, matchedText: name, matchType: "name" };
+  }
+  return null;
+}
+
+/**
+ * Rule-engine category for an additive, derived from its possible sources.
+ * Any animal possibility → animal_byproduct so source modifiers ("vegetable", "pork", "halal certified") can override.
+ * @param {object} entry - ADDITIVE_CATALOGUE entry
+ * @returns {string}
+ */
+export function additiveCategory(entry) {
+  const sources = entry?.sources || [];
+  if (sources.includes(ALCOHOL_DERIVED)) return "alcohol";
+  if (sources.includes(ANIMAL)) return "animal_byproduct";
+  if (sources.includes(INSECT)) return "insect_derived";
+  if (sources.includes(PLANT)) return "plain_plant";
+  return "synthetic";
+}
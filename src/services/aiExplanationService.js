@@ -4,6 +4,8 @@
  * Generates 2–4 sentence, plain-language explanations with guardrails.
  */
 
+import { translate, translateNote, DEFAULT_LOCALE } from "./i18nService.js";
+
 /** Structured input passed to the explanation generator (from rule engine only). */
 export const EXPLANATION_INPUT_KEYS = [
   "ingredient_name",
@@ -53,6 +55,9 @@ export function buildExplanationInput(ruleResult, options = {}) {
   };
 }
 
+/** Language names for the LLM instruction when the explanation is not in English. */
+const LOCALE_NAMES = { ar: "Arabic", fr: "French", ur: "Urdu" };
+
 // -----------------------------------------------------------------------------
 // Prompt template (system + user)
 // -----------------------------------------------------------------------------
@@ -82,9 +87,10 @@ Write 2 to 4 sentences in plain language. Mention uncertainty when status is con
 /**
  * Fill the user prompt template with structured input.
  * @param {object} input - From buildExplanationInput
+ * @param {object} [options] - { locale }; non-English locales add an instruction to answer in that language
  * @returns {string}
  */
-export function fillPromptTemplate(input) {
+export function fillPromptTemplate(input, options = {}) {
   const modifiers =
     input.modifiers && input.modifiers.length > 0
       ? input.modifiers.join(", ")
@@ -105,47 +111,46 @@ export function fillPromptTemplate(input) {
     .replace(/\{\{confidence\}\}/g, input.confidence || "medium")
     .replace(/\{\{warnings\}\}/g, warnings)
     .replace(/\{\{notes\}\}/g, notes)
-    .replace(/\{\{references\}\}/g, references);
+    .replace(/\{\{references\}\}/g, references) + languageInstruction(options.locale);
+}
+
+function languageInstruction(locale) {
+  const name = LOCALE_NAMES[locale];
+  return name ? `\n\nWrite the explanation in ${name}. Keep ingredient names and E-numbers as given.` : "";
 }
 
 // -----------------------------------------------------------------------------
 // Template fallback (no LLM): 2–4 sentences from structured input
 // -----------------------------------------------------------------------------
 
-const STATUS_PHRASES = {
-  halal: "is generally considered halal",
-  usually_halal: "is generally considered permissible",
-  conditional: "is often considered conditional—it depends on the source or how it was made",
-  usually_haram: "is generally not considered permissible",
-  haram: "is not permissible",
-  unknown: "could not be classified with confidence",
-};
-
-function sentenceForStatus(input) {
-  const phrase = STATUS_PHRASES[input.halal_status] || "has an uncertain status";
-  const name = input.ingredient_name || "This ingredient";
-  if (input.modifiers && input.modifiers.length > 0) {
-    return `${name} (${input.modifiers.join(", ")}) ${phrase}.`;
-  }
-  return `${name} ${phrase}.`;
+const STATUS_KEYS = new Set(["halal", "usually_halal", "conditional", "usually_haram", "haram", "unknown"]);
+
+function sentenceForStatus(input, locale) {
+  const status = STATUS_KEYS.has(input.halal_status) ? input.halal_status : "other";
+  const name = input.ingredient_name || translate("explanation.thisIngredient", locale);
+  const subject =
+    input.modifiers && input.modifiers.length > 0
+      ? `${name} (${input.modifiers.join(", ")})`
+      : name;
+  return translate(`explanation.status.${status}`, locale, { name: subject });
 }
 
-function sentenceForUncertainty(input) {
+function sentenceForUncertainty(input, locale) {
   if (input.halal_status !== "conditional" && input.halal_status !== "unknown") return "";
-  return "When in doubt, check the label for certification or consult a knowledgeable source.";
+  return translate("explanation.uncertainty", locale);
 }
 
-function sentenceFromNotes(input) {
+function sentenceFromNotes(input, locale) {
   if (!input.notes || input.notes.trim() === "") return "";
-  const n = input.notes.trim();
+  const n = translateNote(input.notes.trim(), locale);
   if (n.length > 120) return n.slice(0, 117) + "...";
   return n;
 }
 
-function sentenceForReferences(input) {
+function sentenceForReferences(input, locale) {
   if (!input.references || input.references.length === 0) return "";
   const refs = input.references.slice(0, 2).map((r) => r.ref_text).join("; ");
-  return `Islamic guidance on permitted and prohibited foods is found in sources such as ${refs}.`;
+  return translate("explanation.references", locale, { refs });
 }
 
 /**
@@ -153,17 +158,19 @@ function sentenceForReferences(input) {
  * Follows the same guardrails: no fatwa language, mention uncertainty, use "generally" where appropriate.
  *
  * @param {object} input - From buildExplanationInput
+ * @param {object} [options] - { locale: 'en' | 'ar' | 'fr' | 'ur' }
  * @returns {string}
  */
-export function templateFallbackExplanation(input) {
+export function templateFallbackExplanation(input, options = {}) {
   if (!input || !input.ingredient_name) return "";
+  const { locale = DEFAULT_LOCALE } = options;
   const sentences = [];
-  sentences.push(sentenceForStatus(input));
-  const fromNotes = sentenceFromNotes(input);
+  sentences.push(sentenceForStatus(input, locale));
+  const fromNotes = sentenceFromNotes(input, locale);
   if (fromNotes && !sentences.includes(fromNotes)) sentences.push(fromNotes);
-  const uncertainty = sentenceForUncertainty(input);
+  const uncertainty = sentenceForUncertainty(input, locale);
   if (uncertainty) sentences.push(uncertainty);
-  const refs = sentenceForReferences(input);
+  const refs = sentenceForReferences(input, locale);
   if (refs) sentences.push(refs);
   return sentences.filter(Boolean).join(" ").trim() || sentences[0] || "";
 }
@@ -229,10 +236,10 @@ export async function generateExplanation(ruleResult, options = {}) {
   if (!input.ingredient_name && !ruleResult?.notes) return ruleResult?.notes || "";
 
   if (useLLM) {
-    const userPrompt = fillPromptTemplate(input);
+    const userPrompt = fillPromptTemplate(input, { locale });
     const llmText = await callOpenAIForExplanation(SYSTEM_PROMPT, userPrompt);
     if (llmText) return llmText;
   }
 
-  return templateFallbackExplanation(input) || ruleResult?.notes || "";
+  return templateFallbackExplanation(input, { locale }) || translateNote(ruleResult?.notes, locale);
 }
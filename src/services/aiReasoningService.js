@@ -9,6 +9,7 @@ import {
   getRankedSubstitutes,
   formatRankedSubstitutesForApi,
 } from "./rankedSubstitutionsService.js";
+import { translate } from "./i18nService.js";
 
 /**
  * Generate a friendly explanation from a rule result (deterministic input only).
@@ -29,9 +30,10 @@ export async function generateExplanation(ruleResult, localeOrOptions = "en") {
  * @param {object} ruleResult - { halal_status, alternatives, base_slug, normalizedInput }
  * @param {object} [recipeContext] - { recipeText, cuisine, format }
  * @param {string} [ingredientPhrase] - Original ingredient text for lookup (e.g. "white wine")
+ * @param {object} [options] - { locale } for reason text
  * @returns {Promise<{ best: object | null, alternatives: Array<{ name, score, reason, notes }> }>}
  */
-export async function rankSubstitutes(ruleResult, recipeContext = {}, ingredientPhrase = "") {
+export async function rankSubstitutes(ruleResult, recipeContext = {}, ingredientPhrase = "", options = {}) {
   const phrase =
     (ingredientPhrase && String(ingredientPhrase).trim()) ||
     ruleResult?.normalizedInput ||
@@ -40,6 +42,7 @@ export async function rankSubstitutes(ruleResult, recipeContext = {}, ingredient
   const result = await getRankedSubstitutes(phrase, {
     recipeContext,
     userPreferences: {},
+    locale: options.locale,
   });
   const formatted = formatRankedSubstitutesForApi(result);
   if (formatted.best || (formatted.alternatives && formatted.alternatives.length > 0)) {
@@ -50,13 +53,13 @@ export async function rankSubstitutes(ruleResult, recipeContext = {}, ingredient
       best: {
         name: ruleResult.alternatives[0],
         score: null,
-        reason: "Halal alternative from rules.",
+        reason: translate("substitute.rulesReason", options.locale),
         notes: "",
       },
       alternatives: ruleResult.alternatives.slice(1, 5).map((name) => ({
         name,
         score: null,
-        reason: "Halal alternative from rules.",
+        reason: translate("substitute.rulesReason", options.locale),
         notes: "",
       })),
     };
@@ -12,6 +12,7 @@ import {
 } from "../config/aiFeatureFlags.js";
 import { generateExplanation as generateExplanationFromService } from "./aiExplanationService.js";
 import { buildExplanationInput, templateFallbackExplanation } from "./aiExplanationService.js";
+import { translateNote } from "./i18nService.js";
 
 // ---------------------------------------------------------------------------
 // Route intents (caller passes one of these)
@@ -33,14 +34,14 @@ const EXPLANATION_CACHE_MAX = 500;
 const explanationCache = new Map();
 const cacheKeyOrder = [];
 
-function explanationCacheKey(ruleResult) {
+function explanationCacheKey(ruleResult, locale) {
   if (!ruleResult) return null;
   const base = ruleResult.base_slug || ruleResult.normalizedInput || "";
   const status = ruleResult.halal_status || ruleResult.verdict || "";
   const mods = Array.isArray(ruleResult.modifiers) ? ruleResult.modifiers : [];
   const mod = mods.slice().sort().join(",");
   const notes = (ruleResult.notes || "").slice(0, 80);
-  return `exp:${base}:${status}:${mod}:${notes}`;
+  return `exp:${locale}:${base}:${status}:${mod}:${notes}`;
 }
 
 function getCachedExplanation(key) {
@@ -128,14 +129,14 @@ export function resolveRoute(intent, context = {}) {
  * Get explanation: cache first for known-page path, then LLM or template per route.
  * On LLM failure, use template and optionally log fallback.
  * @param {object} ruleResult - From rule engine
- * @param {object} [options] - { intent, locale, references, useCache }
+ * @param {object} [options] - { intent, locale ('en' | 'ar' | 'fr' | 'ur'), references, useCache }
  * @returns {Promise<string>}
  */
 export async function getExplanationWithCache(ruleResult, options = {}) {
   const { intent = ROUTE.SIMPLE_LOOKUP, locale = "en", references = [], useCache = true } = options;
   const route = resolveRoute(intent, options.context || {});
 
-  const cacheKey = useCache ? explanationCacheKey(ruleResult) : null;
+  const cacheKey = useCache ? explanationCacheKey(ruleResult, locale) : null;
   if (cacheKey) {
     const cached = getCachedExplanation(cacheKey);
     if (cached) return cached;
@@ -161,7 +162,7 @@ export async function getExplanationWithCache(ruleResult, options = {}) {
     }
   }
 
-  const templateText = templateFallbackExplanation(input) || ruleResult?.notes || "";
+  const templateText = templateFallbackExplanation(input, { locale }) || translateNote(ruleResult?.notes, locale);
   if (templateText && cacheKey) setCachedExplanation(cacheKey, templateText);
   return templateText;
 }
@@ -0,0 +1,95 @@
+/**
+ * Batch recipe conversion (premium: batchConversion).
+ * Converts recipes one at a time through the hybrid pipeline; a failing recipe is reported in its own result
+ * and never aborts the rest of the batch.
+ */
+
+import { convertRecipeHybrid } from "../utils/halalConverter.js";
+import { translate } from "./i18nService.js";
+
+export const MAX_BATCH_SIZE = 25;
+const TOP_HARAM_LIMIT = 10;
+
+/**
+ * Most frequent haram ingredients across successful results (counted once per recipe).
+ * @param {Array} results
+ * @returns {Array<{ ingredient: string, count: number, replaced: number }>}
+ */
+function summarizeHaramIngredients(results) {
+  const counts = new Map();
+  for (const r of results) {
+    if (!r.ok) continue;
+    const seen = new Set();
+    for (const issue of r.result.issues) {
+      if (issue.status !== "haram") continue;
+      const key = String(issue.ingredient).toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = counts.get(key) || { ingredient: key, count: 0, replaced: 0 };
+      entry.count += 1;
+      if (issue.wasReplaced) entry.replaced += 1;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.ingredient.localeCompare(b.ingredient))
+    .slice(0, TOP_HARAM_LIMIT);
+}
+
+/**
+ * Convert a batch of recipes.
+ *
+ * @param {Array<{ recipeText: string, title?: string, recipeId?: string, error?: string }>} items
+ *   Items with error set (e.g. a saved recipe that could not be loaded) are reported as failed without converting.
+ * @param {object} [options]
+ * @param {object} [options.userPreferences]
+ * @param {string} [options.locale] - Language for per-recipe error messages
+ * @param {(item: object, result: object) => Promise<void>} [options.onConverted] - Called after each successful conversion
+ * @returns {Promise<{
+ *   results: Array<{ index: number, recipeId: string|null, title: string|null, ok: boolean, result?: object, error?: string }>,
+ *   summary: { total: number, succeeded: number, failed: number, averageConfidence: number|null, topHaramIngredients: Array<{ ingredient: string, count: number, replaced: number }> }
+ * }>}
+ */
+export async function convertRecipesBatch(items, options = {}) {
+  const { userPreferences = {}, locale, onConverted } = options;
+  const results = [];
+
+  for (const [index, item] of items.entries()) {
+    const base = { index, recipeId: item.recipeId || null, title: item.title || null };
+    if (item.error) {
+      results.push({ ...base, ok: false, error: item.error });
+      continue;
+    }
+    if (!item.recipeText || typeof item.recipeText !== "string" || !item.recipeText.trim()) {
+      results.push({ ...base, ok: false, error: translate("errors.recipeTextRequired", locale) });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await convertRecipeHybrid(item.recipeText, userPreferences);
+    } catch (error) {
+      console.error(`Error converting batch recipe ${index}:`, error);
+      results.push({ ...base, ok: false, error: translate("errors.convertFailed", locale) });
+      continue;
+    }
+    results.push({ ...base, ok: true, result });
+    if (onConverted) await onConverted(item, result);
+  }
+
+  const succeeded = results.filter((r) => r.ok);
+  const averageConfidence = succeeded.length
+    ? Math.round(succeeded.reduce((sum, r) => sum + (r.result.confidenceScore || 0), 0) / succeeded.length)
+    : null;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded: succeeded.length,
+      failed: results.length - succeeded.length,
+      averageConfidence,
+      topHaramIngredients: summarizeHaramIngredients(results),
+    },
+  };
+}
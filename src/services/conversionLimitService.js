@@ -1,9 +1,9 @@
 /**
  * Conversion Limit Service
- * Handles conversion limit checking and tracking for free users
+ * Handles conversion limit checking for free users and records every conversion in conversion_history
  */
 
-import { getPool } from '../database.js';
+import { getStorage } from '../storage/index.js';
 import { hasPremiumAccess } from './subscriptionService.js';
 
 const FREE_TIER_LIMIT = 5; // 5 conversions per month for free users
@@ -39,18 +39,8 @@ export async function checkConversionLimit(userId) {
     }
 
     // Check monthly conversion count for free users
-    const pool = getPool();
     const monthStart = getCurrentMonthStart();
-    
-    const result = await pool.query(
-      `SELECT COUNT(*) as count
-       FROM conversion_history
-       WHERE user_id = $1 
-       AND created_at >= $2`,
-      [userId, monthStart]
-    );
-    
-    const used = parseInt(result.rows[0]?.count || '0', 10);
+    const used = await getStorage().conversions.countFreeConversionsSince(userId, monthStart);
     const remaining = Math.max(0, FREE_TIER_LIMIT - used);
     const canConvert = remaining > 0;
 
@@ -77,32 +67,35 @@ export async function checkConversionLimit(userId) {
 }
 
 /**
- * Track a conversion for a free user
+ * Track a conversion
+ * Free-tier rows count toward the monthly limit; premium rows are kept for conversion history only.
  * @param {string} userId - User ID
- * @param {string} recipeText - Recipe text (first 500 chars stored)
- * @returns {Promise<void>}
+ * @param {string} recipeText - Recipe text (first 500 chars stored as preview)
+ * @param {Object} [result] - Converter result { convertedText, issues, confidenceScore }; stored in full when given
+ * @returns {Promise<string|null>} conversion_history id, or null if tracking failed
  */
-export async function trackConversion(userId, recipeText = '') {
+export async function trackConversion(userId, recipeText = '', result = null) {
   try {
-    // Only track for free users
     const isPremium = await hasPremiumAccess(userId);
-    if (isPremium) {
-      return; // Premium users don't need tracking
-    }
 
-    const pool = getPool();
     const recipePreview = recipeText ? recipeText.substring(0, 500) : '';
-    
-    await pool.query(
-      `INSERT INTO conversion_history (user_id, recipe_text, created_at)
-       VALUES ($1, $2, NOW())`,
-      [userId, recipePreview]
-    );
-    
+
+    const conversionId = await getStorage().conversions.recordConversion({
+      userId,
+      recipeText: recipePreview,
+      originalText: recipeText || null,
+      convertedText: result?.convertedText ?? null,
+      issues: Array.isArray(result?.issues) ? result.issues : [],
+      confidenceScore: typeof result?.confidenceScore === 'number' ? Math.round(result.confidenceScore) : null,
+      isPremium
+    });
+
     console.log(`✅ Conversion tracked for user ${userId}`);
+    return conversionId || null;
   } catch (error) {
     console.error('Error tracking conversion:', error);
     // Don't throw - tracking failure shouldn't break conversion
+    return null;
   }
 }
 
@@ -113,19 +106,7 @@ export async function trackConversion(userId, recipeText = '') {
  */
 export async function getConversionHistory(userId) {
   try {
-    const pool = getPool();
-    const monthStart = getCurrentMonthStart();
-    
-    const result = await pool.query(
-      `SELECT id, recipe_text, created_at
-       FROM conversion_history
-       WHERE user_id = $1 
-       AND created_at >= $2
-       ORDER BY created_at DESC`,
-      [userId, monthStart]
-    );
-    
-    return result.rows;
+    return await getStorage().conversions.listConversionsSince(userId, getCurrentMonthStart());
   } catch (error) {
     console.error('Error fetching conversion history:', error);
     return [];
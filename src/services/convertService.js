@@ -1,4 +1,9 @@
 import { convertRecipe } from "../utils/halalConverter.js";
+import { getAdvancedSubstitutes } from "./rankedSubstitutionsService.js";
+import { getStorage } from "../storage/index.js";
+import { buildShoppingList, exportShoppingList } from "./shoppingListService.js";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Service layer for recipe conversion
@@ -12,6 +17,9 @@ export const convertService = async (recipe, userPreferences = {}) => {
       convertedText: "",
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 
@@ -25,6 +33,9 @@ export const convertService = async (recipe, userPreferences = {}) => {
       convertedText: "",
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 
@@ -46,6 +57,9 @@ export const convertService = async (recipe, userPreferences = {}) => {
         typeof result.confidenceScore === "number"
           ? Math.max(0, Math.min(100, result.confidenceScore))
           : 0,
+      instructionDiff: Array.isArray(result.instructionDiff) ? result.instructionDiff : [],
+      annotations: Array.isArray(result.annotations) ? result.annotations : [],
+      diff: Array.isArray(result.diff) ? result.diff : [],
     };
   } catch (error) {
     console.error("[PERF] convertService - Error:", error);
@@ -55,12 +69,40 @@ export const convertService = async (recipe, userPreferences = {}) => {
       convertedText: recipeText,
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 };
 
-// Stubs for premium routes (convert.js calls these)
-convertService.getAdvancedSubstitutions = async () => ({ alternatives: [] });
-convertService.generateShoppingList = async () => ({ items: [] });
+/**
+ * Advanced substitutions for an ingredient (premium).
+ * Accepts an ingredients-table id (UUID), a slug ("white_wine") or a free-text phrase ("2 tbsp mirin").
+ * @param {string} ingredientIdOrPhrase
+ * @param {object} [options] - { recipeContext, userPreferences, regionCode }
+ * @returns {Promise<object|null>} null when an id is given but no ingredient has it
+ */
+convertService.getAdvancedSubstitutions = async (ingredientIdOrPhrase, options = {}) => {
+  let phrase = String(ingredientIdOrPhrase || "").trim();
+  if (UUID_PATTERN.test(phrase)) {
+    const ingredient = await getStorage().ingredientRules.getIngredientById(phrase);
+    if (!ingredient) return null;
+    phrase = ingredient.slug;
+  }
+  return getAdvancedSubstitutes(phrase.replace(/_/g, " "), options);
+};
+
+/**
+ * Shopping list for a saved recipe, rendered in the requested export format (premium).
+ * @param {object} recipe - Saved recipe row
+ * @param {string} [format='json'] - json | txt | csv | pdf
+ * @param {object} [options] - { userPreferences, includeLinks, regionCode }
+ * @returns {Promise<{ shoppingList: object, contentType: string, filename: string, body: string|Buffer }>}
+ */
+convertService.generateShoppingList = async (recipe, format = "json", options = {}) => {
+  const shoppingList = await buildShoppingList(recipe, options);
+  return { shoppingList, ...exportShoppingList(shoppingList, format) };
+};
 
 export default convertService;
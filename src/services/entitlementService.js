@@ -0,0 +1,129 @@
+/**
+ * Entitlement Service
+ * Enforces plan limits where the limited thing is used: saving recipes, meal plans, substitutes per ingredient.
+ * Going over a countable limit is refused with 402 and a body stating the limit, current usage and the overshoot;
+ * editing a recipe made read-only by a downgrade is refused with 403.
+ */
+
+import { getFeatureLimit, getFreeTierFeatures } from './subscriptionService.js';
+import { translate } from './i18nService.js';
+
+export const UPGRADE_URL = '/subscription/upgrade';
+
+/**
+ * Check whether using `requested` more of a feature stays within the user's limit.
+ * usage is only called for limited plans, so premium requests skip the count.
+ * @param {string} userId - User ID
+ * @param {string} feature - Feature with a max, e.g. 'savedRecipes', 'mealPlanning'
+ * @param {Object} options
+ * @param {() => Promise<number>} options.usage - Current usage count
+ * @param {number} [options.requested=1] - How much the request would add
+ * @returns {Promise<{ allowed: boolean, feature: string, limit: number, used: number|null, requested: number, exceeded_by: number }>}
+ */
+export async function checkUsageLimit(userId, feature, { usage, requested = 1 }) {
+  const limit = await getFeatureLimit(userId, feature);
+  if (limit === Infinity) {
+    return { allowed: true, feature, limit, used: null, requested, exceeded_by: 0 };
+  }
+  const used = await usage();
+  const exceededBy = Math.max(0, used + requested - limit);
+  return { allowed: exceededBy === 0, feature, limit, used, requested, exceeded_by: exceededBy };
+}
+
+/**
+ * 402 response body for a failed checkUsageLimit.
+ * @param {Object} check - Result of checkUsageLimit
+ * @param {string} [locale]
+ */
+export function limitExceededBody(check, locale) {
+  return {
+    error: translate('errors.freeLimitReached', locale, { feature: check.feature }),
+    feature: check.feature,
+    limit: check.limit,
+    used: check.used,
+    requested: check.requested,
+    exceeded_by: check.exceeded_by,
+    upgrade_url: UPGRADE_URL
+  };
+}
+
+/**
+ * Whether a saved recipe was made read-only by a downgrade (DB rows carry read_only_since).
+ * @param {Object} recipe
+ */
+export function isRecipeReadOnly(recipe) {
+  return Boolean(recipe?.read_only_since);
+}
+
+/**
+ * 403 response body for an edit to a read-only recipe.
+ * @param {Object} recipe
+ * @param {string} [locale]
+ */
+export function readOnlyRecipeBody(recipe, locale) {
+  return {
+    error: translate('errors.recipeReadOnly', locale, { limit: getFreeTierFeatures().savedRecipes.max }),
+    feature: 'savedRecipes',
+    read_only_since: recipe.read_only_since,
+    upgrade_url: UPGRADE_URL
+  };
+}
+
+/**
+ * Cap the substitutes in a classification result ({ substitutes: { best, alternatives } }, best counts as one)
+ * or a conversion result ({ issues: [{ replacement, alternatives }] }, capped per issue).
+ * When anything is cut, the result gains substitution_limit: { limit, hidden, upgrade_url }.
+ * @param {Object} result
+ * @param {number} limit - Substitutes allowed per ingredient (Infinity for no cap)
+ * @returns {Object} A new result; the input is not modified
+ */
+export function limitSubstitutes(result, limit) {
+  if (!result || limit === Infinity) return result;
+  let hidden = 0;
+  const limited = { ...result };
+
+  if (result.substitutes && Array.isArray(result.substitutes.alternatives)) {
+    const { best, alternatives } = result.substitutes;
+    const ranked = best ? [best, ...alternatives] : alternatives;
+    if (ranked.length > limit) {
+      hidden += ranked.length - limit;
+      const kept = ranked.slice(0, limit);
+      limited.substitutes = {
+        ...result.substitutes,
+        best: best ? kept[0] ?? null : null,
+        alternatives: best ? kept.slice(1) : kept
+      };
+    }
+  }
+
+  if (Array.isArray(result.issues)) {
+    limited.issues = result.issues.map((issue) => {
+      if (!Array.isArray(issue?.alternatives) || issue.alternatives.length <= limit) return issue;
+      hidden += issue.alternatives.length - limit;
+      return { ...issue, alternatives: issue.alternatives.slice(0, limit) };
+    });
+  }
+
+  if (hidden > 0) {
+    limited.substitution_limit = { limit, hidden, upgrade_url: UPGRADE_URL };
+  }
+  return limited;
+}
+
+/**
+ * Apply the user's substitutions limit to a classification or conversion result.
+ * If the plan cannot be looked up (e.g. no database), the free limit applies.
+ * @param {string} userId - User ID
+ * @param {Object} result
+ * @returns {Promise<Object>}
+ */
+export async function applySubstitutionLimit(userId, result) {
+  let limit;
+  try {
+    limit = await getFeatureLimit(userId, 'substitutions');
+  } catch (error) {
+    console.error('Error reading substitutions limit, using the free plan limit:', error.message);
+    limit = getFreeTierFeatures().substitutions.max;
+  }
+  return limitSubstitutes(result, limit);
+}
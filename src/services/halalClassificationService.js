@@ -16,6 +16,7 @@ import {
   logFallbackAI,
 } from "./aiRoutingService.js";
 import { getIngredientDetails } from "../utils/halalEngine.js";
+import { translate, translateNote, DEFAULT_LOCALE } from "./i18nService.js";
 
 /**
  * Structured classification result. All status/confidence from rules; explanation/substitutes may be AI-enhanced.
@@ -24,6 +25,7 @@ import { getIngredientDetails } from "../utils/halalEngine.js";
  * @property {string[]} modifiers - Detected modifiers (e.g. ["pork"], ["alcohol_free"])
  * @property {string} halal_status - "halal" | "conditional" | "haram" | "unknown" (from rules only)
  * @property {number} confidence - 0–1, from rule engine (1 = definitive)
+ * @property {Array<{ preference: string, value: string, rule: string, from: string, to: string }>} preferenceAdjustments - Verdict changes made by the user's halal_standard / school_of_thought
  * @property {string} explanation - Human-readable explanation (rule notes + optional AI)
  * @property {string[]} warnings - Non-empty when status is conditional or source unclear
  * @property {Array<{ ref_type: string, ref_text: string }>} references - Optional; from knowledge base when available
@@ -33,22 +35,23 @@ import { getIngredientDetails } from "../utils/halalEngine.js";
 /**
  * Build warnings from deterministic result (no AI). Used when status is conditional or notes suggest caution.
  */
-function buildWarnings(ruleResult) {
+function buildWarnings(ruleResult, locale = DEFAULT_LOCALE) {
   const w = [];
   if (ruleResult.halal_status === "conditional") {
-    w.push("Source or preparation may affect permissibility; verify when possible.");
+    w.push(translate("warning.conditional", locale));
   }
   if (ruleResult.halal_status === "haram") {
-    w.push("Not permissible; use a halal substitute.");
+    w.push(translate("warning.haram", locale));
   }
   if (ruleResult.halal_status === "unknown") {
-    w.push("Not in rule database; consult a scholar or certified source.");
+    w.push(translate("warning.unknown", locale));
   }
   if (ruleResult.verdict === "usually_haram") {
-    w.push("Generally not permissible; avoid or substitute.");
+    w.push(translate("warning.usually_haram", locale));
   }
+  // Matched on the English note; the localized text is what goes out
   if (ruleResult.notes && /check|verify|must be halal|certified/i.test(ruleResult.notes)) {
-    w.push(ruleResult.notes);
+    w.push(translateNote(ruleResult.notes, locale));
   }
   return w;
 }
@@ -59,11 +62,13 @@ function buildWarnings(ruleResult) {
  *
  * @param {string} ingredientPhrase - Raw ingredient text (e.g. "pork gelatin", "2 tbsp soy sauce")
  * @param {object} [options]
- * @param {object} [options.userPreferences] - Strictness, madhab for fallback engine
+ * @param {object} [options.userPreferences] - halal_standard (strictness) and school_of_thought (madhab)
  * @param {boolean} [options.useOCRNormalization] - If true, run OCR cleanup before rule engine (gated by AI route)
  * @param {object} [options.recipeContext] - Optional context; when set, intent may be recipe_conversion
  * @param {string} [options.intent] - ROUTE.SIMPLE_LOOKUP | ROUTE.KNOWN_PAGE | ROUTE.RECIPE_CONVERSION | ROUTE.OCR_CLEANUP | ROUTE.AMBIGUOUS_FALLBACK
  * @param {number} [options.ocrConfidence] - For OCR path; low value may trigger fallback AI
+ * @param {string} [options.language] - Ingredient language (en, fr, ms, tr, ar, ur); detected when omitted
+ * @param {string} [options.locale] - Response locale for explanation, warnings and substitute reasons (default "en")
  * @returns {Promise<HalalClassificationResult>}
  */
 export async function classifyIngredient(ingredientPhrase, options = {}) {
@@ -73,6 +78,7 @@ export async function classifyIngredient(ingredientPhrase, options = {}) {
     recipeContext = {},
     intent: explicitIntent,
     ocrConfidence,
+    locale = DEFAULT_LOCALE,
   } = options;
 
   const intent =
@@ -94,20 +100,20 @@ export async function classifyIngredient(ingredientPhrase, options = {}) {
   }
 
   // 1. Deterministic rule engine (only source of status and confidence)
-  const ruleResult = await evaluateIngredient(inputText, userPreferences);
+  const ruleResult = await evaluateIngredient(inputText, userPreferences, { language: options.language });
 
   // 2. Warnings from rule result (deterministic)
-  const warnings = buildWarnings(ruleResult);
+  const warnings = buildWarnings(ruleResult, locale);
 
   // 3. Explanation: cache-first for known page, else LLM or template per route
   const explanation = await getExplanationWithCache(
     { ...ruleResult, warnings },
-    { intent, locale: "en", useCache: intent === ROUTE.KNOWN_PAGE, context: { ocrConfidence } }
+    { intent, locale, useCache: intent === ROUTE.KNOWN_PAGE, context: { ocrConfidence } }
   );
 
   // 4. Ranked substitutes only when route allows (deterministic scoring + halal filter)
   const substitutes = shouldUseSubstitutesAI(intent)
-    ? await rankSubstitutes(ruleResult, recipeContext, inputText)
+    ? await rankSubstitutes(ruleResult, recipeContext, inputText, { locale })
     : { best: null, alternatives: [] };
 
   const baseSlug = ruleResult.base_slug || ruleResult.baseSlug;
@@ -139,6 +145,7 @@ export async function classifyIngredient(ingredientPhrase, options = {}) {
     confidence_level: ruleResult.confidence_level || (ruleResult.confidence >= 0.8 ? "high" : ruleResult.confidence >= 0.4 ? "medium" : "low"),
     halal_status: ruleResult.halal_status,
     confidence: ruleResult.confidence != null ? ruleResult.confidence : 0.5,
+    preferenceAdjustments: ruleResult.preferenceAdjustments || [],
     explanation: explanation || ruleResult.notes || "",
     warnings,
     references,
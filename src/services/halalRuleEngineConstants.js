@@ -30,6 +30,8 @@ export const BASE_CATEGORIES = Object.freeze({
   chicken: "meat",
   lamb: "meat",
   meat: "meat",
+  // Shellfish (schools differ; see HALAL_RULES.madhab)
+  shellfish: "seafood_shellfish",
   // Dairy
   cheese: "cheese",
   // Flavorings / extracts (often alcohol-based)
@@ -71,6 +73,10 @@ export const CATEGORY_DEFAULTS = Object.freeze({
   animal_byproduct: { verdict: "conditional", confidence: "medium" },
   cheese: { verdict: "conditional", confidence: "medium" },
   flavoring_extract: { verdict: "conditional", confidence: "medium" },
+  seafood_shellfish: { verdict: "usually_halal", confidence: "medium" },
+  // Additives (see additiveCatalogue.js)
+  insect_derived: { verdict: "conditional", confidence: "medium" },
+  synthetic: { verdict: "halal", confidence: "high" },
 });
 
 /** Default when base/category is unknown (rare). */
@@ -152,6 +158,7 @@ export const BASE_KEYWORDS = Object.freeze([
   { slug: "pork", pattern: /\bpork\b/i, category: "pork" },
   { slug: "beef", pattern: /\bbeef\b/i, category: "meat" },
   { slug: "chicken", pattern: /\bchicken\b/i, category: "meat" },
+  { slug: "shellfish", pattern: /\b(shellfish|shrimps?|prawns?|lobsters?|crabs?|clams?|mussels?|oysters?|scallops?)\b/i, category: "seafood_shellfish" },
   { slug: "flour", pattern: /\bflour\b/i, category: "plain_plant" },
   { slug: "sugar", pattern: /\bsugar\b/i, category: "plain_plant" },
   { slug: "flavoring", pattern: /\bflavoring\b/i, category: "flavoring_extract" },
@@ -0,0 +1,114 @@
+/**
+ * Localization: locale negotiation and message lookup (catalogue in messageCatalogue.js).
+ * Locale order for a request: profile language, then Accept-Language, then English.
+ * Right-to-left locales (Arabic, Urdu) get a leading RLM, and interpolated values are wrapped in
+ * first-strong isolates so Latin ingredient names and codes don't reorder the surrounding sentence.
+ */
+
+import { MESSAGES, RULE_NOTE_KEYS } from "./messageCatalogue.js";
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = Object.freeze(Object.keys(MESSAGES));
+export const RTL_LOCALES = Object.freeze(["ar", "ur"]);
+
+const RLM = "\u200F";
+const FSI = "\u2068";
+const PDI = "\u2069";
+
+/**
+ * Supported locale for a language tag ("fr-CA" → "fr"), or null.
+ * @param {string} tag
+ * @returns {string|null}
+ */
+export function matchLocale(tag) {
+  if (!tag || typeof tag !== "string") return null;
+  const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+/**
+ * Parse an Accept-Language header into tags ordered by q-value (header order on ties).
+ * @param {string} header - e.g. "ar-EG,ar;q=0.9,en;q=0.5"
+ * @returns {string[]}
+ */
+export function parseAcceptLanguage(header) {
+  if (!header || typeof header !== "string") return [];
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const qParam = params.find((p) => p.trim().startsWith("q="));
+      const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter((l) => l.tag && l.tag !== "*" && l.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((l) => l.tag);
+}
+
+/**
+ * Pick the response locale.
+ * @param {object} [sources]
+ * @param {string} [sources.profileLanguage] - profiles.language of the signed-in user
+ * @param {string} [sources.acceptLanguage] - Accept-Language header
+ * @returns {string} One of SUPPORTED_LOCALES
+ */
+export function negotiateLocale({ profileLanguage, acceptLanguage } = {}) {
+  const fromProfile = matchLocale(profileLanguage);
+  if (fromProfile) return fromProfile;
+  for (const tag of parseAcceptLanguage(acceptLanguage)) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * @param {string} locale
+ * @returns {boolean}
+ */
+export function isRtl(locale) {
+  return RTL_LOCALES.includes(locale);
+}
+
+/**
+ * Translate a catalogue key.
+ * @param {string} key - e.g. "errors.recipeNotFound"
+ * @param {string} [locale] - Falls back to English, then to the key itself
+ * @param {object} [params] - Values for {placeholders}
+ * @returns {string}
+ */
+export function translate(key, locale = DEFAULT_LOCALE, params = {}) {
+  const localized = MESSAGES[locale]?.[key];
+  const template = localized ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  const rtl = localized != null && isRtl(locale);
+  const text = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (params[name] == null) return placeholder;
+    return rtl ? `${FSI}${params[name]}${PDI}` : String(params[name]);
+  });
+  return rtl ? `${RLM}${text}` : text;
+}
+
+/**
+ * True when the catalogue has the key for this locale (or in English).
+ * @param {string} key
+ * @param {string} [locale]
+ * @returns {boolean}
+ */
+export function hasMessage(key, locale = DEFAULT_LOCALE) {
+  return MESSAGES[locale]?.[key] != null || MESSAGES[DEFAULT_LOCALE][key] != null;
+}
+
+/**
+ * Localize a rule note. Notes written by the engine are in the catalogue; notes from DB rules are returned as
+ * written (isolated in right-to-left text).
+ * @param {string} note
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function translateNote(note, locale = DEFAULT_LOCALE) {
+  if (!note) return "";
+  const key = RULE_NOTE_KEYS[note.trim()];
+  if (key) return translate(key, locale);
+  return isRtl(locale) ? `${FSI}${note}${PDI}` : note;
+}
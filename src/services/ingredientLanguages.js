@@ -0,0 +1,276 @@
+/**
+ * Multilingual ingredient recognition: French, Malay, Turkish, Arabic and Urdu labels.
+ * Text is folded (case, accents, Arabic letter variants and digits) and foreign terms are rewritten to the
+ * English keywords the rule engine already knows, so "gélatine de porc", "gelatin babi", "domuz jelatini"
+ * and "جيلاتين خنزير" all reach the same base + modifier as "pork gelatin".
+ * Tables are per language because the same word can mean different things ("شراب" is syrup in Arabic, wine in Urdu).
+ */
+
+/** Languages with synonym tables; "en" needs no translation. */
+export const SUPPORTED_LANGUAGES = Object.freeze(["en", "fr", "ms", "tr", "ar", "ur"]);
+
+/**
+ * Base ingredient synonyms: English keyword (as matched by BASE_KEYWORDS / halal_knowledge.json) → terms per language.
+ */
+export const BASE_SYNONYMS = Object.freeze({
+  pork: {
+    fr: ["porc", "viande de porc", "cochon"],
+    ms: ["babi", "daging babi", "khinzir"],
+    tr: ["domuz", "domuz eti"],
+    ar: ["خنزير", "لحم خنزير", "لحم الخنزير"],
+    ur: ["سور", "سؤر", "خنزیر", "سور کا گوشت"],
+  },
+  lard: {
+    fr: ["saindoux"],
+    ms: ["lemak babi", "minyak babi"],
+    tr: ["domuz yağı"],
+    ar: ["دهن الخنزير", "شحم الخنزير"],
+    ur: ["سور کی چربی"],
+  },
+  bacon: { fr: ["lardons", "lard fumé"] },
+  ham: { fr: ["jambon"], tr: ["jambon"] },
+  sausage: { fr: ["saucisse", "saucisson"], ms: ["sosej"], tr: ["sosis"] },
+  gelatin: {
+    fr: ["gélatine"],
+    tr: ["jelatin"],
+    ar: ["جيلاتين", "جلاتين"],
+    ur: ["جیلاٹن", "جلیٹن"],
+  },
+  shrimp: {
+    fr: ["crevette", "crevettes"],
+    ms: ["udang"],
+    tr: ["karides"],
+    ar: ["روبيان", "جمبري", "قريدس"],
+    ur: ["جھینگا", "جھینگے"],
+  },
+  vinegar: { fr: ["vinaigre"], ms: ["cuka"], tr: ["sirke"], ar: ["خل"], ur: ["سرکہ"] },
+  "vanilla extract": {
+    fr: ["extrait de vanille"],
+    ms: ["ekstrak vanila"],
+    tr: ["vanilya özütü", "vanilya ekstraktı"],
+    ar: ["خلاصة الفانيليا", "مستخلص الفانيليا", "خلاصة فانيليا"],
+    ur: ["ونیلا ایکسٹریکٹ", "ونیلا عرق"],
+  },
+  vanilla: { fr: ["vanille"], ms: ["vanila"], tr: ["vanilya"], ar: ["فانيليا", "فانيلا"], ur: ["ونیلا"] },
+  "soy sauce": {
+    fr: ["sauce soja", "sauce soya"],
+    ms: ["kicap", "sos soya"],
+    tr: ["soya sosu"],
+    ar: ["صلصة الصويا", "صلصة صويا"],
+    ur: ["سویا ساس"],
+  },
+  rice: { fr: ["riz"], ms: ["beras", "nasi"], tr: ["pirinç"], ar: ["أرز", "رز"], ur: ["چاول"] },
+  cheese: { fr: ["fromage"], ms: ["keju"], tr: ["peynir"], ar: ["جبن", "جبنة"], ur: ["پنیر"] },
+  alcohol: { fr: ["alcool"], ms: ["alkohol", "arak"], tr: ["alkol"], ar: ["كحول"], ur: ["الکحل", "شراب"] },
+  wine: { fr: ["vin"], ms: ["wain"], tr: ["şarap"], ar: ["نبيذ", "خمر"] },
+  beer: { fr: ["bière"], ms: ["bir"], tr: ["bira"], ar: ["بيرة"], ur: ["بیئر"] },
+  beef: {
+    fr: ["bœuf", "viande de bœuf", "veau"],
+    ms: ["lembu", "daging lembu"],
+    tr: ["sığır", "sığır eti", "dana eti"],
+    ar: ["لحم بقر", "لحم البقر", "بقر"],
+    ur: ["بیف", "گائے کا گوشت"],
+  },
+  chicken: {
+    fr: ["poulet"],
+    ms: ["ayam"],
+    tr: ["tavuk", "tavuk eti"],
+    ar: ["دجاج", "فراخ"],
+    ur: ["مرغی", "مرغی کا گوشت"],
+  },
+  lamb: { fr: ["agneau"], ms: ["kambing", "daging kambing"], tr: ["kuzu", "kuzu eti"], ar: ["ضأن", "لحم ضأن", "خروف"], ur: ["بکرے کا گوشت"] },
+  flour: { fr: ["farine"], ms: ["tepung"], tr: ["un"], ar: ["دقيق", "طحين"], ur: ["آٹا", "میدہ"] },
+  sugar: { fr: ["sucre"], ms: ["gula"], tr: ["şeker"], ar: ["سكر"], ur: ["چینی", "شکر"] },
+  flavoring: {
+    fr: ["arôme", "arômes", "aromatisant"],
+    ms: ["perisa"],
+    tr: ["aroma", "aroma verici"],
+    ar: ["نكهة", "منكهات", "مادة منكهة"],
+    ur: ["ذائقہ"],
+  },
+  enzyme: { fr: ["enzymes"], ms: ["enzim"], tr: ["enzim"], ar: ["إنزيم", "إنزيمات"], ur: ["انزائم"] },
+  rennet: { fr: ["présure"], ms: ["renet"], tr: ["peynir mayası"], ar: ["منفحة", "إنفحة"] },
+});
+
+/**
+ * Modifier synonyms: English phrase (as matched by MODIFIER_TAXONOMY) → terms per language.
+ */
+export const MODIFIER_SYNONYMS = Object.freeze({
+  "certified halal": {
+    fr: ["certifié halal", "certifiée halal"],
+    ms: ["disahkan halal", "halal disahkan", "sijil halal"],
+    tr: ["helal sertifikalı", "helal belgeli"],
+    ar: ["حلال معتمد", "معتمد حلال", "شهادة حلال"],
+    ur: ["حلال سرٹیفائیڈ", "مصدقہ حلال"],
+  },
+  zabiha: { ar: ["مذبوح على الطريقة الإسلامية"], ur: ["ذبیحہ"] },
+  vegetable: {
+    fr: ["végétal", "végétale", "d'origine végétale"],
+    ms: ["tumbuhan", "sayuran", "berasaskan tumbuhan"],
+    tr: ["bitkisel"],
+    ar: ["نباتي", "من أصل نباتي"],
+    ur: ["نباتاتی"],
+  },
+  vegan: { fr: ["végétalien", "végane"] },
+  "alcohol free": {
+    fr: ["sans alcool"],
+    ms: ["tanpa alkohol", "bebas alkohol"],
+    tr: ["alkolsüz"],
+    ar: ["خالي من الكحول", "خال من الكحول", "بدون كحول"],
+    ur: ["الکحل سے پاک", "الکحل کے بغیر"],
+  },
+  porcine: { fr: ["porcin", "porcine"] },
+  bovine: { fr: ["bovin", "bovine"], ar: ["بقري"] },
+  fermented: { fr: ["fermenté", "fermentée"], ms: ["ditapai", "fermentasi"], tr: ["fermente"], ar: ["مخمر"], ur: ["خمیر شدہ"] },
+  artificial: { fr: ["artificiel", "artificielle"], ms: ["tiruan"], tr: ["yapay"], ar: ["صناعي", "اصطناعي"], ur: ["مصنوعی"] },
+  "natural flavor": {
+    fr: ["arôme naturel", "arômes naturels"],
+    ms: ["perisa asli"],
+    tr: ["doğal aroma"],
+    ar: ["نكهة طبيعية", "منكهات طبيعية"],
+    ur: ["قدرتی ذائقہ"],
+  },
+});
+
+/** Common label words (not ingredients to translate) that help tell Latin-script languages apart. */
+const LANGUAGE_HINTS = Object.freeze({
+  en: ["and", "with", "of", "oil", "salt", "water", "milk", "egg", "ingredients", "contains"],
+  fr: ["de", "du", "des", "et", "avec", "huile", "sel", "eau", "lait", "oeuf", "ingredients", "contient"],
+  ms: ["dan", "dengan", "minyak", "garam", "air", "susu", "telur", "bahan", "mengandungi"],
+  tr: ["ve", "ile", "yağ", "tuz", "su", "süt", "yumurta", "içindekiler", "içerir"],
+});
+
+/** List conjunctions used by the scan pipeline to split "A and B". */
+export const LIST_CONJUNCTIONS = Object.freeze({
+  en: ["and"],
+  fr: ["et"],
+  ms: ["dan"],
+  tr: ["ve"],
+  ar: ["و"],
+  ur: ["اور"],
+});
+
+const ARABIC_SCRIPT = /[؀-ۿݐ-ݿﭐ-﷿ﹰ-﻿]/;
+/** Letters used in Urdu but not in Arabic. */
+const URDU_LETTERS = /[ٹڈڑںےۓہۃگ]/;
+const TURKISH_LETTERS = /[ğış]/i;
+const FRENCH_LETTERS = /[éèêëàâîïôûùœ]/i;
+/** Arabic clitics written attached to the noun: "the", "and the", "with the", "and". */
+const ARABIC_PREFIX = "(?:وال|بال|لل|ال|و)?";
+/** Turkish possessive / plural endings ("domuz jelatini", "aromaları"). */
+const TURKISH_SUFFIX = "(?:leri|lari|si|su|i|u)?";
+
+/**
+ * Fold text for matching: lowercase (Turkish dotted/dotless i aware), strip accents and Arabic vowel marks,
+ * unify Arabic/Urdu letter variants and digits. Punctuation is replaced with spaces.
+ * @param {string} raw
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function foldIngredientText(raw, language) {
+  if (!raw || typeof raw !== "string") return "";
+  return (language === "tr" ? raw.toLocaleLowerCase("tr") : raw.toLowerCase())
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/ı/g, "i")
+    .replace(/œ/g, "oe")
+    .replace(/æ/g, "ae")
+    .replace(/ß/g, "ss")
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+    .replace(/ـ/g, "")
+    .replace(/[ىی]/g, "ي")
+    .replace(/ک/g, "ك")
+    .replace(/[ہھةۃ]/g, "ه")
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/[^\p{L}\p{N}_\s]/gu, " ");
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileTable(language) {
+  const entries = [];
+  for (const table of [BASE_SYNONYMS, MODIFIER_SYNONYMS]) {
+    for (const [english, byLanguage] of Object.entries(table)) {
+      for (const term of byLanguage[language] || []) {
+        const folded = foldIngredientText(term, language).replace(/\s+/g, " ").trim();
+        if (!folded || folded === english) continue;
+        const body = folded.split(" ").map(escapeRegExp).join("\\s+");
+        const prefix = language === "ar" ? ARABIC_PREFIX : "";
+        const suffix = language === "tr" && folded.length >= 4 ? TURKISH_SUFFIX : "";
+        entries.push({
+          english,
+          folded,
+          pattern: new RegExp(`(?<![\\p{L}\\p{N}])${prefix}${body}${suffix}(?![\\p{L}\\p{N}])`, "gu"),
+        });
+      }
+    }
+  }
+  // Longest first: "sans alcool" before "alcool", "peynir mayası" before "peynir"
+  return entries.sort((a, b) => b.folded.length - a.folded.length);
+}
+
+const compiledTables = new Map(SUPPORTED_LANGUAGES.filter((l) => l !== "en").map((l) => [l, compileTable(l)]));
+
+const hintWords = new Map(
+  Object.keys(LANGUAGE_HINTS).map((language) => {
+    const words = new Set((LANGUAGE_HINTS[language] || []).map((w) => foldIngredientText(w, language)));
+    for (const entry of compiledTables.get(language) || []) {
+      for (const w of entry.folded.split(" ")) words.add(w);
+    }
+    if (language === "en") {
+      for (const english of [...Object.keys(BASE_SYNONYMS), ...Object.keys(MODIFIER_SYNONYMS)]) {
+        for (const w of english.split(" ")) words.add(w);
+      }
+    }
+    return [language, words];
+  })
+);
+
+/**
+ * Guess the language of a label or ingredient phrase.
+ * Arabic script is split into Urdu / Arabic by Urdu-only letters; Latin text is scored on known words and letters.
+ * Unrecognised text is English.
+ * @param {string} text
+ * @returns {'en'|'fr'|'ms'|'tr'|'ar'|'ur'}
+ */
+export function detectIngredientLanguage(text) {
+  if (!text || typeof text !== "string") return "en";
+  if (ARABIC_SCRIPT.test(text)) {
+    return URDU_LETTERS.test(text) || /(^|\s)اور(\s|$)/.test(text) ? "ur" : "ar";
+  }
+
+  const words = foldIngredientText(text).split(/\s+/).filter(Boolean);
+  const scores = {};
+  for (const [language, known] of hintWords) {
+    scores[language] = words.filter((w) => known.has(w)).length;
+  }
+  if (TURKISH_LETTERS.test(text)) scores.tr += 2;
+  if (FRENCH_LETTERS.test(text)) scores.fr += 1;
+
+  // A tie with English goes to the other language: its words are ones the English tables can't match
+  let best = "en";
+  for (const [language, score] of Object.entries(scores)) {
+    if (score > scores[best] || (score > 0 && score === scores[best] && best === "en")) best = language;
+  }
+  return best;
+}
+
+/**
+ * Rewrite foreign ingredient and modifier terms in folded text to their English keywords.
+ * @param {string} foldedText - Output of foldIngredientText
+ * @param {string} language
+ * @returns {string} Text for rule-engine matching (unchanged for English or unsupported languages)
+ */
+export function translateIngredientTerms(foldedText, language) {
+  const table = compiledTables.get(language);
+  if (!table || !foldedText) return foldedText || "";
+  let text = foldedText;
+  for (const { english, pattern } of table) {
+    text = text.replace(pattern, ` ${english} `);
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
@@ -1,11 +1,13 @@
 /**
  * Deterministic halal rule engine.
  * Evaluation order: 1) normalize 2) identify base 3) detect modifiers
- * 4) apply hard overrides 5) apply category defaults 6) return verdict + confidence.
+ * 4) apply hard overrides 5) apply category defaults 6) DB rule lookup
+ * 7) apply user preferences (strictness, madhab) → return verdict + confidence.
  */
 
-import { getRule, getBaseSlugs } from "../db/ingredientRules.js";
+import { getStorage } from "../storage/index.js";
 import { getIngredientDetails } from "../utils/halalEngine.js";
+import { HALAL_RULES, resolvePreferences, ruleStatusToVerdict } from "../utils/halalRules.js";
 import {
   BASE_CATEGORIES,
   BASE_KEYWORDS,
@@ -14,18 +16,28 @@ import {
   UNKNOWN_DEFAULT,
 } from "./halalRuleEngineConstants.js";
 import { parseModifiers, normalizeForMatching } from "./modifierParser.js";
-import { MODIFIER_SLUG_ALIAS } from "./modifierTaxonomy.js";
+import { identifyAdditive, additiveCategory, findAdditiveByCode } from "./additiveCatalogue.js";
+import { MODIFIER_SLUG_ALIAS, MODIFIER_TAXONOMY, MODIFIER_EFFECT } from "./modifierTaxonomy.js";
+import { foldIngredientText, detectIngredientLanguage, translateIngredientTerms } from "./ingredientLanguages.js";
 
-// In-memory cache of base slugs from DB
+// In-memory cache of base slugs from the rule tables
 let baseSlugsCache = [];
 let baseSlugsCacheTime = 0;
 const CACHE_TTL_MS = 60_000;
 
+/**
+ * Drop the cached base slugs so the next evaluation reads the rule tables again (call after a rule is saved).
+ */
+export function invalidateBaseSlugsCache() {
+  baseSlugsCache = [];
+  baseSlugsCacheTime = 0;
+}
+
 async function getCachedBaseSlugs() {
   if (Date.now() - baseSlugsCacheTime < CACHE_TTL_MS && baseSlugsCache.length > 0) {
     return baseSlugsCache;
   }
-  baseSlugsCache = await getBaseSlugs();
+  baseSlugsCache = await getStorage().ingredientRules.getBaseSlugs();
   baseSlugsCacheTime = Date.now();
   return baseSlugsCache;
 }
@@ -34,29 +46,45 @@ async function getCachedBaseSlugs() {
 
 /**
  * Normalize ingredient text for matching (deterministic, no AI).
+ * Locale-aware: keeps Arabic script, folds accents and letter variants (see foldIngredientText).
+ * With a language other than English, foreign ingredient and modifier terms are rewritten to English keywords.
  * @param {string} raw
+ * @param {string} [language] - "en" | "fr" | "ms" | "tr" | "ar" | "ur" (default "en")
  * @returns {string}
  */
-export function normalizeIngredientText(raw) {
-  if (!raw || typeof raw !== "string") return "";
-  return raw
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, " ")
-    .replace(/[^\w\s]/g, " ");
+export function normalizeIngredientText(raw, language = "en") {
+  return translateIngredientTerms(foldIngredientText(raw, language), language);
 }
 
 // --- 2. Identify base ingredient ---
 
 /**
- * Identify base ingredient slug and category. Uses DB bases first, then in-code BASE_KEYWORDS.
+ * Identify base ingredient slug and category. Uses the additive catalogue (E-numbers, chemical names) first,
+ * then DB bases, then in-code BASE_KEYWORDS.
  * @param {string} normalizedText
- * @returns {Promise<{ baseSlug: string|null, category: string|null }>}
+ * @param {string} [rawText] - Phrase as written; additive codes are read from it ("E-471")
+ * @returns {Promise<{ baseSlug: string|null, category: string|null, additive?: object }>}
  */
-export async function identifyBaseIngredient(normalizedText) {
+export async function identifyBaseIngredient(normalizedText, rawText = normalizedText) {
   const t = normalizedText.replace(/\s+/g, " ").trim();
   if (!t) return { baseSlug: null, category: null };
 
+  // Additives: "E471", "INS 322", "carmine", "mono and diglycerides"
+  const additiveMatch = identifyAdditive(t, rawText);
+  if (additiveMatch) {
+    const { entry, matchedText } = additiveMatch;
+    return {
+      baseSlug: entry.baseSlug,
+      category: additiveCategory(entry),
+      additive: {
+        code: entry.code,
+        name: entry.name,
+        sources: [...entry.sources],
+        matchedText,
+      },
+    };
+  }
+
   // DB bases first (e.g. gelatin, soy_sauce, vanilla_extract)
   const dbBases = await getCachedBaseSlugs();
   for (const base of dbBases) {
@@ -163,7 +191,7 @@ function dbStatusToVerdict(dbStatus) {
  * @returns {Promise<{ verdict: string, confidence: string, notes: string, alternatives: string[] } | null>}
  */
 async function getDraftFromDb(baseSlug, primaryModifier) {
-  const rule = await getRule(baseSlug, primaryModifier);
+  const rule = await getStorage().ingredientRules.getRule(baseSlug, primaryModifier);
   if (!rule) return null;
   const verdict = dbStatusToVerdict(rule.halal_status);
   const confidence = verdict === "halal" || verdict === "haram" ? "high" : "medium";
@@ -175,16 +203,74 @@ async function getDraftFromDb(baseSlug, primaryModifier) {
   };
 }
 
+// --- 7. User preferences ---
+
+/**
+ * HALAL_RULES tags that describe a rule-engine result. The "unknown source" tags only apply when no modifier
+ * settles the source: "beef gelatin" is settled, "gelatin" and "fermented rennet" (context modifiers) are not.
+ * @param {{ baseSlug: string|null, category: string|null, modifiers: string[] }} result
+ * @returns {string[]}
+ */
+function preferenceTags({ baseSlug, category, modifiers }) {
+  const sourceUnknown = modifiers.every(
+    (m) => m === "unspecified" || MODIFIER_TAXONOMY[m]?.effect === MODIFIER_EFFECT.CONTEXT
+  );
+  const tags = [];
+  if (category === "seafood_shellfish") tags.push("seafood_shellfish");
+  if (!sourceUnknown) return tags;
+  if (category === "flavoring_extract" || modifiers.includes("fermented")) tags.push("alcohol_trace");
+  if (baseSlug === "gelatin") tags.push("gelatin_unknown");
+  if (["enzyme", "enzymes", "rennet"].includes(baseSlug)) tags.push("enzymes_unknown");
+  return tags;
+}
+
+/**
+ * Adjust a rule-engine verdict for the user's strictness (halal_standard) and madhab (school_of_thought).
+ * Strictness only resolves conditional verdicts; madhab rules apply to their tag whatever the default.
+ * Hard overrides and JSON fallback results are returned as they are (the fallback applies HALAL_RULES itself).
+ * @param {object} result - From buildResult
+ * @param {object} [userPreferences] - { halal_standard | strictness, school_of_thought | madhab }
+ * @returns {object} result with verdict, halal_status and preferenceAdjustments updated
+ */
+export function applyUserPreferences(result, userPreferences = {}) {
+  if (result.source !== "rule_engine" || applyHardOverrides(result.modifiers, result.category)) return result;
+
+  const { strictness, madhab } = resolvePreferences(userPreferences);
+  const tags = preferenceTags(result);
+  const adjustments = [];
+  let verdict = result.verdict;
+  const adjust = (preference, value, rule, ruleStatus) => {
+    const to = ruleStatusToVerdict(ruleStatus);
+    if (to === verdict) return;
+    adjustments.push({ preference, value, rule, from: verdict, to });
+    verdict = to;
+  };
+
+  for (const tag of tags) {
+    const ruleStatus = HALAL_RULES.strictness[strictness][tag];
+    if (verdict === "conditional" && ruleStatus) adjust("halal_standard", strictness, tag, ruleStatus);
+  }
+  if (madhab && tags.includes("seafood_shellfish")) {
+    adjust("school_of_thought", madhab, "seafood_shellfish", HALAL_RULES.madhab[madhab].seafood_shellfish);
+  }
+
+  if (!adjustments.length) return result;
+  return { ...result, verdict, halal_status: legacyStatus(verdict), preferenceAdjustments: adjustments };
+}
+
 // --- Main evaluation pipeline ---
 
 /**
  * Run the full deterministic pipeline and return final verdict + confidence level.
  * Evaluation order: normalize -> identify base -> detect modifiers -> apply hard overrides -> apply category defaults -> return.
  *
- * @param {string} ingredientPhrase - raw ingredient text
- * @param {object} [userPreferences] - for fallback JSON engine when base unknown
+ * @param {string} ingredientPhrase - raw ingredient text (English, French, Malay, Turkish, Arabic or Urdu)
+ * @param {object} [userPreferences] - strictness and madhab (see applyUserPreferences); also used by the JSON fallback
+ * @param {object} [options]
+ * @param {string} [options.language] - Label language; detected from the phrase when omitted
  * @returns {Promise<{
  *   normalizedInput: string,
+ *   language: string,
  *   baseSlug: string|null,
  *   category: string|null,
  *   modifiers: string[],
@@ -193,23 +279,35 @@ async function getDraftFromDb(baseSlug, primaryModifier) {
  *   notes: string,
  *   alternatives: string[],
  *   source: 'rule_engine'|'fallback',
+ *   additive: { code: string, name: string, sources: string[], matchedText: string } | null,
  *   halal_status: string,
- *   confidence: number
+ *   confidence: number,
+ *   preferenceAdjustments: Array<{ preference: 'halal_standard'|'school_of_thought', value: string, rule: string, from: string, to: string }>
  * }>}
  */
-export async function evaluateIngredient(ingredientPhrase, userPreferences = {}) {
-  // 1. Normalize input
-  const normalizedInput = normalizeIngredientText(ingredientPhrase);
+export async function evaluateIngredient(ingredientPhrase, userPreferences = {}, options = {}) {
+  const language = options.language || detectIngredientLanguage(ingredientPhrase);
+  const result = await evaluateNormalized(ingredientPhrase, normalizeIngredientText(ingredientPhrase, language), userPreferences, language);
+  return { ...applyUserPreferences(result, userPreferences), language };
+}
+
+/**
+ * Steps 2–6 of evaluateIngredient on already-normalized (and translated) text.
+ */
+async function evaluateNormalized(ingredientPhrase, normalizedInput, userPreferences, language) {
+  // 1. Normalize input (done by caller)
   if (!normalizedInput) {
     return buildResult(normalizedInput, null, null, [], [], "unknown", "low", "", [], "fallback");
   }
 
-  // 2. Identify base ingredient
-  const { baseSlug, category } = await identifyBaseIngredient(normalizedInput);
+  // 2. Identify base ingredient (additive codes/names resolve here too)
+  const { baseSlug, category, additive = null } = await identifyBaseIngredient(normalizedInput, ingredientPhrase);
+  const additiveEntry = additive ? findAdditiveByCode(additive.code) : null;
 
   // If no base identified, try JSON fallback then unknown
   if (!baseSlug && !category) {
-    const fallback = fallbackToJson(ingredientPhrase, userPreferences);
+    // The knowledge base is English: look up the translated text for other languages
+    const fallback = fallbackToJson(language === "en" ? ingredientPhrase : normalizedInput, userPreferences);
     if (fallback) return fallback;
     return buildResult(normalizedInput, null, null, ["unspecified"], [], "unknown", "low", "", [], "fallback");
   }
@@ -231,7 +329,8 @@ export async function evaluateIngredient(ingredientPhrase, userPreferences = {})
       override.confidence,
       override.reason,
       getAlternativesForVerdict(override.verdict, baseSlug),
-      "rule_engine"
+      "rule_engine",
+      additive
     );
   }
 
@@ -249,19 +348,39 @@ export async function evaluateIngredient(ingredientPhrase, userPreferences = {})
         draft.confidence,
         draft.notes,
         draft.alternatives,
-        "rule_engine"
+        "rule_engine",
+        additive
       );
     }
   }
 
-  // 5b. Apply category defaults
+  // 5b. Catalogued additive: its own verdict is more specific than the category default
+  if (additiveEntry) {
+    return buildResult(
+      normalizedInput,
+      baseSlug,
+      category,
+      slugs,
+      modifierDetails,
+      additiveEntry.verdict,
+      additiveEntry.confidence,
+      additiveEntry.notes,
+      [...additiveEntry.alternatives],
+      "rule_engine",
+      additive
+    );
+  }
+
+  // 5c. Apply category defaults
   const defaultResult = applyCategoryDefaults(category);
   const notes =
     category === "animal_byproduct"
       ? "Source unknown; must be halal-certified if animal-derived."
       : category === "flavoring_extract"
         ? "Often alcohol-based; check label or use alcohol-free."
-        : "";
+        : category === "seafood_shellfish"
+          ? "Permissible in the Shafi'i, Maliki and Hanbali schools; the Hanafi school does not permit most shellfish."
+          : "";
   const alternatives = getAlternativesForVerdict(defaultResult.verdict, baseSlug);
 
   return buildResult(
@@ -304,11 +423,10 @@ function buildResult(
   confidenceLevel,
   notes,
   alternatives,
-  source
+  source,
+  additive = null
 ) {
-  // Legacy: halal_status (map usually_halal -> halal, usually_haram -> haram for backward compat)
-  const halal_status =
-    verdict === "usually_halal" ? "halal" : verdict === "usually_haram" ? "haram" : verdict;
+  const halal_status = legacyStatus(verdict);
   const confidence =
     confidenceLevel === "high" ? 1.0 : confidenceLevel === "medium" ? 0.6 : 0.3;
 
@@ -323,14 +441,23 @@ function buildResult(
     notes,
     alternatives,
     source,
+    additive,
     // Legacy shape for existing consumers
     base_slug: baseSlug,
     modifier_slug: modifiers[0] || "unspecified",
     halal_status,
     confidence,
+    preferenceAdjustments: [],
   };
 }
 
+/**
+ * Legacy halal_status for a verdict (usually_halal -> halal, usually_haram -> haram for backward compat).
+ */
+function legacyStatus(verdict) {
+  return verdict === "usually_halal" ? "halal" : verdict === "usually_haram" ? "haram" : verdict;
+}
+
 /**
  * Fallback when base is unknown: use existing halal knowledge (JSON).
  */
@@ -340,7 +467,7 @@ function fallbackToJson(ingredientPhrase, userPreferences) {
   const status = details.status || "unknown";
   const verdict = status === "haram" ? "haram" : status === "halal" ? "halal" : "conditional";
   const confidenceLevel = status === "haram" || status === "halal" ? "high" : "medium";
-  return buildResult(
+  const result = buildResult(
     normalizeIngredientText(ingredientPhrase),
     details.name || null,
     null,
@@ -352,4 +479,5 @@ function fallbackToJson(ingredientPhrase, userPreferences) {
     details.alternatives || [],
     "fallback"
   );
+  return { ...result, preferenceAdjustments: details.preferenceAdjustments || [] };
 }
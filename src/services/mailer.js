@@ -0,0 +1,99 @@
+/**
+ * Mail transports for account emails (password reset, email verification).
+ * Built-in transports: console (logs recipient and subject, default), file (writes one JSON file per message to
+ * MAIL_OUTBOX_DIR, for development and tests). Real providers plug in with registerMailTransport(name, factory).
+ * Neither built-in delivers mail, so with NODE_ENV=production MAIL_TRANSPORT must name a registered real transport.
+ * Contract: send({ from, to, subject, text, html? }) → { id } (the provider's message id, if any).
+ */
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+const DEFAULT_TRANSPORT = "console";
+const DEVELOPMENT_TRANSPORTS = ["console", "file"];
+
+const consoleTransport = {
+  async send(message) {
+    const id = crypto.randomUUID();
+    // The body carries reset and verification links: never write it to the logs
+    console.log(`📧 [mail:${id}] To: ${message.to} | Subject: ${message.subject}`);
+    return { id };
+  },
+};
+
+const fileTransport = {
+  async send(message) {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "halal-kitchen-mail");
+    const id = crypto.randomUUID();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(dir, `${Date.now()}-${id}.json`),
+      JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { id };
+  },
+};
+
+const registry = new Map([
+  ["console", () => consoleTransport],
+  ["file", () => fileTransport],
+]);
+
+/**
+ * Register a mail transport (or replace a built-in one).
+ * @param {string} name - Value selected with MAIL_TRANSPORT
+ * @param {() => { send: (message: { from: string, to: string, subject: string, text: string, html?: string }) => Promise<{ id?: string }> }} factory
+ */
+export function registerMailTransport(name, factory) {
+  if (!name || typeof factory !== "function") {
+    throw new Error("registerMailTransport requires a name and a factory function");
+  }
+  registry.set(String(name).toLowerCase(), factory);
+}
+
+/**
+ * @returns {string[]} Registered transport names
+ */
+export function listMailTransports() {
+  return [...registry.keys()];
+}
+
+/**
+ * Resolve the mail transport. Defaults to env MAIL_TRANSPORT, then "console".
+ * Unknown transports fall back to console so the attempt is at least visible in the logs.
+ * With NODE_ENV=production, throws instead unless the name is a registered transport other than console or file.
+ * @param {string} [name]
+ * @returns {{ name: string, send: Function }}
+ */
+export function getMailTransport(name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT) {
+  const transport = String(name).toLowerCase();
+  if (process.env.NODE_ENV === "production" && (!registry.has(transport) || DEVELOPMENT_TRANSPORTS.includes(transport))) {
+    throw new Error(`MAIL_TRANSPORT "${transport}" does not deliver mail; set it to a registered provider in production`);
+  }
+  if (!registry.has(transport)) {
+    console.warn(`[mail] unknown transport "${transport}", using console`);
+    return { name: "console", ...registry.get("console")() };
+  }
+  return { name: transport, ...registry.get(transport)() };
+}
+
+/**
+ * Send an email through the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string, from?: string }} message
+ * @param {object} [options]
+ * @param {string} [options.transport] - Transport name (default MAIL_TRANSPORT)
+ * @returns {Promise<{ transport: string, id: string|null }>}
+ */
+export async function sendMail(message, options = {}) {
+  if (!message?.to || !message.subject || !message.text) {
+    throw new Error("sendMail requires to, subject and text");
+  }
+  const transport = getMailTransport(options.transport);
+  const result = await transport.send({
+    from: message.from || process.env.MAIL_FROM || "Halal Kitchen <no-reply@halalkitchen.app>",
+    ...message,
+  });
+  return { transport: transport.name, id: result?.id || null };
+}
@@ -0,0 +1,159 @@
+/**
+ * Meal planning (free: 1 plan, premium: unlimited).
+ * Validates plan input (date range, slots, servings) and rolls up the halal status of the planned recipes.
+ * Persistence lives in db/mealPlans.js; the combined shopping list in shoppingListService.js.
+ */
+
+import { convertRecipe } from "../utils/halalConverter.js";
+
+/** Slots a recipe can be planned in, in display order. */
+export const MEAL_SLOTS = Object.freeze(["breakfast", "lunch", "dinner", "snack"]);
+
+export const MAX_PLAN_DAYS = 31;
+export const MAX_SERVINGS = 50;
+
+// Worst status wins when rolling up a plan
+const STATUS_ORDER = ["halal", "converted", "conditional", "haram"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+}
+
+/**
+ * Validate a meal plan body.
+ *
+ * @param {object} input - { name, startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD', entries: [{ date, slot, recipeId, servings? }] }
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Update: only the fields present are checked
+ * @param {{ startDate: string, endDate: string }} [options.current] - Stored range, used to check entries on partial updates
+ * @returns {{ value: object } | { error: string, params?: object }} value holds only the fields that were given;
+ *   error is a message catalogue key, filled with params
+ */
+export function validateMealPlan(input, options = {}) {
+  const { partial = false, current = null } = options;
+  const body = input && typeof input === "object" ? input : {};
+  const value = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== "string" || !body.name.trim()) return { error: "errors.fieldRequired", params: { field: "name" } };
+    value.name = body.name.trim();
+  }
+
+  for (const field of ["startDate", "endDate"]) {
+    if (body[field] !== undefined || !partial) {
+      if (!parseDate(body[field])) return { error: "errors.dateInvalid", params: { field } };
+      value[field] = body[field];
+    }
+  }
+
+  const startDate = value.startDate ?? current?.startDate;
+  const endDate = value.endDate ?? current?.endDate;
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  if (start && end) {
+    if (end < start) return { error: "errors.planDatesReversed" };
+    if ((end - start) / DAY_MS + 1 > MAX_PLAN_DAYS) {
+      return { error: "errors.planTooLong", params: { days: MAX_PLAN_DAYS } };
+    }
+  }
+
+  if (body.entries !== undefined || !partial) {
+    const entries = body.entries ?? [];
+    if (!Array.isArray(entries)) return { error: "errors.entriesNotArray" };
+
+    value.entries = [];
+    for (const [index, entry] of entries.entries()) {
+      const date = parseDate(entry?.date);
+      if (!date) return { error: "errors.entryDateInvalid", params: { index } };
+      if (start && end && (date < start || date > end)) {
+        return { error: "errors.entryOutsideRange", params: { index } };
+      }
+      if (!MEAL_SLOTS.includes(entry.slot)) {
+        return { error: "errors.entrySlotInvalid", params: { index, slots: MEAL_SLOTS.join(", ") } };
+      }
+      if (typeof entry.recipeId !== "string" || !UUID_PATTERN.test(entry.recipeId)) {
+        return { error: "errors.entryRecipeInvalid", params: { index } };
+      }
+      const servings = entry.servings == null ? 1 : Number(entry.servings);
+      if (!Number.isInteger(servings) || servings < 1 || servings > MAX_SERVINGS) {
+        return { error: "errors.entryServingsInvalid", params: { index, max: MAX_SERVINGS } };
+      }
+      value.entries.push({ date: entry.date, slot: entry.slot, recipeId: entry.recipeId, servings });
+    }
+  } else if (partial && (value.startDate || value.endDate) && Array.isArray(current?.entries)) {
+    // Range changed without new entries: the stored ones must still fit
+    const outside = current.entries.find((e) => {
+      const date = parseDate(e.date);
+      return date && (date < start || date > end);
+    });
+    if (outside) return { error: "errors.existingEntryOutsideRange", params: { date: outside.date } };
+  }
+
+  return { value };
+}
+
+/**
+ * Halal status of one recipe, from converting its original text.
+ * halal: nothing flagged; converted: every flagged ingredient has a substitute;
+ * conditional: something needs review; haram: a haram ingredient has no substitute.
+ */
+function recipeHalalStatus(recipe, userPreferences) {
+  const text = recipe.original_recipe || recipe.converted_recipe || "";
+  const { issues, confidenceScore } = convertRecipe(text, userPreferences);
+  const unresolved = issues.filter((issue) => !issue.wasReplaced);
+
+  let status = "halal";
+  if (unresolved.some((issue) => issue.status === "haram")) status = "haram";
+  else if (unresolved.length) status = "conditional";
+  else if (issues.length) status = "converted";
+
+  return {
+    status,
+    // Nothing flagged means there is no conversion to be confident about
+    confidenceScore: issues.length ? confidenceScore : null,
+    unresolved: [...new Set(unresolved.map((issue) => issue.ingredient))],
+  };
+}
+
+/**
+ * Roll up the halal status of the recipes in a plan (each recipe counted once).
+ * averageConfidence covers only recipes with flagged ingredients.
+ *
+ * @param {Array<object>} recipes - Rows from db/recipes.js
+ * @param {object} [userPreferences]
+ * @returns {{
+ *   overall: 'halal'|'converted'|'conditional'|'haram'|null,
+ *   counts: { halal: number, converted: number, conditional: number, haram: number },
+ *   averageConfidence: number|null,
+ *   recipes: Array<{ recipeId: string, title: string, status: string, confidenceScore: number|null, unresolved: string[] }>
+ * }}
+ */
+export function summarizeMealPlanHalalStatus(recipes, userPreferences = {}) {
+  const counts = Object.fromEntries(STATUS_ORDER.map((s) => [s, 0]));
+  const seen = new Set();
+  const perRecipe = [];
+
+  for (const recipe of recipes) {
+    if (!recipe || seen.has(recipe.id)) continue;
+    seen.add(recipe.id);
+    const { status, confidenceScore, unresolved } = recipeHalalStatus(recipe, userPreferences);
+    counts[status] += 1;
+    perRecipe.push({ recipeId: recipe.id, title: recipe.title, status, confidenceScore, unresolved });
+  }
+
+  const overall = perRecipe.length
+    ? STATUS_ORDER[Math.max(...perRecipe.map((r) => STATUS_ORDER.indexOf(r.status)))]
+    : null;
+  const scored = perRecipe.filter((r) => r.confidenceScore != null);
+  const averageConfidence = scored.length
+    ? Math.round(scored.reduce((sum, r) => sum + r.confidenceScore, 0) / scored.length)
+    : null;
+
+  return { overall, counts, averageConfidence, recipes: perRecipe };
+}
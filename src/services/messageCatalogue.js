@@ -0,0 +1,1128 @@
+/**
+ * Message catalogue for user-facing text: template explanations, warnings, substitute reasons and API errors.
+ * Keys are flat and dotted; {placeholders} are filled by translate() in i18nService.js.
+ * English is the reference: a key missing from another locale falls back to it.
+ */
+
+export const MESSAGES = Object.freeze({
+  en: {
+    "explanation.thisIngredient": "This ingredient",
+    "explanation.withModifiers": "{name} ({modifiers})",
+    "explanation.status.halal": "{name} is generally considered halal.",
+    "explanation.status.usually_halal": "{name} is generally considered permissible.",
+    "explanation.status.conditional": "{name} is often considered conditional—it depends on the source or how it was made.",
+    "explanation.status.usually_haram": "{name} is generally not considered permissible.",
+    "explanation.status.haram": "{name} is not permissible.",
+    "explanation.status.unknown": "{name} could not be classified with confidence.",
+    "explanation.status.other": "{name} has an uncertain status.",
+    "explanation.uncertainty": "When in doubt, check the label for certification or consult a knowledgeable source.",
+    "explanation.references": "Islamic guidance on permitted and prohibited foods is found in sources such as {refs}.",
+
+    "warning.conditional": "Source or preparation may affect permissibility; verify when possible.",
+    "warning.haram": "Not permissible; use a halal substitute.",
+    "warning.unknown": "Not in rule database; consult a scholar or certified source.",
+    "warning.usually_haram": "Generally not permissible; avoid or substitute.",
+
+    "note.pork": "Pork and pork-derived ingredients are haram.",
+    "note.halalCertified": "Halal-certified override.",
+    "note.plantBased": "Plant-based variant; no animal source.",
+    "note.alcoholFreeExtract": "Alcohol-free extract.",
+    "note.intoxicant": "Intoxicating alcohol as ingredient.",
+    "note.wine": "Wine as ingredient is not permissible.",
+    "note.alcohol": "Alcohol as ingredient is not permissible.",
+    "note.animalByproduct": "Source unknown; must be halal-certified if animal-derived.",
+    "note.flavoringExtract": "Often alcohol-based; check label or use alcohol-free.",
+    "note.shellfish": "Permissible in the Shafi'i, Maliki and Hanbali schools; the Hanafi school does not permit most shellfish.",
+
+    "substitute.defaultReason": "Practical halal alternative.",
+    "substitute.genericReason": "Halal substitute; check recipe for best use.",
+    "substitute.rulesReason": "Halal alternative from rules.",
+    "substitute.bacon.smoked_turkey_bacon": "Closest match in flavor and crisp texture; works in most recipes.",
+    "substitute.bacon.beef_bacon_halal": "Smoky, cured profile similar to bacon; halal-certified.",
+    "substitute.bacon.turkey_ham_halal": "Cured, savory option when bacon is used for flavor.",
+    "substitute.bacon.halal_beef_pastrami": "Bold, salty flavor; works in sandwiches and cooked dishes.",
+    "substitute.wine.white_grape_juice_plus_vinegar": "Acidity and fruitiness mimic white wine in deglazing and sauces.",
+    "substitute.wine.grape_juice_plus_vinegar": "Works for both red and white wine in cooking.",
+    "substitute.wine.non_alcoholic_wine": "Closest flavor match; check that alcohol is fully removed.",
+    "substitute.wine.rice_vinegar": "Mild acidity for deglazing; good in Asian-style dishes.",
+    "substitute.wine.chicken_or_vegetable_broth": "Adds moisture and savor; no alcohol.",
+    "substitute.white_wine.white_grape_juice_plus_vinegar": "Best direct swap for white wine in sauces and deglazing.",
+    "substitute.white_wine.grape_juice_plus_vinegar": "Widely available; works in most white-wine applications.",
+    "substitute.white_wine.non_alcoholic_wine": "Closest match when available.",
+    "substitute.white_wine.rice_vinegar": "Mild acidity; good for pan sauces.",
+    "substitute.gelatin.agar_agar": "Plant-based; sets firmer than gelatin. No animal source.",
+    "substitute.gelatin.halal_beef_gelatin": "Same texture and behavior as gelatin; must be halal-certified.",
+    "substitute.gelatin.pectin": "Plant-based; best for jams and fruit gels.",
+    "substitute.gelatin.cornstarch_slurry": "Thickens sauces and fillings; not a gel set.",
+    "substitute.mirin.sugar_plus_rice_vinegar": "Sweet-tangy balance close to mirin; no alcohol.",
+    "substitute.mirin.halal_mirin": "Direct replacement when you can find alcohol-free mirin.",
+    "substitute.mirin.rice_vinegar_plus_sugar": "Simple, widely available swap for glazes and teriyaki.",
+    "substitute.mirin.apple_juice_plus_vinegar": "Fruity-sweet with acidity; works in some glazes.",
+
+    "errors.authRequired": "Authentication required",
+    "errors.userNotFound": "User not found",
+    "errors.invalidToken": "Invalid or expired token",
+    "errors.sessionRevoked": "Your session has ended; please sign in again",
+    "errors.emailNotVerified": "Please verify your email address first",
+    "email.passwordReset.subject": "Reset your Halal Kitchen password",
+    "email.passwordReset.body": "Someone asked to reset the password for your Halal Kitchen account. Open this link within {minutes} minutes to choose a new one:\n\n{link}\n\nIf it wasn't you, ignore this email; your password stays the same.",
+    "email.verify.subject": "Confirm your email for Halal Kitchen",
+    "email.verify.body": "Welcome to Halal Kitchen! Confirm your email address by opening this link within {hours} hours:\n\n{link}",
+    "errors.authFailed": "Authentication error",
+    "errors.premiumRequired": "Premium subscription required",
+    "errors.subscriptionCheckFailed": "Failed to check subscription status",
+    "errors.featureRequired": "Premium feature required: {feature}",
+    "errors.freeLimitReached": "Free plan limit reached for {feature}",
+    "errors.recipeReadOnly": "This recipe is read-only on the free plan, which keeps {limit} recipes editable. Upgrade to edit it again.",
+    "errors.featureCheckFailed": "Failed to check feature access",
+    "errors.accessDenied": "Access denied",
+    "errors.adminRequired": "Admin access required",
+    "errors.roleRequired": "Requires one of these roles: {roles}",
+    "errors.recipeNotFound": "Recipe not found",
+    "errors.productNotFound": "Product not found",
+    "errors.ingredientNotFound": "Ingredient not found",
+    "errors.recipeTextRequired": "Recipe text is required",
+    "errors.conversionLimitReached": "Monthly conversion limit reached",
+    "errors.convertFailed": "Failed to convert recipe",
+    "errors.ingredientRequired": "ingredient string is required",
+    "errors.classifyFailed": "Failed to classify ingredient",
+    "errors.noTextToAnalyze": "No text to analyze. Send rawText (JSON) or upload an image (multipart/form-data with field \"image\").",
+    "errors.scanFailed": "Failed to scan ingredients",
+    "errors.conversionLimitFetchFailed": "Failed to fetch conversion limit",
+    "errors.recipeOrTextRequired": "recipeId or recipeText is required",
+    "errors.servingsOrUnitRequired": "servings or unitSystem is required",
+    "errors.scaleFailed": "Failed to scale recipe",
+    "errors.batchNotArrays": "recipes and recipeIds must be arrays",
+    "errors.batchEmpty": "At least one recipe or recipe ID is required",
+    "errors.batchTooLarge": "A batch can contain at most {max} recipes",
+    "errors.recipeLoadFailed": "Failed to load recipe",
+    "errors.batchFailed": "Failed to convert recipes",
+    "errors.ingredientIdRequired": "Ingredient ID or ingredient is required",
+    "errors.substitutionsFailed": "Failed to get advanced substitutions",
+    "errors.recipeIdRequired": "Recipe ID is required",
+    "errors.formatInvalid": "format must be one of: {formats}",
+    "errors.exportFormatUnavailable": "Export format not available on your plan: {format}",
+    "errors.exportFailed": "Failed to export shopping list",
+    "errors.emailPasswordRequired": "Email and password are required",
+    "errors.passwordTooShort": "Password must be at least 6 characters",
+    "errors.emailTaken": "User with this email already exists",
+    "errors.registerFailed": "Registration failed. Please try again.",
+    "errors.invalidCredentials": "Invalid email or password",
+    "errors.loginFailed": "Login failed. Please try again.",
+    "errors.userLoadFailed": "Failed to load user",
+    "errors.refreshTokenRequired": "refreshToken is required",
+    "errors.invalidRefreshToken": "Invalid or expired refresh token",
+    "errors.refreshFailed": "Failed to refresh session",
+    "errors.logoutFailed": "Failed to log out",
+    "errors.logoutAllFailed": "Failed to log out of all devices",
+    "errors.sessionsListFailed": "Failed to list sessions",
+    "errors.sessionNotFound": "Session not found",
+    "errors.sessionEndFailed": "Failed to end session",
+    "errors.emailRequired": "Email is required",
+    "errors.resetEmailFailed": "Failed to send reset email",
+    "errors.resetTokenRequired": "Reset token is required",
+    "errors.resetLinkInvalid": "Reset link is invalid or has expired",
+    "errors.passwordResetFailed": "Failed to reset password",
+    "errors.verificationTokenRequired": "Verification token is required",
+    "errors.verificationLinkInvalid": "Verification link is invalid or has expired",
+    "errors.verifyEmailFailed": "Failed to verify email",
+    "errors.verificationEmailFailed": "Failed to send verification email",
+    "errors.recipesFetchFailed": "Failed to fetch recipes",
+    "errors.recipeFetchFailed": "Failed to fetch recipe",
+    "errors.titleRequired": "Title is required",
+    "errors.recipeCreateFailed": "Failed to create recipe",
+    "errors.recipeEditOwnOnly": "You can only edit your own recipes",
+    "errors.recipeUpdateFailed": "Failed to update recipe",
+    "errors.recipeDeleteOwnOnly": "You can only delete your own recipes",
+    "errors.recipeDeleteFailed": "Failed to delete recipe",
+    "errors.profileFetchFailed": "Failed to fetch profile",
+    "errors.profileUpdateFailed": "Failed to update profile",
+    "errors.noFileUploaded": "No file uploaded",
+    "errors.photoUploadFailed": "Failed to upload photo",
+    "errors.dataExportFailed": "Failed to export data",
+    "errors.deletionPasswordRequired": "Password is required to delete your account",
+    "errors.incorrectPassword": "Incorrect password",
+    "errors.subscriptionCancelFailed": "Could not cancel your subscription, so the account was not deleted. Please try again.",
+    "errors.accountDeleteFailed": "Failed to delete account",
+    "errors.noPendingDeletion": "No pending account deletion",
+    "errors.deletionCancelFailed": "Failed to cancel account deletion",
+    "errors.planRecipeNotFound": "Recipe not found: {recipeId}",
+    "errors.planRecipeAccessDenied": "Access denied to recipe: {recipeId}",
+    "errors.mealPlansFetchFailed": "Failed to fetch meal plans",
+    "errors.mealPlanCreateFailed": "Failed to create meal plan",
+    "errors.mealPlanNotFound": "Meal plan not found",
+    "errors.mealPlanFetchFailed": "Failed to fetch meal plan",
+    "errors.mealPlanUpdateFailed": "Failed to update meal plan",
+    "errors.mealPlanDeleteFailed": "Failed to delete meal plan",
+    "errors.shoppingListFailed": "Failed to build shopping list",
+    "errors.halalStatusFailed": "Failed to summarize halal status",
+    "errors.fieldRequired": "{field} is required",
+    "errors.certificateDateInvalid": "certificateExpiresAt must be a date (YYYY-MM-DD)",
+    "errors.verificationSourceInvalid": "verificationSource must be one of: {sources}",
+    "errors.verificationSourceReserved": "verificationSource {source} can only be set by the registry maintainers",
+    "errors.barcodeLookupFailed": "Failed to look up barcode",
+    "errors.productQueryRequired": "barcode, or brand and name, is required",
+    "errors.productLookupFailed": "Failed to look up product",
+    "errors.searchQueryTooShort": "q must be at least 2 characters",
+    "errors.productSearchFailed": "Failed to search products",
+    "errors.productExists": "A product with this barcode or brand and name already exists",
+    "errors.productCreateFailed": "Failed to create product",
+    "errors.productFetchFailed": "Failed to fetch product",
+    "errors.productUpdateFailed": "Failed to update product",
+    "errors.scanOrTextRequired": "scanResult (with ingredients) or rawText is required",
+    "errors.scanLinkFailed": "Failed to link scan",
+    "errors.certificateIncomplete": "Record the certification body and expiry date before verifying",
+    "errors.productVerifyFailed": "Failed to verify product certification",
+    "errors.baseSlugInvalid": "baseSlug is required (letters, digits and underscores)",
+    "errors.modifierSlugInvalid": "modifierSlug must contain letters, digits and underscores",
+    "errors.halalStatusInvalid": "halalStatus must be one of: {statuses}",
+    "errors.notesNotString": "notes must be a string",
+    "errors.alternativesInvalid": "alternatives must be an array of substitute slugs",
+    "errors.reasonRequired": "reason is required",
+    "errors.expectedVersionInvalid": "expectedVersion must be an integer",
+    "errors.ruleConflict": "Rule was changed by someone else; reload and try again",
+    "errors.rulesListFailed": "Failed to list rules",
+    "errors.ruleNotFound": "Rule not found",
+    "errors.ruleOrVersionNotFound": "Rule or version not found",
+    "errors.ruleFetchFailed": "Failed to fetch rule",
+    "errors.ruleExists": "A rule for {base} + {modifier} already exists; edit it or roll it back instead",
+    "errors.ruleCreateFailed": "Failed to create rule",
+    "errors.ruleNothingToUpdate": "Nothing to update: send halalStatus, notes or alternatives",
+    "errors.ruleUpdateFailed": "Failed to update rule",
+    "errors.ruleRetireFailed": "Failed to retire rule",
+    "errors.ruleVersionInvalid": "version must be a positive integer",
+    "errors.ruleRollbackFailed": "Failed to roll back rule",
+    "errors.rolesFetchFailed": "Failed to fetch roles",
+    "errors.roleInvalid": "role must be one of: {roles}",
+    "errors.ownAdminRoleRevoke": "You cannot revoke your own admin role",
+    "errors.roleGrantFailed": "Failed to grant role",
+    "errors.roleRevokeFailed": "Failed to revoke role",
+    "errors.conversionStatsFailed": "Failed to fetch conversion stats",
+    "errors.conversionHistoryFailed": "Failed to fetch conversion history",
+    "errors.conversionNotFound": "Conversion not found",
+    "errors.conversionFetchFailed": "Failed to fetch conversion",
+    "errors.visibilityInvalid": "visibility must be one of: {visibilities}",
+    "errors.conversionAlreadySaved": "Conversion already saved",
+    "errors.conversionNoOutput": "This conversion has no stored output to save",
+    "errors.conversionSaveFailed": "Failed to save conversion",
+    "errors.emailInvalid": "Invalid email format",
+    "errors.emailExists": "Email already exists",
+    "errors.userCreateFailed": "Failed to create user",
+    "errors.usersFetchFailed": "Failed to fetch users",
+    "errors.subscriptionStatusFailed": "Failed to fetch subscription status",
+    "errors.planInvalid": "Invalid plan. Must be \"monthly\" or \"yearly\"",
+    "errors.checkoutFailed": "Failed to create checkout session",
+    "errors.noActiveSubscription": "No active subscription found",
+    "errors.noSubscription": "No subscription found",
+    "errors.cancelSubscriptionFailed": "Failed to cancel subscription",
+    "errors.reactivateFailed": "Failed to reactivate subscription",
+    "errors.planChangeFailed": "Failed to change subscription plan",
+    "errors.webhookFailed": "Webhook processing failed",
+    "errors.eventInvalid": "Invalid event structure",
+    "errors.eventStoreFailed": "Failed to store event",
+    "errors.metricsFetchFailed": "Failed to fetch metrics",
+    "errors.databaseNotConfigured": "Database not configured: DATABASE_URL is not set",
+    "errors.databaseMismatch": "Data mismatch between insert and read operations",
+    "errors.databaseCheckFailed": "Database operation failed",
+    "errors.barcodeInvalid": "barcode must be an 8, 12, 13 or 14 digit UPC/EAN",
+    "errors.barcodeCheckDigit": "barcode check digit is invalid",
+    "errors.dateInvalid": "{field} must be a date (YYYY-MM-DD)",
+    "errors.planDatesReversed": "endDate must be on or after startDate",
+    "errors.planTooLong": "A meal plan can cover at most {days} days",
+    "errors.entriesNotArray": "entries must be an array",
+    "errors.entryDateInvalid": "entries[{index}].date must be a date (YYYY-MM-DD)",
+    "errors.entryOutsideRange": "entries[{index}].date is outside the plan's date range",
+    "errors.entrySlotInvalid": "entries[{index}].slot must be one of: {slots}",
+    "errors.entryRecipeInvalid": "entries[{index}].recipeId must be a recipe ID",
+    "errors.entryServingsInvalid": "entries[{index}].servings must be a whole number from 1 to {max}",
+    "errors.existingEntryOutsideRange": "Existing entry on {date} is outside the new date range",
+    "errors.servingsInvalid": "servings must be a positive number",
+    "errors.originalServingsUnknown": "Original servings could not be detected; provide originalServings",
+    "errors.unitSystemInvalid": "unitSystem must be one of: {systems}",
+
+    "messages.conversionLimitReached": "You've used all {limit} free conversions this month. Upgrade to Premium for unlimited conversions.",
+    "messages.scanIngredientsFallback": "We don't know this product yet. Take a photo of the ingredient panel instead.",
+    "messages.recipePosted": "Recipe posted successfully",
+    "messages.recipeSaved": "Recipe saved successfully",
+    "messages.recipeUpdated": "Recipe updated successfully",
+    "messages.recipeDeleted": "Recipe deleted successfully",
+    "messages.mealPlanDeleted": "Meal plan deleted successfully",
+    "messages.subscriptionCancelScheduled": "Subscription will cancel at period end",
+    "messages.subscriptionReactivated": "Subscription reactivated",
+    "messages.planUnchanged": "Already on {plan} plan",
+    "messages.planChanged": "Plan changed to {plan}",
+    "messages.registered": "User registered successfully",
+    "messages.loggedIn": "Login successful",
+    "messages.loggedOut": "Logged out",
+    "messages.loggedOutAll": "Logged out of all devices",
+    "messages.sessionEnded": "Session ended",
+    "messages.resetLinkSent": "If an account exists for this email, a reset link has been sent",
+    "messages.passwordUpdated": "Password updated. Please sign in again.",
+    "messages.emailVerified": "Email verified",
+    "messages.emailAlreadyVerified": "Email already verified",
+    "messages.verificationEmailSent": "Verification email sent",
+    "messages.profileUpdated": "Profile updated successfully",
+    "messages.profilePhotoUploaded": "Profile photo uploaded successfully",
+    "messages.accountDeletionScheduled": "Your account will be deleted in {days} days. Sign in before then to cancel.",
+    "messages.accountDeletionCanceled": "Account deletion canceled",
+    "messages.userCreated": "User and profile created successfully",
+    "messages.databaseHealthy": "Database read/write operations successful",
+
+    "verdict.certificateExpired": "Certificate from {body} expired on {date}",
+    "verdict.certificateUnverified": "Certification by {body} has not been verified",
+    "verdict.certificateNoExpiry": "Certification by {body} has no expiry date on record and is not verified",
+    "verdict.containsHaram": "Contains haram ingredients: {ingredients}",
+    "verdict.certificateConflict": "Ingredient list conflicts with {body} certification; re-check the label",
+    "verdict.certified": "Certified halal by {body}",
+    "verdict.conditionalCovered": "Conditional ingredients are covered by the certification",
+    "verdict.nothingOnRecord": "No ingredient list or valid certification on record",
+    "verdict.sourceNotVerified": "Source not verified for: {ingredients}",
+    "verdict.notInRuleDatabase": "Not in rule database: {ingredients}",
+    "verdict.allHalalUncertified": "All listed ingredients are halal; product is not certified",
+  },
+
+  fr: {
+    "explanation.thisIngredient": "Cet ingrédient",
+    "explanation.withModifiers": "{name} ({modifiers})",
+    "explanation.status.halal": "{name} est généralement considéré comme halal.",
+    "explanation.status.usually_halal": "{name} est généralement considéré comme permis.",
+    "explanation.status.conditional": "{name} est souvent considéré comme conditionnel : cela dépend de l'origine ou de la fabrication.",
+    "explanation.status.usually_haram": "{name} n'est généralement pas considéré comme permis.",
+    "explanation.status.haram": "{name} n'est pas permis.",
+    "explanation.status.unknown": "{name} n'a pas pu être classé avec certitude.",
+    "explanation.status.other": "Le statut de {name} est incertain.",
+    "explanation.uncertainty": "En cas de doute, vérifiez la certification sur l'étiquette ou consultez une source compétente.",
+    "explanation.references": "Les règles islamiques sur les aliments permis et interdits figurent notamment dans {refs}.",
+
+    "warning.conditional": "L'origine ou la préparation peut changer le statut ; vérifiez si possible.",
+    "warning.haram": "Non permis ; utilisez un substitut halal.",
+    "warning.unknown": "Absent de la base de règles ; consultez un savant ou une source certifiée.",
+    "warning.usually_haram": "Généralement non permis ; à éviter ou remplacer.",
+
+    "note.pork": "Le porc et ses dérivés sont haram.",
+    "note.halalCertified": "Certifié halal.",
+    "note.plantBased": "Variante végétale ; aucune origine animale.",
+    "note.alcoholFreeExtract": "Extrait sans alcool.",
+    "note.intoxicant": "Alcool enivrant utilisé comme ingrédient.",
+    "note.wine": "Le vin comme ingrédient n'est pas permis.",
+    "note.alcohol": "L'alcool comme ingrédient n'est pas permis.",
+    "note.animalByproduct": "Origine inconnue ; doit être certifié halal s'il est d'origine animale.",
+    "note.flavoringExtract": "Souvent à base d'alcool ; vérifiez l'étiquette ou choisissez une version sans alcool.",
+    "note.shellfish": "Permis dans les écoles chaféite, malikite et hanbalite ; l'école hanafite n'autorise pas la plupart des fruits de mer à coquille.",
+
+    "substitute.defaultReason": "Alternative halal pratique.",
+    "substitute.genericReason": "Substitut halal ; adaptez selon la recette.",
+    "substitute.rulesReason": "Alternative halal issue des règles.",
+    "substitute.bacon.smoked_turkey_bacon": "Le plus proche en goût et en croustillant ; convient à la plupart des recettes.",
+    "substitute.bacon.beef_bacon_halal": "Goût fumé et salé proche du bacon ; certifié halal.",
+    "substitute.bacon.turkey_ham_halal": "Option salée et fumée quand le bacon sert à donner du goût.",
+    "substitute.bacon.halal_beef_pastrami": "Goût prononcé et salé ; idéal en sandwich et en plat cuisiné.",
+    "substitute.wine.white_grape_juice_plus_vinegar": "L'acidité et le fruité imitent le vin blanc pour déglacer et en sauce.",
+    "substitute.wine.grape_juice_plus_vinegar": "Remplace le vin rouge comme le blanc en cuisine.",
+    "substitute.wine.non_alcoholic_wine": "Le plus proche en goût ; vérifiez que l'alcool est totalement retiré.",
+    "substitute.wine.rice_vinegar": "Acidité douce pour déglacer ; idéal dans les plats asiatiques.",
+    "substitute.wine.chicken_or_vegetable_broth": "Apporte humidité et saveur ; sans alcool.",
+    "substitute.white_wine.white_grape_juice_plus_vinegar": "Le meilleur remplacement direct du vin blanc en sauce et pour déglacer.",
+    "substitute.white_wine.grape_juice_plus_vinegar": "Facile à trouver ; convient à la plupart des usages du vin blanc.",
+    "substitute.white_wine.non_alcoholic_wine": "Le plus proche quand on en trouve.",
+    "substitute.white_wine.rice_vinegar": "Acidité douce ; bon pour les sauces à la poêle.",
+    "substitute.gelatin.agar_agar": "Végétal ; prend plus ferme que la gélatine. Aucune origine animale.",
+    "substitute.gelatin.halal_beef_gelatin": "Même texture et même comportement que la gélatine ; doit être certifiée halal.",
+    "substitute.gelatin.pectin": "Végétal ; idéal pour les confitures et gelées de fruits.",
+    "substitute.gelatin.cornstarch_slurry": "Épaissit sauces et garnitures ; ne gélifie pas.",
+    "substitute.mirin.sugar_plus_rice_vinegar": "Équilibre sucré-acidulé proche du mirin ; sans alcool.",
+    "substitute.mirin.halal_mirin": "Remplacement direct si vous trouvez du mirin sans alcool.",
+    "substitute.mirin.rice_vinegar_plus_sugar": "Simple et facile à trouver pour les glaçages et le teriyaki.",
+    "substitute.mirin.apple_juice_plus_vinegar": "Fruité et sucré avec de l'acidité ; convient à certains glaçages.",
+
+    "errors.authRequired": "Authentification requise",
+    "errors.userNotFound": "Utilisateur introuvable",
+    "errors.invalidToken": "Jeton invalide ou expiré",
+    "errors.sessionRevoked": "Votre session a pris fin ; veuillez vous reconnecter",
+    "errors.emailNotVerified": "Veuillez d'abord vérifier votre adresse e-mail",
+    "email.passwordReset.subject": "Réinitialisez votre mot de passe Halal Kitchen",
+    "email.passwordReset.body": "Une réinitialisation du mot de passe de votre compte Halal Kitchen a été demandée. Ouvrez ce lien dans les {minutes} minutes pour en choisir un nouveau :\n\n{link}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail ; votre mot de passe reste inchangé.",
+    "email.verify.subject": "Confirmez votre e-mail pour Halal Kitchen",
+    "email.verify.body": "Bienvenue sur Halal Kitchen ! Confirmez votre adresse e-mail en ouvrant ce lien dans les {hours} heures :\n\n{link}",
+    "errors.authFailed": "Erreur d'authentification",
+    "errors.premiumRequired": "Abonnement Premium requis",
+    "errors.subscriptionCheckFailed": "Impossible de vérifier l'abonnement",
+    "errors.featureRequired": "Fonctionnalité Premium requise : {feature}",
+    "errors.freeLimitReached": "Limite de l'offre gratuite atteinte pour {feature}",
+    "errors.recipeReadOnly": "Cette recette est en lecture seule avec l'offre gratuite, qui laisse {limit} recettes modifiables. Passez à Premium pour la modifier à nouveau.",
+    "errors.featureCheckFailed": "Impossible de vérifier l'accès à la fonctionnalité",
+    "errors.accessDenied": "Accès refusé",
+    "errors.adminRequired": "Accès administrateur requis",
+    "errors.roleRequired": "Nécessite l'un de ces rôles : {roles}",
+    "errors.recipeNotFound": "Recette introuvable",
+    "errors.productNotFound": "Produit introuvable",
+    "errors.ingredientNotFound": "Ingrédient introuvable",
+    "errors.recipeTextRequired": "Le texte de la recette est requis",
+    "errors.conversionLimitReached": "Limite mensuelle de conversions atteinte",
+    "errors.convertFailed": "Impossible de convertir la recette",
+    "errors.ingredientRequired": "Le champ ingredient est requis",
+    "errors.classifyFailed": "Impossible de classer l'ingrédient",
+    "errors.noTextToAnalyze": "Aucun texte à analyser. Envoyez rawText (JSON) ou une image (multipart/form-data, champ \"image\").",
+    "errors.scanFailed": "Impossible d'analyser les ingrédients",
+    "errors.conversionLimitFetchFailed": "Impossible de récupérer la limite de conversions",
+    "errors.recipeOrTextRequired": "recipeId ou recipeText est requis",
+    "errors.servingsOrUnitRequired": "servings ou unitSystem est requis",
+    "errors.scaleFailed": "Impossible d'adapter la recette",
+    "errors.batchNotArrays": "recipes et recipeIds doivent être des tableaux",
+    "errors.batchEmpty": "Au moins une recette ou un identifiant de recette est requis",
+    "errors.batchTooLarge": "Un lot peut contenir au plus {max} recettes",
+    "errors.recipeLoadFailed": "Impossible de charger la recette",
+    "errors.batchFailed": "Impossible de convertir les recettes",
+    "errors.ingredientIdRequired": "Un identifiant d'ingrédient ou un ingrédient est requis",
+    "errors.substitutionsFailed": "Impossible d'obtenir les substitutions avancées",
+    "errors.recipeIdRequired": "L'identifiant de la recette est requis",
+    "errors.formatInvalid": "format doit être l'un de : {formats}",
+    "errors.exportFormatUnavailable": "Format d'export non disponible avec votre offre : {format}",
+    "errors.exportFailed": "Impossible d'exporter la liste de courses",
+    "errors.emailPasswordRequired": "L'e-mail et le mot de passe sont requis",
+    "errors.passwordTooShort": "Le mot de passe doit contenir au moins 6 caractères",
+    "errors.emailTaken": "Un utilisateur avec cet e-mail existe déjà",
+    "errors.registerFailed": "L'inscription a échoué. Veuillez réessayer.",
+    "errors.invalidCredentials": "E-mail ou mot de passe incorrect",
+    "errors.loginFailed": "La connexion a échoué. Veuillez réessayer.",
+    "errors.userLoadFailed": "Impossible de charger l'utilisateur",
+    "errors.refreshTokenRequired": "refreshToken est requis",
+    "errors.invalidRefreshToken": "Jeton de rafraîchissement invalide ou expiré",
+    "errors.refreshFailed": "Impossible de renouveler la session",
+    "errors.logoutFailed": "Impossible de se déconnecter",
+    "errors.logoutAllFailed": "Impossible de se déconnecter de tous les appareils",
+    "errors.sessionsListFailed": "Impossible de lister les sessions",
+    "errors.sessionNotFound": "Session introuvable",
+    "errors.sessionEndFailed": "Impossible de mettre fin à la session",
+    "errors.emailRequired": "L'e-mail est requis",
+    "errors.resetEmailFailed": "Impossible d'envoyer l'e-mail de réinitialisation",
+    "errors.resetTokenRequired": "Le jeton de réinitialisation est requis",
+    "errors.resetLinkInvalid": "Le lien de réinitialisation est invalide ou a expiré",
+    "errors.passwordResetFailed": "Impossible de réinitialiser le mot de passe",
+    "errors.verificationTokenRequired": "Le jeton de vérification est requis",
+    "errors.verificationLinkInvalid": "Le lien de vérification est invalide ou a expiré",
+    "errors.verifyEmailFailed": "Impossible de vérifier l'e-mail",
+    "errors.verificationEmailFailed": "Impossible d'envoyer l'e-mail de vérification",
+    "errors.recipesFetchFailed": "Impossible de récupérer les recettes",
+    "errors.recipeFetchFailed": "Impossible de récupérer la recette",
+    "errors.titleRequired": "Le titre est requis",
+    "errors.recipeCreateFailed": "Impossible de créer la recette",
+    "errors.recipeEditOwnOnly": "Vous ne pouvez modifier que vos propres recettes",
+    "errors.recipeUpdateFailed": "Impossible de mettre à jour la recette",
+    "errors.recipeDeleteOwnOnly": "Vous ne pouvez supprimer que vos propres recettes",
+    "errors.recipeDeleteFailed": "Impossible de supprimer la recette",
+    "errors.profileFetchFailed": "Impossible de récupérer le profil",
+    "errors.profileUpdateFailed": "Impossible de mettre à jour le profil",
+    "errors.noFileUploaded": "Aucun fichier envoyé",
+    "errors.photoUploadFailed": "Impossible d'envoyer la photo",
+    "errors.dataExportFailed": "Impossible d'exporter les données",
+    "errors.deletionPasswordRequired": "Le mot de passe est requis pour supprimer votre compte",
+    "errors.incorrectPassword": "Mot de passe incorrect",
+    "errors.subscriptionCancelFailed": "Impossible d'annuler votre abonnement : le compte n'a donc pas été supprimé. Veuillez réessayer.",
+    "errors.accountDeleteFailed": "Impossible de supprimer le compte",
+    "errors.noPendingDeletion": "Aucune suppression de compte en attente",
+    "errors.deletionCancelFailed": "Impossible d'annuler la suppression du compte",
+    "errors.planRecipeNotFound": "Recette introuvable : {recipeId}",
+    "errors.planRecipeAccessDenied": "Accès refusé à la recette : {recipeId}",
+    "errors.mealPlansFetchFailed": "Impossible de récupérer les plans de repas",
+    "errors.mealPlanCreateFailed": "Impossible de créer le plan de repas",
+    "errors.mealPlanNotFound": "Plan de repas introuvable",
+    "errors.mealPlanFetchFailed": "Impossible de récupérer le plan de repas",
+    "errors.mealPlanUpdateFailed": "Impossible de mettre à jour le plan de repas",
+    "errors.mealPlanDeleteFailed": "Impossible de supprimer le plan de repas",
+    "errors.shoppingListFailed": "Impossible de créer la liste de courses",
+    "errors.halalStatusFailed": "Impossible de résumer le statut halal",
+    "errors.fieldRequired": "{field} est requis",
+    "errors.certificateDateInvalid": "certificateExpiresAt doit être une date (AAAA-MM-JJ)",
+    "errors.verificationSourceInvalid": "verificationSource doit être l'un de : {sources}",
+    "errors.verificationSourceReserved": "verificationSource {source} ne peut être défini que par les responsables du registre",
+    "errors.barcodeLookupFailed": "Impossible de rechercher le code-barres",
+    "errors.productQueryRequired": "barcode, ou brand et name, est requis",
+    "errors.productLookupFailed": "Impossible de rechercher le produit",
+    "errors.searchQueryTooShort": "q doit contenir au moins 2 caractères",
+    "errors.productSearchFailed": "Impossible de rechercher les produits",
+    "errors.productExists": "Un produit avec ce code-barres ou cette marque et ce nom existe déjà",
+    "errors.productCreateFailed": "Impossible de créer le produit",
+    "errors.productFetchFailed": "Impossible de récupérer le produit",
+    "errors.productUpdateFailed": "Impossible de mettre à jour le produit",
+    "errors.scanOrTextRequired": "scanResult (avec ingredients) ou rawText est requis",
+    "errors.scanLinkFailed": "Impossible d'associer l'analyse",
+    "errors.certificateIncomplete": "Indiquez l'organisme de certification et la date d'expiration avant de vérifier",
+    "errors.productVerifyFailed": "Impossible de vérifier la certification du produit",
+    "errors.baseSlugInvalid": "baseSlug est requis (lettres, chiffres et tirets bas)",
+    "errors.modifierSlugInvalid": "modifierSlug doit contenir des lettres, des chiffres et des tirets bas",
+    "errors.halalStatusInvalid": "halalStatus doit être l'un de : {statuses}",
+    "errors.notesNotString": "notes doit être une chaîne de caractères",
+    "errors.alternativesInvalid": "alternatives doit être un tableau de slugs de substituts",
+    "errors.reasonRequired": "reason est requis",
+    "errors.expectedVersionInvalid": "expectedVersion doit être un entier",
+    "errors.ruleConflict": "La règle a été modifiée par quelqu'un d'autre ; rechargez et réessayez",
+    "errors.rulesListFailed": "Impossible de lister les règles",
+    "errors.ruleNotFound": "Règle introuvable",
+    "errors.ruleOrVersionNotFound": "Règle ou version introuvable",
+    "errors.ruleFetchFailed": "Impossible de récupérer la règle",
+    "errors.ruleExists": "Une règle pour {base} + {modifier} existe déjà ; modifiez-la ou restaurez-en une version",
+    "errors.ruleCreateFailed": "Impossible de créer la règle",
+    "errors.ruleNothingToUpdate": "Rien à mettre à jour : envoyez halalStatus, notes ou alternatives",
+    "errors.ruleUpdateFailed": "Impossible de mettre à jour la règle",
+    "errors.ruleRetireFailed": "Impossible de retirer la règle",
+    "errors.ruleVersionInvalid": "version doit être un entier positif",
+    "errors.ruleRollbackFailed": "Impossible de restaurer la règle",
+    "errors.rolesFetchFailed": "Impossible de récupérer les rôles",
+    "errors.roleInvalid": "role doit être l'un de : {roles}",
+    "errors.ownAdminRoleRevoke": "Vous ne pouvez pas retirer votre propre rôle d'administrateur",
+    "errors.roleGrantFailed": "Impossible d'attribuer le rôle",
+    "errors.roleRevokeFailed": "Impossible de retirer le rôle",
+    "errors.conversionStatsFailed": "Impossible de récupérer les statistiques de conversion",
+    "errors.conversionHistoryFailed": "Impossible de récupérer l'historique des conversions",
+    "errors.conversionNotFound": "Conversion introuvable",
+    "errors.conversionFetchFailed": "Impossible de récupérer la conversion",
+    "errors.visibilityInvalid": "visibility doit être l'un de : {visibilities}",
+    "errors.conversionAlreadySaved": "Conversion déjà enregistrée",
+    "errors.conversionNoOutput": "Cette conversion n'a aucun résultat enregistré à sauvegarder",
+    "errors.conversionSaveFailed": "Impossible d'enregistrer la conversion",
+    "errors.emailInvalid": "Format d'e-mail invalide",
+    "errors.emailExists": "Cet e-mail existe déjà",
+    "errors.userCreateFailed": "Impossible de créer l'utilisateur",
+    "errors.usersFetchFailed": "Impossible de récupérer les utilisateurs",
+    "errors.subscriptionStatusFailed": "Impossible de récupérer l'état de l'abonnement",
+    "errors.planInvalid": "Formule invalide : choisissez « monthly » ou « yearly »",
+    "errors.checkoutFailed": "Impossible de créer la session de paiement",
+    "errors.noActiveSubscription": "Aucun abonnement actif trouvé",
+    "errors.noSubscription": "Aucun abonnement trouvé",
+    "errors.cancelSubscriptionFailed": "Impossible d'annuler l'abonnement",
+    "errors.reactivateFailed": "Impossible de réactiver l'abonnement",
+    "errors.planChangeFailed": "Impossible de changer de formule",
+    "errors.webhookFailed": "Échec du traitement du webhook",
+    "errors.eventInvalid": "Structure d'événement invalide",
+    "errors.eventStoreFailed": "Impossible d'enregistrer l'événement",
+    "errors.metricsFetchFailed": "Impossible de récupérer les statistiques",
+    "errors.databaseNotConfigured": "Base de données non configurée : DATABASE_URL n'est pas défini",
+    "errors.databaseMismatch": "Incohérence entre les données écrites et relues",
+    "errors.databaseCheckFailed": "Échec de l'opération sur la base de données",
+    "errors.barcodeInvalid": "le code-barres doit être un UPC/EAN de 8, 12, 13 ou 14 chiffres",
+    "errors.barcodeCheckDigit": "le chiffre de contrôle du code-barres est invalide",
+    "errors.dateInvalid": "{field} doit être une date (AAAA-MM-JJ)",
+    "errors.planDatesReversed": "endDate doit être identique ou postérieure à startDate",
+    "errors.planTooLong": "Un menu peut couvrir au plus {days} jours",
+    "errors.entriesNotArray": "entries doit être un tableau",
+    "errors.entryDateInvalid": "entries[{index}].date doit être une date (AAAA-MM-JJ)",
+    "errors.entryOutsideRange": "entries[{index}].date est en dehors des dates du menu",
+    "errors.entrySlotInvalid": "entries[{index}].slot doit être l'un de : {slots}",
+    "errors.entryRecipeInvalid": "entries[{index}].recipeId doit être un identifiant de recette",
+    "errors.entryServingsInvalid": "entries[{index}].servings doit être un nombre entier de 1 à {max}",
+    "errors.existingEntryOutsideRange": "L'entrée existante du {date} est en dehors des nouvelles dates",
+    "errors.servingsInvalid": "servings doit être un nombre positif",
+    "errors.originalServingsUnknown": "Le nombre de portions d'origine est introuvable ; indiquez originalServings",
+    "errors.unitSystemInvalid": "unitSystem doit être l'un de : {systems}",
+
+    "messages.conversionLimitReached": "Vous avez utilisé vos {limit} conversions gratuites ce mois-ci. Passez à Premium pour des conversions illimitées.",
+    "messages.scanIngredientsFallback": "Nous ne connaissons pas encore ce produit. Prenez plutôt en photo la liste des ingrédients.",
+    "messages.recipePosted": "Recette publiée",
+    "messages.recipeSaved": "Recette enregistrée",
+    "messages.recipeUpdated": "Recette mise à jour",
+    "messages.recipeDeleted": "Recette supprimée",
+    "messages.mealPlanDeleted": "Menu supprimé",
+    "messages.subscriptionCancelScheduled": "L'abonnement sera annulé à la fin de la période",
+    "messages.subscriptionReactivated": "Abonnement réactivé",
+    "messages.planUnchanged": "Vous avez déjà la formule {plan}",
+    "messages.planChanged": "Formule changée pour {plan}",
+    "messages.registered": "Compte créé",
+    "messages.loggedIn": "Connexion réussie",
+    "messages.loggedOut": "Déconnecté",
+    "messages.loggedOutAll": "Déconnecté de tous les appareils",
+    "messages.sessionEnded": "Session terminée",
+    "messages.resetLinkSent": "Si un compte existe pour cette adresse, un lien de réinitialisation a été envoyé",
+    "messages.passwordUpdated": "Mot de passe mis à jour. Veuillez vous reconnecter.",
+    "messages.emailVerified": "Adresse e-mail vérifiée",
+    "messages.emailAlreadyVerified": "Adresse e-mail déjà vérifiée",
+    "messages.verificationEmailSent": "E-mail de vérification envoyé",
+    "messages.profileUpdated": "Profil mis à jour",
+    "messages.profilePhotoUploaded": "Photo de profil envoyée",
+    "messages.accountDeletionScheduled": "Votre compte sera supprimé dans {days} jours. Connectez-vous d'ici là pour annuler.",
+    "messages.accountDeletionCanceled": "Suppression du compte annulée",
+    "messages.userCreated": "Utilisateur et profil créés",
+    "messages.databaseHealthy": "Lecture et écriture en base de données réussies",
+
+    "verdict.certificateExpired": "Le certificat de {body} a expiré le {date}",
+    "verdict.certificateUnverified": "La certification de {body} n'a pas été vérifiée",
+    "verdict.certificateNoExpiry": "La certification de {body} n'a pas de date d'expiration enregistrée et n'est pas vérifiée",
+    "verdict.containsHaram": "Contient des ingrédients haram : {ingredients}",
+    "verdict.certificateConflict": "La liste des ingrédients contredit la certification {body} ; vérifiez l'étiquette",
+    "verdict.certified": "Certifié halal par {body}",
+    "verdict.conditionalCovered": "Les ingrédients conditionnels sont couverts par la certification",
+    "verdict.nothingOnRecord": "Aucune liste d'ingrédients ni certification valide enregistrée",
+    "verdict.sourceNotVerified": "Origine non vérifiée pour : {ingredients}",
+    "verdict.notInRuleDatabase": "Absent de la base de règles : {ingredients}",
+    "verdict.allHalalUncertified": "Tous les ingrédients listés sont halal ; le produit n'est pas certifié",
+  },
+
+  ar: {
+    "explanation.thisIngredient": "هذا المكوّن",
+    "explanation.withModifiers": "{name} ({modifiers})",
+    "explanation.status.halal": "يُعدّ {name} حلالاً بشكل عام.",
+    "explanation.status.usually_halal": "يُعدّ {name} مباحاً بشكل عام.",
+    "explanation.status.conditional": "غالباً ما يُعدّ {name} مشروطاً، إذ يعتمد على مصدره أو طريقة تصنيعه.",
+    "explanation.status.usually_haram": "لا يُعدّ {name} مباحاً بشكل عام.",
+    "explanation.status.haram": "{name} غير مباح.",
+    "explanation.status.unknown": "تعذّر تصنيف {name} بثقة.",
+    "explanation.status.other": "حكم {name} غير مؤكد.",
+    "explanation.uncertainty": "عند الشك، تحقّق من شهادة الحلال على الملصق أو استشر مصدراً موثوقاً.",
+    "explanation.references": "تَرِد أحكام الأطعمة المباحة والمحرّمة في مصادر مثل {refs}.",
+
+    "warning.conditional": "قد يؤثر المصدر أو طريقة التحضير في الحكم؛ تحقّق منه قدر الإمكان.",
+    "warning.haram": "غير مباح؛ استخدم بديلاً حلالاً.",
+    "warning.unknown": "غير موجود في قاعدة القواعد؛ استشر عالماً أو جهة اعتماد موثوقة.",
+    "warning.usually_haram": "غير مباح بشكل عام؛ تجنّبه أو استبدله.",
+
+    "note.pork": "لحم الخنزير ومشتقاته حرام.",
+    "note.halalCertified": "معتمد حلال.",
+    "note.plantBased": "نوع نباتي؛ لا مصدر حيوانياً له.",
+    "note.alcoholFreeExtract": "خلاصة خالية من الكحول.",
+    "note.intoxicant": "كحول مُسكِر مستخدم كمكوّن.",
+    "note.wine": "لا يجوز استخدام الخمر كمكوّن.",
+    "note.alcohol": "لا يجوز استخدام الكحول كمكوّن.",
+    "note.animalByproduct": "المصدر غير معروف؛ يجب أن يكون معتمداً حلالاً إن كان من أصل حيواني.",
+    "note.flavoringExtract": "غالباً ما يكون بأساس كحولي؛ تحقّق من الملصق أو استخدم نوعاً خالياً من الكحول.",
+    "note.shellfish": "مباح عند الشافعية والمالكية والحنابلة؛ ولا يجيز المذهب الحنفي أكثر القشريات والمحاريات.",
+
+    "substitute.defaultReason": "بديل حلال عملي.",
+    "substitute.genericReason": "بديل حلال؛ راجع الوصفة لأفضل استخدام.",
+    "substitute.rulesReason": "بديل حلال من القواعد.",
+    "substitute.bacon.smoked_turkey_bacon": "الأقرب في النكهة والقرمشة؛ يناسب معظم الوصفات.",
+    "substitute.bacon.beef_bacon_halal": "نكهة مدخّنة ومملّحة قريبة من اللحم المقدد؛ معتمد حلال.",
+    "substitute.bacon.turkey_ham_halal": "خيار مملّح ومالح عندما يُستخدم اللحم المقدد للنكهة.",
+    "substitute.bacon.halal_beef_pastrami": "نكهة قوية ومالحة؛ يناسب الشطائر والأطباق المطبوخة.",
+    "substitute.wine.white_grape_juice_plus_vinegar": "الحموضة والنكهة الفاكهية تحاكيان النبيذ الأبيض في تحمير الصلصات.",
+    "substitute.wine.grape_juice_plus_vinegar": "يصلح بدلاً من النبيذ الأحمر والأبيض في الطبخ.",
+    "substitute.wine.non_alcoholic_wine": "الأقرب في النكهة؛ تأكّد من إزالة الكحول بالكامل.",
+    "substitute.wine.rice_vinegar": "حموضة خفيفة لتحمير الصلصات؛ مناسب للأطباق الآسيوية.",
+    "substitute.wine.chicken_or_vegetable_broth": "يضيف رطوبة ونكهة؛ بلا كحول.",
+    "substitute.white_wine.white_grape_juice_plus_vinegar": "أفضل بديل مباشر للنبيذ الأبيض في الصلصات والتحمير.",
+    "substitute.white_wine.grape_juice_plus_vinegar": "متوفر بسهولة؛ يناسب معظم استخدامات النبيذ الأبيض.",
+    "substitute.white_wine.non_alcoholic_wine": "الأقرب عند توفره.",
+    "substitute.white_wine.rice_vinegar": "حموضة خفيفة؛ مناسب لصلصات المقلاة.",
+    "substitute.gelatin.agar_agar": "نباتي؛ يتماسك أكثر من الجيلاتين. لا مصدر حيوانياً له.",
+    "substitute.gelatin.halal_beef_gelatin": "القوام والسلوك نفسهما للجيلاتين؛ يجب أن يكون معتمداً حلالاً.",
+    "substitute.gelatin.pectin": "نباتي؛ الأفضل للمربيات وهلام الفاكهة.",
+    "substitute.gelatin.cornstarch_slurry": "يكثّف الصلصات والحشوات؛ لا يشكّل هلاماً.",
+    "substitute.mirin.sugar_plus_rice_vinegar": "توازن حلو وحامض قريب من الميرين؛ بلا كحول.",
+    "substitute.mirin.halal_mirin": "بديل مباشر إن وجدت ميرين خالياً من الكحول.",
+    "substitute.mirin.rice_vinegar_plus_sugar": "بديل بسيط ومتوفر للصلصات اللامعة والترياكي.",
+    "substitute.mirin.apple_juice_plus_vinegar": "حلاوة فاكهية مع حموضة؛ يناسب بعض الصلصات اللامعة.",
+
+    "errors.authRequired": "يلزم تسجيل الدخول",
+    "errors.userNotFound": "المستخدم غير موجود",
+    "errors.invalidToken": "رمز الدخول غير صالح أو منتهي الصلاحية",
+    "errors.sessionRevoked": "انتهت جلستك؛ يرجى تسجيل الدخول مرة أخرى",
+    "errors.emailNotVerified": "يرجى تأكيد بريدك الإلكتروني أولاً",
+    "email.passwordReset.subject": "إعادة تعيين كلمة مرور Halal Kitchen",
+    "email.passwordReset.body": "طُلبت إعادة تعيين كلمة المرور لحسابك في Halal Kitchen. افتح هذا الرابط خلال {minutes} دقيقة لاختيار كلمة مرور جديدة:\n\n{link}\n\nإذا لم تطلب ذلك فتجاهل هذه الرسالة؛ ستبقى كلمة المرور كما هي.",
+    "email.verify.subject": "أكّد بريدك الإلكتروني في Halal Kitchen",
+    "email.verify.body": "مرحبًا بك في Halal Kitchen! أكّد بريدك الإلكتروني بفتح هذا الرابط خلال {hours} ساعة:\n\n{link}",
+    "errors.authFailed": "خطأ في المصادقة",
+    "errors.premiumRequired": "يلزم اشتراك مميز",
+    "errors.subscriptionCheckFailed": "تعذّر التحقق من حالة الاشتراك",
+    "errors.featureRequired": "هذه الميزة تتطلب اشتراكاً مميزاً: {feature}",
+    "errors.freeLimitReached": "تم بلوغ حد الخطة المجانية لـ {feature}",
+    "errors.recipeReadOnly": "هذه الوصفة للقراءة فقط في الخطة المجانية التي تتيح تعديل {limit} وصفات. قم بالترقية لتعديلها مجدداً.",
+    "errors.featureCheckFailed": "تعذّر التحقق من صلاحية الوصول إلى الميزة",
+    "errors.accessDenied": "تم رفض الوصول",
+    "errors.adminRequired": "يلزم الوصول بصلاحيات المسؤول",
+    "errors.roleRequired": "يتطلب أحد هذه الأدوار: {roles}",
+    "errors.recipeNotFound": "الوصفة غير موجودة",
+    "errors.productNotFound": "المنتج غير موجود",
+    "errors.ingredientNotFound": "المكوّن غير موجود",
+    "errors.recipeTextRequired": "نص الوصفة مطلوب",
+    "errors.conversionLimitReached": "تم بلوغ الحد الشهري للتحويلات",
+    "errors.convertFailed": "تعذّر تحويل الوصفة",
+    "errors.ingredientRequired": "حقل ingredient مطلوب",
+    "errors.classifyFailed": "تعذّر تصنيف المكوّن",
+    "errors.noTextToAnalyze": "لا يوجد نص لتحليله. أرسل rawText (JSON) أو ارفع صورة (multipart/form-data في الحقل \"image\").",
+    "errors.scanFailed": "تعذّر فحص المكوّنات",
+    "errors.conversionLimitFetchFailed": "تعذّر جلب حد التحويلات",
+    "errors.recipeOrTextRequired": "يلزم recipeId أو recipeText",
+    "errors.servingsOrUnitRequired": "يلزم servings أو unitSystem",
+    "errors.scaleFailed": "تعذّر تغيير مقادير الوصفة",
+    "errors.batchNotArrays": "يجب أن يكون recipes و recipeIds مصفوفتين",
+    "errors.batchEmpty": "يلزم وجود وصفة واحدة أو معرّف وصفة واحد على الأقل",
+    "errors.batchTooLarge": "يمكن أن تحتوي الدفعة على {max} وصفة كحد أقصى",
+    "errors.recipeLoadFailed": "تعذّر تحميل الوصفة",
+    "errors.batchFailed": "تعذّر تحويل الوصفات",
+    "errors.ingredientIdRequired": "يلزم معرّف المكوّن أو المكوّن",
+    "errors.substitutionsFailed": "تعذّر جلب البدائل المتقدمة",
+    "errors.recipeIdRequired": "معرّف الوصفة مطلوب",
+    "errors.formatInvalid": "يجب أن تكون قيمة format واحدة من: {formats}",
+    "errors.exportFormatUnavailable": "صيغة التصدير غير متاحة في خطتك: {format}",
+    "errors.exportFailed": "تعذّر تصدير قائمة التسوق",
+    "errors.emailPasswordRequired": "البريد الإلكتروني وكلمة المرور مطلوبان",
+    "errors.passwordTooShort": "يجب أن تتكون كلمة المرور من 6 أحرف على الأقل",
+    "errors.emailTaken": "يوجد مستخدم بهذا البريد الإلكتروني بالفعل",
+    "errors.registerFailed": "فشل التسجيل. يرجى المحاولة مرة أخرى.",
+    "errors.invalidCredentials": "البريد الإلكتروني أو كلمة المرور غير صحيحة",
+    "errors.loginFailed": "فشل تسجيل الدخول. يرجى المحاولة مرة أخرى.",
+    "errors.userLoadFailed": "تعذّر تحميل المستخدم",
+    "errors.refreshTokenRequired": "الحقل refreshToken مطلوب",
+    "errors.invalidRefreshToken": "رمز التحديث غير صالح أو منتهي الصلاحية",
+    "errors.refreshFailed": "تعذّر تجديد الجلسة",
+    "errors.logoutFailed": "تعذّر تسجيل الخروج",
+    "errors.logoutAllFailed": "تعذّر تسجيل الخروج من جميع الأجهزة",
+    "errors.sessionsListFailed": "تعذّر عرض الجلسات",
+    "errors.sessionNotFound": "الجلسة غير موجودة",
+    "errors.sessionEndFailed": "تعذّر إنهاء الجلسة",
+    "errors.emailRequired": "البريد الإلكتروني مطلوب",
+    "errors.resetEmailFailed": "تعذّر إرسال رسالة إعادة التعيين",
+    "errors.resetTokenRequired": "رمز إعادة التعيين مطلوب",
+    "errors.resetLinkInvalid": "رابط إعادة التعيين غير صالح أو منتهي الصلاحية",
+    "errors.passwordResetFailed": "تعذّر إعادة تعيين كلمة المرور",
+    "errors.verificationTokenRequired": "رمز التحقق مطلوب",
+    "errors.verificationLinkInvalid": "رابط التحقق غير صالح أو منتهي الصلاحية",
+    "errors.verifyEmailFailed": "تعذّر تأكيد البريد الإلكتروني",
+    "errors.verificationEmailFailed": "تعذّر إرسال رسالة التحقق",
+    "errors.recipesFetchFailed": "تعذّر جلب الوصفات",
+    "errors.recipeFetchFailed": "تعذّر جلب الوصفة",
+    "errors.titleRequired": "العنوان مطلوب",
+    "errors.recipeCreateFailed": "تعذّر إنشاء الوصفة",
+    "errors.recipeEditOwnOnly": "يمكنك تعديل وصفاتك فقط",
+    "errors.recipeUpdateFailed": "تعذّر تحديث الوصفة",
+    "errors.recipeDeleteOwnOnly": "يمكنك حذف وصفاتك فقط",
+    "errors.recipeDeleteFailed": "تعذّر حذف الوصفة",
+    "errors.profileFetchFailed": "تعذّر جلب الملف الشخصي",
+    "errors.profileUpdateFailed": "تعذّر تحديث الملف الشخصي",
+    "errors.noFileUploaded": "لم يتم رفع أي ملف",
+    "errors.photoUploadFailed": "تعذّر رفع الصورة",
+    "errors.dataExportFailed": "تعذّر تصدير البيانات",
+    "errors.deletionPasswordRequired": "كلمة المرور مطلوبة لحذف حسابك",
+    "errors.incorrectPassword": "كلمة المرور غير صحيحة",
+    "errors.subscriptionCancelFailed": "تعذّر إلغاء اشتراكك، لذلك لم يتم حذف الحساب. يرجى المحاولة مرة أخرى.",
+    "errors.accountDeleteFailed": "تعذّر حذف الحساب",
+    "errors.noPendingDeletion": "لا يوجد طلب معلّق لحذف الحساب",
+    "errors.deletionCancelFailed": "تعذّر إلغاء حذف الحساب",
+    "errors.planRecipeNotFound": "الوصفة غير موجودة: {recipeId}",
+    "errors.planRecipeAccessDenied": "تم رفض الوصول إلى الوصفة: {recipeId}",
+    "errors.mealPlansFetchFailed": "تعذّر جلب خطط الوجبات",
+    "errors.mealPlanCreateFailed": "تعذّر إنشاء خطة الوجبات",
+    "errors.mealPlanNotFound": "خطة الوجبات غير موجودة",
+    "errors.mealPlanFetchFailed": "تعذّر جلب خطة الوجبات",
+    "errors.mealPlanUpdateFailed": "تعذّر تحديث خطة الوجبات",
+    "errors.mealPlanDeleteFailed": "تعذّر حذف خطة الوجبات",
+    "errors.shoppingListFailed": "تعذّر إنشاء قائمة التسوق",
+    "errors.halalStatusFailed": "تعذّر تلخيص حالة الحلال",
+    "errors.fieldRequired": "الحقل {field} مطلوب",
+    "errors.certificateDateInvalid": "يجب أن تكون قيمة certificateExpiresAt تاريخاً (YYYY-MM-DD)",
+    "errors.verificationSourceInvalid": "يجب أن تكون قيمة verificationSource واحدة من: {sources}",
+    "errors.verificationSourceReserved": "لا يمكن تعيين verificationSource بالقيمة {source} إلا من قِبل مشرفي السجل",
+    "errors.barcodeLookupFailed": "تعذّر البحث عن الرمز الشريطي",
+    "errors.productQueryRequired": "يلزم barcode، أو brand و name",
+    "errors.productLookupFailed": "تعذّر البحث عن المنتج",
+    "errors.searchQueryTooShort": "يجب أن يتكون q من حرفين على الأقل",
+    "errors.productSearchFailed": "تعذّر البحث في المنتجات",
+    "errors.productExists": "يوجد بالفعل منتج بهذا الرمز الشريطي أو بهذه العلامة التجارية والاسم",
+    "errors.productCreateFailed": "تعذّر إنشاء المنتج",
+    "errors.productFetchFailed": "تعذّر جلب المنتج",
+    "errors.productUpdateFailed": "تعذّر تحديث المنتج",
+    "errors.scanOrTextRequired": "يلزم scanResult (مع ingredients) أو rawText",
+    "errors.scanLinkFailed": "تعذّر ربط الفحص",
+    "errors.certificateIncomplete": "سجّل جهة الاعتماد وتاريخ الانتهاء قبل التحقق",
+    "errors.productVerifyFailed": "تعذّر التحقق من شهادة المنتج",
+    "errors.baseSlugInvalid": "الحقل baseSlug مطلوب (أحرف وأرقام وشرطات سفلية)",
+    "errors.modifierSlugInvalid": "يجب أن يحتوي modifierSlug على أحرف وأرقام وشرطات سفلية",
+    "errors.halalStatusInvalid": "يجب أن تكون قيمة halalStatus واحدة من: {statuses}",
+    "errors.notesNotString": "يجب أن تكون notes نصاً",
+    "errors.alternativesInvalid": "يجب أن تكون alternatives مصفوفة من معرّفات البدائل",
+    "errors.reasonRequired": "الحقل reason مطلوب",
+    "errors.expectedVersionInvalid": "يجب أن تكون قيمة expectedVersion عدداً صحيحاً",
+    "errors.ruleConflict": "عدّل شخص آخر القاعدة؛ أعد التحميل وحاول مرة أخرى",
+    "errors.rulesListFailed": "تعذّر عرض القواعد",
+    "errors.ruleNotFound": "القاعدة غير موجودة",
+    "errors.ruleOrVersionNotFound": "القاعدة أو الإصدار غير موجود",
+    "errors.ruleFetchFailed": "تعذّر جلب القاعدة",
+    "errors.ruleExists": "توجد قاعدة بالفعل لـ {base} + {modifier}؛ عدّلها أو استرجع إصداراً سابقاً منها بدلاً من ذلك",
+    "errors.ruleCreateFailed": "تعذّر إنشاء القاعدة",
+    "errors.ruleNothingToUpdate": "لا يوجد ما يُحدَّث: أرسل halalStatus أو notes أو alternatives",
+    "errors.ruleUpdateFailed": "تعذّر تحديث القاعدة",
+    "errors.ruleRetireFailed": "تعذّر إيقاف القاعدة",
+    "errors.ruleVersionInvalid": "يجب أن تكون قيمة version عدداً صحيحاً موجباً",
+    "errors.ruleRollbackFailed": "تعذّر استرجاع القاعدة",
+    "errors.rolesFetchFailed": "تعذّر جلب الأدوار",
+    "errors.roleInvalid": "يجب أن تكون قيمة role واحدة من: {roles}",
+    "errors.ownAdminRoleRevoke": "لا يمكنك سحب دور المسؤول من نفسك",
+    "errors.roleGrantFailed": "تعذّر منح الدور",
+    "errors.roleRevokeFailed": "تعذّر سحب الدور",
+    "errors.conversionStatsFailed": "تعذّر جلب إحصاءات التحويل",
+    "errors.conversionHistoryFailed": "تعذّر جلب سجل التحويلات",
+    "errors.conversionNotFound": "التحويل غير موجود",
+    "errors.conversionFetchFailed": "تعذّر جلب التحويل",
+    "errors.visibilityInvalid": "يجب أن تكون قيمة visibility واحدة من: {visibilities}",
+    "errors.conversionAlreadySaved": "تم حفظ التحويل بالفعل",
+    "errors.conversionNoOutput": "لا يحتوي هذا التحويل على ناتج مخزّن لحفظه",
+    "errors.conversionSaveFailed": "تعذّر حفظ التحويل",
+    "errors.emailInvalid": "صيغة البريد الإلكتروني غير صالحة",
+    "errors.emailExists": "البريد الإلكتروني موجود بالفعل",
+    "errors.userCreateFailed": "تعذّر إنشاء المستخدم",
+    "errors.usersFetchFailed": "تعذّر جلب المستخدمين",
+    "errors.subscriptionStatusFailed": "تعذّر جلب حالة الاشتراك",
+    "errors.planInvalid": "خطة غير صالحة. يجب أن تكون \"monthly\" أو \"yearly\"",
+    "errors.checkoutFailed": "تعذّر إنشاء جلسة الدفع",
+    "errors.noActiveSubscription": "لم يُعثر على اشتراك نشط",
+    "errors.noSubscription": "لم يُعثر على اشتراك",
+    "errors.cancelSubscriptionFailed": "تعذّر إلغاء الاشتراك",
+    "errors.reactivateFailed": "تعذّر إعادة تفعيل الاشتراك",
+    "errors.planChangeFailed": "تعذّر تغيير خطة الاشتراك",
+    "errors.webhookFailed": "فشلت معالجة الـ webhook",
+    "errors.eventInvalid": "بنية الحدث غير صالحة",
+    "errors.eventStoreFailed": "تعذّر حفظ الحدث",
+    "errors.metricsFetchFailed": "تعذّر جلب المقاييس",
+    "errors.databaseNotConfigured": "قاعدة البيانات غير مهيأة: لم يُضبط DATABASE_URL",
+    "errors.databaseMismatch": "عدم تطابق بين البيانات المُدرجة والمقروءة",
+    "errors.databaseCheckFailed": "فشلت عملية قاعدة البيانات",
+    "errors.barcodeInvalid": "يجب أن يكون الباركود رمز UPC/EAN من 8 أو 12 أو 13 أو 14 رقمًا",
+    "errors.barcodeCheckDigit": "رقم التحقق في الباركود غير صالح",
+    "errors.dateInvalid": "يجب أن يكون {field} تاريخًا (YYYY-MM-DD)",
+    "errors.planDatesReversed": "يجب أن يكون endDate في يوم startDate أو بعده",
+    "errors.planTooLong": "يمكن أن تغطي خطة الوجبات {days} يومًا على الأكثر",
+    "errors.entriesNotArray": "يجب أن تكون entries مصفوفة",
+    "errors.entryDateInvalid": "يجب أن يكون entries[{index}].date تاريخًا (YYYY-MM-DD)",
+    "errors.entryOutsideRange": "entries[{index}].date خارج نطاق تواريخ الخطة",
+    "errors.entrySlotInvalid": "يجب أن تكون قيمة entries[{index}].slot واحدة من: {slots}",
+    "errors.entryRecipeInvalid": "يجب أن يكون entries[{index}].recipeId معرّف وصفة",
+    "errors.entryServingsInvalid": "يجب أن يكون entries[{index}].servings عددًا صحيحًا من 1 إلى {max}",
+    "errors.existingEntryOutsideRange": "الإدخال الموجود في {date} خارج نطاق التواريخ الجديد",
+    "errors.servingsInvalid": "يجب أن يكون servings عددًا موجبًا",
+    "errors.originalServingsUnknown": "تعذّر اكتشاف عدد الحصص الأصلي؛ أرسل originalServings",
+    "errors.unitSystemInvalid": "يجب أن تكون قيمة unitSystem واحدة من: {systems}",
+
+    "messages.conversionLimitReached": "لقد استخدمت كل التحويلات المجانية ({limit}) لهذا الشهر. رقِّ إلى Premium لتحويلات غير محدودة.",
+    "messages.scanIngredientsFallback": "لا نعرف هذا المنتج بعد. التقط صورة لقائمة المكونات بدلًا من ذلك.",
+    "messages.recipePosted": "نُشرت الوصفة بنجاح",
+    "messages.recipeSaved": "حُفظت الوصفة بنجاح",
+    "messages.recipeUpdated": "حُدّثت الوصفة بنجاح",
+    "messages.recipeDeleted": "حُذفت الوصفة بنجاح",
+    "messages.mealPlanDeleted": "حُذفت خطة الوجبات بنجاح",
+    "messages.subscriptionCancelScheduled": "سيُلغى الاشتراك في نهاية الفترة",
+    "messages.subscriptionReactivated": "أُعيد تفعيل الاشتراك",
+    "messages.planUnchanged": "أنت مشترك بالفعل في خطة {plan}",
+    "messages.planChanged": "تم تغيير الخطة إلى {plan}",
+    "messages.registered": "تم تسجيل المستخدم بنجاح",
+    "messages.loggedIn": "تم تسجيل الدخول بنجاح",
+    "messages.loggedOut": "تم تسجيل الخروج",
+    "messages.loggedOutAll": "تم تسجيل الخروج من جميع الأجهزة",
+    "messages.sessionEnded": "انتهت الجلسة",
+    "messages.resetLinkSent": "إذا كان هناك حساب لهذا البريد، فقد أُرسل رابط إعادة التعيين",
+    "messages.passwordUpdated": "تم تحديث كلمة المرور. يرجى تسجيل الدخول مجددًا.",
+    "messages.emailVerified": "تم التحقق من البريد الإلكتروني",
+    "messages.emailAlreadyVerified": "البريد الإلكتروني مُتحقق منه مسبقًا",
+    "messages.verificationEmailSent": "أُرسل بريد التحقق",
+    "messages.profileUpdated": "تم تحديث الملف الشخصي بنجاح",
+    "messages.profilePhotoUploaded": "تم رفع صورة الملف الشخصي بنجاح",
+    "messages.accountDeletionScheduled": "سيُحذف حسابك خلال {days} يومًا. سجّل الدخول قبل ذلك للإلغاء.",
+    "messages.accountDeletionCanceled": "أُلغي حذف الحساب",
+    "messages.userCreated": "تم إنشاء المستخدم والملف الشخصي بنجاح",
+    "messages.databaseHealthy": "نجحت عمليات القراءة والكتابة في قاعدة البيانات",
+
+    "verdict.certificateExpired": "انتهت صلاحية شهادة {body} في {date}",
+    "verdict.certificateUnverified": "لم يُتحقق من شهادة {body}",
+    "verdict.certificateNoExpiry": "لا يوجد تاريخ انتهاء مسجل لشهادة {body} ولم يُتحقق منها",
+    "verdict.containsHaram": "يحتوي على مكونات محرمة: {ingredients}",
+    "verdict.certificateConflict": "قائمة المكونات تتعارض مع شهادة {body}؛ أعد فحص الملصق",
+    "verdict.certified": "معتمد حلال من {body}",
+    "verdict.conditionalCovered": "المكونات المشروطة مشمولة بالشهادة",
+    "verdict.nothingOnRecord": "لا توجد قائمة مكونات أو شهادة صالحة مسجلة",
+    "verdict.sourceNotVerified": "لم يُتحقق من مصدر: {ingredients}",
+    "verdict.notInRuleDatabase": "غير موجود في قاعدة القواعد: {ingredients}",
+    "verdict.allHalalUncertified": "جميع المكونات المدرجة حلال؛ المنتج غير معتمد",
+  },
+
+  ur: {
+    "explanation.thisIngredient": "یہ جزو",
+    "explanation.withModifiers": "{name} ({modifiers})",
+    "explanation.status.halal": "{name} کو عام طور پر حلال سمجھا جاتا ہے۔",
+    "explanation.status.usually_halal": "{name} کو عام طور پر جائز سمجھا جاتا ہے۔",
+    "explanation.status.conditional": "{name} کو اکثر مشروط سمجھا جاتا ہے؛ یہ اس کے ماخذ یا بنانے کے طریقے پر منحصر ہے۔",
+    "explanation.status.usually_haram": "{name} کو عام طور پر جائز نہیں سمجھا جاتا۔",
+    "explanation.status.haram": "{name} جائز نہیں ہے۔",
+    "explanation.status.unknown": "{name} کی درجہ بندی یقین سے نہیں کی جا سکی۔",
+    "explanation.status.other": "{name} کی حیثیت غیر یقینی ہے۔",
+    "explanation.uncertainty": "شک کی صورت میں لیبل پر حلال سرٹیفکیشن دیکھیں یا کسی مستند ذریعے سے رجوع کریں۔",
+    "explanation.references": "حلال و حرام غذاؤں کے بارے میں اسلامی رہنمائی {refs} جیسے ماخذ میں موجود ہے۔",
+
+    "warning.conditional": "ماخذ یا تیاری کا طریقہ حکم پر اثر ڈال سکتا ہے؛ ممکن ہو تو تصدیق کریں۔",
+    "warning.haram": "جائز نہیں؛ حلال متبادل استعمال کریں۔",
+    "warning.unknown": "قواعد کے ڈیٹا بیس میں موجود نہیں؛ کسی عالم یا مستند ادارے سے رجوع کریں۔",
+    "warning.usually_haram": "عام طور پر جائز نہیں؛ پرہیز کریں یا متبادل استعمال کریں۔",
+
+    "note.pork": "سور کا گوشت اور اس سے بنی اشیاء حرام ہیں۔",
+    "note.halalCertified": "حلال سرٹیفائیڈ۔",
+    "note.plantBased": "نباتاتی قسم؛ کوئی حیوانی ماخذ نہیں۔",
+    "note.alcoholFreeExtract": "الکحل سے پاک عرق۔",
+    "note.intoxicant": "نشہ آور الکحل بطور جزو۔",
+    "note.wine": "شراب بطور جزو جائز نہیں۔",
+    "note.alcohol": "الکحل بطور جزو جائز نہیں۔",
+    "note.animalByproduct": "ماخذ نامعلوم؛ اگر حیوانی ہو تو حلال سرٹیفائیڈ ہونا ضروری ہے۔",
+    "note.flavoringExtract": "اکثر الکحل پر مبنی ہوتا ہے؛ لیبل دیکھیں یا الکحل سے پاک استعمال کریں۔",
+    "note.shellfish": "شافعی، مالکی اور حنبلی مسالک میں جائز؛ حنفی مسلک میں اکثر خول دار سمندری جانور جائز نہیں۔",
+
+    "substitute.defaultReason": "عملی حلال متبادل۔",
+    "substitute.genericReason": "حلال متبادل؛ بہترین استعمال کے لیے ترکیب دیکھیں۔",
+    "substitute.rulesReason": "قواعد سے حلال متبادل۔",
+    "substitute.bacon.smoked_turkey_bacon": "ذائقے اور خستگی میں سب سے قریب؛ زیادہ تر ترکیبوں میں کام آتا ہے۔",
+    "substitute.bacon.beef_bacon_halal": "بیکن جیسا دھواں دار نمکین ذائقہ؛ حلال سرٹیفائیڈ۔",
+    "substitute.bacon.turkey_ham_halal": "نمکین متبادل جب بیکن صرف ذائقے کے لیے ہو۔",
+    "substitute.bacon.halal_beef_pastrami": "تیز نمکین ذائقہ؛ سینڈوچ اور پکے ہوئے کھانوں میں موزوں۔",
+    "substitute.wine.white_grape_juice_plus_vinegar": "کھٹاس اور پھل جیسا ذائقہ ساس میں سفید شراب کی جگہ لیتا ہے۔",
+    "substitute.wine.grape_juice_plus_vinegar": "کھانا پکانے میں سرخ اور سفید دونوں کی جگہ کام آتا ہے۔",
+    "substitute.wine.non_alcoholic_wine": "ذائقے میں سب سے قریب؛ یقینی بنائیں کہ الکحل مکمل طور پر نکال دی گئی ہو۔",
+    "substitute.wine.rice_vinegar": "ہلکی کھٹاس؛ ایشیائی کھانوں میں اچھا۔",
+    "substitute.wine.chicken_or_vegetable_broth": "نمی اور ذائقہ دیتا ہے؛ الکحل سے پاک۔",
+    "substitute.white_wine.white_grape_juice_plus_vinegar": "ساس میں سفید شراب کا بہترین براہ راست متبادل۔",
+    "substitute.white_wine.grape_juice_plus_vinegar": "آسانی سے دستیاب؛ زیادہ تر استعمالات میں کام آتا ہے۔",
+    "substitute.white_wine.non_alcoholic_wine": "دستیاب ہو تو سب سے قریب۔",
+    "substitute.white_wine.rice_vinegar": "ہلکی کھٹاس؛ فرائی پین ساس کے لیے اچھا۔",
+    "substitute.gelatin.agar_agar": "نباتاتی؛ جیلاٹن سے زیادہ سخت جمتا ہے۔ کوئی حیوانی ماخذ نہیں۔",
+    "substitute.gelatin.halal_beef_gelatin": "جیلاٹن جیسی ساخت اور عمل؛ حلال سرٹیفائیڈ ہونا ضروری ہے۔",
+    "substitute.gelatin.pectin": "نباتاتی؛ جام اور پھلوں کی جیلی کے لیے بہترین۔",
+    "substitute.gelatin.cornstarch_slurry": "ساس اور فلنگ گاڑھی کرتا ہے؛ جیل نہیں بناتا۔",
+    "substitute.mirin.sugar_plus_rice_vinegar": "میرن جیسا میٹھا کھٹا توازن؛ الکحل سے پاک۔",
+    "substitute.mirin.halal_mirin": "اگر الکحل سے پاک میرن مل جائے تو براہ راست متبادل۔",
+    "substitute.mirin.rice_vinegar_plus_sugar": "گلیز اور ٹیریاکی کے لیے سادہ اور آسانی سے دستیاب متبادل۔",
+    "substitute.mirin.apple_juice_plus_vinegar": "کھٹاس کے ساتھ پھل جیسی مٹھاس؛ کچھ گلیز میں کام آتا ہے۔",
+
+    "errors.authRequired": "لاگ اِن ضروری ہے",
+    "errors.userNotFound": "صارف نہیں ملا",
+    "errors.invalidToken": "ٹوکن غلط ہے یا اس کی میعاد ختم ہو چکی ہے",
+    "errors.sessionRevoked": "آپ کا سیشن ختم ہو گیا ہے؛ براہ کرم دوبارہ لاگ اِن کریں",
+    "errors.emailNotVerified": "براہ کرم پہلے اپنا ای میل پتہ تصدیق کریں",
+    "email.passwordReset.subject": "اپنا Halal Kitchen پاس ورڈ ری سیٹ کریں",
+    "email.passwordReset.body": "آپ کے Halal Kitchen اکاؤنٹ کا پاس ورڈ ری سیٹ کرنے کی درخواست کی گئی ہے۔ نیا پاس ورڈ منتخب کرنے کے لیے {minutes} منٹ کے اندر یہ لنک کھولیں:\n\n{link}\n\nاگر یہ آپ نے نہیں کیا تو اس ای میل کو نظر انداز کریں؛ آپ کا پاس ورڈ وہی رہے گا۔",
+    "email.verify.subject": "Halal Kitchen کے لیے اپنی ای میل کی تصدیق کریں",
+    "email.verify.body": "Halal Kitchen میں خوش آمدید! {hours} گھنٹوں کے اندر یہ لنک کھول کر اپنے ای میل پتے کی تصدیق کریں:\n\n{link}",
+    "errors.authFailed": "تصدیق میں خرابی",
+    "errors.premiumRequired": "پریمیم سبسکرپشن ضروری ہے",
+    "errors.subscriptionCheckFailed": "سبسکرپشن کی حیثیت معلوم نہیں ہو سکی",
+    "errors.featureRequired": "اس فیچر کے لیے پریمیم ضروری ہے: {feature}",
+    "errors.freeLimitReached": "{feature} کے لیے مفت پلان کی حد پوری ہو گئی",
+    "errors.recipeReadOnly": "مفت پلان میں یہ ترکیب صرف پڑھنے کے لیے ہے؛ اس پلان میں {limit} ترکیبیں قابلِ ترمیم رہتی ہیں۔ دوبارہ ترمیم کے لیے اپ گریڈ کریں۔",
+    "errors.featureCheckFailed": "فیچر تک رسائی کی جانچ نہیں ہو سکی",
+    "errors.accessDenied": "رسائی کی اجازت نہیں",
+    "errors.adminRequired": "ایڈمن رسائی درکار ہے",
+    "errors.roleRequired": "ان میں سے کوئی ایک کردار درکار ہے: {roles}",
+    "errors.recipeNotFound": "ترکیب نہیں ملی",
+    "errors.productNotFound": "پروڈکٹ نہیں ملا",
+    "errors.ingredientNotFound": "جزو نہیں ملا",
+    "errors.recipeTextRequired": "ترکیب کا متن ضروری ہے",
+    "errors.conversionLimitReached": "ماہانہ تبدیلیوں کی حد پوری ہو گئی",
+    "errors.convertFailed": "ترکیب تبدیل نہیں ہو سکی",
+    "errors.ingredientRequired": "ingredient فیلڈ ضروری ہے",
+    "errors.classifyFailed": "جزو کی درجہ بندی نہیں ہو سکی",
+    "errors.noTextToAnalyze": "تجزیے کے لیے کوئی متن نہیں۔ rawText (JSON) بھیجیں یا تصویر اپ لوڈ کریں (multipart/form-data، فیلڈ \"image\")۔",
+    "errors.scanFailed": "اجزاء اسکین نہیں ہو سکے",
+    "errors.conversionLimitFetchFailed": "تبدیلیوں کی حد معلوم نہیں ہو سکی",
+    "errors.recipeOrTextRequired": "recipeId یا recipeText ضروری ہے",
+    "errors.servingsOrUnitRequired": "servings یا unitSystem ضروری ہے",
+    "errors.scaleFailed": "ترکیب کی مقدار تبدیل نہیں ہو سکی",
+    "errors.batchNotArrays": "recipes اور recipeIds کا array ہونا ضروری ہے",
+    "errors.batchEmpty": "کم از کم ایک ترکیب یا ترکیب کی شناخت ضروری ہے",
+    "errors.batchTooLarge": "ایک بیچ میں زیادہ سے زیادہ {max} ترکیبیں ہو سکتی ہیں",
+    "errors.recipeLoadFailed": "ترکیب لوڈ نہیں ہو سکی",
+    "errors.batchFailed": "ترکیبیں تبدیل نہیں ہو سکیں",
+    "errors.ingredientIdRequired": "جزو کی شناخت یا جزو ضروری ہے",
+    "errors.substitutionsFailed": "تفصیلی متبادل حاصل نہیں ہو سکے",
+    "errors.recipeIdRequired": "ترکیب کی شناخت ضروری ہے",
+    "errors.formatInvalid": "format ان میں سے ایک ہونا چاہیے: {formats}",
+    "errors.exportFormatUnavailable": "یہ ایکسپورٹ فارمیٹ آپ کے پلان میں دستیاب نہیں: {format}",
+    "errors.exportFailed": "شاپنگ لسٹ ایکسپورٹ نہیں ہو سکی",
+    "errors.emailPasswordRequired": "ای میل اور پاس ورڈ ضروری ہیں",
+    "errors.passwordTooShort": "پاس ورڈ کم از کم 6 حروف کا ہونا چاہیے",
+    "errors.emailTaken": "اس ای میل کے ساتھ صارف پہلے سے موجود ہے",
+    "errors.registerFailed": "رجسٹریشن ناکام ہو گئی۔ براہ کرم دوبارہ کوشش کریں۔",
+    "errors.invalidCredentials": "ای میل یا پاس ورڈ غلط ہے",
+    "errors.loginFailed": "لاگ اِن ناکام ہو گیا۔ براہ کرم دوبارہ کوشش کریں۔",
+    "errors.userLoadFailed": "صارف لوڈ نہیں ہو سکا",
+    "errors.refreshTokenRequired": "refreshToken ضروری ہے",
+    "errors.invalidRefreshToken": "ریفریش ٹوکن غلط ہے یا اس کی میعاد ختم ہو چکی ہے",
+    "errors.refreshFailed": "سیشن تازہ نہیں ہو سکا",
+    "errors.logoutFailed": "لاگ آؤٹ نہیں ہو سکا",
+    "errors.logoutAllFailed": "تمام آلات سے لاگ آؤٹ نہیں ہو سکا",
+    "errors.sessionsListFailed": "سیشنز کی فہرست نہیں بن سکی",
+    "errors.sessionNotFound": "سیشن نہیں ملا",
+    "errors.sessionEndFailed": "سیشن ختم نہیں ہو سکا",
+    "errors.emailRequired": "ای میل ضروری ہے",
+    "errors.resetEmailFailed": "ری سیٹ ای میل نہیں بھیجی جا سکی",
+    "errors.resetTokenRequired": "ری سیٹ ٹوکن ضروری ہے",
+    "errors.resetLinkInvalid": "ری سیٹ لنک غلط ہے یا اس کی میعاد ختم ہو چکی ہے",
+    "errors.passwordResetFailed": "پاس ورڈ ری سیٹ نہیں ہو سکا",
+    "errors.verificationTokenRequired": "تصدیقی ٹوکن ضروری ہے",
+    "errors.verificationLinkInvalid": "تصدیقی لنک غلط ہے یا اس کی میعاد ختم ہو چکی ہے",
+    "errors.verifyEmailFailed": "ای میل کی تصدیق نہیں ہو سکی",
+    "errors.verificationEmailFailed": "تصدیقی ای میل نہیں بھیجی جا سکی",
+    "errors.recipesFetchFailed": "ترکیبیں حاصل نہیں ہو سکیں",
+    "errors.recipeFetchFailed": "ترکیب حاصل نہیں ہو سکی",
+    "errors.titleRequired": "عنوان ضروری ہے",
+    "errors.recipeCreateFailed": "ترکیب نہیں بن سکی",
+    "errors.recipeEditOwnOnly": "آپ صرف اپنی ترکیبیں ہی ترمیم کر سکتے ہیں",
+    "errors.recipeUpdateFailed": "ترکیب اپ ڈیٹ نہیں ہو سکی",
+    "errors.recipeDeleteOwnOnly": "آپ صرف اپنی ترکیبیں ہی حذف کر سکتے ہیں",
+    "errors.recipeDeleteFailed": "ترکیب حذف نہیں ہو سکی",
+    "errors.profileFetchFailed": "پروفائل حاصل نہیں ہو سکی",
+    "errors.profileUpdateFailed": "پروفائل اپ ڈیٹ نہیں ہو سکی",
+    "errors.noFileUploaded": "کوئی فائل اپ لوڈ نہیں ہوئی",
+    "errors.photoUploadFailed": "تصویر اپ لوڈ نہیں ہو سکی",
+    "errors.dataExportFailed": "ڈیٹا ایکسپورٹ نہیں ہو سکا",
+    "errors.deletionPasswordRequired": "اکاؤنٹ حذف کرنے کے لیے پاس ورڈ ضروری ہے",
+    "errors.incorrectPassword": "پاس ورڈ غلط ہے",
+    "errors.subscriptionCancelFailed": "آپ کی سبسکرپشن منسوخ نہیں ہو سکی، اس لیے اکاؤنٹ حذف نہیں کیا گیا۔ براہ کرم دوبارہ کوشش کریں۔",
+    "errors.accountDeleteFailed": "اکاؤنٹ حذف نہیں ہو سکا",
+    "errors.noPendingDeletion": "اکاؤنٹ حذف کرنے کی کوئی زیر التوا درخواست نہیں",
+    "errors.deletionCancelFailed": "اکاؤنٹ کی حذف منسوخ نہیں ہو سکی",
+    "errors.planRecipeNotFound": "ترکیب نہیں ملی: {recipeId}",
+    "errors.planRecipeAccessDenied": "ترکیب تک رسائی سے انکار: {recipeId}",
+    "errors.mealPlansFetchFailed": "کھانے کے منصوبے حاصل نہیں ہو سکے",
+    "errors.mealPlanCreateFailed": "کھانے کا منصوبہ نہیں بن سکا",
+    "errors.mealPlanNotFound": "کھانے کا منصوبہ نہیں ملا",
+    "errors.mealPlanFetchFailed": "کھانے کا منصوبہ حاصل نہیں ہو سکا",
+    "errors.mealPlanUpdateFailed": "کھانے کا منصوبہ اپ ڈیٹ نہیں ہو سکا",
+    "errors.mealPlanDeleteFailed": "کھانے کا منصوبہ حذف نہیں ہو سکا",
+    "errors.shoppingListFailed": "شاپنگ لسٹ نہیں بن سکی",
+    "errors.halalStatusFailed": "حلال حیثیت کا خلاصہ نہیں بن سکا",
+    "errors.fieldRequired": "{field} ضروری ہے",
+    "errors.certificateDateInvalid": "certificateExpiresAt تاریخ ہونی چاہیے (YYYY-MM-DD)",
+    "errors.verificationSourceInvalid": "verificationSource ان میں سے ایک ہونا چاہیے: {sources}",
+    "errors.verificationSourceReserved": "verificationSource {source} صرف رجسٹری کے منتظمین مقرر کر سکتے ہیں",
+    "errors.barcodeLookupFailed": "بارکوڈ تلاش نہیں ہو سکا",
+    "errors.productQueryRequired": "barcode، یا brand اور name، ضروری ہے",
+    "errors.productLookupFailed": "پروڈکٹ تلاش نہیں ہو سکی",
+    "errors.searchQueryTooShort": "q کم از کم 2 حروف کا ہونا چاہیے",
+    "errors.productSearchFailed": "پروڈکٹس تلاش نہیں ہو سکیں",
+    "errors.productExists": "اس بارکوڈ یا برانڈ اور نام کے ساتھ پروڈکٹ پہلے سے موجود ہے",
+    "errors.productCreateFailed": "پروڈکٹ نہیں بن سکی",
+    "errors.productFetchFailed": "پروڈکٹ حاصل نہیں ہو سکی",
+    "errors.productUpdateFailed": "پروڈکٹ اپ ڈیٹ نہیں ہو سکی",
+    "errors.scanOrTextRequired": "scanResult (ingredients کے ساتھ) یا rawText ضروری ہے",
+    "errors.scanLinkFailed": "اسکین منسلک نہیں ہو سکا",
+    "errors.certificateIncomplete": "تصدیق سے پہلے سرٹیفکیشن ادارہ اور میعاد ختم ہونے کی تاریخ درج کریں",
+    "errors.productVerifyFailed": "پروڈکٹ کی سرٹیفکیشن کی تصدیق نہیں ہو سکی",
+    "errors.baseSlugInvalid": "baseSlug ضروری ہے (حروف، ہندسے اور انڈر اسکور)",
+    "errors.modifierSlugInvalid": "modifierSlug میں حروف، ہندسے اور انڈر اسکور ہونے چاہییں",
+    "errors.halalStatusInvalid": "halalStatus ان میں سے ایک ہونا چاہیے: {statuses}",
+    "errors.notesNotString": "notes متن ہونا چاہیے",
+    "errors.alternativesInvalid": "alternatives متبادلات کے slugs کی فہرست ہونی چاہیے",
+    "errors.reasonRequired": "reason ضروری ہے",
+    "errors.expectedVersionInvalid": "expectedVersion عدد صحیح ہونا چاہیے",
+    "errors.ruleConflict": "کسی اور نے قاعدہ تبدیل کر دیا ہے؛ دوبارہ لوڈ کر کے کوشش کریں",
+    "errors.rulesListFailed": "قواعد کی فہرست نہیں بن سکی",
+    "errors.ruleNotFound": "قاعدہ نہیں ملا",
+    "errors.ruleOrVersionNotFound": "قاعدہ یا ورژن نہیں ملا",
+    "errors.ruleFetchFailed": "قاعدہ حاصل نہیں ہو سکا",
+    "errors.ruleExists": "{base} + {modifier} کے لیے قاعدہ پہلے سے موجود ہے؛ اس کے بجائے اسے ترمیم کریں یا پچھلا ورژن بحال کریں",
+    "errors.ruleCreateFailed": "قاعدہ نہیں بن سکا",
+    "errors.ruleNothingToUpdate": "اپ ڈیٹ کرنے کو کچھ نہیں: halalStatus، notes یا alternatives بھیجیں",
+    "errors.ruleUpdateFailed": "قاعدہ اپ ڈیٹ نہیں ہو سکا",
+    "errors.ruleRetireFailed": "قاعدہ ریٹائر نہیں ہو سکا",
+    "errors.ruleVersionInvalid": "version مثبت عدد صحیح ہونا چاہیے",
+    "errors.ruleRollbackFailed": "قاعدہ بحال نہیں ہو سکا",
+    "errors.rolesFetchFailed": "کردار حاصل نہیں ہو سکے",
+    "errors.roleInvalid": "role ان میں سے ایک ہونا چاہیے: {roles}",
+    "errors.ownAdminRoleRevoke": "آپ اپنا ایڈمن کردار واپس نہیں لے سکتے",
+    "errors.roleGrantFailed": "کردار نہیں دیا جا سکا",
+    "errors.roleRevokeFailed": "کردار واپس نہیں لیا جا سکا",
+    "errors.conversionStatsFailed": "تبدیلی کے اعداد و شمار حاصل نہیں ہو سکے",
+    "errors.conversionHistoryFailed": "تبدیلیوں کی تاریخ حاصل نہیں ہو سکی",
+    "errors.conversionNotFound": "تبدیلی نہیں ملی",
+    "errors.conversionFetchFailed": "تبدیلی حاصل نہیں ہو سکی",
+    "errors.visibilityInvalid": "visibility ان میں سے ایک ہونا چاہیے: {visibilities}",
+    "errors.conversionAlreadySaved": "تبدیلی پہلے ہی محفوظ ہو چکی ہے",
+    "errors.conversionNoOutput": "اس تبدیلی کا کوئی محفوظ نتیجہ نہیں جسے محفوظ کیا جا سکے",
+    "errors.conversionSaveFailed": "تبدیلی محفوظ نہیں ہو سکی",
+    "errors.emailInvalid": "ای میل کی شکل درست نہیں",
+    "errors.emailExists": "ای میل پہلے سے موجود ہے",
+    "errors.userCreateFailed": "صارف نہیں بن سکا",
+    "errors.usersFetchFailed": "صارفین حاصل نہیں ہو سکے",
+    "errors.subscriptionStatusFailed": "سبسکرپشن کی حالت حاصل نہیں ہو سکی",
+    "errors.planInvalid": "غلط پلان۔ \"monthly\" یا \"yearly\" ہونا چاہیے",
+    "errors.checkoutFailed": "چیک آؤٹ سیشن نہیں بن سکا",
+    "errors.noActiveSubscription": "کوئی فعال سبسکرپشن نہیں ملی",
+    "errors.noSubscription": "کوئی سبسکرپشن نہیں ملی",
+    "errors.cancelSubscriptionFailed": "سبسکرپشن منسوخ نہیں ہو سکی",
+    "errors.reactivateFailed": "سبسکرپشن دوبارہ فعال نہیں ہو سکی",
+    "errors.planChangeFailed": "سبسکرپشن پلان تبدیل نہیں ہو سکا",
+    "errors.webhookFailed": "ویب ہک پر کارروائی ناکام رہی",
+    "errors.eventInvalid": "ایونٹ کی ساخت درست نہیں",
+    "errors.eventStoreFailed": "ایونٹ محفوظ نہیں ہو سکا",
+    "errors.metricsFetchFailed": "اعداد و شمار حاصل نہیں ہو سکے",
+    "errors.databaseNotConfigured": "ڈیٹا بیس ترتیب نہیں دیا گیا: DATABASE_URL سیٹ نہیں",
+    "errors.databaseMismatch": "درج اور پڑھے گئے ڈیٹا میں فرق ہے",
+    "errors.databaseCheckFailed": "ڈیٹا بیس کی کارروائی ناکام رہی",
+    "errors.barcodeInvalid": "بارکوڈ 8، 12، 13 یا 14 ہندسوں کا UPC/EAN ہونا چاہیے",
+    "errors.barcodeCheckDigit": "بارکوڈ کا چیک ڈیجٹ درست نہیں",
+    "errors.dateInvalid": "{field} تاریخ (YYYY-MM-DD) ہونی چاہیے",
+    "errors.planDatesReversed": "endDate کو startDate کے دن یا اس کے بعد ہونا چاہیے",
+    "errors.planTooLong": "کھانے کا منصوبہ زیادہ سے زیادہ {days} دن کا ہو سکتا ہے",
+    "errors.entriesNotArray": "entries ایک array ہونا چاہیے",
+    "errors.entryDateInvalid": "entries[{index}].date تاریخ (YYYY-MM-DD) ہونی چاہیے",
+    "errors.entryOutsideRange": "entries[{index}].date منصوبے کی تاریخوں سے باہر ہے",
+    "errors.entrySlotInvalid": "entries[{index}].slot ان میں سے ایک ہونا چاہیے: {slots}",
+    "errors.entryRecipeInvalid": "entries[{index}].recipeId ترکیب کی ID ہونی چاہیے",
+    "errors.entryServingsInvalid": "entries[{index}].servings کو 1 سے {max} تک پورا عدد ہونا چاہیے",
+    "errors.existingEntryOutsideRange": "{date} کا موجودہ اندراج نئی تاریخوں سے باہر ہے",
+    "errors.servingsInvalid": "servings ایک مثبت عدد ہونا چاہیے",
+    "errors.originalServingsUnknown": "اصل سرونگز معلوم نہیں ہو سکیں؛ originalServings بھیجیں",
+    "errors.unitSystemInvalid": "unitSystem ان میں سے ایک ہونا چاہیے: {systems}",
+
+    "messages.conversionLimitReached": "آپ اس مہینے کی تمام {limit} مفت تبدیلیاں استعمال کر چکے ہیں۔ لامحدود تبدیلیوں کے لیے Premium لیں۔",
+    "messages.scanIngredientsFallback": "ہم ابھی اس پروڈکٹ کو نہیں جانتے۔ اس کے بجائے اجزاء کی فہرست کی تصویر لیں۔",
+    "messages.recipePosted": "ترکیب شائع ہو گئی",
+    "messages.recipeSaved": "ترکیب محفوظ ہو گئی",
+    "messages.recipeUpdated": "ترکیب اپ ڈیٹ ہو گئی",
+    "messages.recipeDeleted": "ترکیب حذف ہو گئی",
+    "messages.mealPlanDeleted": "کھانے کا منصوبہ حذف ہو گیا",
+    "messages.subscriptionCancelScheduled": "سبسکرپشن مدت کے اختتام پر منسوخ ہو جائے گی",
+    "messages.subscriptionReactivated": "سبسکرپشن دوبارہ فعال ہو گئی",
+    "messages.planUnchanged": "آپ پہلے ہی {plan} پلان پر ہیں",
+    "messages.planChanged": "پلان {plan} میں تبدیل ہو گیا",
+    "messages.registered": "صارف کامیابی سے رجسٹر ہو گیا",
+    "messages.loggedIn": "لاگ ان کامیاب",
+    "messages.loggedOut": "لاگ آؤٹ ہو گئے",
+    "messages.loggedOutAll": "تمام آلات سے لاگ آؤٹ ہو گئے",
+    "messages.sessionEnded": "سیشن ختم ہو گیا",
+    "messages.resetLinkSent": "اگر اس ای میل کا اکاؤنٹ موجود ہے تو ری سیٹ لنک بھیج دیا گیا ہے",
+    "messages.passwordUpdated": "پاس ورڈ اپ ڈیٹ ہو گیا۔ براہ کرم دوبارہ سائن ان کریں۔",
+    "messages.emailVerified": "ای میل کی تصدیق ہو گئی",
+    "messages.emailAlreadyVerified": "ای میل کی تصدیق پہلے ہی ہو چکی ہے",
+    "messages.verificationEmailSent": "تصدیقی ای میل بھیج دی گئی",
+    "messages.profileUpdated": "پروفائل اپ ڈیٹ ہو گیا",
+    "messages.profilePhotoUploaded": "پروفائل تصویر اپ لوڈ ہو گئی",
+    "messages.accountDeletionScheduled": "آپ کا اکاؤنٹ {days} دن میں حذف ہو جائے گا۔ منسوخ کرنے کے لیے اس سے پہلے سائن ان کریں۔",
+    "messages.accountDeletionCanceled": "اکاؤنٹ حذف کرنا منسوخ ہو گیا",
+    "messages.userCreated": "صارف اور پروفائل بن گئے",
+    "messages.databaseHealthy": "ڈیٹا بیس میں پڑھنا اور لکھنا کامیاب رہا",
+
+    "verdict.certificateExpired": "{body} کا سرٹیفکیٹ {date} کو ختم ہو گیا",
+    "verdict.certificateUnverified": "{body} کی سرٹیفکیشن کی تصدیق نہیں ہوئی",
+    "verdict.certificateNoExpiry": "{body} کی سرٹیفکیشن کی میعاد درج نہیں اور اس کی تصدیق نہیں ہوئی",
+    "verdict.containsHaram": "حرام اجزاء شامل ہیں: {ingredients}",
+    "verdict.certificateConflict": "اجزاء کی فہرست {body} کی سرٹیفکیشن سے متصادم ہے؛ لیبل دوبارہ دیکھیں",
+    "verdict.certified": "{body} سے حلال سرٹیفائیڈ",
+    "verdict.conditionalCovered": "مشروط اجزاء سرٹیفکیشن میں شامل ہیں",
+    "verdict.nothingOnRecord": "کوئی اجزاء کی فہرست یا درست سرٹیفکیشن درج نہیں",
+    "verdict.sourceNotVerified": "ان کا ماخذ تصدیق شدہ نہیں: {ingredients}",
+    "verdict.notInRuleDatabase": "قواعد کے ڈیٹا بیس میں نہیں: {ingredients}",
+    "verdict.allHalalUncertified": "تمام درج اجزاء حلال ہیں؛ پروڈکٹ سرٹیفائیڈ نہیں",
+  },
+});
+
+/**
+ * Notes produced by the rule engine itself (hard overrides, category defaults) → catalogue key.
+ * Notes stored with DB rules have no entry and are shown as written.
+ */
+export const RULE_NOTE_KEYS = Object.freeze({
+  "Pork and pork-derived ingredients are haram.": "note.pork",
+  "Halal-certified override.": "note.halalCertified",
+  "Plant-based variant; no animal source.": "note.plantBased",
+  "Alcohol-free extract.": "note.alcoholFreeExtract",
+  "Intoxicating alcohol as ingredient.": "note.intoxicant",
+  "Wine as ingredient is not permissible.": "note.wine",
+  "Alcohol as ingredient is not permissible.": "note.alcohol",
+  "Source unknown; must be halal-certified if animal-derived.": "note.animalByproduct",
+  "Often alcohol-based; check label or use alcohol-free.": "note.flavoringExtract",
+  "Permissible in the Shafi'i, Maliki and Hanbali schools; the Hanafi school does not permit most shellfish.": "note.shellfish",
+});
@@ -4,20 +4,16 @@
  */
 
 import { MODIFIER_TAXONOMY, MODIFIER_MATCH_ORDER, MODIFIER_SLUG_ALIAS } from "./modifierTaxonomy.js";
+import { foldIngredientText } from "./ingredientLanguages.js";
 
 /**
- * Normalize text for matching: lowercase, collapse spaces, replace punctuation with space.
- * Safe for both OCR-cleaned and typed input.
+ * Normalize text for matching: lowercase, fold accents and Arabic letter variants, collapse spaces,
+ * replace punctuation with space. Safe for both OCR-cleaned and typed input.
  * @param {string} raw
  * @returns {string}
  */
 export function normalizeForMatching(raw) {
-  if (!raw || typeof raw !== "string") return "";
-  return raw
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, " ")
-    .replace(/[^\w\s]/g, " ");
+  return foldIngredientText(raw);
 }
 
 /**
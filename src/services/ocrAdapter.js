@@ -1,69 +1,244 @@
 /**
- * OCR adapter for photo scan pipeline.
- * Implementations: stub (no-op for text-only), Tesseract.js, or Google Cloud Vision.
- * Contract: extractText(imageBuffer) → { text, confidence }.
+ * OCR adapters for the photo scan pipeline.
+ * Built-in providers: tesseract (local, default), google (Cloud Vision REST), stub (no-op for text-only deployments).
+ * Other providers plug in with registerOcrAdapter(name, factory).
+ * Contract: extractText(imageBuffer) → { text, confidence, words }, where words are
+ * { text, confidence (0–1), bbox: { x0, y0, x1, y1 }, line } in reading order.
  */
 
+import axios from "axios";
+import { preprocessImage, cropToIngredientsBlock } from "./ocrPreprocessing.js";
+
+const DEFAULT_PROVIDER = "tesseract";
+// Label scans come in English, Arabic and Urdu; the recogniser only reads scripts whose language data is loaded
+const DEFAULT_TESSERACT_LANGS = "eng+ara+urd";
+const GOOGLE_VISION_URL = "https://vision.googleapis.com/v1/images:annotate";
+
 /**
  * Stub adapter: no image support; use when client sends raw text or you use client-side OCR.
  * @param {Buffer} [_imageBuffer]
- * @returns {Promise<{ text: string, confidence: number }>}
+ * @returns {Promise<{ text: string, confidence: number, words: Array }>}
  */
 export async function extractTextStub(_imageBuffer) {
   return {
     text: "",
     confidence: 0,
+    words: [],
   };
 }
 
-/**
- * Resolve OCR implementation. Prefer env OCR_PROVIDER: "tesseract" | "google" | "stub".
- * @returns {{ extractText: (Buffer) => Promise<{ text: string, confidence: number }> }}
- */
-export function getOcrAdapter() {
-  const provider = (process.env.OCR_PROVIDER || "stub").toLowerCase();
-
-  if (provider === "tesseract") {
-    let tesseractPromise = null;
-    return {
-      async extractText(imageBuffer) {
-        try {
-          tesseractPromise = tesseractPromise || import("tesseract.js");
-          const tesseract = await tesseractPromise;
-          const { data } = await tesseract.default.recognize(imageBuffer, "eng", {
-            logger: () => {},
+let tesseractWorkerPromise = null;
+
+async function getTesseractWorker() {
+  if (!tesseractWorkerPromise) {
+    tesseractWorkerPromise = import("tesseract.js")
+      .then((tesseract) =>
+        tesseract.createWorker(process.env.TESSERACT_LANGS || DEFAULT_TESSERACT_LANGS, 1, {
+          langPath: process.env.TESSERACT_LANG_PATH || undefined,
+          logger: () => {},
+        })
+      )
+      .catch((err) => {
+        // Allow a retry on the next scan (e.g. language data download failed)
+        tesseractWorkerPromise = null;
+        throw err;
+      });
+  }
+  return tesseractWorkerPromise;
+}
+
+function tesseractWords(blocks) {
+  const words = [];
+  let line = 0;
+  for (const block of blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const l of paragraph.lines || []) {
+        for (const word of l.words || []) {
+          words.push({
+            text: word.text,
+            confidence: (word.confidence || 0) / 100,
+            bbox: word.bbox,
+            line,
           });
-          return {
-            text: data?.text || "",
-            confidence: (data?.confidence || 0) / 100,
-          };
-        } catch (err) {
-          console.warn("[OCR] tesseract failed:", err?.message);
-          return extractTextStub(imageBuffer);
         }
-      },
-    };
+        line++;
+      }
+    }
   }
+  return words;
+}
+
+const tesseractAdapter = {
+  async extractText(imageBuffer) {
+    try {
+      const worker = await getTesseractWorker();
+      const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+      return {
+        text: data?.text || "",
+        confidence: (data?.confidence || 0) / 100,
+        words: tesseractWords(data?.blocks),
+      };
+    } catch (err) {
+      console.warn("[OCR] tesseract failed:", err?.message);
+      return extractTextStub(imageBuffer);
+    }
+  },
+};
 
-  if (provider === "google") {
-    // Optional: Google Cloud Vision API
-    // const vision = require('@google-cloud/vision');
-    // return { async extractText(buf) { ... } };
+function googleWords(annotation) {
+  const words = [];
+  let line = 0;
+  for (const page of annotation?.pages || []) {
+    for (const block of page.blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const word of paragraph.words || []) {
+          const symbols = word.symbols || [];
+          const xs = (word.boundingBox?.vertices || []).map((v) => v.x || 0);
+          const ys = (word.boundingBox?.vertices || []).map((v) => v.y || 0);
+          words.push({
+            text: symbols.map((s) => s.text).join(""),
+            confidence: word.confidence ?? 0,
+            bbox: xs.length ? { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) } : null,
+            line,
+          });
+          const lastBreak = symbols[symbols.length - 1]?.property?.detectedBreak?.type;
+          if (lastBreak === "EOL_SURE_SPACE" || lastBreak === "LINE_BREAK") line++;
+        }
+      }
+    }
   }
+  return words;
+}
 
-  return {
-    async extractText() {
-      return extractTextStub();
-    },
-  };
+const googleAdapter = {
+  // Vision does its own binarization and deskew; thresholding first only loses detail
+  preprocess: false,
+  async extractText(imageBuffer) {
+    const apiKey = process.env.GOOGLE_VISION_API_KEY;
+    if (!apiKey) {
+      console.warn("[OCR] google: GOOGLE_VISION_API_KEY is not set");
+      return extractTextStub(imageBuffer);
+    }
+    try {
+      const response = await axios.post(
+        `${GOOGLE_VISION_URL}?key=${encodeURIComponent(apiKey)}`,
+        {
+          requests: [
+            {
+              image: { content: Buffer.from(imageBuffer).toString("base64") },
+              features: [{ type: "DOCUMENT_TEXT_DETECTION" }],
+            },
+          ],
+        },
+        { timeout: 15000 }
+      );
+      const annotation = response.data?.responses?.[0]?.fullTextAnnotation;
+      const words = googleWords(annotation);
+      return {
+        text: annotation?.text || "",
+        confidence: meanConfidence(words),
+        words,
+      };
+    } catch (err) {
+      console.warn("[OCR] google failed:", err?.response?.data?.error?.message || err?.message);
+      return extractTextStub(imageBuffer);
+    }
+  },
+};
+
+const registry = new Map([
+  ["stub", () => ({ preprocess: false, extractText: extractTextStub })],
+  ["tesseract", () => tesseractAdapter],
+  ["google", () => googleAdapter],
+]);
+
+/**
+ * Register an OCR provider (or replace a built-in one).
+ * @param {string} name - Value selected with OCR_PROVIDER
+ * @param {() => { extractText: (Buffer) => Promise<{ text: string, confidence: number, words?: Array }>, preprocess?: boolean }} factory
+ *   preprocess: false skips preprocessImage for providers that prefer the original photo
+ */
+export function registerOcrAdapter(name, factory) {
+  if (!name || typeof factory !== "function") {
+    throw new Error("registerOcrAdapter requires a name and a factory function");
+  }
+  registry.set(String(name).toLowerCase(), factory);
 }
 
 /**
- * Extract text from image buffer using configured adapter.
+ * @returns {string[]} Registered provider names
+ */
+export function listOcrAdapters() {
+  return [...registry.keys()];
+}
+
+/**
+ * Resolve OCR implementation. Defaults to env OCR_PROVIDER, then "tesseract".
+ * Unknown providers fall back to the stub.
+ * @param {string} [name]
+ * @returns {{ name: string, preprocess?: boolean, extractText: (Buffer) => Promise<{ text: string, confidence: number, words?: Array }> }}
+ */
+export function getOcrAdapter(name = process.env.OCR_PROVIDER || DEFAULT_PROVIDER) {
+  const provider = String(name).toLowerCase();
+  if (!registry.has(provider)) {
+    console.warn(`[OCR] unknown provider "${provider}", using stub`);
+    return { name: "stub", ...registry.get("stub")() };
+  }
+  return { name: provider, ...registry.get(provider)() };
+}
+
+function meanConfidence(words) {
+  if (!words.length) return 0;
+  return words.reduce((sum, w) => sum + (w.confidence || 0), 0) / words.length;
+}
+
+/**
+ * Extract text from image buffer using configured adapter:
+ * preprocess (grayscale, deskew, threshold) → recognize → crop to the "Ingredients:" block.
  * @param {Buffer} imageBuffer
- * @returns {Promise<{ text: string, confidence: number }>}
+ * @param {object} [options]
+ * @param {string} [options.provider] - Adapter name (default OCR_PROVIDER)
+ * @param {boolean} [options.preprocess] - Default true (unless the adapter opts out)
+ * @param {boolean} [options.cropToIngredients] - Default true; ignored when no "Ingredients" heading is found
+ * @returns {Promise<{ text: string, confidence: number, words: Array, provider: string, ingredientsBlock: boolean, preprocessing: { applied: string[], skewAngle: number|null } }>}
+ *   confidence is the mean word confidence of the returned text when words are available
  */
-export async function extractTextFromImage(imageBuffer) {
-  const adapter = getOcrAdapter();
-  return adapter.extractText(imageBuffer);
+export async function extractTextFromImage(imageBuffer, options = {}) {
+  const { provider, preprocess = true, cropToIngredients = true } = options;
+  const adapter = getOcrAdapter(provider);
+
+  let input = imageBuffer;
+  let preprocessing = { applied: [], skewAngle: null };
+  if (preprocess && adapter.preprocess !== false) {
+    try {
+      const prepared = await preprocessImage(imageBuffer);
+      input = prepared.buffer;
+      preprocessing = { applied: prepared.applied, skewAngle: prepared.skewAngle };
+    } catch (err) {
+      console.warn("[OCR] preprocessing failed, using original image:", err?.message);
+    }
+  }
+
+  const result = await adapter.extractText(input);
+  let text = result?.text || "";
+  let words = Array.isArray(result?.words) ? result.words : [];
+  let ingredientsBlock = false;
+
+  if (cropToIngredients && words.length) {
+    const block = cropToIngredientsBlock(words);
+    if (block.found) {
+      text = block.text;
+      words = block.words;
+      ingredientsBlock = true;
+    }
+  }
+
+  return {
+    text,
+    confidence: words.length ? meanConfidence(words) : result?.confidence || 0,
+    words,
+    provider: adapter.name,
+    ingredientsBlock,
+    preprocessing,
+  };
 }
@@ -0,0 +1,213 @@
+/**
+ * Image preprocessing and layout cropping for server-side OCR.
+ * Image: auto-orient → grayscale → contrast normalise → deskew (projection profile) → Otsu threshold.
+ * Layout: after recognition, keep only the words of the "Ingredients:" block so nutrition tables,
+ * allergen statements and marketing copy on the same label don't reach the pipeline.
+ * sharp is loaded lazily; without it the image is passed to OCR unchanged.
+ */
+
+/** Width used to estimate threshold and skew (full resolution is only needed for recognition). */
+const ANALYSIS_WIDTH = 800;
+/** Skew search range and step, in degrees. */
+const MAX_SKEW = 10;
+const SKEW_STEP = 0.5;
+/** Below this the image is not rotated (resampling costs more accuracy than it gains). */
+const MIN_DESKEW = 0.5;
+/** Labels photographed small are upscaled so glyphs reach a size Tesseract reads well. */
+const MIN_OCR_WIDTH = 1200;
+
+/** "Ingredients" heading in English/French, Malay, Turkish, Arabic and Urdu. */
+const ANCHOR_PATTERN = /^(ingr[eé]dients?|bahan(-bahan)?|[iİ]çindekiler|المكونات|مكونات|اجزاء)(?![\p{L}\p{N}])/iu;
+const STOP_PATTERN =
+  /^(nutrition|contains|allergen|allergy|may\s+contain|best\s+before|use\s+by|storage|store\b|keep\b|distributed|manufactured|produced|packed|net\s*(wt|weight)|serving)/i;
+/** A vertical gap larger than this many line heights ends the block. */
+const MAX_LINE_GAP = 1.8;
+
+let sharpPromise = null;
+
+async function loadSharp() {
+  sharpPromise = sharpPromise || import("sharp").then((m) => m.default).catch(() => null);
+  return sharpPromise;
+}
+
+/**
+ * Otsu's threshold for an 8-bit grayscale buffer: the level that best separates ink from paper.
+ * @param {Uint8Array|Buffer} gray
+ * @returns {number} 1–255; pixels below it are ink (same convention as sharp's threshold())
+ */
+export function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  for (const v of gray) histogram[v] += 1;
+
+  const total = gray.length;
+  let sumAll = 0;
+  for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { level: 127, variance: -1 };
+  for (let level = 0; level < 256; level++) {
+    weightBackground += histogram[level];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += level * histogram[level];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { level, variance };
+  }
+  return best.level + 1;
+}
+
+/**
+ * Estimate text skew with a projection profile: shear dark pixels by each candidate angle and keep the
+ * angle whose row histogram is sharpest (text lines collapse into narrow peaks when level).
+ * @param {Uint8Array|Buffer} gray - 8-bit grayscale, row-major
+ * @param {number} width
+ * @param {number} height
+ * @param {number} [threshold] - Pixels darker than this count as ink (default: Otsu)
+ * @returns {number} Angle in degrees; positive when lines descend to the right
+ */
+export function estimateSkewAngle(gray, width, height, threshold = otsuThreshold(gray)) {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (gray[y * width + x] < threshold) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length === 0) return 0;
+
+  const pad = Math.ceil(width * Math.tan((MAX_SKEW * Math.PI) / 180));
+  const bins = new Float64Array(height + 2 * pad + 1);
+  let best = { angle: 0, score: -1 };
+
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW + 1e-9; angle += SKEW_STEP) {
+    const slope = Math.tan((angle * Math.PI) / 180);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] - xs[i] * slope) + pad] += 1;
+    }
+    let score = 0;
+    for (let i = 1; i < bins.length; i++) score += (bins[i] - bins[i - 1]) ** 2;
+    // Prefer the smaller rotation on ties (e.g. blank margins)
+    if (score > best.score || (score === best.score && Math.abs(angle) < Math.abs(best.angle))) {
+      best = { angle: Number(angle.toFixed(2)), score };
+    }
+  }
+  return best.angle;
+}
+
+/**
+ * Prepare a label photo for OCR.
+ * @param {Buffer} imageBuffer - Any format sharp can read (JPEG, PNG, WebP, HEIF…)
+ * @returns {Promise<{ buffer: Buffer, applied: string[], skewAngle: number|null, threshold: number|null }>}
+ *   applied lists the steps that ran; an empty list means the original buffer is returned
+ */
+export async function preprocessImage(imageBuffer) {
+  const sharp = await loadSharp();
+  if (!sharp) {
+    return { buffer: imageBuffer, applied: [], skewAngle: null, threshold: null };
+  }
+
+  const applied = ["grayscale", "normalise"];
+  const first = await sharp(imageBuffer).autoOrient().grayscale().normalise().png().toBuffer({ resolveWithObject: true });
+  let normalised = first.data;
+  if (first.info.width < MIN_OCR_WIDTH) {
+    normalised = await sharp(normalised).resize({ width: MIN_OCR_WIDTH }).png().toBuffer();
+    applied.push("upscale");
+  }
+
+  const analysis = await sharp(normalised)
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const threshold = otsuThreshold(analysis.data);
+  const skewAngle = estimateSkewAngle(analysis.data, analysis.info.width, analysis.info.height, threshold);
+
+  let output = sharp(normalised);
+  if (Math.abs(skewAngle) >= MIN_DESKEW) {
+    output = output.rotate(-skewAngle, { background: "#ffffff" });
+    applied.push("deskew");
+  }
+  output = output.threshold(threshold);
+  applied.push("threshold");
+
+  return { buffer: await output.png().toBuffer(), applied, skewAngle, threshold };
+}
+
+function groupLines(words) {
+  const lines = new Map();
+  words.forEach((word, index) => {
+    const key = word.line ?? index;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push(word);
+  });
+  return [...lines.values()].map((lineWords) => {
+    const boxes = lineWords.map((w) => w.bbox).filter(Boolean);
+    return {
+      words: lineWords,
+      bbox: boxes.length
+        ? {
+            x0: Math.min(...boxes.map((b) => b.x0)),
+            y0: Math.min(...boxes.map((b) => b.y0)),
+            x1: Math.max(...boxes.map((b) => b.x1)),
+            y1: Math.max(...boxes.map((b) => b.y1)),
+          }
+        : null,
+    };
+  });
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+/**
+ * Crop recognized words to the "Ingredients:" block.
+ * The block starts after the anchor word and runs down the same column until a stop heading
+ * (Nutrition, Contains, Allergens, Best before…) or a paragraph-sized vertical gap.
+ * Wrapped lines are joined with spaces (and "emulsi-" + "fier" rejoined), since the list is comma-separated.
+ *
+ * @param {Array<{ text: string, confidence: number, bbox?: { x0, y0, x1, y1 }, line?: number }>} words - In reading order
+ * @returns {{ found: boolean, words: Array, text: string }} found false returns every word
+ */
+export function cropToIngredientsBlock(words) {
+  const all = Array.isArray(words) ? words.filter((w) => w && w.text) : [];
+  const lines = groupLines(all);
+  const anchorLine = lines.findIndex((line) => line.words.some((w) => ANCHOR_PATTERN.test(w.text)));
+  if (anchorLine === -1) {
+    return { found: false, words: all, text: lines.map((l) => l.words.map((w) => w.text).join(" ")).join("\n") };
+  }
+
+  const anchor = lines[anchorLine];
+  const anchorIndex = anchor.words.findIndex((w) => ANCHOR_PATTERN.test(w.text));
+  const block = [anchor.words.slice(anchorIndex + 1)];
+  const lineHeight = median(lines.filter((l) => l.bbox).map((l) => l.bbox.y1 - l.bbox.y0)) || 0;
+  let previous = anchor;
+
+  for (const line of lines.slice(anchorLine + 1)) {
+    const text = line.words.map((w) => w.text).join(" ");
+    if (STOP_PATTERN.test(text)) break;
+    if (line.bbox && anchor.bbox) {
+      // Another column of the label: skip it without ending the block
+      if (line.bbox.x0 > anchor.bbox.x1 || line.bbox.x1 < anchor.bbox.x0) continue;
+      if (previous.bbox && lineHeight && line.bbox.y0 - previous.bbox.y1 > MAX_LINE_GAP * lineHeight) break;
+    }
+    block.push(line.words);
+    previous = line;
+  }
+
+  const blockWords = block.flat();
+  const text = block
+    .map((lineWords) => lineWords.map((w) => w.text).join(" "))
+    .filter(Boolean)
+    .reduce((acc, line) => (!acc ? line : acc.endsWith("-") ? acc.slice(0, -1) + line : `${acc} ${line}`), "");
+  return { found: true, words: blockWords, text };
+}
@@ -1,39 +1,166 @@
 /**
  * Photo scan pipeline for Halal Kitchen ingredient analysis.
- * Flow: raw OCR text → parse into tokens → normalize (AI only for text) → rule engine evaluates each.
+ * Flow: raw OCR text → parse into an ingredient tree → normalize (AI only for text) → rule engine evaluates each name
+ * → worst verdict rolls up to compound ingredients.
  * Halal verdicts come only from the deterministic rule engine; AI is used only for text normalization.
  */
 
 import { evaluateIngredient } from "./ingredientRuleEngine.js";
 import { normalizeIngredientOCR } from "./aiReasoningService.js";
+import { detectIngredientLanguage, LIST_CONJUNCTIONS } from "./ingredientLanguages.js";
+import { translateNote } from "./i18nService.js";
 
 /** Default OCR confidence when not provided (treat as medium). */
 const DEFAULT_OCR_CONFIDENCE = 0.7;
-/** Below this, we set ocr_uncertain: true on all ingredients. */
+/** Below this, we set ocr_uncertain: true on an ingredient. */
 const OCR_UNCERTAIN_THRESHOLD = 0.5;
 
+/** Ranking used to roll sub-ingredient verdicts up to their parent (highest wins). */
+const STATUS_SEVERITY = Object.freeze({ halal: 0, unknown: 1, conditional: 2, haram: 3 });
+/** Verdicts that get a problem_path. */
+const PROBLEM_STATUSES = new Set(["conditional", "haram"]);
+
+const OPENING_BRACKETS = "([{";
+const CLOSING_BRACKETS = ")]}";
+
+/**
+ * Separator between list items: comma, semicolon (Latin and Arabic), newline, or " and " / the label language's
+ * conjunction.
+ */
+function listSeparator(language) {
+  const conjunctions = ["and", ...(LIST_CONJUNCTIONS[language] || [])];
+  return new RegExp(`[\\n,;،؛]+|\\s+(?:${[...new Set(conjunctions)].join("|")})\\s+`, "gi");
+}
+
+/**
+ * Split on the separator outside brackets only. Bracketed text is blanked out (same length) before matching,
+ * so "emulsifier (mono, diglycerides)" stays one item.
+ */
+function splitTopLevel(text, separator) {
+  let depth = 0;
+  let masked = "";
+  for (const char of text.split("")) {
+    if (OPENING_BRACKETS.includes(char)) depth++;
+    const nested = depth > 0;
+    if (CLOSING_BRACKETS.includes(char) && depth > 0) depth--;
+    masked += nested ? "_" : char;
+  }
+
+  const parts = [];
+  let start = 0;
+  for (const match of masked.matchAll(separator)) {
+    parts.push(text.slice(start, match.index));
+    start = match.index + match[0].length;
+  }
+  parts.push(text.slice(start));
+  return parts.map((p) => p.trim()).filter((p) => p.length > 0);
+}
+
+/**
+ * One list item → { name, text, children }. A bracket holding a list ("chips (sugar, cocoa)") becomes children;
+ * a bracket holding a single plain item ("gelatin (beef)", "emulsifier (E471)") qualifies the ingredient and stays
+ * in its name, since the rule engine reads it as a modifier. An unclosed bracket runs to the end of the item
+ * (OCR often drops the last one); stray closing brackets are dropped.
+ */
+function parseIngredientNode(text, separator) {
+  const segments = [];
+  let depth = 0;
+  let opener = "";
+  let inner = "";
+  for (const char of text) {
+    if (OPENING_BRACKETS.includes(char)) {
+      if (depth === 0) opener = char;
+      else inner += char;
+      depth++;
+    } else if (CLOSING_BRACKETS.includes(char)) {
+      if (depth === 0) continue;
+      depth--;
+      if (depth === 0) {
+        segments.push({ opener, inner });
+        inner = "";
+      } else {
+        inner += char;
+      }
+    } else if (depth > 0) {
+      inner += char;
+    } else if (typeof segments.at(-1)?.text === "string") {
+      segments.at(-1).text += char;
+    } else {
+      segments.push({ text: char });
+    }
+  }
+  if (depth > 0) segments.push({ opener, inner });
+
+  let name = "";
+  const children = [];
+  for (const segment of segments) {
+    if (segment.opener === undefined) {
+      name += segment.text;
+      continue;
+    }
+    const items = splitTopLevel(segment.inner, separator);
+    const nodes = parseIngredientItems(items, separator);
+    if (items.length === 1 && nodes.length === 1 && !nodes[0].children.length) {
+      const closer = CLOSING_BRACKETS[OPENING_BRACKETS.indexOf(segment.opener)];
+      name += `${segment.opener}${items[0]}${closer}`;
+    } else {
+      children.push(...nodes);
+    }
+  }
+
+  return { name: name.replace(/\s+/g, " ").trim(), text, children };
+}
+
+/** Parse list items; an item that is only a bracketed list ("(sugar, salt)") contributes its children directly. */
+function parseIngredientItems(items, separator) {
+  return items
+    .map((item) => parseIngredientNode(item, separator))
+    .flatMap((node) => (node.name ? [node] : node.children));
+}
+
 /**
- * Split raw OCR text into ingredient tokens.
- * Handles: commas, semicolons, newlines; "and" as separator; trims and drops empty.
+ * Parse raw OCR text into an ingredient tree following the label's brackets:
+ * "chocolate chips (sugar, emulsifier (soy lecithin), natural flavor (alcohol, glycerin))" →
+ * chocolate chips → [sugar, emulsifier (soy lecithin), natural flavor → [alcohol, glycerin]].
+ * Items are separated by commas, semicolons (Latin and Arabic), newlines and "and" (or the label language's
+ * conjunction) at each level; top-level duplicates are dropped.
  * @param {string} rawText
- * @returns {string[]}
+ * @param {object} [options]
+ * @param {string} [options.language] - Label language; its conjunction ("et", "dan", "ve", "و", "اور") also separates
+ * @returns {IngredientNode[]}
  */
-export function parseIngredientList(rawText) {
+export function parseIngredientTree(rawText, options = {}) {
   if (!rawText || typeof rawText !== "string") return [];
 
-  let text = rawText
+  const text = rawText
     .replace(/\r\n/g, "\n")
     .replace(/\r/g, "\n")
     .trim();
 
-  // Split on comma, semicolon, or newline (and optionally " and " as separator)
-  const parts = text
-    .split(/[\n,;]+/)
-    .flatMap((p) => p.split(/\s+and\s+/i))
-    .map((p) => p.trim())
-    .filter((p) => p.length > 0);
+  const separator = listSeparator(options.language);
+  const items = [...new Set(splitTopLevel(text, separator))]; // dedupe by order
+  return parseIngredientItems(items, separator);
+}
+
+/**
+ * @typedef {object} IngredientNode
+ * @property {string} name - Ingredient as evaluated, including single-item qualifiers ("gelatin (beef)")
+ * @property {string} text - The item as written on the label, sub-ingredient list included
+ * @property {IngredientNode[]} children - Sub-ingredients; empty for a leaf
+ */
 
-  return [...new Set(parts)]; // dedupe by order
+/**
+ * Split raw OCR text into ingredient tokens: every node of parseIngredientTree, compound ingredients before their
+ * sub-ingredients, in label order, without duplicates.
+ * "chocolate chips (sugar, cocoa butter), salt" → ["chocolate chips", "sugar", "cocoa butter", "salt"].
+ * @param {string} rawText
+ * @param {object} [options]
+ * @param {string} [options.language] - Label language; its conjunction ("et", "dan", "ve", "و", "اور") also separates
+ * @returns {string[]}
+ */
+export function parseIngredientList(rawText, options = {}) {
+  const names = (node) => [node.name, ...node.children.flatMap(names)];
+  return [...new Set(parseIngredientTree(rawText, options).flatMap(names))];
 }
 
 /**
@@ -68,12 +195,114 @@ export async function normalizeToken(token) {
   };
 }
 
+function wordKey(text) {
+  return String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * Confidence of each token from the OCR words it was read from (lowest word wins).
+ * Words are matched in reading order from a moving cursor; a token with no matching word
+ * (e.g. a hyphenated line break) gets the global confidence.
+ * @param {string[]} tokens - From parseIngredientList
+ * @param {Array<{ text: string, confidence: number }>} words - OCR words in reading order
+ * @param {number} fallback - Global OCR confidence
+ * @returns {number[]}
+ */
+export function tokenConfidences(tokens, words, fallback) {
+  const keyed = (words || [])
+    .filter((w) => w && typeof w.confidence === "number")
+    .map((w) => ({ key: wordKey(w.text), confidence: w.confidence }))
+    .filter((w) => w.key);
+  let cursor = 0;
+
+  return tokens.map((token) => {
+    const matched = [];
+    for (const piece of token.split(/\s+/).map(wordKey).filter(Boolean)) {
+      let index = keyed.findIndex((w, i) => i >= cursor && w.key === piece);
+      if (index === -1) index = keyed.findIndex((w) => w.key === piece);
+      if (index === -1) continue;
+      matched.push(keyed[index].confidence);
+      cursor = index + 1;
+    }
+    return matched.length ? Math.min(...matched) : fallback;
+  });
+}
+
+/** Normalize a name (AI only when enabled) and run it through the rule engine. */
+async function evaluateName(name, context) {
+  const { normalized, changed } = context.useAINormalization
+    ? await normalizeToken(name)
+    : { normalized: cleanToken(name), changed: false };
+  const displayText = normalized || name;
+  const ruleResult = await evaluateIngredient(displayText, context.userPreferences, { language: context.language });
+
+  return {
+    normalized: changed ? displayText : undefined,
+    ingredient: displayText,
+    halal_status: ruleResult.halal_status ?? "unknown",
+    confidence: ruleResult.confidence != null ? ruleResult.confidence : 0.5,
+    explanation: ruleResult.notes ? translateNote(ruleResult.notes, context.locale) : null,
+    additive: ruleResult.additive || null,
+  };
+}
+
+const severity = (status) => STATUS_SEVERITY[status] ?? STATUS_SEVERITY.unknown;
+
+/**
+ * Evaluate one tree node → { entry, path }. Every name goes through normalization and the rule engine, the
+ * compound's own name included ("pork sausage (salt, spices)" is haram for the sausage, not the salt). A compound
+ * takes the worst verdict of its own name and its sub-ingredients (haram > conditional > unknown > halal), with the
+ * confidence, explanation and additive of whichever set it; its own name counts first on a tie. An unknown own
+ * name is left out of the roll-up when the sub-ingredients say more ("chips (sugar, salt)" is not unknown just
+ * because "chips" is not in the rules).
+ * path lists the names down to the node behind the verdict.
+ */
+async function evaluateIngredientNode(node, context) {
+  const own = await evaluateName(node.name, context);
+  if (!node.children.length) {
+    return { entry: { raw: node.text, ...own, sub_ingredients: [] }, path: [own.ingredient] };
+  }
+
+  const children = [];
+  for (const child of node.children) {
+    children.push(await evaluateIngredientNode(child, context));
+  }
+  const candidates = [
+    ...(own.halal_status === "unknown" ? [] : [{ result: own, path: [own.ingredient] }]),
+    ...children.map(({ entry, path }) => ({ result: entry, path: [own.ingredient, ...path] })),
+  ];
+  const worst = candidates.reduce((a, b) => (severity(b.result.halal_status) > severity(a.result.halal_status) ? b : a));
+
+  return {
+    entry: {
+      raw: node.text,
+      normalized: own.normalized,
+      ingredient: own.ingredient,
+      halal_status: worst.result.halal_status,
+      confidence: worst.result.confidence,
+      explanation: worst.result.explanation,
+      additive: worst.result.additive,
+      sub_ingredients: children.map(({ entry }) => entry),
+    },
+    path: worst.path,
+  };
+}
+
+function wasNormalized(entry) {
+  return entry.normalized !== undefined || entry.sub_ingredients.some(wasNormalized);
+}
+
 /**
- * Run full pipeline: parse → normalize each token → evaluate each with rule engine.
+ * Run full pipeline: parse into an ingredient tree → normalize each name → evaluate each name with rule engine →
+ * roll the worst verdict up to each compound ingredient.
  * @param {string} rawOcrText - Raw text from OCR (or pasted ingredient list)
  * @param {object} [options]
  * @param {object} [options.userPreferences] - For rule engine
  * @param {number} [options.ocrConfidence] - 0–1; when < 0.5, ingredients get ocr_uncertain: true
+ * @param {Array<{ text: string, confidence: number }>} [options.words] - OCR words (0–1 confidence); when given,
+ *   each ingredient is judged on the confidence of its own words instead of ocrConfidence
+ * @param {string} [options.language] - Label language; detected from the whole text when omitted
+ * @param {string} [options.locale] - Response locale for explanations (default "en")
  * @param {boolean} [options.useAINormalization] - If true, run AI normalization per token (default true)
  * @returns {Promise<PhotoScanResult>}
  */
@@ -82,30 +311,27 @@ export async function runPhotoScanPipeline(rawOcrText, options = {}) {
     userPreferences = {},
     ocrConfidence = DEFAULT_OCR_CONFIDENCE,
     useAINormalization = true,
+    words = null,
   } = options;
 
-  const tokens = parseIngredientList(rawOcrText);
-  const ocrUncertain = ocrConfidence < OCR_UNCERTAIN_THRESHOLD;
+  // Detect once on the whole label: a single token ("sucre") carries too little signal
+  const language = options.language || detectIngredientLanguage(rawOcrText);
+  const tree = parseIngredientTree(rawOcrText, { language });
+  const confidences = Array.isArray(words) && words.length
+    ? tokenConfidences(tree.map((node) => node.text), words, ocrConfidence)
+    : tree.map(() => ocrConfidence);
+  const context = { userPreferences, useAINormalization, language, locale: options.locale };
 
   const ingredients = [];
-  for (const raw of tokens) {
-    const { normalized, changed } = useAINormalization
-      ? await normalizeToken(raw)
-      : { normalized: cleanToken(raw), changed: false };
-
-    const displayText = normalized || raw;
-    if (!displayText) continue;
-
-    const ruleResult = await evaluateIngredient(displayText, userPreferences);
+  for (const [index, node] of tree.entries()) {
+    const { entry, path } = await evaluateIngredientNode(node, context);
 
     ingredients.push({
-      raw,
-      normalized: changed ? displayText : undefined,
-      ingredient: displayText,
-      halal_status: ruleResult.halal_status ?? "unknown",
-      confidence: ruleResult.confidence != null ? ruleResult.confidence : 0.5,
-      explanation: ruleResult.notes || null,
-      ocr_uncertain: ocrUncertain || (useAINormalization && changed),
+      ...entry,
+      // Only a real finding gets a path; halal and unknown verdicts have nothing to point at
+      problem_path: PROBLEM_STATUSES.has(entry.halal_status) ? path.join(" → ") : null,
+      ocr_confidence: confidences[index],
+      ocr_uncertain: confidences[index] < OCR_UNCERTAIN_THRESHOLD || (useAINormalization && wasNormalized(entry)),
     });
   }
 
@@ -115,14 +341,30 @@ export async function runPhotoScanPipeline(rawOcrText, options = {}) {
     summary,
     ingredients,
     ocr_confidence: ocrConfidence,
+    language,
   };
 }
 
+/**
+ * @typedef {object} ScannedIngredient
+ * @property {string} raw - As written on the label
+ * @property {string} [normalized] - Set when AI normalization changed the text
+ * @property {string} ingredient
+ * @property {string} halal_status - For a compound ingredient, the worst verdict of its own name and its sub-ingredients
+ * @property {number} confidence
+ * @property {string|null} explanation
+ * @property {{ code: string, name: string, sources: string[], matchedText: string }|null} additive
+ * @property {ScannedIngredient[]} sub_ingredients - Empty for a simple ingredient
+ */
+
 /**
  * @typedef {object} PhotoScanResult
- * @property {{ halal: number, conditional: number, haram: number, unknown: number }} summary
- * @property {Array<{ raw: string, normalized?: string, ingredient: string, halal_status: string, confidence: number, explanation: string|null, ocr_uncertain: boolean }>} ingredients
+ * @property {{ halal: number, conditional: number, haram: number, unknown: number }} summary - Counts top-level ingredients
+ * @property {Array<ScannedIngredient & { problem_path: string|null, ocr_confidence: number, ocr_uncertain: boolean }>} ingredients
+ *   - problem_path ("chocolate chips → natural flavor → alcohol") leads to the ingredient behind a haram or
+ *   conditional verdict; null otherwise
  * @property {number} ocr_confidence
+ * @property {string} language - Detected (or given) label language: en, fr, ms, tr, ar, ur
  */
 
 function summarizeResults(ingredients) {
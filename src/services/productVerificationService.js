@@ -0,0 +1,177 @@
+/**
+ * Brand / product verification (premium: brandVerification).
+ * Combines the rule-engine classification of a product's stored ingredient list with its halal certification.
+ * A valid certificate covers conditional ingredients (source already audited) but never a haram one:
+ * a listed haram ingredient wins and is reported as conflicting with the certificate.
+ * Only a certificate from a trusted source (or checked by a curator) with an expiry date on record counts;
+ * one typed in by a user is shown as unverified and the verdict rests on the ingredients alone.
+ */
+
+import { classifyIngredients } from "./halalClassificationService.js";
+import { parseIngredientList } from "./photoScanPipelineService.js";
+import { translate } from "./i18nService.js";
+
+/** Where a product record's data came from (products.verification_source). */
+export const VERIFICATION_SOURCES = Object.freeze([
+  "manufacturer",
+  "certifier",
+  "label_scan",
+  "user_submission",
+  "admin",
+]);
+
+/** Sources whose certification data is honoured without a curator's check (verified_at). */
+export const TRUSTED_CERTIFICATION_SOURCES = Object.freeze(["certifier", "manufacturer", "admin"]);
+
+const BARCODE_LENGTHS = new Set([8, 12, 13, 14]);
+const CERTIFIED_CONFIDENCE = 0.95;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a UPC/EAN: digits only (spaces and dashes ignored), 8/12/13/14 long, GS1 mod-10 check digit.
+ * UPC-A and GTIN-14 with a leading zero are returned as EAN-13, so the same product matches
+ * whichever form a scanner reports.
+ * @param {string|number} value
+ * @returns {{ barcode: string } | { error: string }} error is a message catalogue key
+ */
+export function validateBarcode(value) {
+  const digits = value == null ? "" : String(value).replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(digits) || !BARCODE_LENGTHS.has(digits.length)) {
+    return { error: "errors.barcodeInvalid" };
+  }
+
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = body.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+    sum += Number(body[i]) * weight;
+  }
+  if ((10 - (sum % 10)) % 10 !== Number(digits[digits.length - 1])) {
+    return { error: "errors.barcodeCheckDigit" };
+  }
+
+  if (digits.length === 12) return { barcode: `0${digits}` };
+  if (digits.length === 14 && digits[0] === "0") return { barcode: digits.slice(1) };
+  return { barcode: digits };
+}
+
+/**
+ * Canonical barcode, or null when invalid (see validateBarcode).
+ * @param {string|number} value
+ * @returns {string|null}
+ */
+export function normalizeBarcode(value) {
+  return validateBarcode(value).barcode || null;
+}
+
+/**
+ * Certification status of a product on a given day.
+ * "unverified": a certification body is on record but it came from a user submission or label scan that no curator
+ * has checked (verified_at), or it has no expiry date. Neither counts as certified.
+ * @param {object} product - Row from db/products.js
+ * @param {Date} [now]
+ * @returns {{ status: 'certified'|'expired'|'unverified'|'uncertified', body: string|null, certificateNumber: string|null, expiresAt: string|null, daysUntilExpiry: number|null }}
+ */
+export function getCertificationStatus(product, now = new Date()) {
+  const body = product?.certification_body || null;
+  const expiresAt = product?.certificate_expires_at || null;
+  const base = { body, certificateNumber: product?.certificate_number || null, expiresAt, daysUntilExpiry: null };
+  if (!body) return { ...base, status: "uncertified" };
+
+  const trusted = TRUSTED_CERTIFICATION_SOURCES.includes(product.verification_source) || Boolean(product.verified_at);
+  if (!trusted || !expiresAt) return { ...base, status: "unverified" };
+
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const daysUntilExpiry = Math.round((Date.parse(`${expiresAt}T00:00:00Z`) - today) / DAY_MS);
+  return { ...base, daysUntilExpiry, status: daysUntilExpiry >= 0 ? "certified" : "expired" };
+}
+
+function summarize(ingredients) {
+  const summary = { halal: 0, conditional: 0, haram: 0, unknown: 0 };
+  for (const i of ingredients) {
+    summary[summary[i.halal_status] !== undefined ? i.halal_status : "unknown"] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Verdict from ingredient classification + certification; reasons are in the given locale.
+ */
+function combineVerdict(ingredients, summary, certification, locale) {
+  const reasons = [];
+  const reason = (key, params) => reasons.push(translate(key, locale, params));
+  const certified = certification.status === "certified";
+  const { body } = certification;
+
+  if (certification.status === "expired") {
+    reason("verdict.certificateExpired", { body, date: certification.expiresAt });
+  }
+  if (certification.status === "unverified") {
+    reason(certification.expiresAt ? "verdict.certificateUnverified" : "verdict.certificateNoExpiry", { body });
+  }
+
+  if (summary.haram > 0) {
+    const haram = ingredients.filter((i) => i.halal_status === "haram");
+    reason("verdict.containsHaram", { ingredients: haram.map((i) => i.ingredient).join(", ") });
+    if (certified) reason("verdict.certificateConflict", { body });
+    return { status: "haram", confidence: Math.max(...haram.map((i) => i.confidence)), reasons };
+  }
+
+  if (certified) {
+    reason("verdict.certified", { body });
+    if (summary.conditional + summary.unknown > 0) {
+      reason("verdict.conditionalCovered");
+    }
+    return { status: "halal", confidence: CERTIFIED_CONFIDENCE, reasons };
+  }
+
+  if (ingredients.length === 0) {
+    reason("verdict.nothingOnRecord");
+    return { status: "unknown", confidence: 0, reasons };
+  }
+
+  const lowest = Math.min(...ingredients.map((i) => i.confidence));
+  if (summary.conditional + summary.unknown > 0) {
+    const named = (status) => ingredients.filter((i) => i.halal_status === status).map((i) => i.ingredient).join(", ");
+    if (summary.conditional) reason("verdict.sourceNotVerified", { ingredients: named("conditional") });
+    if (summary.unknown) reason("verdict.notInRuleDatabase", { ingredients: named("unknown") });
+    return { status: "conditional", confidence: lowest, reasons };
+  }
+  reason("verdict.allHalalUncertified");
+  return { status: "halal", confidence: lowest, reasons };
+}
+
+/**
+ * Verify a registered product.
+ *
+ * @param {object} product - Row from db/products.js
+ * @param {object} [options] - { userPreferences, now, locale } (locale of warnings and verdict reasons)
+ * @returns {Promise<{
+ *   productId: string,
+ *   certification: ReturnType<typeof getCertificationStatus>,
+ *   ingredients: Array<{ ingredient: string, halal_status: string, confidence: number, warnings: string[] }>,
+ *   summary: { halal: number, conditional: number, haram: number, unknown: number },
+ *   verdict: { status: 'halal'|'conditional'|'haram'|'unknown', confidence: number, reasons: string[] }
+ * }>}
+ */
+export async function verifyProduct(product, options = {}) {
+  const { userPreferences = {}, now = new Date(), locale } = options;
+  const phrases = parseIngredientList(product?.ingredients_text || "");
+  const classified = await classifyIngredients(phrases, { userPreferences, locale });
+
+  const ingredients = classified.map((c, i) => ({
+    ingredient: phrases[i],
+    halal_status: c.halal_status || "unknown",
+    confidence: c.confidence,
+    warnings: c.warnings || [],
+  }));
+  const summary = summarize(ingredients);
+  const certification = getCertificationStatus(product, now);
+
+  return {
+    productId: product?.id || null,
+    certification,
+    ingredients,
+    summary,
+    verdict: combineVerdict(ingredients, summary, certification, locale),
+  };
+}
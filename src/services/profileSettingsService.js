@@ -0,0 +1,54 @@
+/**
+ * Profile settings used on every request: response language and halal preferences.
+ * Read from the profiles table and kept in memory for a few minutes; call forgetProfileSettings after an update.
+ */
+
+import { getStorage } from "../storage/index.js";
+
+const PROFILE_SETTINGS_TTL_MS = 5 * 60 * 1000;
+const settingsCache = new Map();
+
+/**
+ * @param {number} userId
+ * @returns {Promise<{ language: string|null, halal_standard: string|null, school_of_thought: string|null }>}
+ *   All null when the user has no profile
+ */
+export async function getProfileSettings(userId) {
+  const cached = settingsCache.get(userId);
+  if (cached && Date.now() - cached.at < PROFILE_SETTINGS_TTL_MS) return cached.settings;
+  const profile = await getStorage().profiles.getProfileByUserId(userId);
+  const settings = {
+    language: profile?.language || null,
+    halal_standard: profile?.halal_standard || null,
+    school_of_thought: profile?.school_of_thought || null,
+  };
+  settingsCache.set(userId, { settings, at: Date.now() });
+  return settings;
+}
+
+/**
+ * Halal preferences from the user's profile, merged under any preferences sent with the request.
+ * Without a database (or on a lookup error) only the request's preferences are used.
+ * @param {number} userId
+ * @param {Object} [requestPreferences] - Body userPreferences; its keys win over the profile
+ * @returns {Promise<Object>} For evaluateIngredient / getIngredientDetails
+ */
+export async function resolveUserPreferences(userId, requestPreferences = {}) {
+  let fromProfile = {};
+  try {
+    const { halal_standard, school_of_thought } = await getProfileSettings(userId);
+    if (halal_standard) fromProfile.halal_standard = halal_standard;
+    if (school_of_thought) fromProfile.school_of_thought = school_of_thought;
+  } catch {
+    fromProfile = {};
+  }
+  return { ...fromProfile, ...(requestPreferences || {}) };
+}
+
+/**
+ * Drop cached settings after the profile changes.
+ * @param {number} userId
+ */
+export function forgetProfileSettings(userId) {
+  settingsCache.delete(userId);
+}
@@ -9,6 +9,10 @@ import {
   SUBSTITUTE_SCORES,
   INGREDIENT_SCORE_KEY_ALIASES,
 } from "./substituteScoringData.js";
+import { getIngredientDetails } from "../utils/halalEngine.js";
+import { parseConversionRatio } from "../utils/quantityConverter.js";
+import { getLinksForSubstitutes } from "../db/monetization.js";
+import { translate, hasMessage } from "./i18nService.js";
 
 const MIN_SUBSTITUTES = 3;
 const MAX_SUBSTITUTES = 5;
@@ -79,18 +83,19 @@ function displayNameFor(slug, scoringEntry) {
 }
 
 /**
- * Get ranked substitutes: 3–5 options, only halal/conditional, with best pick + alternatives.
- *
- * @param {string} ingredientPhrase - e.g. "bacon", "white wine", "gelatin", "mirin"
- * @param {object} [options] - { recipeContext: {}, userPreferences: {} }
- * @returns {Promise<{ best: { name, score, reason, notes } | null, alternatives: Array<{ name, score, reason, notes }> }>}
+ * Reason text in the requested locale: catalogue entry for this ingredient/substitute pair when there is one,
+ * else the scoring data's English reason.
  */
-export async function getRankedSubstitutes(ingredientPhrase, options = {}) {
-  if (!ingredientPhrase || typeof ingredientPhrase !== "string") {
-    return { best: null, alternatives: [] };
-  }
+function reasonFor(entry, locale) {
+  if (entry.reasonKey && hasMessage(entry.reasonKey, locale)) return translate(entry.reasonKey, locale);
+  return entry.reason || translate("substitute.defaultReason", locale);
+}
 
-  const trimmed = ingredientPhrase.trim();
+/**
+ * Score every permitted candidate for an ingredient (rule-engine alternatives + scoring data), best first.
+ * @returns {Promise<{ ruleResult: object, scored: Array<{ slug: string, entry: object, score: number }> }>}
+ */
+async function scorePermittedSubstitutes(trimmed, options) {
   const ruleResult = await evaluateIngredient(trimmed, options.userPreferences || {});
   const candidatesFromRules = Array.isArray(ruleResult.alternatives) ? ruleResult.alternatives : [];
 
@@ -99,14 +104,14 @@ export async function getRankedSubstitutes(ingredientPhrase, options = {}) {
 
   const candidateSlugs = new Set(candidatesFromRules);
   scoringList.forEach((s) => candidateSlugs.add(s.slug));
-  if (candidateSlugs.size === 0) return { best: null, alternatives: [] };
 
   const scored = [];
   for (const slug of candidateSlugs) {
     const permitted = await isSubstitutePermitted(slug);
     if (!permitted) continue;
 
-    const entry = scoringList.find((e) => e.slug === slug) || {
+    const scoringEntry = scoringList.find((e) => e.slug === slug);
+    const entry = scoringEntry ? { ...scoringEntry, reasonKey: `substitute.${scoreKey}.${slug}` } : {
       slug,
       displayName: displayNameFor(slug, null),
       flavor_similarity: 0.5,
@@ -114,21 +119,38 @@ export async function getRankedSubstitutes(ingredientPhrase, options = {}) {
       cooking_context_fit: 0.5,
       availability: 0.5,
       affordability: 0.5,
-      reason: "Halal substitute; check recipe for best use.",
+      reasonKey: "substitute.genericReason",
       notes: "",
     };
 
-    const score = computeSubstituteScore(entry, DEFAULT_WEIGHTS);
-    scored.push({
-      name: displayNameFor(slug, entry),
-      score: Math.round(score * 100) / 100,
-      reason: entry.reason || "Practical halal alternative.",
-      notes: entry.notes || "",
-    });
+    scored.push({ slug, entry, score: Math.round(computeSubstituteScore(entry, DEFAULT_WEIGHTS) * 100) / 100 });
   }
 
   scored.sort((a, b) => b.score - a.score);
-  const top = scored.slice(0, MAX_SUBSTITUTES);
+  return { ruleResult, scored };
+}
+
+/**
+ * Get ranked substitutes: 3–5 options, only halal/conditional, with best pick + alternatives.
+ *
+ * @param {string} ingredientPhrase - e.g. "bacon", "white wine", "gelatin", "mirin"
+ * @param {object} [options] - { recipeContext: {}, userPreferences: {}, locale?: string }
+ * @returns {Promise<{ best: { name, score, reason, notes } | null, alternatives: Array<{ name, score, reason, notes }> }>}
+ */
+export async function getRankedSubstitutes(ingredientPhrase, options = {}) {
+  if (!ingredientPhrase || typeof ingredientPhrase !== "string") {
+    return { best: null, alternatives: [] };
+  }
+
+  const { scored } = await scorePermittedSubstitutes(ingredientPhrase.trim(), options);
+  if (scored.length === 0) return { best: null, alternatives: [] };
+
+  const top = scored.slice(0, MAX_SUBSTITUTES).map(({ slug, entry, score }) => ({
+    name: displayNameFor(slug, entry),
+    score,
+    reason: reasonFor(entry, options.locale),
+    notes: entry.notes || "",
+  }));
   const best = top[0] || null;
   const alternatives = top.slice(1, MAX_SUBSTITUTES);
 
@@ -139,6 +161,61 @@ export async function getRankedSubstitutes(ingredientPhrase, options = {}) {
   };
 }
 
+/**
+ * Advanced substitutions (premium): every permitted substitute, not just the top slice, with the per-factor
+ * breakdown behind its score, the quantity ratio, cooking notes and affiliate links.
+ * ratio comes from the scoring entry when set, else from the original ingredient's conversion_ratio in the knowledge base.
+ *
+ * @param {string} ingredientPhrase
+ * @param {object} [options] - { recipeContext: {}, userPreferences: {}, regionCode?: string, locale?: string }
+ * @returns {Promise<{
+ *   ingredient: string,
+ *   halal_status: string,
+ *   recipeContext: object,
+ *   substitutes: Array<{ slug: string, name: string, score: number, factors: { flavor: number, texture: number, context: number, availability: number, affordability: number }, ratio: number, reason: string, notes: string, links: Array }>
+ * }>}
+ */
+export async function getAdvancedSubstitutes(ingredientPhrase, options = {}) {
+  const recipeContext = options.recipeContext || {};
+  if (!ingredientPhrase || typeof ingredientPhrase !== "string") {
+    return { ingredient: "", halal_status: "unknown", recipeContext, substitutes: [] };
+  }
+
+  const trimmed = ingredientPhrase.trim();
+  const { ruleResult, scored } = await scorePermittedSubstitutes(trimmed, options);
+  const knowledge = getIngredientDetails(trimmed, options.userPreferences || {});
+  const ingredientRatio = parseConversionRatio(knowledge?.conversionRatio);
+  const linksBySlug = await getLinksForSubstitutes(
+    scored.map((s) => s.slug),
+    options.regionCode || null
+  );
+
+  const factor = (value) => Number(value) || 0.5;
+  const substitutes = scored.map(({ slug, entry, score }) => ({
+    slug,
+    name: displayNameFor(slug, entry),
+    score,
+    factors: {
+      flavor: factor(entry.flavor_similarity),
+      texture: factor(entry.texture_similarity),
+      context: factor(entry.cooking_context_fit),
+      availability: factor(entry.availability),
+      affordability: factor(entry.affordability),
+    },
+    ratio: entry.ratio != null ? parseConversionRatio(entry.ratio) : ingredientRatio,
+    reason: reasonFor(entry, options.locale),
+    notes: entry.notes || "",
+    links: linksBySlug[slug] || [],
+  }));
+
+  return {
+    ingredient: trimmed,
+    halal_status: ruleResult.halal_status || "unknown",
+    recipeContext,
+    substitutes,
+  };
+}
+
 /**
  * Format for API: best pick plus 2–4 alternatives, each with name, score, reason, notes.
  * @param {object} result - From getRankedSubstitutes
@@ -0,0 +1,143 @@
+/**
+ * Recipe scaling (premium: recipeScaling).
+ * Rescales ingredient amounts to a target number of servings and/or converts them to the metric or US system.
+ * Works on converted (halal) text: substitutes already carry their conversion ratio, so scaling every line by the
+ * same factor keeps those ratios. Lines containing a substitute are marked so the client can highlight them.
+ */
+
+import { parseIngredientLine, isIngredientLine } from "../utils/quantityParser.js";
+import {
+  applyConversionRatio,
+  convertToUnitSystem,
+  formatQuantity,
+  formatUnit,
+  UNIT_SYSTEMS,
+} from "../utils/quantityConverter.js";
+
+const SERVINGS_PATTERN = /\b(?:serves|servings|serving size|yield|yields|makes)\s*:?\s*(\d+)/i;
+
+/**
+ * Find the servings count declared in recipe text ("Serves 4", "Servings: 6", "Makes 12").
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function detectServings(text) {
+  if (!text || typeof text !== "string") return null;
+  const m = text.match(SERVINGS_PATTERN);
+  const n = m ? Number(m[1]) : NaN;
+  return n > 0 ? n : null;
+}
+
+function findSubstitution(line, substitutions) {
+  const lower = line.toLowerCase();
+  return (
+    substitutions.find((s) => {
+      const replacement = String(s.replacement || "").toLowerCase();
+      return replacement && lower.includes(replacement);
+    }) || null
+  );
+}
+
+/** Invalid scaling options; messageKey and params name the catalogue message for the response. */
+function scalingError(messageKey, params, message) {
+  const error = new Error(message);
+  error.messageKey = messageKey;
+  error.params = params;
+  return error;
+}
+
+function formatAmount(quantity, quantityMax, separator) {
+  return quantityMax != null
+    ? `${formatQuantity(quantity)}${separator}${formatQuantity(quantityMax)}`
+    : formatQuantity(quantity);
+}
+
+/**
+ * Scale recipe text.
+ *
+ * @param {string} text - Recipe text (converted version when available)
+ * @param {object} options
+ * @param {number} [options.originalServings] - Servings the text is written for (detected from text when omitted)
+ * @param {number} [options.servings] - Target servings
+ * @param {'metric'|'us'} [options.unitSystem] - Convert amounts to this system
+ * @param {Array<{ ingredient: string, replacement: string, conversionRatio?: number }>} [options.substitutions]
+ *   Substitutions applied during conversion; lines containing a replacement are marked isSubstitute
+ * @returns {{
+ *   factor: number,
+ *   originalServings: number|null,
+ *   servings: number|null,
+ *   unitSystem: string|null,
+ *   convertedText: string,
+ *   ingredients: Array<{ original: string, scaled: string, quantity: number|null, quantityMax: number|null, unit: string, ingredient: string, note: string|null, isSubstitute: boolean, substituteFor: string|null, conversionRatio: number|null }>
+ * }}
+ * @throws {Error} With messageKey/params set when the options are invalid
+ */
+export function scaleRecipe(text, options = {}) {
+  const { servings = null, unitSystem = null, substitutions = [] } = options;
+  const originalServings = options.originalServings || detectServings(text);
+
+  if (servings != null && !(servings > 0)) {
+    throw scalingError("errors.servingsInvalid", {}, "servings must be a positive number");
+  }
+  if (servings != null && !originalServings) {
+    throw scalingError("errors.originalServingsUnknown", {}, "Original servings could not be detected; provide originalServings");
+  }
+  if (unitSystem != null && !UNIT_SYSTEMS.includes(unitSystem)) {
+    const systems = UNIT_SYSTEMS.join(", ");
+    throw scalingError("errors.unitSystemInvalid", { systems }, `unitSystem must be one of: ${systems}`);
+  }
+
+  const factor = servings != null ? servings / originalServings : 1;
+  const ingredients = [];
+
+  const lines = String(text || "").split("\n").map((line) => {
+    if (servings != null && SERVINGS_PATTERN.test(line)) {
+      return line.replace(SERVINGS_PATTERN, (match, n) => match.slice(0, match.length - n.length) + servings);
+    }
+
+    const parsed = parseIngredientLine(line);
+    if (!isIngredientLine(parsed)) return line;
+
+    let quantity = applyConversionRatio(parsed.quantity, factor);
+    let quantityMax = parsed.quantityMax != null ? applyConversionRatio(parsed.quantityMax, factor) : null;
+    let unit = parsed.unit;
+    let unitLabel = unit === "cup" ? formatUnit(unit, quantityMax ?? quantity) : parsed.unitText;
+
+    const converted = unitSystem ? convertToUnitSystem(quantity, unit, unitSystem, quantityMax) : null;
+    if (converted) {
+      ({ quantity, quantityMax, unit } = converted);
+      unitLabel = formatUnit(unit, quantityMax ?? quantity);
+    }
+
+    const separator = /\bto\b/i.test(parsed.quantityText) ? " to " : "-";
+    let amount = formatAmount(quantity, quantityMax, separator);
+    if (parsed.size) amount += ` (${formatQuantity(parsed.size.quantity)} ${formatUnit(parsed.size.unit, parsed.size.quantity)})`;
+    if (unitLabel) amount += ` ${unitLabel}`;
+
+    const scaled = line.slice(0, parsed.quantityIndex) + amount + line.slice(parsed.amountEnd);
+    const substitution = findSubstitution(line, substitutions);
+
+    ingredients.push({
+      original: line.trim(),
+      scaled: scaled.trim(),
+      quantity,
+      quantityMax,
+      unit,
+      ingredient: parsed.ingredient,
+      note: parsed.note,
+      isSubstitute: Boolean(substitution),
+      substituteFor: substitution ? substitution.ingredient || null : null,
+      conversionRatio: substitution ? substitution.conversionRatio ?? null : null,
+    });
+    return scaled;
+  });
+
+  return {
+    factor: Number(factor.toFixed(4)),
+    originalServings: originalServings || null,
+    servings,
+    unitSystem,
+    convertedText: lines.join("\n"),
+    ingredients,
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Sign-in sessions: short-lived access tokens plus rotating refresh tokens.
+ * The access token is a JWT carrying the session id (sid), so authenticateToken can reject it once the
+ * session is revoked. The refresh token is "<sessionId>.<secret>"; only a hash of the secret is stored,
+ * and each refresh replaces it. Reusing a replaced token revokes the session (the token was copied).
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { JWT_SECRET, rolesForUser } from "../middleware/auth.js";
+import { getStorage } from "../storage/index.js";
+
+export const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Device details recorded with a session.
+ * @param {Object} req - Express request
+ */
+function clientInfo(req) {
+  return {
+    userAgent: req?.headers?.["user-agent"]?.slice(0, 512),
+    ipAddress: req?.ip,
+  };
+}
+
+/**
+ * Whether a value looks like a session id (UUID), checked before it reaches a uuid column.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isSessionId(value) {
+  return typeof value === "string" && UUID_PATTERN.test(value);
+}
+
+/**
+ * Split a refresh token into its session id and secret.
+ * @param {string} refreshToken
+ * @returns {{ sessionId: string, secret: string } | null} null when malformed
+ */
+export function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string") return null;
+  const dot = refreshToken.indexOf(".");
+  const sessionId = refreshToken.slice(0, dot);
+  const secret = refreshToken.slice(dot + 1);
+  if (dot < 0 || !isSessionId(sessionId) || secret.length < 32) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Sign an access token for a user's session.
+ * @param {Object} user - User row (id, email, roles)
+ * @param {string} sessionId
+ * @returns {string}
+ */
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, roles: rolesForUser(user), sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+function tokenPair(user, sessionId, secret) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId,
+  };
+}
+
+/**
+ * Start a session after login or registration.
+ * @param {Object} user - User row
+ * @param {Object} req - Express request (user agent and IP are stored with the session)
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, sessionId: string }>}
+ */
+export async function startSession(user, req) {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const session = await getStorage().sessions.createSession(user.id, {
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req),
+  });
+  return tokenPair(user, session.id, secret);
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * @param {string} refreshToken
+ * @param {Object} req - Express request
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, sessionId: string } | null>}
+ *   null when the token is malformed, unknown, expired, revoked or already used
+ */
+export async function refreshSession(refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const currentHash = hashSecret(parsed.secret);
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const session = await getStorage().sessions.rotateSessionToken(parsed.sessionId, currentHash, {
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req),
+  });
+
+  if (!session) {
+    if (await getStorage().sessions.isPreviousSessionToken(parsed.sessionId, currentHash)) {
+      console.warn(`Refresh token reused for session ${parsed.sessionId}; revoking it`);
+      await getStorage().sessions.revokeSession(parsed.sessionId);
+    }
+    return null;
+  }
+
+  const user = await getStorage().users.getUserById(session.user_id);
+  if (!user) return null;
+  return tokenPair(user, session.id, secret);
+}
@@ -0,0 +1,261 @@
+/**
+ * Shopping lists for saved recipes (premium).
+ * Builds a list from the recipe's ingredients, swaps haram items for their halal substitutes (with conversion ratio),
+ * merges duplicates by summing compatible quantities, groups by aisle and exports to txt / json / csv / pdf.
+ * Meal plans combine several recipes into one list, each scaled to the servings planned for its slot.
+ */
+
+import Papa from "papaparse";
+import { convertRecipe } from "../utils/halalConverter.js";
+import { parseIngredientLine, isIngredientLine, UNITS } from "../utils/quantityParser.js";
+import { convertUnit, formatQuantity, formatUnit, scaleIngredientLine } from "../utils/quantityConverter.js";
+import { renderTextPdf } from "../utils/pdfWriter.js";
+import { categorizeProductFit, getLinksForSubstitutes } from "../db/monetization.js";
+import { detectServings } from "./recipeScalingService.js";
+
+/** Export formats a shopping list can be rendered to. */
+export const SHOPPING_LIST_FORMATS = Object.freeze(["json", "txt", "csv", "pdf"]);
+
+/** Aisle order and labels; keys are the product-fit buckets from db/monetization.js. */
+const AISLES = Object.freeze([
+  { key: "grocery", label: "Fresh & Grocery" },
+  { key: "pantry", label: "Pantry" },
+  { key: "specialty", label: "Specialty & Halal Store" },
+  { key: "unknown", label: "Other" },
+]);
+
+const CONTENT_TYPES = {
+  json: "application/json",
+  txt: "text/plain; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  pdf: "application/pdf",
+};
+
+/**
+ * Ingredient lines for a saved recipe: the ingredients JSONB when filled (strings or { name, quantity, unit }),
+ * else lines of the original recipe text that read as ingredients.
+ */
+function ingredientLinesFromRecipe(recipe) {
+  const stored = Array.isArray(recipe.ingredients) ? recipe.ingredients : [];
+  const fromStored = stored
+    .map((item) => {
+      if (typeof item === "string") return item;
+      if (!item || typeof item !== "object") return "";
+      const name = item.name || item.ingredient || item.text || "";
+      return [item.quantity, item.unit, name].filter((p) => p != null && p !== "").join(" ");
+    })
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (fromStored.length) return fromStored;
+
+  const text = recipe.original_recipe || recipe.converted_recipe || "";
+  return text.split("\n").filter((line) => isIngredientLine(parseIngredientLine(line)));
+}
+
+// "Eggs" and "egg" merge; underscores from substitute slugs read as spaces
+function itemKey(name) {
+  const words = name.toLowerCase().replace(/_/g, " ").replace(/\s+/g, " ").trim().split(" ");
+  const last = words.length - 1;
+  if (words[last].length > 3) words[last] = words[last].replace(/(?:es|s)$/, "");
+  return words.join(" ");
+}
+
+function displayName(name) {
+  return name.replace(/_/g, " ");
+}
+
+function itemDisplay(item) {
+  const amount =
+    item.quantity == null
+      ? ""
+      : item.quantityMax != null
+        ? `${formatQuantity(item.quantity)}-${formatQuantity(item.quantityMax)}`
+        : formatQuantity(item.quantity);
+  const unit = item.unit ? formatUnit(item.unit, item.quantityMax ?? item.quantity) : "";
+  return [amount, unit, item.name].filter(Boolean).join(" ");
+}
+
+/**
+ * Add a parsed line to an existing item when the amounts can be summed; returns false when they can't.
+ */
+function mergeInto(item, parsed) {
+  if (item.quantity == null || parsed.quantity == null) {
+    return item.quantity == null && parsed.quantity == null;
+  }
+  let quantity = parsed.quantity;
+  let quantityMax = parsed.quantityMax;
+  if (parsed.unit !== item.unit) {
+    const sameType = UNITS[parsed.unit]?.type && UNITS[parsed.unit]?.type === UNITS[item.unit]?.type;
+    if (!sameType) return false;
+    quantity = convertUnit(quantity, parsed.unit, item.unit);
+    quantityMax = quantityMax != null ? convertUnit(quantityMax, parsed.unit, item.unit) : null;
+    if (quantity == null) return false;
+  }
+  const round = (n) => Number(n.toFixed(3));
+  if (item.quantityMax != null || quantityMax != null) {
+    item.quantityMax = round((item.quantityMax ?? item.quantity) + (quantityMax ?? quantity));
+  }
+  item.quantity = round(item.quantity + quantity);
+  return true;
+}
+
+/**
+ * Convert, merge and group ingredient lines into list items and aisles.
+ */
+async function buildItems(lines, options) {
+  const conversion = convertRecipe(lines.join("\n"), options.userPreferences || {});
+  const convertedLines = lines.length ? conversion.convertedText.split("\n") : [];
+  const replaced = conversion.issues.filter((issue) => issue.wasReplaced);
+
+  const items = [];
+  convertedLines.forEach((line, i) => {
+    const parsed = parseIngredientLine(line);
+    if (!parsed || !parsed.ingredient) return;
+
+    const lower = line.toLowerCase();
+    const substitution = replaced.find((issue) => lower.includes(String(issue.replacement).toLowerCase()));
+    const key = itemKey(parsed.ingredient);
+    const existing = items.find((item) => item.key === key && mergeInto(item, parsed));
+    if (existing) {
+      existing.sources.push(lines[i].trim());
+      return;
+    }
+
+    items.push({
+      key,
+      name: displayName(parsed.ingredient),
+      slug: parsed.ingredient.replace(/\s+/g, "_"),
+      quantity: parsed.quantity,
+      quantityMax: parsed.quantityMax,
+      unit: parsed.unit,
+      isSubstitute: Boolean(substitution),
+      substituteFor: substitution ? substitution.ingredient : null,
+      sources: [lines[i].trim()],
+    });
+  });
+
+  const linksBySlug = options.includeLinks
+    ? await getLinksForSubstitutes(items.map((item) => item.slug), options.regionCode || null)
+    : null;
+
+  const finalItems = items.map(({ key, slug, ...item }) => ({
+    ...item,
+    display: itemDisplay(item),
+    aisle: categorizeProductFit(slug),
+    ...(linksBySlug ? { links: linksBySlug[slug] || [] } : {}),
+  }));
+
+  const aisles = AISLES.map(({ key, label }) => ({
+    key,
+    label,
+    items: finalItems.filter((item) => item.aisle === key),
+  })).filter((aisle) => aisle.items.length > 0);
+
+  return { items: finalItems, aisles };
+}
+
+/**
+ * Build a shopping list for a saved recipe.
+ *
+ * @param {object} recipe - Row from db/recipes.js (id, title, ingredients, original_recipe, converted_recipe)
+ * @param {object} [options] - { userPreferences, includeLinks: boolean, regionCode }
+ * @returns {Promise<{
+ *   recipeId: string|null,
+ *   title: string,
+ *   items: Array<{ name: string, quantity: number|null, quantityMax: number|null, unit: string, display: string, aisle: string, isSubstitute: boolean, substituteFor: string|null, sources: string[], links?: Array }>,
+ *   aisles: Array<{ key: string, label: string, items: Array }>
+ * }>}
+ */
+export async function buildShoppingList(recipe, options = {}) {
+  const { items, aisles } = await buildItems(ingredientLinesFromRecipe(recipe || {}), options);
+
+  return {
+    recipeId: recipe?.id || null,
+    title: recipe?.title || "Shopping list",
+    items,
+    aisles,
+  };
+}
+
+/**
+ * Build one shopping list for several planned recipes.
+ * Each recipe's amounts are scaled from its declared servings ("Serves 4") to the planned servings;
+ * a recipe without declared servings is taken as written for its slot.
+ *
+ * @param {Array<{ recipe: object, servings?: number }>} entries - One per planned slot (a recipe may repeat)
+ * @param {object} [options] - { title, mealPlanId, userPreferences, includeLinks: boolean, regionCode }
+ * @returns {Promise<{ recipeId: null, mealPlanId: string|null, title: string, items: Array, aisles: Array }>}
+ *   Same shape as buildShoppingList
+ */
+export async function buildMealPlanShoppingList(entries, options = {}) {
+  const lines = [];
+  for (const { recipe, servings } of entries) {
+    const declared = detectServings(recipe?.original_recipe || recipe?.converted_recipe || "");
+    const factor = declared && servings > 0 ? servings / declared : 1;
+    for (const line of ingredientLinesFromRecipe(recipe || {})) {
+      lines.push(factor !== 1 && isIngredientLine(parseIngredientLine(line)) ? scaleIngredientLine(line, factor).line : line);
+    }
+  }
+  const { items, aisles } = await buildItems(lines, options);
+
+  return {
+    recipeId: null,
+    mealPlanId: options.mealPlanId || null,
+    title: options.title || "Shopping list",
+    items,
+    aisles,
+  };
+}
+
+function toTextLines(list) {
+  const lines = [list.title, ""];
+  for (const aisle of list.aisles) {
+    lines.push(aisle.label);
+    for (const item of aisle.items) {
+      const substitute = item.isSubstitute ? ` (halal substitute for ${item.substituteFor})` : "";
+      const link = item.links?.[0]?.url ? ` - ${item.links[0].url}` : "";
+      lines.push(`[ ] ${item.display}${substitute}${link}`);
+    }
+    lines.push("");
+  }
+  return lines;
+}
+
+/**
+ * Render a shopping list in an export format.
+ * @param {object} list - From buildShoppingList
+ * @param {'json'|'txt'|'csv'|'pdf'} format
+ * @returns {{ contentType: string, filename: string, body: string|Buffer }}
+ */
+export function exportShoppingList(list, format = "json") {
+  if (!SHOPPING_LIST_FORMATS.includes(format)) {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+  const base = `shopping-list-${list.recipeId || list.mealPlanId || "recipe"}`;
+  let body;
+
+  if (format === "json") {
+    body = JSON.stringify(list, null, 2);
+  } else if (format === "txt") {
+    body = toTextLines(list).join("\n");
+  } else if (format === "csv") {
+    body = Papa.unparse(
+      list.items.map((item) => ({
+        aisle: AISLES.find((a) => a.key === item.aisle)?.label || item.aisle,
+        item: item.name,
+        quantity: item.quantity ?? "",
+        quantity_max: item.quantityMax ?? "",
+        unit: item.unit || "",
+        substitute_for: item.substituteFor || "",
+        link: item.links?.[0]?.url || "",
+      }))
+    );
+  } else {
+    const lines = toTextLines(list).map((text, i) =>
+      i === 0 ? { text, bold: true, size: 16 } : list.aisles.some((a) => a.label === text) ? { text, bold: true } : text
+    );
+    body = renderTextPdf(lines, { title: list.title });
+  }
+
+  return { contentType: CONTENT_TYPES[format], filename: `${base}.${format}`, body };
+}
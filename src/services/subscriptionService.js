@@ -3,7 +3,7 @@
  * Business logic for subscription management and feature gating
  */
 
-import { getPool } from '../database.js';
+import { getStorage } from '../storage/index.js';
 
 /**
  * Subscription State Machine
@@ -32,25 +32,9 @@ import { getPool } from '../database.js';
  * @returns {Promise<Object>} Subscription status object
  */
 export async function getSubscriptionStatus(userId) {
-  const pool = getPool();
-
-  const result = await pool.query(
-    `SELECT 
-      s.id,
-      s.plan_type,
-      s.status,
-      s.current_period_start,
-      s.current_period_end,
-      s.cancel_at_period_end,
-      s.created_at
-    FROM subscriptions s
-    WHERE s.user_id = $1
-    ORDER BY s.created_at DESC
-    LIMIT 1`,
-    [userId]
-  );
-
-  if (result.rows.length === 0) {
+  const subscription = await getStorage().subscriptions.getLatestSubscription(userId);
+
+  if (!subscription) {
     return {
       state: 'free',
       plan: null,
@@ -60,7 +44,6 @@ export async function getSubscriptionStatus(userId) {
     };
   }
 
-  const subscription = result.rows[0];
   const now = new Date();
   const periodEnd = new Date(subscription.current_period_end);
 
@@ -73,14 +56,15 @@ export async function getSubscriptionStatus(userId) {
   } else if (state === 'active' && periodEnd <= now) {
     // Expired but not yet updated
     state = 'expired';
-    await updateExpiredSubscription(subscription.id);
+    await expireSubscription(subscription);
   } else if (state === 'canceled' && periodEnd > now) {
     // Canceled but still active until period end
     is_active = true;
     state = 'canceled';
   } else if (state === 'canceled' && periodEnd <= now) {
+    // Canceled and the paid period is over: same downgrade as an expired active subscription
     state = 'expired';
-    is_active = false;
+    await expireSubscription(subscription);
   } else if (state === 'past_due') {
     // Grace period - still has access for now
     is_active = true;
@@ -114,14 +98,12 @@ export async function hasPremiumAccess(userId) {
  */
 export async function canUseFeature(userId, feature) {
   const status = await getSubscriptionStatus(userId);
-  
-  if (!status.is_active) {
-    return false;
-  }
+  const value = status.features[feature];
 
-  return status.features[feature] === true || 
-         (typeof status.features[feature] === 'object' && 
-          status.features[feature].max !== undefined);
+  // Free-tier features with a max (e.g. mealPlanning) are usable up to that limit
+  return value === true ||
+         (typeof value === 'object' && value !== null &&
+          value.max !== undefined && value.max > 0);
 }
 
 /**
@@ -151,49 +133,71 @@ export async function getFeatureLimit(userId, feature) {
 }
 
 /**
- * Update expired subscription
- * @param {string} subscriptionId - Subscription ID
+ * Mark a lapsed subscription expired and downgrade its user
+ * The update only matches while the stored status is the one we read, so when several requests notice the lapse
+ * at once only the first downgrades. Errors are logged, not thrown: the caller already treats the subscription as
+ * expired, and a failed write must not fail the status check.
+ * @param {Object} subscription - Subscription row as read
  */
-async function updateExpiredSubscription(subscriptionId) {
-  const pool = getPool();
-  
-  await pool.query(
-    `UPDATE subscriptions
-     SET status = 'expired',
-         updated_at = NOW()
-     WHERE id = $1`,
-    [subscriptionId]
-  );
+async function expireSubscription(subscription) {
+  try {
+    const expired = await getStorage().subscriptions.updateSubscriptionById(
+      subscription.id,
+      { status: 'expired' },
+      { fromStatus: subscription.status }
+    );
+    if (expired) {
+      await triggerGracefulDowngrade(subscription.user_id);
+    }
+  } catch (error) {
+    console.error(`Error expiring subscription ${subscription.id}:`, error);
+  }
 }
 
 /**
  * Trigger graceful downgrade
+ * Recipes beyond the free savedRecipes limit become read-only (the most recently updated stay editable)
  * @param {string} userId - User ID
+ * @param {string} [reason='subscription_expired'] - Stored with the downgrade event
+ * @returns {Promise<string[]>} IDs of the recipes made read-only
  */
-export async function triggerGracefulDowngrade(userId) {
-  const pool = getPool();
-
-  // Log downgrade event
-  await pool.query(
-    `INSERT INTO subscription_events (user_id, event_type, event_data)
-     VALUES ($1, 'downgraded', $2)`,
-    [userId, JSON.stringify({ reason: 'subscription_expired', timestamp: new Date() })]
-  );
+export async function triggerGracefulDowngrade(userId, reason = 'subscription_expired') {
+  const storage = getStorage();
 
   // Graceful downgrade: Keep all user data
-  // - Keep saved recipes (but limit to 10)
+  // - Keep saved recipes (over the limit: read-only, never deleted)
   // - Keep conversion history (but don't show)
   // - Keep preferences (but disable premium features)
   // - No data deletion
+  const readOnlyRecipeIds = await storage.recipes.markRecipesReadOnlyBeyond(userId, getFreeTierFeatures().savedRecipes.max);
+
+  // Log downgrade event
+  await storage.subscriptions.recordSubscriptionEvent(userId, 'downgraded', {
+    reason,
+    read_only_recipes: readOnlyRecipeIds.length,
+    timestamp: new Date()
+  });
+
+  console.log(`Graceful downgrade completed for user ${userId} (${readOnlyRecipeIds.length} recipe(s) read-only)`);
+  return readOnlyRecipeIds;
+}
 
-  console.log(`Graceful downgrade completed for user ${userId}`);
+/**
+ * Undo a downgrade once premium is active again: read-only recipes become editable
+ * @param {string} userId - User ID
+ */
+export async function restorePremiumEntitlements(userId) {
+  const released = await getStorage().recipes.clearRecipesReadOnly(userId);
+  if (released > 0) {
+    console.log(`Premium restored for user ${userId}: ${released} recipe(s) editable again`);
+  }
 }
 
 /**
  * Get free tier features
  * @returns {Object} Free tier feature set
  */
-function getFreeTierFeatures() {
+export function getFreeTierFeatures() {
   return {
     conversions: { unlimited: true },
     substitutions: { max: 2 },
@@ -202,7 +206,7 @@ function getFreeTierFeatures() {
     brandVerification: false,
     batchConversion: false,
     conversionHistory: false,
-    mealPlanning: false,
+    mealPlanning: { max: 1 },
     recipeScaling: false,
     prioritySupport: false,
     earlyAccess: false
@@ -218,11 +222,11 @@ function getPremiumFeatures() {
     conversions: { unlimited: true },
     substitutions: { max: Infinity },
     savedRecipes: { max: Infinity },
-    exportFormats: ['txt', 'pdf', 'json'],
+    exportFormats: ['txt', 'pdf', 'json', 'csv'],
     brandVerification: true,
     batchConversion: true,
     conversionHistory: true,
-    mealPlanning: true,
+    mealPlanning: { max: Infinity },
     recipeScaling: true,
     prioritySupport: true,
     earlyAccess: true
@@ -0,0 +1,173 @@
+/**
+ * Cooking notes per substitute: how instruction steps change when the substitute replaces the original.
+ * Keys: substitute slug as it appears in converted text (knowledge-base alternatives, e.g. smoked_turkey_bacon)
+ * -> { note, rewrites, times }
+ *
+ * rewrites: { pattern, replacement, note } applied to every instruction step that uses the substitute.
+ *   pattern is a case-insensitive RegExp source; {sub} matches the substitute's name in the step.
+ *   replacement may use {sub} and $1-style groups.
+ * times: { when, factor, note } scales durations ("10 minutes", "2-3 hours") in sentences of those steps
+ *   matching when (RegExp source).
+ */
+
+/** Alcohol replacements: nothing to ignite or cook off. */
+const NO_ALCOHOL_REWRITES = [
+  {
+    pattern: "(?:flamb[ée](?:e?d)?|ignite|set alight) (?:the pan |it )?(?:with )?(?:the )?{sub}",
+    replacement: "stir in the {sub}",
+    note: "There is no alcohol to ignite; stir it in off the heat.",
+  },
+  {
+    pattern: "to (?:cook|burn|boil|simmer) off the alcohol",
+    replacement: "to reduce slightly",
+    note: "There is no alcohol to cook off; a short simmer concentrates the flavor.",
+  },
+  {
+    pattern: "(?:cook|burn|boil|simmer) off the alcohol",
+    replacement: "reduce slightly",
+    note: "There is no alcohol to cook off; a short simmer concentrates the flavor.",
+  },
+  {
+    pattern: "until the alcohol (?:has )?(?:evaporated|cooked off|burned off|burnt off)",
+    replacement: "until slightly reduced",
+    note: "There is no alcohol to evaporate.",
+  },
+];
+
+/** Juice-based wine replacements: sugars thicken and scorch sooner than wine. */
+const JUICE_REDUCTION_REWRITES = [
+  {
+    pattern: "(reduced?|reducing) by (?:half|two[- ]thirds)",
+    replacement: "$1 by a third",
+    note: "Juice turns syrupy and scorches if reduced as far as wine; stop at a third.",
+  },
+  {
+    pattern: "over (?:high|medium-high) heat",
+    replacement: "over medium heat",
+    note: "Juice sugars burn on high heat.",
+  },
+];
+
+const JUICE_REDUCTION_TIMES = [
+  { when: "\\b(?:reduc|simmer|boil)", factor: 2 / 3, note: "Reducing by a third takes about two thirds of the time." },
+];
+
+/** Poultry in place of pork: cook through, not to pork doneness. */
+const POULTRY_DONENESS_REWRITES = [
+  {
+    pattern: "(?:145|150|160)\\s*°\\s*F\\b",
+    replacement: "165°F",
+    note: "Poultry must reach 165°F (74°C); pork is safe from 145°F.",
+  },
+  {
+    pattern: "(?:63|66|71)\\s*°\\s*C\\b",
+    replacement: "74°C",
+    note: "Poultry must reach 74°C (165°F); pork is safe from 63°C.",
+  },
+  {
+    pattern: "(?:still |slightly |just )pink in the (middle|cent(?:er|re))",
+    replacement: "no longer pink in the $1",
+    note: "Poultry is served cooked through.",
+  },
+];
+
+const GRAPE_JUICE_NOTES = {
+  note: "Add the vinegar toward the end so its acidity stays bright; reduce gently.",
+  rewrites: [...JUICE_REDUCTION_REWRITES, ...NO_ALCOHOL_REWRITES],
+  times: JUICE_REDUCTION_TIMES,
+};
+
+const AGAR_NOTES = {
+  note: "Agar sets only after boiling and firms at room temperature within about an hour.",
+  rewrites: [
+    {
+      pattern: "(?:bloom|soften|soak) (?:the )?{sub}",
+      replacement: "dissolve the {sub}",
+      note: "Agar does not bloom; dissolve it in the cold liquid, then boil.",
+    },
+    {
+      pattern: "(?:do not|don't|never) (?:let (?:it|the mixture) )?boil",
+      replacement: "bring to a boil and simmer for 2 minutes",
+      note: "Agar must boil to set.",
+    },
+  ],
+  times: [{ when: "\\b(?:chill|refrigerat|set|firm)", factor: 0.25, note: "Agar sets in about a quarter of the time gelatin needs." }],
+};
+
+export const SUBSTITUTE_COOKING_NOTES = Object.freeze({
+  grape_juice_plus_vinegar: GRAPE_JUICE_NOTES,
+  white_grape_juice_plus_vinegar: GRAPE_JUICE_NOTES,
+  grape_juice_reduction: { ...GRAPE_JUICE_NOTES, note: "Already reduced: simmer briefly so it does not turn to syrup." },
+  apple_juice_reduction: { ...GRAPE_JUICE_NOTES, note: "Already reduced: simmer briefly so it does not turn to syrup." },
+  non_alcoholic_wine: {
+    note: "Cooks like wine; there is simply no alcohol to burn off.",
+    rewrites: NO_ALCOHOL_REWRITES,
+    times: [],
+  },
+  vanilla_extract_plus_molasses: {
+    note: "Stir in at the end; molasses scorches if cooked long.",
+    rewrites: NO_ALCOHOL_REWRITES,
+    times: [],
+  },
+  malt_vinegar_plus_water: {
+    note: "Sharper than beer; taste before adding the full amount.",
+    rewrites: NO_ALCOHOL_REWRITES,
+    times: [],
+  },
+  sugar_plus_rice_vinegar: {
+    note: "Stir until the sugar dissolves; no need to simmer off alcohol.",
+    rewrites: NO_ALCOHOL_REWRITES,
+    times: [],
+  },
+  rice_vinegar: {
+    note: "Use a little less than the sake and add it late.",
+    rewrites: NO_ALCOHOL_REWRITES,
+    times: [],
+  },
+  sparkling_water: {
+    note: "Keep it cold and mix the batter right before frying so it stays light.",
+    rewrites: [
+      {
+        pattern: "(?:let|leave) the batter (?:rest|stand|sit)(?: for \\d+[^.,;]*)?",
+        replacement: "use the batter right away",
+        note: "Resting lets the bubbles escape.",
+      },
+    ],
+    times: [],
+  },
+  smoked_turkey_bacon: {
+    note: "Turkey bacon is lean: it browns rather than renders and is done in about half the time.",
+    rewrites: [
+      {
+        pattern: "render(?:ed|ing)? (?:the )?{sub}(?: fat)?",
+        replacement: "brown the {sub} in 1 tbsp oil",
+        note: "Turkey bacon has almost no fat to render.",
+      },
+      {
+        pattern: "(?:in|with) the (?:reserved )?{sub} (?:fat|drippings|grease)",
+        replacement: "in the oil",
+        note: "There are no drippings; cook in the oil left in the pan.",
+      },
+      {
+        pattern: "pour off (?:all but [^.,;]+? of )?the (?:{sub} )?(?:fat|drippings|grease)",
+        replacement: "leave the oil in the pan",
+        note: "There is no excess fat to pour off.",
+      },
+    ],
+    times: [{ when: "\\b(?:cook|fry|brown|render|crisp|bake)", factor: 0.5, note: "Turkey bacon cooks in about half the time." }],
+  },
+  chicken_thigh: {
+    note: "Cook chicken thighs through to 165°F (74°C).",
+    rewrites: POULTRY_DONENESS_REWRITES,
+    times: [],
+  },
+  chicken_sausage: {
+    note: "Cook chicken sausage through to 165°F (74°C).",
+    rewrites: POULTRY_DONENESS_REWRITES,
+    times: [],
+  },
+  agar_agar: AGAR_NOTES,
+  agar_agar_jelly: AGAR_NOTES,
+  panna_cotta_with_agar: AGAR_NOTES,
+  pate_de_fruit_with_agar: AGAR_NOTES,
+});
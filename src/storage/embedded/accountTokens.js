@@ -0,0 +1,37 @@
+/**
+ * Embedded account tokens repository (same contract as src/db/accountTokens.js)
+ */
+
+export function createAccountTokensRepository(store) {
+  const { tables } = store;
+
+  return {
+    async createAccountToken(userId, purpose, tokenHash, expiresAt) {
+      const now = new Date();
+      for (const token of tables.account_tokens) {
+        if (token.user_id === userId && token.purpose === purpose && !token.used_at) token.used_at = now;
+      }
+      tables.account_tokens.push({
+        id: store.nextSerial("account_tokens"),
+        user_id: userId,
+        purpose,
+        token_hash: tokenHash,
+        expires_at: new Date(expiresAt),
+        used_at: null,
+        created_at: now,
+      });
+      store.save();
+    },
+
+    async consumeAccountToken(purpose, tokenHash) {
+      const now = new Date();
+      const token = tables.account_tokens.find(
+        (t) => t.token_hash === tokenHash && t.purpose === purpose && !t.used_at && t.expires_at > now
+      );
+      if (!token) return null;
+      token.used_at = now;
+      store.save();
+      return token.user_id;
+    },
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Embedded analytics repository (same contract as src/db/analytics.js).
+ * Aggregates are computed in JS and shaped like the PostgreSQL rows: COUNT, SUM and AVG come back as strings
+ * (or null over no rows), as node-postgres returns them.
+ */
+
+import { newId } from "./store.js";
+
+const FUNNEL_STEPS = ["view", "substitute_view", "affiliate_click"];
+const UPGRADE_STEPS = ["conversion_limit_hit", "upgrade_modal_view", "upgrade_attempt", "checkout_start", "subscription_success"];
+
+/** Events in the date range whose event_props[propKey] matches (when a value is given) */
+function filterEvents(events, { startDate, endDate }, propKey, propValue) {
+  const start = startDate ? new Date(startDate) : null;
+  const end = startDate && endDate ? new Date(endDate) : null;
+  return events.filter(
+    (e) =>
+      (!start || e.created_at >= start) &&
+      (!end || e.created_at <= end) &&
+      (!propValue || String(e.event_props?.[propKey] ?? "") === propValue)
+  );
+}
+
+const prop = (event, key) => (event.event_props?.[key] == null ? null : String(event.event_props[key]));
+
+function count(events) {
+  return String(events.length);
+}
+
+function countDistinct(events, key) {
+  return String(new Set(events.map((e) => e[key]).filter((v) => v != null)).size);
+}
+
+function numbers(events, key, parse = Number) {
+  return events.map((e) => prop(e, key)).filter((v) => v != null).map(parse);
+}
+
+function sum(values) {
+  return values.length ? String(values.reduce((total, v) => total + v, 0)) : null;
+}
+
+function avg(values) {
+  return values.length ? String(values.reduce((total, v) => total + v, 0) / values.length) : null;
+}
+
+/** GROUP BY the given event_props keys: [{ ...keys, rows }] */
+function groupBy(events, keys) {
+  const groups = new Map();
+  for (const event of events) {
+    const values = keys.map((key) => prop(event, key));
+    const id = JSON.stringify(values);
+    if (!groups.has(id)) {
+      groups.set(id, { key: Object.fromEntries(keys.map((key, i) => [key, values[i]])), rows: [] });
+    }
+    groups.get(id).rows.push(event);
+  }
+  return [...groups.values()];
+}
+
+function byCountDesc(column) {
+  return (a, b) => Number(b[column]) - Number(a[column]);
+}
+
+export function createAnalyticsRepository(store) {
+  const { tables } = store;
+
+  function record(table, { eventType, props, sessionId, userId, createdAt }) {
+    tables[table].push({
+      id: newId(),
+      event_type: eventType,
+      event_props: JSON.parse(JSON.stringify(props ?? {})),
+      session_id: sessionId,
+      ...(table === "premium_analytics_events" ? { user_id: userId || null } : {}),
+      created_at: createdAt ? new Date(createdAt) : new Date(),
+    });
+    store.save();
+  }
+
+  return {
+    async recordAnalyticsEvent(event) {
+      record("analytics_events", event);
+    },
+
+    async recordPremiumAnalyticsEvent(event) {
+      record("premium_analytics_events", event);
+    },
+
+    async getDashboardMetrics(filters = {}) {
+      const events = filterEvents(tables.analytics_events, filters, "region", filters.region);
+      const ofType = (type) => events.filter((e) => e.event_type === type);
+      const counted = (type, keys, column = "count") =>
+        groupBy(ofType(type), keys)
+          .map(({ key, rows }) => ({ [column]: count(rows), ...key }))
+          .sort(byCountDesc(column));
+
+      const conversions = ofType("recipe_conversion");
+      const intAvg = (key) => avg(numbers(conversions, key, (v) => parseInt(v, 10)));
+
+      return {
+        total_events: [{ count: count(events) }],
+        ingredient_views: counted("ingredient_view", ["ingredient_id", "source", "status"]).slice(0, 20),
+        substitute_clicks: counted("substitute_click", ["ingredient_id", "substitute_id"]).slice(0, 20),
+        affiliate_clicks: counted("affiliate_click", ["platform", "ingredient_id", "substitute_id", "is_featured"]).slice(0, 20),
+        conversion_funnel: groupBy(ofType("conversion_funnel"), ["step"])
+          .map(({ key, rows }) => ({ step: key.step, count: count(rows) }))
+          .sort((a, b) => {
+            const rank = (step) => (FUNNEL_STEPS.includes(step) ? FUNNEL_STEPS.indexOf(step) : FUNNEL_STEPS.length);
+            return rank(a.step) - rank(b.step);
+          }),
+        recipe_conversions: {
+          avg_total: intAvg("total_ingredients"),
+          avg_haram: intAvg("haram_ingredients"),
+          avg_substitutes: intAvg("substitutes_shown"),
+          avg_links: intAvg("affiliate_links_shown"),
+          total_conversions: count(conversions),
+        },
+        top_ingredients: groupBy(ofType("ingredient_view"), ["ingredient_id"])
+          .map(({ key, rows }) => ({ ingredient_id: key.ingredient_id, views: count(rows) }))
+          .sort(byCountDesc("views"))
+          .slice(0, 10),
+        top_platforms: groupBy(ofType("affiliate_click"), ["platform"])
+          .map(({ key, rows }) => ({ platform: key.platform, clicks: count(rows) }))
+          .sort(byCountDesc("clicks")),
+        regional_breakdown: groupBy(events, ["region"])
+          .map(({ key, rows }) => ({ region: key.region, events: count(rows) }))
+          .sort(byCountDesc("events"))
+          .slice(0, 20),
+      };
+    },
+
+    async getPremiumDashboardMetrics(filters = {}) {
+      const events = filterEvents(tables.premium_analytics_events, filters, "plan", filters.plan);
+      const ofType = (...types) => events.filter((e) => types.includes(e.event_type));
+      const withPlan = (rows, plan) => rows.filter((e) => prop(e, "plan") === plan);
+
+      const limitHits = ofType("conversion_limit_hit");
+      const revenueEvents = ofType("subscription_success", "subscription_renewed");
+      const retention = ofType("premium_retention");
+      const retentionDays = numbers(retention, "days_since_subscription", (v) => parseInt(v, 10));
+
+      return {
+        conversion_limit_hits: {
+          total_hits: count(limitHits),
+          unique_users: countDistinct(limitHits, "session_id"),
+          avg_conversions_before_hit: avg(numbers(limitHits, "current_count", (v) => parseInt(v, 10))),
+        },
+
+        upgrade_funnel: UPGRADE_STEPS.map((step) => ofType(step))
+          .filter((rows) => rows.length)
+          .map((rows) => ({
+            event_type: rows[0].event_type,
+            count: count(rows),
+            unique_users: countDistinct(rows, "session_id"),
+          })),
+
+        subscription_success: groupBy(ofType("subscription_success"), ["plan"]).map(({ key, rows }) => ({
+          total_subscriptions: count(rows),
+          unique_subscribers: countDistinct(rows, "session_id"),
+          total_revenue: sum(numbers(rows, "revenue")),
+          avg_revenue: avg(numbers(rows, "revenue")),
+          plan: key.plan,
+          monthly_count: count(withPlan(rows, "monthly")),
+          yearly_count: count(withPlan(rows, "yearly")),
+        })),
+
+        premium_feature_usage: groupBy(ofType("premium_feature_usage"), ["feature", "action"])
+          .map(({ key, rows }) => ({
+            feature: key.feature,
+            action: key.action,
+            usage_count: count(rows),
+            unique_users: countDistinct(rows, "session_id"),
+          }))
+          .sort(byCountDesc("usage_count")),
+
+        cancellations: groupBy(ofType("subscription_cancelled"), ["plan", "reason"]).map(({ key, rows }) => ({
+          total_cancellations: count(rows),
+          unique_cancellations: countDistinct(rows, "session_id"),
+          plan: key.plan,
+          reason: key.reason,
+        })),
+
+        revenue: {
+          total_revenue: sum(numbers(revenueEvents, "revenue")),
+          avg_revenue: avg(numbers(revenueEvents, "revenue")),
+          monthly_revenue: (withPlan(revenueEvents, "monthly").length * 2.99).toFixed(2),
+          yearly_revenue: (withPlan(revenueEvents, "yearly").length * 29.99).toFixed(2),
+        },
+
+        retention: {
+          avg_days_active: avg(retentionDays),
+          new_subscribers: String(retentionDays.filter((days) => days < 30).length),
+          retained_subscribers: String(retentionDays.filter((days) => days >= 30).length),
+        },
+      };
+    },
+  };
+}
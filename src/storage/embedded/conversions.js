@@ -0,0 +1,98 @@
+/**
+ * Embedded conversion history repository (same contract as src/db/conversionHistory.js)
+ */
+
+import { newId, copyRow, newestFirst, oldestFirst } from "./store.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DETAIL_COLUMNS = [
+  "id", "user_id", "recipe_text", "original_text", "converted_text", "issues",
+  "confidence_score", "is_premium", "saved_recipe_id", "created_at",
+];
+const SUMMARY_COLUMNS = ["id", "recipe_text", "confidence_score", "is_premium", "saved_recipe_id", "created_at"];
+
+export function createConversionsRepository(store) {
+  const { tables } = store;
+  const ownedBy = (userId) => tables.conversion_history.filter((c) => c.user_id === userId);
+
+  return {
+    async recordConversion({ userId, recipeText, originalText, convertedText, issues, confidenceScore, isPremium }) {
+      const conversion = structuredClone({
+        id: newId(),
+        user_id: userId,
+        recipe_text: recipeText,
+        created_at: new Date(),
+        original_text: originalText,
+        converted_text: convertedText,
+        issues: issues || [],
+        confidence_score: confidenceScore,
+        is_premium: isPremium,
+        saved_recipe_id: null,
+      });
+      tables.conversion_history.push(conversion);
+      store.save();
+      return conversion.id;
+    },
+
+    async countFreeConversionsSince(userId, since) {
+      return ownedBy(userId).filter((c) => c.created_at >= since && c.is_premium !== true).length;
+    },
+
+    async listConversionsSince(userId, since) {
+      return newestFirst(ownedBy(userId).filter((c) => c.created_at >= since)).map((c) =>
+        copyRow(c, ["id", "recipe_text", "created_at"])
+      );
+    },
+
+    async getConversionsByUserId(userId) {
+      return oldestFirst(ownedBy(userId)).map((c) => copyRow(c));
+    },
+
+    async listConversions(userId, options = {}) {
+      if (!userId) {
+        throw new Error("User ID is required");
+      }
+
+      const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+      const search = typeof options.search === "string" ? options.search.trim().toLowerCase() : "";
+
+      const matches = ownedBy(userId).filter((c) => {
+        if (!search) return true;
+        const original = (c.original_text ?? c.recipe_text ?? "").toLowerCase();
+        return original.includes(search) || (c.converted_text ?? "").toLowerCase().includes(search);
+      });
+
+      return {
+        conversions: newestFirst(matches)
+          .slice(offset, offset + limit)
+          .map((c) => ({ ...copyRow(c, SUMMARY_COLUMNS), issue_count: Array.isArray(c.issues) ? c.issues.length : 0 })),
+        total: matches.length,
+        limit,
+        offset,
+      };
+    },
+
+    async getConversionById(id, userId) {
+      if (!id || !userId) {
+        throw new Error("Conversion ID and user ID are required");
+      }
+      if (!UUID_PATTERN.test(String(id))) return null;
+      return copyRow(
+        tables.conversion_history.find((c) => c.id === id && c.user_id === userId),
+        DETAIL_COLUMNS
+      );
+    },
+
+    async markConversionSaved(id, recipeId) {
+      const conversion = tables.conversion_history.find((c) => c.id === id);
+      if (!conversion) return null;
+      conversion.saved_recipe_id = recipeId;
+      store.save();
+      return copyRow(conversion, ["id", "saved_recipe_id"]);
+    },
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Embedded storage driver: one in-process store shared by all repositories, saved to a JSON file for the
+ * file driver and kept in memory only for the memory driver.
+ */
+
+import fs from "fs";
+import { createEmbeddedStore } from "./store.js";
+import { createUsersRepository } from "./users.js";
+import { createProfilesRepository } from "./profiles.js";
+import { createRecipesRepository, importLegacyRecipes } from "./recipes.js";
+import { createSubscriptionsRepository } from "./subscriptions.js";
+import { createConversionsRepository } from "./conversions.js";
+import { createAnalyticsRepository } from "./analytics.js";
+import { createSessionsRepository } from "./sessions.js";
+import { createAccountTokensRepository } from "./accountTokens.js";
+import { createMealPlansRepository } from "./mealPlans.js";
+import { createProductsRepository } from "./products.js";
+import { createIngredientRulesRepository } from "./ingredientRules.js";
+
+/**
+ * @param {Object} options
+ * @param {"file"|"memory"} options.driver
+ * @param {string} [options.file] - Required for the file driver
+ * @param {string} [options.legacyRecipesFile] - Old JSON recipe store imported when the file is created
+ */
+export function createEmbeddedStorage({ driver, file, legacyRecipesFile }) {
+  const isNewFile = Boolean(file) && !fs.existsSync(file);
+  const store = createEmbeddedStore({ file });
+  if (isNewFile && legacyRecipesFile) {
+    importLegacyRecipes(store, legacyRecipesFile);
+  }
+
+  return {
+    driver,
+    file: file || null,
+    users: createUsersRepository(store),
+    profiles: createProfilesRepository(store),
+    recipes: createRecipesRepository(store),
+    subscriptions: createSubscriptionsRepository(store),
+    conversions: createConversionsRepository(store),
+    analytics: createAnalyticsRepository(store),
+    sessions: createSessionsRepository(store),
+    accountTokens: createAccountTokensRepository(store),
+    mealPlans: createMealPlansRepository(store),
+    products: createProductsRepository(store),
+    ingredientRules: createIngredientRulesRepository(store),
+  };
+}
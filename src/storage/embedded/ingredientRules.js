@@ -0,0 +1,169 @@
+/**
+ * Embedded ingredient rules repository (same contract as src/db/ingredientRules.js, without the canonical
+ * ingredients table). Starts empty: the rule engine falls back to its built-in rules until curators add some.
+ */
+
+import { copyRow } from "./store.js";
+
+const RULE_COLUMNS = [
+  "id", "base_slug", "modifier_slug", "halal_status", "notes", "alternatives",
+  "is_active", "version", "created_at", "updated_at", "updated_by",
+];
+const VERSION_COLUMNS = [
+  "version", "action", "base_slug", "modifier_slug", "halal_status", "notes",
+  "alternatives", "is_active", "rolled_back_to", "reason", "changed_by", "changed_at",
+];
+
+const bySlugs = (a, b) => a.base_slug.localeCompare(b.base_slug) || (a.modifier_slug || "").localeCompare(b.modifier_slug || "");
+
+export function createIngredientRulesRepository(store) {
+  const { tables } = store;
+  const find = (ruleId) => tables.ingredient_rules.find((r) => r.id === Number(ruleId));
+
+  function activeRule(baseSlug, modifierSlug) {
+    return tables.ingredient_rules.find((r) => r.base_slug === baseSlug && r.modifier_slug === modifierSlug && r.is_active);
+  }
+
+  function registerSlug(table, slug, displayName) {
+    if (!tables[table].some((row) => row.slug === slug)) {
+      tables[table].push({ id: store.nextSerial(table), slug, display_name: displayName, created_at: new Date() });
+    }
+  }
+
+  function insertVersion(rule, action, { userId, reason, rolledBackTo = null }) {
+    tables.ingredient_rule_versions.push({
+      id: store.nextSerial("ingredient_rule_versions"),
+      rule_id: rule.id,
+      version: rule.version,
+      action,
+      base_slug: rule.base_slug,
+      modifier_slug: rule.modifier_slug,
+      halal_status: rule.halal_status,
+      notes: rule.notes,
+      alternatives: structuredClone(rule.alternatives || []),
+      is_active: rule.is_active,
+      rolled_back_to: rolledBackTo,
+      reason,
+      changed_by: userId || null,
+      changed_at: new Date(),
+    });
+  }
+
+  // Apply the fields returned by getFields, bump the version and record the snapshot (see changeRule in the SQL module)
+  function changeRule(ruleId, change, action, getFields) {
+    const rule = find(ruleId);
+    if (!rule) return { notFound: true };
+    if (change.expectedVersion != null && rule.version !== change.expectedVersion) {
+      return { conflict: true, rule: copyRow(rule, RULE_COLUMNS) };
+    }
+
+    const fields = getFields(rule);
+    if (!fields) return { notFound: true };
+
+    Object.assign(rule, structuredClone(fields));
+    rule.updated_by = change.userId || null;
+    rule.version += 1;
+    rule.updated_at = new Date();
+    insertVersion(rule, action, change);
+    store.save();
+    return { rule: copyRow(rule, RULE_COLUMNS) };
+  }
+
+  return {
+    async getRule(baseSlug, modifierSlug = "unspecified") {
+      const normalizedBase = (baseSlug || "").trim().toLowerCase();
+      const normalizedMod = (modifierSlug || "unspecified").trim().toLowerCase();
+      if (!normalizedBase) return null;
+
+      const rule = activeRule(normalizedBase, normalizedMod) || activeRule(normalizedBase, "unspecified");
+      if (!rule) return null;
+      return { halal_status: rule.halal_status, notes: rule.notes || "", alternatives: structuredClone(rule.alternatives || []) };
+    },
+
+    async getBaseSlugs() {
+      return tables.ingredient_rule_bases.map((b) => b.slug).sort();
+    },
+
+    async getModifierSlugs() {
+      return tables.ingredient_rule_modifiers.map((m) => m.slug).sort();
+    },
+
+    // The canonical ingredients table lives only in PostgreSQL
+    async getIngredientById() {
+      return null;
+    },
+
+    async listRules(options = {}) {
+      return tables.ingredient_rules
+        .filter((r) => (!options.baseSlug || r.base_slug === options.baseSlug) && (options.includeRetired || r.is_active))
+        .sort(bySlugs)
+        .map((r) => copyRow(r, RULE_COLUMNS));
+    },
+
+    async getRuleById(ruleId) {
+      return copyRow(find(ruleId), RULE_COLUMNS);
+    },
+
+    async getRuleVersions(ruleId) {
+      return tables.ingredient_rule_versions
+        .filter((v) => v.rule_id === Number(ruleId))
+        .sort((a, b) => b.version - a.version)
+        .map((v) => copyRow(v, VERSION_COLUMNS));
+    },
+
+    async createRule(ruleData, change) {
+      registerSlug("ingredient_rule_bases", ruleData.baseSlug, ruleData.baseDisplayName || ruleData.baseSlug.replace(/_/g, " "));
+      registerSlug(
+        "ingredient_rule_modifiers",
+        ruleData.modifierSlug,
+        ruleData.modifierDisplayName || ruleData.modifierSlug.replace(/_/g, " ")
+      );
+      if (tables.ingredient_rules.some((r) => r.base_slug === ruleData.baseSlug && r.modifier_slug === ruleData.modifierSlug)) {
+        store.save();
+        return null;
+      }
+
+      const now = new Date();
+      const rule = {
+        id: store.nextSerial("ingredient_rules"),
+        base_slug: ruleData.baseSlug,
+        modifier_slug: ruleData.modifierSlug,
+        halal_status: ruleData.halalStatus,
+        notes: ruleData.notes || "",
+        alternatives: structuredClone(ruleData.alternatives || []),
+        is_active: true,
+        version: 1,
+        created_at: now,
+        updated_at: now,
+        updated_by: change.userId || null,
+      };
+      tables.ingredient_rules.push(rule);
+      insertVersion(rule, "create", change);
+      store.save();
+      return copyRow(rule, RULE_COLUMNS);
+    },
+
+    async updateRule(ruleId, updates, change) {
+      return changeRule(ruleId, change, "update", () => {
+        const fields = {};
+        if (updates.halalStatus !== undefined) fields.halal_status = updates.halalStatus;
+        if (updates.notes !== undefined) fields.notes = updates.notes;
+        if (updates.alternatives !== undefined) fields.alternatives = updates.alternatives;
+        return fields;
+      });
+    },
+
+    async retireRule(ruleId, change) {
+      return changeRule(ruleId, change, "retire", () => ({ is_active: false }));
+    },
+
+    async rollbackRule(ruleId, version, change) {
+      return changeRule(ruleId, { ...change, rolledBackTo: version }, "rollback", (rule) => {
+        const snapshot = tables.ingredient_rule_versions.find((v) => v.rule_id === rule.id && v.version === version);
+        if (!snapshot) return null;
+        const { halal_status, notes, alternatives, is_active } = snapshot;
+        return { halal_status, notes, alternatives, is_active };
+      });
+    },
+  };
+}
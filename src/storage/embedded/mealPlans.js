@@ -0,0 +1,120 @@
+/**
+ * Embedded meal plans repository (same contract as src/db/mealPlans.js)
+ * Dates are kept as YYYY-MM-DD strings, like the to_char() columns of the SQL queries.
+ */
+
+import { newId, copyRow, newestFirst } from "./store.js";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PLAN_COLUMNS = ["id", "user_id", "name", "start_date", "end_date", "created_at", "updated_at"];
+
+export function createMealPlansRepository(store) {
+  const { tables } = store;
+  const find = (id, userId) =>
+    UUID_PATTERN.test(String(id || "")) ? tables.meal_plans.find((p) => p.id === id && p.user_id === userId) : undefined;
+
+  function insertEntries(mealPlanId, entries) {
+    const now = new Date();
+    for (const [position, entry] of entries.entries()) {
+      tables.meal_plan_entries.push({
+        id: newId(),
+        meal_plan_id: mealPlanId,
+        plan_date: entry.date,
+        slot: entry.slot,
+        recipe_id: entry.recipeId,
+        servings: entry.servings || 1,
+        position,
+        created_at: now,
+      });
+    }
+  }
+
+  // Entries joined with their recipe title, by date then position
+  function selectEntries(mealPlanId) {
+    return tables.meal_plan_entries
+      .filter((e) => e.meal_plan_id === mealPlanId)
+      .sort((a, b) => a.plan_date.localeCompare(b.plan_date) || a.position - b.position)
+      .map((e) => ({
+        ...copyRow(e, ["id", "plan_date", "slot", "recipe_id", "servings"]),
+        recipe_title: tables.recipes.find((r) => r.id === e.recipe_id)?.title ?? null,
+      }));
+  }
+
+  const withEntries = (plan) => ({ ...copyRow(plan, PLAN_COLUMNS), entries: selectEntries(plan.id) });
+
+  return {
+    async createMealPlan(userId, planData) {
+      const { name, startDate, endDate, entries = [] } = planData;
+
+      if (!userId || !name) {
+        throw new Error("User ID and name are required");
+      }
+
+      const now = new Date();
+      const plan = {
+        id: newId(),
+        user_id: userId,
+        name: name.trim(),
+        start_date: startDate,
+        end_date: endDate,
+        created_at: now,
+        updated_at: now,
+      };
+      tables.meal_plans.push(plan);
+      insertEntries(plan.id, entries);
+      store.save();
+      return withEntries(plan);
+    },
+
+    async getMealPlanById(id, userId) {
+      const plan = find(id, userId);
+      return plan ? withEntries(plan) : null;
+    },
+
+    async getMealPlansByUserId(userId) {
+      return newestFirst(tables.meal_plans.filter((p) => p.user_id === userId))
+        .sort((a, b) => b.start_date.localeCompare(a.start_date))
+        .map((p) => ({
+          ...copyRow(p, PLAN_COLUMNS),
+          entry_count: tables.meal_plan_entries.filter((e) => e.meal_plan_id === p.id).length,
+        }));
+    },
+
+    async getMealPlansWithEntriesByUserId(userId) {
+      return tables.meal_plans
+        .filter((p) => p.user_id === userId)
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(withEntries);
+    },
+
+    async countMealPlansByUserId(userId) {
+      return tables.meal_plans.filter((p) => p.user_id === userId).length;
+    },
+
+    async updateMealPlan(id, userId, updates) {
+      const plan = find(id, userId);
+      if (!plan) return null;
+
+      if (updates.name !== undefined) plan.name = updates.name.trim();
+      if (updates.startDate !== undefined) plan.start_date = updates.startDate;
+      if (updates.endDate !== undefined) plan.end_date = updates.endDate;
+      plan.updated_at = new Date();
+      if (Array.isArray(updates.entries)) {
+        store.retain("meal_plan_entries", (e) => e.meal_plan_id !== plan.id);
+        insertEntries(plan.id, updates.entries);
+      }
+      store.save();
+      return withEntries(plan);
+    },
+
+    async deleteMealPlan(id, userId) {
+      const plan = find(id, userId);
+      if (!plan) return false;
+      store.retain("meal_plans", (p) => p.id !== plan.id);
+      store.retain("meal_plan_entries", (e) => e.meal_plan_id !== plan.id);
+      store.save();
+      return true;
+    },
+  };
+}
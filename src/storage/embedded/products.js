@@ -0,0 +1,197 @@
+/**
+ * Embedded products repository (same contract as src/db/products.js): the product registry, scans linked
+ * to products and unknown barcodes. certificate_expires_at is kept as a YYYY-MM-DD string.
+ */
+
+import { newId, copyRow, newestFirst, oldestFirst } from "./store.js";
+import { productKey } from "../../db/products.js";
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PRODUCT_COLUMNS = [
+  "id", "barcode", "brand", "name", "ingredients_text", "certification_body", "certificate_number",
+  "certificate_expires_at", "verification_source", "verified_at", "created_by", "created_at", "updated_at",
+];
+
+// updateProduct option → column
+const UPDATABLE_COLUMNS = {
+  barcode: "barcode",
+  brand: "brand",
+  name: "name",
+  ingredientsText: "ingredients_text",
+  certificationBody: "certification_body",
+  certificateNumber: "certificate_number",
+  certificateExpiresAt: "certificate_expires_at",
+  verificationSource: "verification_source",
+  verifiedAt: "verified_at",
+};
+
+function duplicateKeyError(constraint) {
+  const error = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+  error.code = "23505";
+  return error;
+}
+
+export function createProductsRepository(store) {
+  const { tables } = store;
+  const find = (productId) =>
+    UUID_PATTERN.test(String(productId || "")) ? tables.products.find((p) => p.id === productId) : undefined;
+
+  // Same unique constraints as the products table
+  function assertUnique(product, exceptId = null) {
+    const others = tables.products.filter((p) => p.id !== exceptId);
+    if (product.barcode && others.some((p) => p.barcode === product.barcode)) {
+      throw duplicateKeyError("products_barcode_key");
+    }
+    if (others.some((p) => p.normalized_key === product.normalized_key)) {
+      throw duplicateKeyError("products_normalized_key_key");
+    }
+  }
+
+  return {
+    async createProduct(productData) {
+      const {
+        barcode,
+        brand,
+        name,
+        ingredientsText,
+        certificationBody,
+        certificateNumber,
+        certificateExpiresAt,
+        verificationSource = "user_submission",
+        verifiedAt,
+        createdBy,
+      } = productData;
+
+      if (!brand || !name) {
+        throw new Error("Brand and name are required");
+      }
+
+      const now = new Date();
+      const product = {
+        id: newId(),
+        barcode: barcode || null,
+        brand: brand.trim(),
+        name: name.trim(),
+        normalized_key: productKey(brand, name),
+        ingredients_text: ingredientsText || null,
+        certification_body: certificationBody || null,
+        certificate_number: certificateNumber || null,
+        certificate_expires_at: certificateExpiresAt || null,
+        verification_source: verificationSource,
+        verified_at: verifiedAt ? new Date(verifiedAt) : null,
+        created_by: createdBy || null,
+        created_at: now,
+        updated_at: now,
+      };
+      assertUnique(product);
+      tables.products.push(product);
+      store.save();
+      return copyRow(product, PRODUCT_COLUMNS);
+    },
+
+    async getProductById(productId) {
+      return copyRow(find(productId), PRODUCT_COLUMNS);
+    },
+
+    async getProductByBarcode(barcode) {
+      if (!barcode) return null;
+      return copyRow(tables.products.find((p) => p.barcode === barcode), PRODUCT_COLUMNS);
+    },
+
+    async getProductByName(brand, name) {
+      if (!brand || !name) return null;
+      const key = productKey(brand, name);
+      return copyRow(tables.products.find((p) => p.normalized_key === key), PRODUCT_COLUMNS);
+    },
+
+    async searchProducts(query, limit = 20) {
+      const text = String(query || "").trim().toLowerCase();
+      return tables.products
+        .filter((p) => p.brand.toLowerCase().includes(text) || p.name.toLowerCase().includes(text))
+        .sort((a, b) => a.brand.toLowerCase().localeCompare(b.brand.toLowerCase()) || a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+        .slice(0, limit)
+        .map((p) => copyRow(p, PRODUCT_COLUMNS));
+    },
+
+    async updateProduct(productId, updates) {
+      const product = find(productId);
+      if (!product) return null;
+
+      const changes = Object.entries(UPDATABLE_COLUMNS).filter(([option]) => updates[option] !== undefined);
+      if (changes.length === 0) {
+        return copyRow(product, PRODUCT_COLUMNS);
+      }
+
+      const updated = { ...product };
+      for (const [option, column] of changes) {
+        const value = updates[option] === "" ? null : updates[option];
+        updated[column] = column === "verified_at" && value ? new Date(value) : value;
+      }
+      updated.normalized_key = productKey(updated.brand, updated.name);
+      updated.updated_at = new Date();
+      assertUnique(updated, product.id);
+      Object.assign(product, updated);
+      store.save();
+      return copyRow(product, PRODUCT_COLUMNS);
+    },
+
+    async linkProductScan(productId, scan) {
+      const row = structuredClone({
+        id: newId(),
+        product_id: productId,
+        user_id: scan.userId || null,
+        raw_text: scan.rawText || null,
+        scan_result: scan.scanResult || {},
+        created_at: new Date(),
+      });
+      tables.product_scans.push(row);
+      store.save();
+      return copyRow(row, ["id", "product_id", "user_id", "created_at"]);
+    },
+
+    async getProductScans(productId, limit = 10) {
+      return newestFirst(tables.product_scans.filter((s) => s.product_id === productId))
+        .slice(0, limit)
+        .map((s) => copyRow(s, ["id", "product_id", "user_id", "raw_text", "scan_result", "created_at"]));
+    },
+
+    async getProductScansByUserId(userId) {
+      return oldestFirst(tables.product_scans.filter((s) => s.user_id === userId)).map((s) =>
+        copyRow(s, ["id", "product_id", "raw_text", "scan_result", "created_at"])
+      );
+    },
+
+    async recordUnknownBarcode(barcode, userId) {
+      const now = new Date();
+      let row = tables.unknown_barcodes.find((b) => b.barcode === barcode);
+      if (row) {
+        row.scan_count += 1;
+        row.last_seen_at = now;
+        row.last_user_id = userId || null;
+      } else {
+        row = {
+          barcode,
+          scan_count: 1,
+          first_seen_at: now,
+          last_seen_at: now,
+          last_user_id: userId || null,
+          resolved_product_id: null,
+          resolved_at: null,
+        };
+        tables.unknown_barcodes.push(row);
+      }
+      store.save();
+      return copyRow(row, ["barcode", "scan_count", "first_seen_at", "last_seen_at"]);
+    },
+
+    async resolveUnknownBarcode(barcode, productId) {
+      const row = tables.unknown_barcodes.find((b) => b.barcode === barcode && !b.resolved_product_id);
+      if (!row) return false;
+      row.resolved_product_id = productId;
+      row.resolved_at = new Date();
+      store.save();
+      return true;
+    },
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Embedded profiles repository (same contract as src/db/profiles.js)
+ */
+
+import { copyRow, newestFirst } from "./store.js";
+
+// updateProfile option → column
+const UPDATABLE_COLUMNS = {
+  displayName: "display_name",
+  avatarUrl: "avatar_url",
+  halalStandard: "halal_standard",
+  schoolOfThought: "school_of_thought",
+  language: "language",
+  theme: "theme",
+};
+
+function withProfile(user, profile) {
+  return {
+    id: user.id,
+    email: user.email,
+    created_at: new Date(user.created_at),
+    profile: profile
+      ? {
+          id: profile.id,
+          display_name: profile.display_name,
+          avatar_url: profile.avatar_url,
+          halal_standard: profile.halal_standard,
+          school_of_thought: profile.school_of_thought,
+          language: profile.language,
+          theme: profile.theme,
+          created_at: new Date(profile.created_at),
+        }
+      : null,
+  };
+}
+
+export function createProfilesRepository(store) {
+  const { tables } = store;
+  const find = (userId) => tables.profiles.find((p) => p.user_id === userId);
+
+  async function getProfileByUserId(userId) {
+    if (!userId) return null;
+    return copyRow(find(userId));
+  }
+
+  return {
+    async createProfile(userId, profileData = {}) {
+      if (!userId) {
+        throw new Error("User ID is required");
+      }
+      if (!tables.users.some((u) => u.id === userId)) {
+        throw new Error("User not found");
+      }
+      if (find(userId)) {
+        throw new Error("Profile already exists for this user");
+      }
+
+      const profile = {
+        id: store.nextSerial("profiles"),
+        user_id: userId,
+        display_name: profileData.displayName || null,
+        avatar_url: profileData.avatarUrl || null,
+        halal_standard: profileData.halalStandard || "standard",
+        school_of_thought: profileData.schoolOfThought || "hanafi",
+        language: profileData.language || "en",
+        theme: profileData.theme || "light",
+        created_at: new Date(),
+      };
+      tables.profiles.push(profile);
+      store.save();
+      return copyRow(profile);
+    },
+
+    getProfileByUserId,
+
+    async updateProfile(userId, profileData) {
+      if (!userId) {
+        throw new Error("User ID is required");
+      }
+      const changes = Object.entries(UPDATABLE_COLUMNS).filter(([option]) => profileData[option] !== undefined);
+      if (changes.length === 0) {
+        return getProfileByUserId(userId);
+      }
+
+      const profile = find(userId);
+      if (!profile) {
+        throw new Error("Profile not found");
+      }
+      for (const [option, column] of changes) {
+        profile[column] = profileData[option];
+      }
+      store.save();
+      return copyRow(profile);
+    },
+
+    async getUserWithProfile(userId) {
+      if (!userId) return null;
+      const user = tables.users.find((u) => u.id === userId);
+      return user ? withProfile(user, find(userId)) : null;
+    },
+
+    async getAllUsersWithProfiles() {
+      return newestFirst(tables.users).map((user) => withProfile(user, find(user.id)));
+    },
+
+    async setProfileAvatar(userId, avatarUrl) {
+      const profile = find(userId);
+      if (!profile) return;
+      profile.avatar_url = avatarUrl;
+      store.save();
+    },
+  };
+}
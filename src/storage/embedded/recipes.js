@@ -0,0 +1,236 @@
+/**
+ * Embedded recipes repository (same contract as src/db/recipes.js)
+ */
+
+import fs from "fs";
+import { newId, copyRow, newestFirst } from "./store.js";
+
+// updateRecipe option → column
+const UPDATABLE_COLUMNS = {
+  title: "title",
+  originalRecipe: "original_recipe",
+  convertedRecipe: "converted_recipe",
+  ingredients: "ingredients",
+  instructions: "instructions",
+  category: "category",
+  hashtags: "hashtags",
+  mediaUrl: "media_url",
+  confidenceScore: "confidence_score",
+  visibility: "visibility",
+  substitutionsUsed: "substitutions_used",
+};
+
+export function createRecipesRepository(store) {
+  const { tables } = store;
+  const find = (recipeId) => tables.recipes.find((r) => r.id === recipeId);
+
+  // Recipe joined with its author, like the LEFT JOIN users in the SQL queries
+  function withAuthor(recipe) {
+    const author = tables.users.find((u) => u.id === recipe.user_id);
+    return {
+      ...copyRow(recipe),
+      username: author?.display_name ?? null,
+      profile_image_url: author?.profile_image_url ?? null,
+    };
+  }
+
+  async function getRecipeById(recipeId) {
+    if (!recipeId) return null;
+    const recipe = find(recipeId);
+    return recipe ? withAuthor(recipe) : null;
+  }
+
+  return {
+    async createRecipe(recipeData) {
+      const {
+        userId,
+        title,
+        originalRecipe,
+        convertedRecipe,
+        ingredients,
+        instructions,
+        category,
+        hashtags,
+        mediaUrl,
+        confidenceScore,
+        visibility = "public",
+        substitutionsUsed = [],
+        maxRecipes = Infinity,
+      } = recipeData;
+
+      if (!userId || !title) {
+        throw new Error("User ID and title are required");
+      }
+      // Count and insert happen without yielding, so concurrent saves cannot pass the limit
+      if (tables.recipes.filter((r) => r.user_id === userId).length >= maxRecipes) {
+        return null;
+      }
+
+      const now = new Date();
+      const recipe = structuredClone({
+        id: newId(),
+        user_id: userId,
+        title: title.trim(),
+        original_recipe: originalRecipe || null,
+        converted_recipe: convertedRecipe || null,
+        ingredients: ingredients || null,
+        instructions: instructions || null,
+        category: category || "Main Course",
+        hashtags: hashtags || [],
+        media_url: mediaUrl || null,
+        confidence_score: confidenceScore || 0,
+        substitutions_used: Array.isArray(substitutionsUsed) ? substitutionsUsed : [],
+        visibility,
+        likes: 0,
+        comments: 0,
+        shares: 0,
+        created_at: now,
+        updated_at: now,
+        read_only_since: null,
+      });
+      tables.recipes.push(recipe);
+      store.save();
+      return copyRow(recipe);
+    },
+
+    getRecipeById,
+
+    async getPublicRecipes(limit = 50, offset = 0) {
+      return newestFirst(tables.recipes.filter((r) => r.visibility === "public"))
+        .slice(offset, offset + limit)
+        .map(withAuthor);
+    },
+
+    async getRecipesByUserId(userId, includePrivate = true) {
+      if (!userId) return [];
+      return newestFirst(
+        tables.recipes.filter((r) => r.user_id === userId && (includePrivate || r.visibility === "public"))
+      ).map(withAuthor);
+    },
+
+    async countRecipesByUserId(userId) {
+      return tables.recipes.filter((r) => r.user_id === userId).length;
+    },
+
+    async markRecipesReadOnlyBeyond(userId, keep) {
+      const now = new Date();
+      const beyond = newestFirst(tables.recipes.filter((r) => r.user_id === userId), "updated_at").slice(keep);
+      const marked = beyond.filter((r) => !r.read_only_since);
+      for (const recipe of marked) {
+        recipe.read_only_since = now;
+      }
+      if (marked.length) store.save();
+      return marked.map((r) => r.id);
+    },
+
+    async clearRecipesReadOnly(userId) {
+      const locked = tables.recipes.filter((r) => r.user_id === userId && r.read_only_since);
+      for (const recipe of locked) {
+        recipe.read_only_since = null;
+      }
+      if (locked.length) store.save();
+      return locked.length;
+    },
+
+    async updateRecipe(recipeId, userId, updateData) {
+      if (!recipeId || !userId) {
+        throw new Error("Recipe ID and User ID are required");
+      }
+      const recipe = find(recipeId);
+      if (!recipe) {
+        throw new Error("Recipe not found");
+      }
+      if (recipe.user_id !== userId) {
+        throw new Error("You can only edit your own recipes");
+      }
+
+      const changes = Object.entries(UPDATABLE_COLUMNS).filter(([option]) => updateData[option] !== undefined);
+      if (changes.length === 0) {
+        return withAuthor(recipe);
+      }
+      for (const [option, column] of changes) {
+        const value = updateData[option];
+        if (option === "title") recipe.title = value.trim();
+        else if (option === "substitutionsUsed") recipe.substitutions_used = Array.isArray(value) ? structuredClone(value) : [];
+        else recipe[column] = structuredClone(value);
+      }
+      recipe.updated_at = new Date();
+      store.save();
+      return copyRow(recipe);
+    },
+
+    async deleteRecipe(recipeId, userId) {
+      if (!recipeId || !userId) {
+        throw new Error("Recipe ID and User ID are required");
+      }
+      const recipe = find(recipeId);
+      if (!recipe) return false;
+      if (recipe.user_id !== userId) {
+        throw new Error("You can only delete your own recipes");
+      }
+
+      store.retain("recipes", (r) => r.id !== recipeId);
+      store.retain("meal_plan_entries", (e) => e.recipe_id !== recipeId);
+      for (const conversion of tables.conversion_history) {
+        if (conversion.saved_recipe_id === recipeId) conversion.saved_recipe_id = null;
+      }
+      store.save();
+      return true;
+    },
+  };
+}
+
+/**
+ * Copy the recipes of the old JSON recipe store (data/recipes.json) into the embedded store, keeping their ids,
+ * owners and timestamps. Both the snake_case and the older camelCase fields are understood.
+ * @param {Object} store - From createEmbeddedStore
+ * @param {string} legacyFile
+ * @returns {number} Number of recipes imported
+ */
+export function importLegacyRecipes(store, legacyFile) {
+  if (!fs.existsSync(legacyFile)) return 0;
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(legacyFile, "utf8"));
+  } catch (error) {
+    console.error(`Could not read legacy recipes from ${legacyFile}:`, error.message);
+    return 0;
+  }
+  if (!Array.isArray(legacy)) return 0;
+
+  const known = new Set(store.tables.recipes.map((r) => r.id));
+  const imported = legacy
+    .filter((r) => r && r.id != null && (r.user_id || r.userId) && r.title && !known.has(String(r.id)))
+    .map((r) => {
+      const createdAt = new Date(r.created_at || r.createdAt || Date.now());
+      const isPublic = r.visibility ? r.visibility === "public" : Boolean(r.is_public ?? r.isPublic);
+      return structuredClone({
+        id: String(r.id),
+        user_id: r.user_id || r.userId,
+        title: String(r.title).trim(),
+        original_recipe: r.original_recipe || r.originalRecipe || null,
+        converted_recipe: r.converted_recipe || r.convertedRecipe || null,
+        ingredients: r.ingredients || null,
+        instructions: r.instructions || r.description || null,
+        category: r.category || "Main Course",
+        hashtags: r.hashtags || [],
+        media_url: r.media_url || r.mediaUrls?.[0] || null,
+        confidence_score: r.confidence_score || r.confidenceScore || 0,
+        substitutions_used: r.substitutions_used || r.substitutionsUsed || [],
+        visibility: isPublic ? "public" : "private",
+        likes: r.likes || 0,
+        comments: r.comments || 0,
+        shares: r.shares || 0,
+        created_at: createdAt,
+        updated_at: new Date(r.updated_at || r.updatedAt || createdAt),
+        read_only_since: null,
+      });
+    });
+
+  if (imported.length) {
+    store.tables.recipes.push(...imported);
+    store.save();
+    console.log(`📦 Imported ${imported.length} recipe(s) from ${legacyFile}`);
+  }
+  return imported.length;
+}
@@ -0,0 +1,94 @@
+/**
+ * Embedded auth sessions repository (same contract as src/db/sessions.js)
+ */
+
+import { newId, copyRow, newestFirst, oldestFirst } from "./store.js";
+
+const SESSION_COLUMNS = ["id", "user_id", "user_agent", "ip_address", "created_at", "last_used_at", "expires_at", "revoked_at"];
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export function createSessionsRepository(store) {
+  const { tables } = store;
+  const isActive = (session) => !session.revoked_at && session.expires_at > new Date();
+  const findActive = (sessionId) => tables.auth_sessions.find((s) => s.id === sessionId && isActive(s));
+
+  return {
+    async createSession(userId, { refreshTokenHash, expiresAt, userAgent, ipAddress }) {
+      const now = new Date();
+      const session = {
+        id: newId(),
+        user_id: userId,
+        refresh_token_hash: refreshTokenHash,
+        previous_token_hash: null,
+        user_agent: userAgent || null,
+        ip_address: ipAddress || null,
+        created_at: now,
+        last_used_at: now,
+        expires_at: new Date(expiresAt),
+        revoked_at: null,
+      };
+      tables.auth_sessions.push(session);
+      store.save();
+      return copyRow(session, SESSION_COLUMNS);
+    },
+
+    async getActiveSession(sessionId) {
+      return copyRow(findActive(sessionId), SESSION_COLUMNS);
+    },
+
+    async rotateSessionToken(sessionId, currentHash, { refreshTokenHash, expiresAt, userAgent, ipAddress }) {
+      const session = findActive(sessionId);
+      if (!session || session.refresh_token_hash !== currentHash) return null;
+      session.previous_token_hash = session.refresh_token_hash;
+      session.refresh_token_hash = refreshTokenHash;
+      session.expires_at = new Date(expiresAt);
+      session.user_agent = userAgent || session.user_agent;
+      session.ip_address = ipAddress || session.ip_address;
+      session.last_used_at = new Date();
+      store.save();
+      return copyRow(session, SESSION_COLUMNS);
+    },
+
+    async isPreviousSessionToken(sessionId, tokenHash) {
+      return tables.auth_sessions.some((s) => s.id === sessionId && s.previous_token_hash === tokenHash);
+    },
+
+    async touchSession(sessionId) {
+      const session = tables.auth_sessions.find((s) => s.id === sessionId);
+      if (session && Date.now() - session.last_used_at.getTime() > TOUCH_INTERVAL_MS) {
+        session.last_used_at = new Date();
+        store.save();
+      }
+    },
+
+    async listActiveSessions(userId) {
+      return newestFirst(tables.auth_sessions.filter((s) => s.user_id === userId && isActive(s)), "last_used_at").map(
+        (s) => copyRow(s, SESSION_COLUMNS)
+      );
+    },
+
+    async revokeSession(sessionId, userId) {
+      const session = tables.auth_sessions.find(
+        (s) => s.id === sessionId && (!userId || s.user_id === userId) && !s.revoked_at
+      );
+      if (!session) return false;
+      session.revoked_at = new Date();
+      store.save();
+      return true;
+    },
+
+    async revokeUserSessions(userId) {
+      const now = new Date();
+      const active = tables.auth_sessions.filter((s) => s.user_id === userId && !s.revoked_at);
+      for (const session of active) {
+        session.revoked_at = now;
+      }
+      if (active.length) store.save();
+      return active.length;
+    },
+
+    async listUserSessions(userId) {
+      return oldestFirst(tables.auth_sessions.filter((s) => s.user_id === userId)).map((s) => copyRow(s, SESSION_COLUMNS));
+    },
+  };
+}
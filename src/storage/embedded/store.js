@@ -0,0 +1,117 @@
+/**
+ * Embedded store: the tables behind the embedded repositories, held in memory and (file driver) written to a
+ * JSON file after every change. Rows use the PostgreSQL column names and types, with timestamps as Date objects.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const TABLES = [
+  "users",
+  "profiles",
+  "recipes",
+  "subscriptions",
+  "subscription_events",
+  "conversion_history",
+  "analytics_events",
+  "premium_analytics_events",
+  "auth_sessions",
+  "account_tokens",
+  "meal_plans",
+  "meal_plan_entries",
+  "products",
+  "product_scans",
+  "unknown_barcodes",
+  "ingredient_rule_bases",
+  "ingredient_rule_modifiers",
+  "ingredient_rules",
+  "ingredient_rule_versions",
+];
+
+// Columns stored as TIMESTAMP in PostgreSQL; revived into Dates when the file is read
+const TIMESTAMP_COLUMN = /(_at|_for|_since|_period_start|_period_end)$/;
+// DATE columns, kept as YYYY-MM-DD strings like the to_char() columns of the SQL queries
+const DATE_COLUMNS = new Set(["certificate_expires_at"]);
+
+function reviveRow(row) {
+  for (const [column, value] of Object.entries(row)) {
+    if (typeof value === "string" && TIMESTAMP_COLUMN.test(column) && !DATE_COLUMNS.has(column)) {
+      row[column] = new Date(value);
+    }
+  }
+  return row;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file to load and save; omit for memory only
+ */
+export function createEmbeddedStore({ file } = {}) {
+  const tables = Object.fromEntries(TABLES.map((name) => [name, []]));
+  const serials = {};
+
+  if (file && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const name of TABLES) {
+      tables[name] = (saved.tables?.[name] || []).map(reviveRow);
+    }
+    Object.assign(serials, saved.serials);
+  }
+
+  return {
+    tables,
+
+    /** Next value of a table's SERIAL id */
+    nextSerial(table) {
+      serials[table] = (serials[table] || 0) + 1;
+      return serials[table];
+    },
+
+    /** Persist all tables (no-op without a file). Writes a temp file first so a crash cannot truncate the store. */
+    save() {
+      if (!file) return;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tempFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({ serials, tables }, null, 2));
+      fs.renameSync(tempFile, file);
+    },
+
+    /** Keep only the rows of a table that match */
+    retain(table, keep) {
+      tables[table] = tables[table].filter(keep);
+    },
+  };
+}
+
+export function newId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Copy of a row (or null), so callers cannot change stored rows.
+ * @param {Object|undefined} row
+ * @param {string[]} [columns] - Only these columns, like a SELECT list
+ */
+export function copyRow(row, columns) {
+  if (!row) return null;
+  const copy = structuredClone(row);
+  return columns ? Object.fromEntries(columns.map((column) => [column, copy[column] ?? null])) : copy;
+}
+
+/**
+ * Newest first by a timestamp column (then by insertion order, newest first)
+ */
+export function newestFirst(rows, column = "created_at") {
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => (b.row[column]?.getTime() ?? -Infinity) - (a.row[column]?.getTime() ?? -Infinity) || b.index - a.index)
+    .map(({ row }) => row);
+}
+
+/**
+ * Oldest first by a timestamp column (then by insertion order)
+ */
+export function oldestFirst(rows, column = "created_at") {
+  return newestFirst(rows, column).reverse();
+}
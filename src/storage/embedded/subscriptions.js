@@ -0,0 +1,104 @@
+/**
+ * Embedded subscriptions repository (same contract as src/db/subscriptions.js)
+ */
+
+import { newId, copyRow, newestFirst, oldestFirst } from "./store.js";
+
+// updateSubscription option → column
+const UPDATABLE_COLUMNS = {
+  status: "status",
+  planType: "plan_type",
+  currentPeriodStart: "current_period_start",
+  currentPeriodEnd: "current_period_end",
+  cancelAtPeriodEnd: "cancel_at_period_end",
+};
+
+export function createSubscriptionsRepository(store) {
+  const { tables } = store;
+
+  function applyChanges(subscription, changes) {
+    if (!subscription) return null;
+    for (const [option, column] of Object.entries(UPDATABLE_COLUMNS)) {
+      if (changes[option] !== undefined) {
+        subscription[column] = changes[option] instanceof Date ? new Date(changes[option]) : changes[option];
+      }
+    }
+    subscription.updated_at = new Date();
+    store.save();
+    return copyRow(subscription);
+  }
+
+  return {
+    async getLatestSubscription(userId, { status } = {}) {
+      const [latest] = newestFirst(
+        tables.subscriptions.filter((s) => s.user_id === userId && (!status || s.status === status))
+      );
+      return copyRow(latest);
+    },
+
+    async listSubscriptions(userId) {
+      return oldestFirst(tables.subscriptions.filter((s) => s.user_id === userId)).map((s) => copyRow(s));
+    },
+
+    async getSubscriptionByStripeId(stripeSubscriptionId) {
+      return copyRow(tables.subscriptions.find((s) => s.stripe_subscription_id === stripeSubscriptionId));
+    },
+
+    async upsertSubscription(data) {
+      const existing = tables.subscriptions.find((s) => s.stripe_subscription_id === data.stripeSubscriptionId);
+      if (existing) {
+        return applyChanges(existing, {
+          status: data.status,
+          currentPeriodStart: data.currentPeriodStart,
+          currentPeriodEnd: data.currentPeriodEnd,
+        });
+      }
+
+      const now = new Date();
+      const subscription = {
+        id: newId(),
+        user_id: data.userId,
+        stripe_subscription_id: data.stripeSubscriptionId,
+        stripe_customer_id: data.stripeCustomerId,
+        plan_type: data.planType,
+        status: data.status,
+        current_period_start: new Date(data.currentPeriodStart),
+        current_period_end: new Date(data.currentPeriodEnd),
+        cancel_at_period_end: data.cancelAtPeriodEnd || false,
+        created_at: now,
+        updated_at: now,
+      };
+      tables.subscriptions.push(subscription);
+      store.save();
+      return copyRow(subscription);
+    },
+
+    async updateSubscription(stripeSubscriptionId, changes) {
+      return applyChanges(tables.subscriptions.find((s) => s.stripe_subscription_id === stripeSubscriptionId), changes);
+    },
+
+    async updateSubscriptionById(subscriptionId, changes, { fromStatus } = {}) {
+      return applyChanges(
+        tables.subscriptions.find((s) => s.id === subscriptionId && (fromStatus === undefined || s.status === fromStatus)),
+        changes
+      );
+    },
+
+    async recordSubscriptionEvent(userId, eventType, eventData, subscriptionId = null) {
+      tables.subscription_events.push({
+        id: newId(),
+        subscription_id: subscriptionId,
+        user_id: userId,
+        event_type: eventType,
+        // Stored as JSONB in PostgreSQL: Dates come back as strings
+        event_data: JSON.parse(JSON.stringify(eventData)),
+        created_at: new Date(),
+      });
+      store.save();
+    },
+
+    async listSubscriptionEvents(userId) {
+      return oldestFirst(tables.subscription_events.filter((e) => e.user_id === userId)).map((e) => copyRow(e));
+    },
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Embedded users repository (same contract as src/db/users.js)
+ */
+
+import bcrypt from "bcrypt";
+import { newId, copyRow, newestFirst } from "./store.js";
+
+const USER_COLUMNS = [
+  "id", "email", "display_name", "profile_image_url", "roles", "email_verified_at", "deletion_scheduled_for", "created_at",
+];
+const USER_LOGIN_COLUMNS = [...USER_COLUMNS, "password_hash"];
+const UPDATED_USER_COLUMNS = ["id", "email", "display_name", "profile_image_url", "created_at"];
+
+// Tables whose rows are removed with their user, like ON DELETE CASCADE in the migrations
+const CASCADE_TABLES = [
+  "profiles", "recipes", "subscriptions", "subscription_events", "conversion_history", "auth_sessions", "account_tokens",
+  "meal_plans",
+];
+// Columns cleared when their user is removed, like ON DELETE SET NULL
+const SET_NULL_COLUMNS = [
+  ["premium_analytics_events", "user_id"],
+  ["product_scans", "user_id"],
+  ["products", "created_by"],
+  ["unknown_barcodes", "last_user_id"],
+  ["ingredient_rules", "updated_by"],
+  ["ingredient_rule_versions", "changed_by"],
+];
+
+export function createUsersRepository(store) {
+  const { tables } = store;
+  const find = (userId) => tables.users.find((u) => u.id === userId);
+  const findByEmail = (email) => tables.users.find((u) => u.email === email.toLowerCase().trim());
+
+  async function getUserByEmail(email) {
+    if (!email) return null;
+    return copyRow(findByEmail(email), USER_LOGIN_COLUMNS);
+  }
+
+  return {
+    async createUser(email, password) {
+      if (!email || !password) {
+        throw new Error("Email and password are required");
+      }
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new Error("Invalid email format");
+      }
+      if (password.length < 6) {
+        throw new Error("Password must be at least 6 characters");
+      }
+      if (findByEmail(email)) {
+        throw new Error("Email already exists");
+      }
+
+      const user = {
+        id: newId(),
+        email: email.toLowerCase().trim(),
+        password_hash: await bcrypt.hash(password, 10),
+        display_name: email.split("@")[0],
+        profile_image_url: null,
+        roles: ["user"],
+        email_verified_at: null,
+        deletion_requested_at: null,
+        deletion_scheduled_for: null,
+        stripe_customer_id: null,
+        created_at: new Date(),
+      };
+      tables.users.push(user);
+      store.save();
+      return copyRow(user, USER_COLUMNS);
+    },
+
+    getUserByEmail,
+
+    async getUserById(userId) {
+      if (!userId) return null;
+      return copyRow(find(userId), USER_COLUMNS);
+    },
+
+    async verifyUserPassword(email, password) {
+      const user = await getUserByEmail(email);
+      if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+        return null;
+      }
+      const { password_hash, ...userWithoutPassword } = user;
+      return userWithoutPassword;
+    },
+
+    async getAllUsers() {
+      return newestFirst(tables.users).map((u) => copyRow(u, ["id", "email", "created_at"]));
+    },
+
+    async updateUserDisplayName(userId, displayName) {
+      if (!userId || !displayName) {
+        throw new Error("User ID and display name are required");
+      }
+      const user = find(userId);
+      if (!user) return null;
+      user.display_name = displayName.trim();
+      store.save();
+      return copyRow(user, UPDATED_USER_COLUMNS);
+    },
+
+    async updateUserProfileImage(userId, profileImageUrl) {
+      if (!userId) {
+        throw new Error("User ID is required");
+      }
+      const user = find(userId);
+      if (!user) return null;
+      user.profile_image_url = profileImageUrl;
+      store.save();
+      return copyRow(user, UPDATED_USER_COLUMNS);
+    },
+
+    async grantUserRole(userId, role) {
+      const user = find(userId);
+      if (!user) return null;
+      if (!user.roles.includes(role)) {
+        user.roles.push(role);
+        store.save();
+      }
+      return copyRow(user, ["id", "email", "roles", "email_verified_at"]);
+    },
+
+    async revokeUserRole(userId, role) {
+      const user = find(userId);
+      if (!user) return null;
+      user.roles = user.roles.filter((r) => r !== role);
+      store.save();
+      return copyRow(user, ["id", "email", "roles", "email_verified_at"]);
+    },
+
+    async updateUserPassword(userId, password) {
+      if (!password || password.length < 6) {
+        throw new Error("Password must be at least 6 characters");
+      }
+      const user = find(userId);
+      if (!user) return false;
+      user.password_hash = await bcrypt.hash(password, 10);
+      store.save();
+      return true;
+    },
+
+    async markEmailVerified(userId) {
+      const user = find(userId);
+      if (!user) return null;
+      user.email_verified_at = user.email_verified_at || new Date();
+      store.save();
+      return copyRow(user, ["id", "email", "email_verified_at"]);
+    },
+
+    async getUserRecord(userId) {
+      const user = copyRow(find(userId));
+      if (!user) return null;
+      const { password_hash, ...record } = user;
+      return record;
+    },
+
+    async getStripeCustomerId(userId) {
+      return find(userId)?.stripe_customer_id || null;
+    },
+
+    async setStripeCustomerId(userId, customerId) {
+      const user = find(userId);
+      if (!user) return;
+      user.stripe_customer_id = customerId;
+      store.save();
+    },
+
+    async getUserIdByStripeCustomerId(customerId) {
+      return tables.users.find((u) => u.stripe_customer_id === customerId)?.id || null;
+    },
+
+    async scheduleUserDeletion(userId, graceDays) {
+      const user = find(userId);
+      if (!user) return null;
+      const now = new Date();
+      for (const event of tables.premium_analytics_events) {
+        if (event.user_id === userId) event.user_id = null;
+      }
+      for (const session of tables.auth_sessions) {
+        if (session.user_id === userId && !session.revoked_at) session.revoked_at = now;
+      }
+      user.deletion_requested_at = now;
+      user.deletion_scheduled_for = new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000);
+      store.save();
+      return new Date(user.deletion_scheduled_for);
+    },
+
+    async cancelUserDeletion(userId) {
+      const user = find(userId);
+      if (!user || !(user.deletion_scheduled_for > new Date())) return false;
+      user.deletion_requested_at = null;
+      user.deletion_scheduled_for = null;
+      store.save();
+      return true;
+    },
+
+    async purgeUsersDueForDeletion() {
+      const now = new Date();
+      const due = new Set(
+        tables.users.filter((u) => u.deletion_scheduled_for && u.deletion_scheduled_for <= now).map((u) => u.id)
+      );
+      if (due.size === 0) return [];
+
+      store.retain("users", (u) => !due.has(u.id));
+      for (const table of CASCADE_TABLES) {
+        store.retain(table, (row) => !due.has(row.user_id));
+      }
+      const planIds = new Set(tables.meal_plans.map((p) => p.id));
+      const recipeIds = new Set(tables.recipes.map((r) => r.id));
+      store.retain("meal_plan_entries", (e) => planIds.has(e.meal_plan_id) && recipeIds.has(e.recipe_id));
+      for (const [table, column] of SET_NULL_COLUMNS) {
+        for (const row of tables[table]) {
+          if (due.has(row[column])) row[column] = null;
+        }
+      }
+      store.save();
+      return [...due];
+    },
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Storage drivers for the application data: users, profiles, recipes, subscriptions, conversions, analytics,
+ * sessions, account tokens, meal plans, products and ingredient rules. Routes and services call
+ * getStorage().<repository>.<method>() instead of importing src/db directly, so the API runs the same with or
+ * without PostgreSQL.
+ *
+ * Drivers (STORAGE_DRIVER):
+ *   postgres  the src/db modules (default when DATABASE_URL is set)
+ *   file      embedded store persisted to STORAGE_FILE (default data/store.json; default without DATABASE_URL)
+ *   memory    embedded store that is never written to disk (tests)
+ * Read-only reference data stays in PostgreSQL: without it, affiliate links and canonical ingredient pages are empty.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { createPostgresStorage } from "./postgresStorage.js";
+import { createEmbeddedStorage } from "./embedded/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORAGE_DRIVERS = ["postgres", "file", "memory"];
+export const DEFAULT_STORAGE_FILE = path.resolve(__dirname, "../../data/store.json");
+// Recipes saved before the storage layer, imported into a new file store
+export const LEGACY_RECIPES_FILE = path.resolve(__dirname, "../../data/recipes.json");
+
+let current = null;
+
+/**
+ * Driver named by STORAGE_DRIVER, or postgres/file depending on DATABASE_URL.
+ * @param {Object} [env]
+ * @returns {"postgres"|"file"|"memory"}
+ */
+export function resolveStorageDriver(env = process.env) {
+  const requested = env.STORAGE_DRIVER?.trim().toLowerCase();
+  if (requested) {
+    if (!STORAGE_DRIVERS.includes(requested)) {
+      throw new Error(`Unknown STORAGE_DRIVER "${env.STORAGE_DRIVER}". Use ${STORAGE_DRIVERS.join(", ")}.`);
+    }
+    return requested;
+  }
+  return env.DATABASE_URL ? "postgres" : "file";
+}
+
+/**
+ * Build a storage instance.
+ * @param {"postgres"|"file"|"memory"} [driver]
+ * @param {Object} [options]
+ * @param {string} [options.file] - JSON file for the file driver (default STORAGE_FILE or data/store.json)
+ * @param {string|null} [options.legacyRecipesFile] - Old recipe file imported when the file driver creates its
+ *   file (default data/recipes.json; null to skip)
+ * @returns {{ driver: string, users, profiles, recipes, subscriptions, conversions, analytics, sessions, accountTokens,
+ *   mealPlans, products, ingredientRules }}
+ */
+export function createStorage(driver = resolveStorageDriver(), options = {}) {
+  switch (driver) {
+    case "postgres":
+      return createPostgresStorage();
+    case "file":
+      return createEmbeddedStorage({
+        driver,
+        file: path.resolve(options.file || process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE),
+        legacyRecipesFile: options.legacyRecipesFile === undefined ? LEGACY_RECIPES_FILE : options.legacyRecipesFile,
+      });
+    case "memory":
+      return createEmbeddedStorage({ driver });
+    default:
+      throw new Error(`Unknown storage driver "${driver}". Use ${STORAGE_DRIVERS.join(", ")}.`);
+  }
+}
+
+/**
+ * The process-wide storage, created from the environment on first use.
+ */
+export function getStorage() {
+  if (!current) {
+    current = createStorage();
+  }
+  return current;
+}
+
+/**
+ * Replace the process-wide storage (tests, or a server that builds its own).
+ * @param {Object|null} storage - From createStorage; null resets to the environment's driver
+ */
+export function setStorage(storage) {
+  current = storage;
+}
@@ -0,0 +1,32 @@
+/**
+ * PostgreSQL storage driver: the repositories are the src/db data access modules.
+ */
+
+import * as users from "../db/users.js";
+import * as profiles from "../db/profiles.js";
+import * as recipes from "../db/recipes.js";
+import * as subscriptions from "../db/subscriptions.js";
+import * as conversions from "../db/conversionHistory.js";
+import * as analytics from "../db/analytics.js";
+import * as sessions from "../db/sessions.js";
+import * as accountTokens from "../db/accountTokens.js";
+import * as mealPlans from "../db/mealPlans.js";
+import * as products from "../db/products.js";
+import * as ingredientRules from "../db/ingredientRules.js";
+
+export function createPostgresStorage() {
+  return {
+    driver: "postgres",
+    users,
+    profiles,
+    recipes,
+    subscriptions,
+    conversions,
+    analytics,
+    sessions,
+    accountTokens,
+    mealPlans,
+    products,
+    ingredientRules,
+  };
+}
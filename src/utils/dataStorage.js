@@ -19,10 +19,6 @@ if (!fs.existsSync(USERS_FILE)) {
   fs.writeFileSync(USERS_FILE, JSON.stringify([], null, 2));
 }
 
-if (!fs.existsSync(RECIPES_FILE)) {
-  fs.writeFileSync(RECIPES_FILE, JSON.stringify([], null, 2));
-}
-
 /**
  * Read users from file
  */
@@ -50,13 +46,14 @@ export function writeUsers(users) {
 }
 
 /**
- * Read recipes from file
+ * Read recipes from file (legacy; the file only exists on installs that predate the database)
  */
 export function readRecipes() {
   try {
     const data = fs.readFileSync(RECIPES_FILE, "utf8");
     return JSON.parse(data);
   } catch (error) {
+    if (error.code === "ENOENT") return [];
     console.error("Error reading recipes:", error);
     return [];
   }
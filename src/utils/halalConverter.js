@@ -3,6 +3,9 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { getIngredientDetails, buildIngredientLookup } from "./halalEngine.js";
 import { evaluateIngredient } from "../services/ingredientRuleEngine.js";
+import { parseConversionRatio, scaleIngredientLine } from "./quantityConverter.js";
+import { rewriteInstructionSegments } from "./instructionRewriter.js";
+import { applyEdits, joinSegmentLines, convertedTextOf, collectAnnotations, wordDiff } from "./textSegments.js";
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -32,6 +35,46 @@ const loadIngredientList = () => {
   }
 };
 
+/**
+ * Find every lookup term in the text and resolve overlaps longest-match-wins, so "pork belly" claims its
+ * characters before "pork" can and "red wine" before "wine". Equal-length ties go to the term that is an
+ * entry's own key (pork_belly over the "pork belly" alias of pork), then to lookup order.
+ * @returns {Array<{ start: number, end: number, text: string, item: Object }>} Sorted by start
+ */
+const findIngredientMatches = (recipeText, lookupList) => {
+  const candidates = [];
+  lookupList.forEach((item, order) => {
+    const escapedTerm = item.searchTerm.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const isKey = item.searchTerm === item.normalizedKey.replace(/_/g, " ");
+    for (const match of recipeText.matchAll(new RegExp(`\\b${escapedTerm}\\b`, "gi"))) {
+      const start = match.index;
+      candidates.push({ start, end: start + match[0].length, text: match[0], item, isKey, order });
+    }
+  });
+
+  candidates.sort((a, b) =>
+    (b.end - b.start) - (a.end - a.start) ||
+    a.start - b.start ||
+    Number(b.isKey) - Number(a.isKey) ||
+    a.order - b.order
+  );
+  const accepted = [];
+  for (const candidate of candidates) {
+    if (!accepted.some((m) => candidate.start < m.end && m.start < candidate.end)) {
+      accepted.push(candidate);
+    }
+  }
+  return accepted
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, text, item }) => ({ start, end, text, item }));
+};
+
+/** Offsets of the matches that belong to one knowledge-base entry. */
+const matchSpansFor = (matches, normalizedKey) =>
+  matches
+    .filter((m) => m.item.normalizedKey === normalizedKey)
+    .map(({ start, end, text }) => ({ start, end, text }));
+
 /**
  * Detect haram/conditional ingredients in recipe text using JSON knowledge base
  * Returns array of detected ingredients with their details and inheritance chains
@@ -44,17 +87,15 @@ const detectHaramIngredients = (recipeText, userPreferences = {}) => {
   }
 
   const lookupList = loadIngredientList();
+  const matches = findIngredientMatches(recipeText, lookupList);
   const detected = [];
   const processed = new Set(); // Track processed ingredients to avoid duplicates
 
   lookupList.forEach((item) => {
     const searchTerm = item.searchTerm;
     
-    // Use word boundary regex for accurate detection
-    const escapedTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const regex = new RegExp(`\\b${escapedTerm}\\b`, "gi");
-    
-    if (regex.test(recipeText)) {
+    // Only terms that kept a match after overlap resolution count as detected
+    if (matches.some((m) => m.item === item)) {
       const normalizedKey = item.normalizedKey;
       
       // Only process each main ingredient once
@@ -72,6 +113,7 @@ const detectHaramIngredients = (recipeText, userPreferences = {}) => {
             haramIngredient: details.displayName || searchTerm,
             replacement: details.alternatives?.[0] || null, // Use null instead of "Halal alternative needed"
             alternatives: details.alternatives || [],
+            conversionRatio: parseConversionRatio(details.conversionRatio),
             notes: details.notes || "",
             severity: details.severity || "medium",
             confidence: details.confidenceScore || 0.5,
@@ -82,8 +124,10 @@ const detectHaramIngredients = (recipeText, userPreferences = {}) => {
             eli5: details.eli5,
             trace: details.trace || [],
             status: details.status,
+            preferenceAdjustments: details.preferenceAdjustments || [],
             references: details.references || [],
-            matchedTerm: searchTerm // Store the term that matched
+            matchedTerm: searchTerm, // Store the term that matched
+            matches: matchSpansFor(matches, normalizedKey) // Every occurrence of the entry, any term
           });
         }
       }
@@ -108,6 +152,7 @@ function mapRuleResultToDetected(item, ruleResult, searchTerm) {
     haramIngredient: searchTerm,
     replacement,
     alternatives,
+    conversionRatio: parseConversionRatio(item.entry?.conversion_ratio),
     notes: ruleResult.notes || "",
     severity,
     confidence,
@@ -117,6 +162,7 @@ function mapRuleResultToDetected(item, ruleResult, searchTerm) {
     eli5: ruleResult.notes || "",
     trace: ruleResult.source === "rule_engine" ? [`Rule: ${ruleResult.base_slug} + ${ruleResult.modifier_slug}`] : [],
     status,
+    preferenceAdjustments: ruleResult.preferenceAdjustments || [],
     references: [],
     matchedTerm: searchTerm,
   };
@@ -132,14 +178,13 @@ const detectHaramIngredientsHybrid = async (recipeText, userPreferences = {}) =>
   }
 
   const lookupList = loadIngredientList();
+  const matches = findIngredientMatches(recipeText, lookupList);
   const detected = [];
   const processed = new Set();
 
   for (const item of lookupList) {
     const searchTerm = item.searchTerm;
-    const escapedTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const regex = new RegExp(`\\b${escapedTerm}\\b`, "gi");
-    if (!regex.test(recipeText)) continue;
+    if (!matches.some((m) => m.item === item)) continue;
 
     const normalizedKey = item.normalizedKey;
     if (processed.has(normalizedKey)) continue;
@@ -150,105 +195,193 @@ const detectHaramIngredientsHybrid = async (recipeText, userPreferences = {}) =>
     if (status !== "haram" && status !== "conditional") continue;
 
     const mapped = mapRuleResultToDetected(item, ruleResult, searchTerm);
-    detected.push(mapped);
+    detected.push({ ...mapped, matches: matchSpansFor(matches, normalizedKey) });
   }
 
   return detected;
 };
 
+// Joins a second ingredient onto a line: "1 cup chicken broth plus a splash of wine"
+const SECOND_INGREDIENT = /\s(?:plus|and|or|with|then)\s|[;&+]/;
+
+/**
+ * Whether a line is an ingredient line for the matched term, so its leading amount belongs to it.
+ * "1 cup dry red wine" qualifies; "2 minutes later add the wine" does not (no unit, term far from the amount),
+ * and neither does "1 cup chicken broth plus a splash of wine" (the cup is the broth's).
+ */
+const isQuantityLineFor = (parsed, ingredient) => {
+  if (!parsed || parsed.quantity == null) return false;
+  const words = parsed.ingredient.split(SECOND_INGREDIENT)[0].trim().split(" ");
+  const termWords = ingredient.toLowerCase().split(/\s+/);
+  const index = words.findIndex((_, i) => termWords.every((w, j) => words[i + j] === w));
+  if (index < 0) return false;
+  return Boolean(parsed.unit) || index < 3;
+};
+
+/** Replacement in the case of the matched text: "WINE" → "GRAPE_JUICE", "Wine" → "Grape_juice". */
+const preserveCase = (match, replacement) => {
+  if (match === match.toUpperCase()) {
+    return replacement.toUpperCase();
+  } else if (match[0] === match[0].toUpperCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+};
+
 /**
  * PURE FUNCTION: Convert ingredients in recipe text
  * 
  * SEPARATION OF CONCERNS: This function ONLY does replacement, never calculates confidence
  * Returns what was replaced and what couldn't be replaced for scoring later
  * 
+ * Replacement works on the match offsets from detection, so each character is replaced at most once.
+ * 
+ * Quantities: when a detected item carries a conversionRatio other than 1 (e.g. wine → grape juice + vinegar at 1:0.75),
+ * the leading amount on each ingredient line whose amount belongs to it is scaled by that ratio (once per line).
+ * 
+ * Instructions: after the swap, steps that used a replaced ingredient are rewritten from the substitute's cooking
+ * notes ("render the bacon fat" → "brown the turkey bacon in 1 tbsp oil"; see instructionRewriter.js).
+ * 
+ * Every edit is tracked as a segment of the original text (see textSegments.js) for annotations and the diff.
+ * 
  * @param {string} recipeText - Original recipe text
- * @param {Array} detectedIngredients - Array of detected haram/conditional ingredients
- * @returns {Object} { convertedText, replacements, unresolved }
- *   - convertedText: Recipe text with replacements applied
- *   - replacements: Array of { original, replacement, status } for successfully replaced items
+ * @param {Array} detectedIngredients - Array of detected haram/conditional ingredients, with their matches
+ * @returns {Object} { convertedText, replacements, unresolved, instructionDiff, annotations, diff }
+ *   - convertedText: Recipe text with replacements and instruction rewrites applied
+ *   - replacements: Array of { original, replacement, status, conversionRatio, quantities, terms } for successfully replaced items
  *   - unresolved: Array of { ingredient, status } for items without replacements
+ *   - instructionDiff: Array of { step, original, converted, substitutions, changes } for steps using a substitute
+ *   - annotations: Array of { type, original: { start, end, text }, converted: { start, end, text }, ... } per edit
+ *     or detection ("replacement", "detection", "quantity", "instruction"); detected terms carry replaced: true|false
+ *   - diff: Word-level diff of recipeText and convertedText
  */
 const convertIngredients = (recipeText, detectedIngredients) => {
-  // Defensive checks: if no ingredients detected, return original text
-  if (!recipeText || typeof recipeText !== "string" || !Array.isArray(detectedIngredients) || detectedIngredients.length === 0) {
+  // Defensive checks: nothing to convert without text
+  if (!recipeText || typeof recipeText !== "string") {
     return {
       convertedText: recipeText || "",
       replacements: [],
-      unresolved: []
+      unresolved: [],
+      instructionDiff: [],
+      annotations: [],
+      diff: []
     };
   }
 
-  let convertedText = recipeText;
+  const lines = recipeText.split("\n");
+  const lineStarts = [];
+  lines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.length + 1;
+  }, 0);
+  const lineOf = (position) => lineStarts.findLastIndex((start) => start <= position);
+  const edits = lines.map(() => []); // Per line: { start, end, replacement, annotation } in line offsets
+  const scaledLines = new Set();
   const replacements = []; // Track successfully replaced ingredients
   const unresolved = []; // Track ingredients without replacements
 
   // Process each detected ingredient
-  detectedIngredients.forEach((item) => {
+  (Array.isArray(detectedIngredients) ? detectedIngredients : []).forEach((item) => {
     const ingredient = item.ingredient || item.matchedTerm;
     const replacement = item.replacement;
     const status = item.status || "haram";
+    const matches = item.matches || [];
 
     // Check if replacement is available
     const hasReplacement = replacement && 
                           replacement !== "Halal alternative needed" && 
                           replacement.trim() !== "";
 
-    if (!hasReplacement) {
-      // No replacement available - mark as unresolved
+    if (!hasReplacement || matches.length === 0) {
+      // No replacement available - mark as unresolved, but still annotate where it was found
       unresolved.push({
         ingredient: ingredient,
         status: status,
         matchedTerm: item.matchedTerm || ingredient
       });
+      matches.forEach((match) => {
+        const line = lineOf(match.start);
+        const start = match.start - lineStarts[line];
+        edits[line].push({
+          start,
+          end: start + match.text.length,
+          replacement: match.text,
+          annotation: { type: "detection", ingredient, status, replaced: false }
+        });
+      });
       return; // Skip to next ingredient
     }
 
-    // Replacement available - perform replacement
-    // Replace all occurrences with word boundaries
-    const escapedIngredient = ingredient.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const regex = new RegExp(`\\b${escapedIngredient}\\b`, "gi");
-    
-    // Track if any replacement occurred for this ingredient
-    let wasReplaced = false;
-    const previousText = convertedText;
-    
-    convertedText = convertedText.replace(regex, (match) => {
-      wasReplaced = true;
-      // Preserve original case
-      if (match === match.toUpperCase()) {
-        return replacement.toUpperCase();
-      } else if (match[0] === match[0].toUpperCase()) {
-        return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+    // Replacement available - replace every match, rescaling the amount on its ingredient line
+    const ratio = item.conversionRatio ?? 1;
+    const quantities = [];
+
+    matches.forEach((match) => {
+      const line = lineOf(match.start);
+      const start = match.start - lineStarts[line];
+      if (ratio !== 1 && !scaledLines.has(line)) {
+        const scaled = scaleIngredientLine(lines[line], ratio);
+        if (scaled.scaled && isQuantityLineFor(scaled.parsed, match.text)) {
+          const { quantityIndex, quantityText } = scaled.parsed;
+          const tailLength = lines[line].length - quantityIndex - quantityText.length;
+          scaledLines.add(line);
+          edits[line].push({
+            start: quantityIndex,
+            end: quantityIndex + quantityText.length,
+            replacement: scaled.line.slice(quantityIndex, scaled.line.length - tailLength),
+            annotation: { type: "quantity", ingredient, ratio }
+          });
+          quantities.push({
+            original: scaled.parsed.quantity,
+            originalMax: scaled.parsed.quantityMax,
+            converted: scaled.quantity,
+            convertedMax: scaled.quantityMax,
+            unit: scaled.parsed.unit
+          });
+        }
       }
-      return replacement;
+      edits[line].push({
+        start,
+        end: start + match.text.length,
+        replacement: preserveCase(match.text, replacement),
+        annotation: { type: "replacement", ingredient, replacement, status, replaced: true }
+      });
     });
 
     // Track successful replacement
-    if (wasReplaced) {
-      replacements.push({
-        original: ingredient,
-        replacement: replacement,
-        status: status,
-        matchedTerm: item.matchedTerm || ingredient
-      });
-    } else {
-      // Pattern matched but replacement didn't occur (shouldn't happen, but handle gracefully)
-      unresolved.push({
-        ingredient: ingredient,
-        status: status,
-        matchedTerm: item.matchedTerm || ingredient
-      });
-    }
+    replacements.push({
+      original: ingredient,
+      replacement: replacement,
+      status: status,
+      matchedTerm: item.matchedTerm || ingredient,
+      conversionRatio: ratio,
+      quantities,
+      terms: [...new Set(matches.map((m) => m.text.toLowerCase()))] // Every matched term, e.g. "red wine" and "wine"
+    });
   });
 
+  const segmentLines = lines.map((line, i) => applyEdits(line, edits[i].sort((a, b) => a.start - b.start)));
+
+  // Rewrite the instruction steps that use a substitute (verbs, techniques, times)
+  const rewritten = rewriteInstructionSegments(recipeText, segmentLines, replacements);
+  const segments = joinSegmentLines(rewritten.lines);
+
   return {
-    convertedText,
+    convertedText: convertedTextOf(segments),
     replacements,
-    unresolved
+    unresolved,
+    instructionDiff: rewritten.instructionDiff,
+    annotations: collectAnnotations(segments),
+    diff: wordDiff(segments)
   };
 };
 
+/** Original and converted offsets of an issue's detections, from the conversion annotations. */
+const issueSpans = (annotations, ingredient) =>
+  annotations
+    .filter((a) => (a.type === "replacement" || a.type === "detection") && a.ingredient === ingredient)
+    .map(({ original, converted }) => ({ original, converted }));
+
 /**
  * PURE FUNCTION: Calculate confidence score based on FINAL conversion state
  * 
@@ -323,6 +456,9 @@ export const convertRecipe = (recipeText, userPreferences = {}) => {
       convertedText: "",
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 
@@ -333,6 +469,9 @@ export const convertRecipe = (recipeText, userPreferences = {}) => {
       convertedText: "",
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 
@@ -348,7 +487,7 @@ export const convertRecipe = (recipeText, userPreferences = {}) => {
     // Conversion ALWAYS runs fully, regardless of what will happen in scoring
     const convertStart = Date.now();
     const conversionResult = convertIngredients(trimmedText, detectedIngredients);
-    const { convertedText, replacements, unresolved } = conversionResult;
+    const { convertedText, replacements, unresolved, instructionDiff, annotations, diff } = conversionResult;
     const convertTime = Date.now() - convertStart;
 
     // STEP 3: CALCULATE confidence score (pure scoring, uses FINAL conversion state)
@@ -393,11 +532,14 @@ export const convertRecipe = (recipeText, userPreferences = {}) => {
         // Add knowledge engine fields for frontend enhancement
         inheritedFrom: item.inheritedFrom,
         alternatives: item.alternatives || [],
+        conversionRatio: item.conversionRatio ?? 1,
         eli5: item.eli5,
         trace: item.trace || [],
         status: item.status || "haram",
+        preferenceAdjustments: item.preferenceAdjustments || [], // Which halal_standard / school_of_thought rule changed the status
         references: item.references || [],
-        wasReplaced: wasReplaced // Track if this ingredient was successfully replaced
+        wasReplaced: wasReplaced, // Track if this ingredient was successfully replaced
+        spans: issueSpans(annotations, item.ingredient || item.matchedTerm) // Where it is in originalText / convertedText
       };
     });
 
@@ -409,6 +551,9 @@ export const convertRecipe = (recipeText, userPreferences = {}) => {
       convertedText: convertedText, // Always return converted text, even if low confidence
       issues: issues,
       confidenceScore: finalConfidenceScore, // Score reflects FINAL state after replacements
+      instructionDiff, // Instruction steps rewritten for their substitutes
+      annotations, // Offsets of every detection and edit in both texts
+      diff, // Word-level diff of originalText and convertedText
     };
   } catch (error) {
     console.error("Error in convertRecipe:", error);
@@ -418,6 +563,9 @@ export const convertRecipe = (recipeText, userPreferences = {}) => {
       convertedText: trimmedText,
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 };
@@ -433,6 +581,9 @@ export const convertRecipeHybrid = async (recipeText, userPreferences = {}) => {
       convertedText: "",
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 
@@ -443,6 +594,9 @@ export const convertRecipeHybrid = async (recipeText, userPreferences = {}) => {
       convertedText: "",
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 
@@ -454,7 +608,7 @@ export const convertRecipeHybrid = async (recipeText, userPreferences = {}) => {
 
     const convertStart = Date.now();
     const conversionResult = convertIngredients(trimmedText, detectedIngredients);
-    const { convertedText, replacements, unresolved } = conversionResult;
+    const { convertedText, replacements, unresolved, instructionDiff, annotations, diff } = conversionResult;
     const convertTime = Date.now() - convertStart;
 
     const scoreStart = Date.now();
@@ -484,11 +638,14 @@ export const convertRecipeHybrid = async (recipeText, userPreferences = {}) => {
         reference,
         inheritedFrom: item.inheritedFrom,
         alternatives: item.alternatives || [],
+        conversionRatio: item.conversionRatio ?? 1,
         eli5: item.eli5,
         trace: item.trace || [],
         status: item.status || "haram",
+        preferenceAdjustments: item.preferenceAdjustments || [],
         references: item.references || [],
         wasReplaced,
+        spans: issueSpans(annotations, item.ingredient || item.matchedTerm),
       };
     });
 
@@ -498,6 +655,9 @@ export const convertRecipeHybrid = async (recipeText, userPreferences = {}) => {
       convertedText,
       issues,
       confidenceScore: finalConfidenceScore,
+      instructionDiff,
+      annotations,
+      diff,
     };
   } catch (error) {
     console.error("Error in convertRecipeHybrid:", error);
@@ -506,6 +666,9 @@ export const convertRecipeHybrid = async (recipeText, userPreferences = {}) => {
       convertedText: trimmedText,
       issues: [],
       confidenceScore: 0,
+      instructionDiff: [],
+      annotations: [],
+      diff: [],
     };
   }
 };
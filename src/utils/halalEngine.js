@@ -6,7 +6,8 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { HALAL_RULES } from "./halalRules.js";
+import { HALAL_RULES, resolvePreferences, ruleStatusToVerdict } from "./halalRules.js";
+import { findAdditiveByCode } from "../services/additiveCatalogue.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,7 +43,7 @@ const loadHalalKnowledge = () => {
  */
 function normalizeIngredientName(name) {
   if (!name || typeof name !== "string") return "";
-  return name.toLowerCase().trim().replace(/\s+/g, "_").replace(/[^a-z0_9]/g, "");
+  return name.toLowerCase().trim().replace(/\s+/g, "_").replace(/[^a-z0-9_]/g, "");
 }
 
 /**
@@ -122,6 +123,15 @@ export function getIngredientDetails(ingredientName, userPreferences = {}) {
     }
   }
 
+  // E-number spellings not listed as aliases (e.g. "E 471", "INS 471") resolve via the additive catalogue
+  if (!entry) {
+    const additive = findAdditiveByCode(ingredientName);
+    if (additive?.knowledgeKey && knowledge[additive.knowledgeKey]) {
+      entry = knowledge[additive.knowledgeKey];
+      mainKey = additive.knowledgeKey;
+    }
+  }
+
   if (!entry) {
     return null; // Unknown ingredient
   }
@@ -157,32 +167,27 @@ export function getIngredientDetails(ingredientName, userPreferences = {}) {
 
   // Apply school of thought and strictness rules using HALAL_RULES
   let adjustedStatus = entry.status;
-  const madhab = userPreferences.schoolOfThought || userPreferences.madhab || "no-preference";
-  const strictness = userPreferences.strictnessLevel || userPreferences.strictness || "standard";
+  const { strictness, madhab } = resolvePreferences(userPreferences);
+  const preferenceAdjustments = [];
+  const adjust = (preference, value, rule, ruleStatus) => {
+    const to = ruleStatusToVerdict(ruleStatus);
+    if (to !== adjustedStatus) {
+      preferenceAdjustments.push({ preference, value, rule, from: adjustedStatus, to });
+      adjustedStatus = to;
+    }
+  };
 
   // Apply preference-based rules (only if status is conditional/unknown)
   if (adjustedStatus === "conditional" || adjustedStatus === "unknown") {
     // Apply strictness rules
-    if (tags.includes("gelatin_unknown") && HALAL_RULES.strictness[strictness]?.gelatin_unknown) {
-      const ruleStatus = HALAL_RULES.strictness[strictness].gelatin_unknown;
-      if (ruleStatus !== "conditional") {
-        adjustedStatus = ruleStatus === "questionable" ? "conditional" : ruleStatus;
-        if (ruleStatus === "questionable") adjustedStatus = "conditional";
-      }
-    }
-
-    if (tags.includes("alcohol_trace") && HALAL_RULES.strictness[strictness]?.alcohol_trace) {
-      const ruleStatus = HALAL_RULES.strictness[strictness].alcohol_trace;
-      if (ruleStatus !== "conditional") {
-        adjustedStatus = ruleStatus === "questionable" ? "conditional" : ruleStatus;
-        if (ruleStatus === "questionable") adjustedStatus = "conditional";
-      }
+    for (const tag of ["gelatin_unknown", "alcohol_trace"]) {
+      const ruleStatus = HALAL_RULES.strictness[strictness][tag];
+      if (tags.includes(tag) && ruleStatus) adjust("halal_standard", strictness, tag, ruleStatus);
     }
 
     // Apply madhab rules (only if madhab is specified)
-    if (madhab !== "no-preference" && tags.includes("seafood_shellfish") && HALAL_RULES.madhab[madhab]?.seafood_shellfish) {
-      const ruleStatus = HALAL_RULES.madhab[madhab].seafood_shellfish;
-      adjustedStatus = ruleStatus;
+    if (madhab && tags.includes("seafood_shellfish") && HALAL_RULES.madhab[madhab].seafood_shellfish) {
+      adjust("school_of_thought", madhab, "seafood_shellfish", HALAL_RULES.madhab[madhab].seafood_shellfish);
     }
   }
 
@@ -191,6 +196,7 @@ export function getIngredientDetails(ingredientName, userPreferences = {}) {
     displayName: ingredientName,
     status: adjustedStatus,
     originalStatus: entry.status,
+    preferenceAdjustments,
     alternatives: entry.alternatives || [],
     notes: entry.notes || "",
     eli5: entry.eli5 || "",
@@ -200,6 +206,7 @@ export function getIngredientDetails(ingredientName, userPreferences = {}) {
     severity: entry.confidence_score_base === 0.1 ? "high" :
              entry.confidence_score_base === 0.5 ? "medium" : "low",
     confidenceScore: entry.confidence_score_base || 0.5,
+    conversionRatio: entry.conversion_ratio || null,
     quranReference: entry.references?.find(r => r.toLowerCase().includes("qur'an") || r.toLowerCase().includes("quran")) || "",
     hadithReference: entry.references?.find(r => r.toLowerCase().includes("hadith") || r.toLowerCase().includes("bukhari") || r.toLowerCase().includes("muslim")) || ""
   };
@@ -35,3 +35,38 @@ export const HALAL_RULES = {
     }
   }
 };
+
+const STRICTNESS_LEVELS = Object.keys(HALAL_RULES.strictness);
+const MADHABS = Object.keys(HALAL_RULES.madhab);
+
+/**
+ * Read strictness and madhab from user preferences. Accepts the profile columns
+ * (halal_standard, school_of_thought) as well as the API/camelCase aliases.
+ * Unrecognized values resolve to "standard" and null (no madhab).
+ * @param {Object} [userPreferences]
+ * @returns {{ strictness: string, madhab: string|null }}
+ */
+export function resolvePreferences(userPreferences = {}) {
+  const prefs = userPreferences || {};
+  const strictness = String(
+    prefs.strictnessLevel || prefs.strictness || prefs.halalStandard || prefs.halal_standard || ""
+  ).toLowerCase();
+  // "Shafi'i", "shafi" and "SHAFII" all mean the same school
+  const madhab = String(prefs.schoolOfThought || prefs.madhab || prefs.school_of_thought || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "")
+    .replace(/^shafi$/, "shafii");
+  return {
+    strictness: STRICTNESS_LEVELS.includes(strictness) ? strictness : "standard",
+    madhab: MADHABS.includes(madhab) ? madhab : null,
+  };
+}
+
+/**
+ * Map a HALAL_RULES status to an engine status ("questionable" → "conditional").
+ * @param {string} ruleStatus
+ * @returns {string}
+ */
+export function ruleStatusToVerdict(ruleStatus) {
+  return ruleStatus === "questionable" ? "conditional" : ruleStatus;
+}
@@ -0,0 +1,215 @@
+/**
+ * Instruction-aware rewrite pass for converted recipes.
+ * convertIngredients swaps the matched terms; this pass finds the instruction steps that use a substitute and
+ * adjusts verbs, techniques and cooking times from the substitute's cooking notes
+ * (see services/substituteCookingNotes.js), so "render the bacon fat" does not become "render the turkey bacon fat".
+ */
+
+import { parseIngredientLine, isIngredientLine } from "./quantityParser.js";
+import { SUBSTITUTE_COOKING_NOTES } from "../services/substituteCookingNotes.js";
+import { textSegment, convertedTextOf, replaceConverted } from "./textSegments.js";
+
+const STEPS_HEADING = /^\s*(?:instructions|directions|method|steps|preparation)\s*:?\s*$/i;
+const HEADING = /^\s*[\p{L} ]{1,30}:\s*$/u;
+const NUMBERED_STEP = /^\s*(?:step\s*)?\d+\s*[.):]\s+\S/i;
+/** Without a steps heading, an unnumbered line needs this many words to read as a step rather than a note. */
+const MIN_STEP_WORDS = 4;
+const DURATION = /(\d+(?:\.\d+)?)(?:(\s*(?:-|–|to)\s*)(\d+(?:\.\d+)?))?(\s*)(seconds?|secs?|minutes?|mins?|hours?|hrs?)\b/gi;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Instruction steps of a recipe: the lines after an "Instructions:" / "Method:" heading, or, without one,
+ * lines that are numbered or read as a sentence. Ingredient lines and headings are never steps.
+ * @param {string} recipeText
+ * @returns {Array<{ line: number, text: string }>} line is the index in recipeText.split("\n")
+ */
+export function findInstructionSteps(recipeText) {
+  const lines = String(recipeText || "").split("\n");
+  const headingIndex = lines.findIndex((line) => STEPS_HEADING.test(line));
+
+  return lines
+    .map((text, line) => ({ line, text }))
+    .filter(({ line, text }) => {
+      if (!text.trim() || line <= headingIndex || HEADING.test(text)) return false;
+      if (NUMBERED_STEP.test(text)) return true;
+      if (isIngredientLine(parseIngredientLine(text))) return false;
+      return headingIndex >= 0 || text.trim().split(/\s+/).length >= MIN_STEP_WORDS;
+    });
+}
+
+/** Keep the capital of a step's first word when the rewrite replaces it. */
+function matchCase(match, replacement) {
+  return match[0] === match[0].toUpperCase() && match[0] !== match[0].toLowerCase()
+    ? replacement.charAt(0).toUpperCase() + replacement.slice(1)
+    : replacement;
+}
+
+function formatDurationUnit(unit, value) {
+  const word = unit.toLowerCase().match(/^(second|minute|hour)s?$/);
+  if (!word) return unit;
+  return value === 1 ? word[1] : `${word[1]}s`;
+}
+
+/**
+ * Scale "10 minutes" / "2-3 hours" by factor. Minutes round to whole minutes, seconds to 5, hours to half hours;
+ * hours that drop below one become minutes.
+ */
+function scaleDuration(low, separator, high, space, unit, factor) {
+  let values = [low, high].filter((v) => v != null).map((v) => Number(v) * factor);
+  let step = /^h/i.test(unit) ? 0.5 : /^s/i.test(unit) ? 5 : 1;
+  if (/^h/i.test(unit) && Math.max(...values) < 1) {
+    values = values.map((v) => v * 60);
+    unit = "minutes";
+    step = 5;
+  }
+  values = values.map((v) => Math.max(step, Math.round(v / step) * step));
+  const amount = values.length > 1 ? `${values[0]}${separator}${values[1]}` : `${values[0]}`;
+  return `${amount}${space}${formatDurationUnit(unit, values[values.length - 1])}`;
+}
+
+/**
+ * Apply edits ({ start, end, to, change }, converted offsets, non-overlapping, in order) to a step's segments,
+ * right to left so earlier offsets stay valid.
+ */
+function applyStepEdits(segments, edits, step) {
+  for (const { start, end, to, change } of [...edits].reverse()) {
+    segments = replaceConverted(segments, start, end, to, {
+      type: "instruction",
+      step,
+      change: change.type,
+      substitute: change.substitute,
+      note: change.note,
+    });
+  }
+  return segments;
+}
+
+/**
+ * Apply one substitute's cooking notes to a step.
+ * @param {Segment[]} segments - The step's line (see textSegments.js)
+ * @returns {{ segments: Segment[], changes: Array<{ type: string, substitute: string, from: string, to: string, note: string }> }}
+ */
+function applyCookingNotes(segments, substitute, notes, step) {
+  const changes = [];
+  const sub = `(?:${escapeRegExp(substitute)})`;
+
+  // Times first, so durations a rewrite adds ("simmer for 2 minutes") are not scaled
+  for (const rule of notes.times || []) {
+    const when = new RegExp(rule.when, "i");
+    const edits = [];
+    let offset = 0;
+    for (const sentence of convertedTextOf(segments).split(/(?<=[.!?])(\s+)/)) {
+      if (when.test(sentence)) {
+        for (const match of sentence.matchAll(DURATION)) {
+          const [, low, separator, high, space, unit] = match;
+          const to = scaleDuration(low, separator, high, space, unit, rule.factor);
+          if (to === match[0]) continue;
+          const change = { type: "time", substitute, from: match[0], to, note: rule.note };
+          edits.push({ start: offset + match.index, end: offset + match.index + match[0].length, to, change });
+        }
+      }
+      offset += sentence.length;
+    }
+    changes.push(...edits.map((e) => e.change));
+    segments = applyStepEdits(segments, edits, step);
+  }
+
+  for (const rule of notes.rewrites || []) {
+    const pattern = new RegExp(`\\b(?:${rule.pattern.replaceAll("{sub}", sub)})`, "gi");
+    const edits = [...convertedTextOf(segments).matchAll(pattern)].map((match) => {
+      const groups = match.slice(1);
+      const to = matchCase(
+        match[0],
+        rule.replacement.replaceAll("{sub}", substitute).replace(/\$(\d)/g, (_, n) => groups[n - 1] ?? "")
+      );
+      const change = { type: "technique", substitute, from: match[0], to, note: rule.note };
+      return { start: match.index, end: match.index + match[0].length, to, change };
+    });
+    changes.push(...edits.map((e) => e.change));
+    segments = applyStepEdits(segments, edits, step);
+  }
+
+  return { segments, changes };
+}
+
+/**
+ * Rewrite the instruction steps that use a substituted ingredient.
+ * A step is tied to a substitution when its original line mentions the replaced term; the substitute's
+ * cooking notes then adjust the converted line. Steps are compared line for line, which holds because
+ * convertIngredients replaces within lines.
+ *
+ * @param {string} originalText - Recipe text before conversion
+ * @param {Array<Segment[]>} lines - Converted recipe as segments per line, after term replacement
+ * @param {Array<{ original: string, replacement: string, terms?: string[] }>} replacements - From
+ *   convertIngredients; terms are all the matched spellings of original ("red wine", "wine")
+ * @returns {{
+ *   lines: Array<Segment[]>,
+ *   instructionDiff: Array<{
+ *     step: number,
+ *     original: string,
+ *     converted: string,
+ *     substitutions: Array<{ original: string, replacement: string, note: string|null }>,
+ *     changes: Array<{ type: 'technique'|'time', substitute: string, from: string, to: string, note: string }>
+ *   }>
+ * }} step is the 1-based position among the recipe's instruction steps. Every rewrite is also recorded on the
+ *   segments as an "instruction" annotation.
+ */
+export function rewriteInstructionSegments(originalText, lines, replacements) {
+  const originalLines = originalText.split("\n");
+  const instructionDiff = [];
+  if (!Array.isArray(replacements) || replacements.length === 0 || originalLines.length !== lines.length) {
+    return { lines, instructionDiff };
+  }
+  lines = [...lines];
+
+  findInstructionSteps(originalText).forEach(({ line }, index) => {
+    const used = replacements.filter((r) =>
+      (r.terms || [r.original]).some((term) =>
+        new RegExp(`\\b${escapeRegExp(term)}\\b`, "i").test(originalLines[line])
+      )
+    );
+    if (used.length === 0) return;
+
+    let segments = lines[line];
+    const changes = [];
+    for (const { replacement } of used) {
+      const notes = SUBSTITUTE_COOKING_NOTES[replacement];
+      if (!notes) continue;
+      const applied = applyCookingNotes(segments, replacement, notes, index + 1);
+      segments = applied.segments;
+      changes.push(...applied.changes);
+    }
+
+    lines[line] = segments;
+    instructionDiff.push({
+      step: index + 1,
+      original: originalLines[line],
+      converted: convertedTextOf(segments),
+      substitutions: used.map(({ original, replacement }) => ({
+        original,
+        replacement,
+        note: SUBSTITUTE_COOKING_NOTES[replacement]?.note || null,
+      })),
+      changes,
+    });
+  });
+
+  return { lines, instructionDiff };
+}
+
+/**
+ * rewriteInstructionSegments for plain strings.
+ * @param {string} originalText - Recipe text before conversion
+ * @param {string} convertedText - Recipe text after term replacement
+ * @param {Array<{ original: string, replacement: string }>} replacements
+ * @returns {{ convertedText: string, instructionDiff: Array<object> }}
+ */
+export function rewriteInstructionSteps(originalText, convertedText, replacements) {
+  const { lines, instructionDiff } = rewriteInstructionSegments(
+    originalText,
+    convertedText.split("\n").map((line) => [textSegment(line)]),
+    replacements
+  );
+  return { convertedText: lines.map(convertedTextOf).join("\n"), instructionDiff };
+}
@@ -0,0 +1,110 @@
+/**
+ * Minimal PDF writer for plain text documents (shopping lists, exports).
+ * Standard Helvetica fonts, A4 pages, automatic page breaks; no external dependency.
+ * Characters outside Latin-1 are replaced with "?" (standard fonts have no wider glyph set).
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const DEFAULT_SIZE = 11;
+const LINE_SPACING = 1.4;
+
+function escapePdfText(text) {
+  return String(text)
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/\\/g, "\\\\")
+    .replace(/\(/g, "\\(")
+    .replace(/\)/g, "\\)");
+}
+
+// Rough wrap by character count; Helvetica averages ~0.5em per glyph
+function wrapLine(text, size) {
+  const maxChars = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * 0.5));
+  if (text.length <= maxChars) return [text];
+  const words = text.split(" ");
+  const lines = [];
+  let current = "";
+  for (const word of words) {
+    if (current && (current + " " + word).length > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Lay out lines into pages of content-stream operators.
+ * @param {Array<string | { text: string, bold?: boolean, size?: number }>} lines
+ * @returns {string[]} One content stream per page
+ */
+function layoutPages(lines) {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const { text = "", bold = false, size = DEFAULT_SIZE } = typeof line === "string" ? { text: line } : line;
+    const leading = size * LINE_SPACING;
+    for (const part of wrapLine(text, size)) {
+      if (y - leading < MARGIN) {
+        pages.push(ops.join("\n"));
+        ops = [];
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      if (part) {
+        ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${MARGIN} ${y.toFixed(1)} Td (${escapePdfText(part)}) Tj ET`);
+      }
+    }
+  }
+  pages.push(ops.join("\n"));
+  return pages;
+}
+
+/**
+ * Render text lines as a PDF document.
+ * @param {Array<string | { text: string, bold?: boolean, size?: number }>} lines
+ * @param {object} [options] - { title }
+ * @returns {Buffer}
+ */
+export function renderTextPdf(lines, options = {}) {
+  const pages = layoutPages(Array.isArray(lines) ? lines : []);
+  const objects = [];
+  const pageCount = pages.length;
+  // 1 catalog, 2 pages, 3 regular font, 4 bold font, 5 info, then page/content pairs
+  const pageObjectIds = pages.map((_, i) => 6 + i * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageCount} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[4] = "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+  objects[5] = `<< /Title (${escapePdfText(options.title || "")}) /Producer (Halal Kitchen) >>`;
+
+  pages.forEach((content, i) => {
+    const pageId = pageObjectIds[i];
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`;
+  });
+
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(out, "latin1");
+    out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    out += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(out, "latin1");
+}
@@ -1,5 +1,161 @@
+import { parseIngredientLine, UNITS } from "./quantityParser.js";
+
+// Fractions cooks actually write; anything else is shown as a decimal
+const FRACTION_DISPLAY = [
+  [1 / 8, "1/8"],
+  [1 / 4, "1/4"],
+  [1 / 3, "1/3"],
+  [3 / 8, "3/8"],
+  [1 / 2, "1/2"],
+  [5 / 8, "5/8"],
+  [2 / 3, "2/3"],
+  [3 / 4, "3/4"],
+  [7 / 8, "7/8"],
+];
+const FRACTION_TOLERANCE = 0.01;
+
 // Applies conversion ratio to the quantity
 export function applyConversionRatio(quantity, ratio) {
   if (!quantity || !ratio) return quantity;
   return Number((quantity * ratio).toFixed(2));
 }
+
+/**
+ * Parse a knowledge-base conversion ratio ("1:0.75", "1:1", 0.5) into a multiplier.
+ * Unknown or malformed ratios are treated as 1 (same amount).
+ * @param {string|number|null|undefined} ratio
+ * @returns {number}
+ */
+export function parseConversionRatio(ratio) {
+  if (typeof ratio === "number") return ratio > 0 && Number.isFinite(ratio) ? ratio : 1;
+  if (!ratio || typeof ratio !== "string") return 1;
+  const m = ratio.trim().match(/^(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+  if (m) {
+    const from = Number(m[1]);
+    const to = Number(m[2]);
+    return from > 0 && to > 0 ? to / from : 1;
+  }
+  const n = Number(ratio);
+  return n > 0 && Number.isFinite(n) ? n : 1;
+}
+
+/**
+ * Format a quantity for display: whole numbers, common fractions ("1 1/2"), else up to 2 decimals.
+ * @param {number} quantity
+ * @returns {string}
+ */
+export function formatQuantity(quantity) {
+  if (quantity == null || !Number.isFinite(quantity)) return "";
+  const whole = Math.floor(quantity + FRACTION_TOLERANCE);
+  const frac = quantity - whole;
+  if (Math.abs(frac) < FRACTION_TOLERANCE) return String(whole);
+  const match = FRACTION_DISPLAY.find(([value]) => Math.abs(frac - value) < FRACTION_TOLERANCE);
+  if (match) return whole > 0 ? `${whole} ${match[1]}` : match[1];
+  return String(Number(quantity.toFixed(2)));
+}
+
+/**
+ * Convert between units of the same type (volume ↔ volume, mass ↔ mass).
+ * @param {number} quantity
+ * @param {string} fromUnit - canonical unit (see UNITS)
+ * @param {string} toUnit - canonical unit
+ * @returns {number|null} null when either unit is unknown, a count unit, or the types differ
+ */
+export function convertUnit(quantity, fromUnit, toUnit) {
+  const from = UNITS[fromUnit];
+  const to = UNITS[toUnit];
+  if (quantity == null || !from || !to || !from.toBase || !to.toBase || from.type !== to.type) return null;
+  return Number(((quantity * from.toBase) / to.toBase).toFixed(3));
+}
+
+/**
+ * Scale the leading amount of an ingredient line by ratio, keeping the rest of the line as written.
+ * "2-3 cups red wine" × 0.75 → "1 1/2-2 1/4 cups red wine".
+ * @param {string} line
+ * @param {number} ratio
+ * @returns {{ line: string, scaled: boolean, parsed: object|null, quantity: number|null, quantityMax: number|null }}
+ */
+export function scaleIngredientLine(line, ratio) {
+  const parsed = parseIngredientLine(line);
+  if (!parsed || parsed.quantity == null || !ratio || ratio === 1) {
+    return { line, scaled: false, parsed, quantity: parsed?.quantity ?? null, quantityMax: parsed?.quantityMax ?? null };
+  }
+
+  const quantity = applyConversionRatio(parsed.quantity, ratio);
+  const quantityMax = parsed.quantityMax != null ? applyConversionRatio(parsed.quantityMax, ratio) : null;
+  const separator = /\bto\b/i.test(parsed.quantityText) ? " to " : "-";
+  const formatted =
+    quantityMax != null ? `${formatQuantity(quantity)}${separator}${formatQuantity(quantityMax)}` : formatQuantity(quantity);
+  const start = parsed.quantityIndex;
+
+  return {
+    line: line.slice(0, start) + formatted + line.slice(start + parsed.quantityText.length),
+    scaled: true,
+    parsed,
+    quantity,
+    quantityMax,
+  };
+}
+
+/** Unit systems accepted by convertToUnitSystem. */
+export const UNIT_SYSTEMS = Object.freeze(["metric", "us"]);
+
+// Spoon measures are used as-is in both systems
+const SPOON_UNITS = new Set(["tsp", "tbsp"]);
+
+const UNIT_LABELS = { fl_oz: "fl oz" };
+
+/**
+ * Display label for a canonical unit ("cup" → "cups" when quantity > 1).
+ * @param {string} unit
+ * @param {number} [quantity]
+ * @returns {string}
+ */
+export function formatUnit(unit, quantity = 1) {
+  if (!unit) return "";
+  if (unit === "cup") return quantity > 1 ? "cups" : "cup";
+  return UNIT_LABELS[unit] || unit;
+}
+
+function pickTargetUnit(baseAmount, type, system) {
+  if (system === "metric") {
+    if (type === "volume") return baseAmount >= 1000 ? "l" : "ml";
+    return baseAmount >= 1000 ? "kg" : "g";
+  }
+  if (type === "volume") {
+    if (baseAmount >= UNITS.cup.toBase / 4) return "cup";
+    return baseAmount >= UNITS.tbsp.toBase ? "tbsp" : "tsp";
+  }
+  return baseAmount >= UNITS.lb.toBase ? "lb" : "oz";
+}
+
+// Round to what a cook can measure: whole ml/g, 1/8 cup, 1/4 spoon/oz/lb, 2 decimals for l/kg
+function roundForUnit(quantity, unit) {
+  if (unit === "ml" || unit === "g") return Math.max(1, Math.round(quantity));
+  if (unit === "l" || unit === "kg") return Number(quantity.toFixed(2));
+  const step = unit === "cup" ? 8 : 4;
+  return Math.max(1 / step, Math.round(quantity * step) / step);
+}
+
+/**
+ * Convert an amount to the metric or US system. Only converts units from the other system;
+ * spoon measures and count units (can, clove, pinch) are left as they are.
+ * @param {number} quantity
+ * @param {string} unit - canonical unit
+ * @param {'metric'|'us'} system
+ * @param {number|null} [quantityMax] - upper bound of a range, converted to the same unit
+ * @returns {{ quantity: number, quantityMax: number|null, unit: string } | null} null when no conversion applies
+ */
+export function convertToUnitSystem(quantity, unit, system, quantityMax = null) {
+  const def = UNITS[unit];
+  if (quantity == null || !def || !def.toBase || SPOON_UNITS.has(unit)) return null;
+  const sourceSystem = def.system === "metric" ? "metric" : "us";
+  if (!UNIT_SYSTEMS.includes(system) || sourceSystem === system) return null;
+
+  const target = pickTargetUnit(quantity * def.toBase, def.type, system);
+  return {
+    quantity: roundForUnit(convertUnit(quantity, unit, target), target),
+    quantityMax: quantityMax != null ? roundForUnit(convertUnit(quantityMax, unit, target), target) : null,
+    unit: target,
+  };
+}
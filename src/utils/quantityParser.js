@@ -1,15 +1,256 @@
-// Parses each ingredient line into quantity, unit, ingredient
+// Parses ingredient lines into quantity, unit, size, ingredient and note.
+// Handles mixed numbers ("1 1/2"), unicode fractions ("½", "1½"), ranges ("2-3", "2 to 3"),
+// metric/imperial units, package sizes ("1 (14 oz) can") and trailing notes (", chopped", "(optional)").
+
+const UNICODE_FRACTIONS = {
+  "½": 1 / 2,
+  "⅓": 1 / 3,
+  "⅔": 2 / 3,
+  "¼": 1 / 4,
+  "¾": 3 / 4,
+  "⅕": 1 / 5,
+  "⅛": 1 / 8,
+  "⅜": 3 / 8,
+  "⅝": 5 / 8,
+  "⅞": 7 / 8,
+};
+
+/**
+ * Unit table: canonical unit -> { type, system, toBase, aliases }.
+ * toBase converts to millilitres (volume) or grams (mass); count units have no base.
+ */
+export const UNITS = Object.freeze({
+  tsp: { type: "volume", system: "imperial", toBase: 4.92892, aliases: ["tsp", "tsps", "teaspoon", "teaspoons"] },
+  tbsp: { type: "volume", system: "imperial", toBase: 14.7868, aliases: ["tbsp", "tbsps", "tbs", "tablespoon", "tablespoons"] },
+  fl_oz: { type: "volume", system: "imperial", toBase: 29.5735, aliases: ["fl oz", "fluid ounce", "fluid ounces"] },
+  cup: { type: "volume", system: "imperial", toBase: 236.588, aliases: ["cup", "cups", "c"] },
+  pint: { type: "volume", system: "imperial", toBase: 473.176, aliases: ["pint", "pints", "pt"] },
+  quart: { type: "volume", system: "imperial", toBase: 946.353, aliases: ["quart", "quarts", "qt"] },
+  gallon: { type: "volume", system: "imperial", toBase: 3785.41, aliases: ["gallon", "gallons", "gal"] },
+  ml: { type: "volume", system: "metric", toBase: 1, aliases: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"] },
+  cl: { type: "volume", system: "metric", toBase: 10, aliases: ["cl", "centiliter", "centiliters", "centilitre", "centilitres"] },
+  dl: { type: "volume", system: "metric", toBase: 100, aliases: ["dl", "deciliter", "deciliters", "decilitre", "decilitres"] },
+  l: { type: "volume", system: "metric", toBase: 1000, aliases: ["l", "liter", "liters", "litre", "litres"] },
+  oz: { type: "mass", system: "imperial", toBase: 28.3495, aliases: ["oz", "ounce", "ounces"] },
+  lb: { type: "mass", system: "imperial", toBase: 453.592, aliases: ["lb", "lbs", "pound", "pounds"] },
+  mg: { type: "mass", system: "metric", toBase: 0.001, aliases: ["mg", "milligram", "milligrams"] },
+  g: { type: "mass", system: "metric", toBase: 1, aliases: ["g", "gr", "gram", "grams", "gramme", "grammes"] },
+  kg: { type: "mass", system: "metric", toBase: 1000, aliases: ["kg", "kgs", "kilogram", "kilograms"] },
+  pinch: { type: "count", system: null, toBase: null, aliases: ["pinch", "pinches"] },
+  dash: { type: "count", system: null, toBase: null, aliases: ["dash", "dashes"] },
+  clove: { type: "count", system: null, toBase: null, aliases: ["clove", "cloves"] },
+  can: { type: "count", system: null, toBase: null, aliases: ["can", "cans", "tin", "tins"] },
+  package: { type: "count", system: null, toBase: null, aliases: ["package", "packages", "pkg", "packet", "packets"] },
+  stick: { type: "count", system: null, toBase: null, aliases: ["stick", "sticks"] },
+  slice: { type: "count", system: null, toBase: null, aliases: ["slice", "slices"] },
+  piece: { type: "count", system: null, toBase: null, aliases: ["piece", "pieces", "pc", "pcs"] },
+  bunch: { type: "count", system: null, toBase: null, aliases: ["bunch", "bunches"] },
+  sprig: { type: "count", system: null, toBase: null, aliases: ["sprig", "sprigs"] },
+  handful: { type: "count", system: null, toBase: null, aliases: ["handful", "handfuls"] },
+});
+
+// Single-letter spoon abbreviations, where case carries the meaning: "1 T sugar" is a tablespoon, "1 t salt" a teaspoon
+const CASE_SENSITIVE_UNITS = Object.freeze({ T: "tbsp", t: "tsp" });
+
+const ALIAS_TO_UNIT = new Map();
+const COMPACT_ALIAS_TO_UNIT = new Map();
+for (const [unit, def] of Object.entries(UNITS)) {
+  for (const alias of def.aliases) {
+    ALIAS_TO_UNIT.set(alias, unit);
+    COMPACT_ALIAS_TO_UNIT.set(alias.replace(/\s/g, ""), unit);
+  }
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join("");
+const NUM = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\s*[${FRACTION_CHARS}]|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?|[${FRACTION_CHARS}])`;
+// Longest aliases first so "fl oz" wins over "oz" and "tbsp" over "tbs"
+const UNIT_ALT = [...ALIAS_TO_UNIT.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map((a) => escapeRegex(a).replace(/\s/g, "\\.?\\s*"))
+  .join("|");
+
+const LEADING_QUANTITY = new RegExp(`^(${NUM})(?:\\s*(-|–|to)\\s*(${NUM}))?`, "i");
+const SIZE = new RegExp(`^\\s*\\(\\s*(${NUM})\\s*(${UNIT_ALT})\\.?\\s*\\)`, "i");
+const UNIT = new RegExp(`^\\s*(${UNIT_ALT})(?![a-z])\\.?`, "i");
+const SPOON_LETTER = /^\s*([Tt])(?![A-Za-z'-])\.?/;
+const BULLET = /^\s*(?:[-*•·]\s+|\d+[.)]\s+)/;
+
+// Lines with a leading number that are steps, not ingredients ("2 minutes later stir")
+const TIME_WORDS = /^(?:sec(?:ond)?s?|min(?:ute)?s?|hours?|hrs?|days?)\b/i;
+// Oven temperatures ("350°F", "180 degrees", "350 F oven"); a bare C only from 100 up, below that it is cups
+const DEGREES = /^\s*(?:[°º]|deg(?:ree)?s?\b)/i;
+const SCALE_LETTER = /^\s*([FC])\b/;
+const MIN_OVEN_TEMPERATURE = 100;
+
+// Ingredients counted without a unit ("2 eggs", "3 chicken breasts"); a unitless line needs one of these
+const COUNT_NOUNS = [
+  "egg", "yolk", "onion", "shallot", "scallion", "leek", "garlic", "lemon", "lime", "orange", "apple", "pear",
+  "banana", "peach", "mango", "avocado", "tomato", "potato", "carrot", "celery", "cucumber", "zucchini",
+  "courgette", "eggplant", "aubergine", "pepper", "chili", "chilli", "chile", "jalapeno", "mushroom", "date",
+  "fig", "apricot", "olive", "leaf", "pod", "anise", "chicken", "breast", "thigh", "drumstick", "wing",
+  "fillet", "filet", "steak", "chop", "shank", "sausage", "meatball", "patty", "shrimp", "prawn", "scallop",
+  "tortilla", "pita", "bun", "roll", "bagel", "muffin", "cracker", "biscuit", "cookie", "sheet",
+];
+const COUNT_NOUN_FORMS = new Set([
+  ...COUNT_NOUNS.flatMap((noun) => [noun, `${noun}s`, `${noun}es`]),
+  "leaves", "patties", "chillies", "chilies",
+]);
+
+/**
+ * Parse a numeric quantity token: "2", "1.5", "1,5", "1/2", "1 1/2", "½", "1½".
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseQuantity(text) {
+  if (text == null) return null;
+  const s = String(text).trim();
+  if (!s) return null;
+
+  let m = s.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (m) return Number(m[3]) === 0 ? null : Number(m[1]) + Number(m[2]) / Number(m[3]);
+
+  m = s.match(new RegExp(`^(\\d+)?\\s*([${FRACTION_CHARS}])$`));
+  if (m) return (m[1] ? Number(m[1]) : 0) + UNICODE_FRACTIONS[m[2]];
+
+  m = s.match(/^(\d+)\/(\d+)$/);
+  if (m) return Number(m[2]) === 0 ? null : Number(m[1]) / Number(m[2]);
+
+  m = s.match(/^\d+(?:[.,]\d+)?$/);
+  if (m) return Number(s.replace(",", "."));
+
+  return null;
+}
+
+/**
+ * Resolve a unit alias ("Tablespoons", "fl. oz", "g", "T") to its canonical unit, or null.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function normalizeUnit(text) {
+  if (!text) return null;
+  const letter = CASE_SENSITIVE_UNITS[String(text).trim().replace(/\.$/, "")];
+  if (letter) return letter;
+  const key = String(text).toLowerCase().replace(/\./g, " ").replace(/\s+/g, " ").trim();
+  return ALIAS_TO_UNIT.get(key) || COMPACT_ALIAS_TO_UNIT.get(key.replace(/\s/g, "")) || null;
+}
+
+/**
+ * Split the remainder of a line into ingredient and note.
+ * Parenthetical text and anything after the first comma are treated as notes.
+ */
+function splitIngredientAndNote(rest) {
+  const notes = [];
+  let text = rest.replace(/\(([^)]*)\)/g, (_, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return " ";
+  });
+  const comma = text.indexOf(",");
+  if (comma >= 0) {
+    const after = text.slice(comma + 1).trim();
+    if (after) notes.push(after);
+    text = text.slice(0, comma);
+  }
+  return {
+    ingredient: text.replace(/^\s*of\s+/i, "").replace(/\s+/g, " ").trim().toLowerCase(),
+    note: notes.length ? notes.join("; ") : null,
+  };
+}
+
+/**
+ * Parse one ingredient line.
+ * quantity is the lower bound for ranges (quantityMax holds the upper bound); null when the line has no amount.
+ * quantityText is the exact leading amount as written and quantityIndex its offset in the line;
+ * amountEnd is where the whole amount (quantity, size and unit) ends. Callers use these to rewrite amounts in place.
+ *
+ * @param {string} line
+ * @returns {{
+ *   raw: string,
+ *   quantity: number|null,
+ *   quantityMax: number|null,
+ *   quantityText: string|null,
+ *   quantityIndex: number|null,
+ *   amountEnd: number|null,
+ *   unit: string,
+ *   unitText: string|null,
+ *   size: { quantity: number, unit: string } | null,
+ *   ingredient: string,
+ *   note: string|null
+ * } | null}
+ */
 export function parseIngredientLine(line) {
-  const regex =
-    /(\d+(\.\d+)?)\s*(g|kg|oz|lb|tsp|tbsp|cup)?\s+(.*)/i;
+  if (!line || typeof line !== "string" || !line.trim()) return null;
 
-  const match = line.match(regex);
+  const bullet = line.match(BULLET);
+  const afterBullet = bullet ? line.slice(bullet[0].length) : line;
+  const contentStart = line.length - afterBullet.trimStart().length;
+  let rest = afterBullet.trim();
+  let quantity = null;
+  let quantityMax = null;
+  let quantityText = null;
+  let unit = "";
+  let unitText = null;
+  let size = null;
+  let amountLength = 0;
 
-  if (!match) return null;
+  const q = rest.match(LEADING_QUANTITY);
+  if (q) {
+    quantity = parseQuantity(q[1]);
+    quantityMax = q[3] ? parseQuantity(q[3]) : null;
+    quantityText = q[0];
+    rest = rest.slice(q[0].length);
+    amountLength += q[0].length;
+
+    const s = rest.match(SIZE);
+    if (s) {
+      size = { quantity: parseQuantity(s[1]), unit: normalizeUnit(s[2]) };
+      rest = rest.slice(s[0].length);
+      amountLength += s[0].length;
+    }
+
+    const u = rest.match(UNIT) || rest.match(SPOON_LETTER);
+    if (u) {
+      unit = normalizeUnit(u[1]) || "";
+      unitText = u[1];
+      rest = rest.slice(u[0].length);
+      amountLength += u[0].length;
+    }
+  }
+
+  const { ingredient, note } = splitIngredientAndNote(rest);
 
   return {
-    quantity: parseFloat(match[1]),
-    unit: match[3] || "",
-    ingredient: match[4].toLowerCase().trim()
+    raw: line,
+    quantity,
+    quantityMax,
+    quantityText,
+    quantityIndex: quantityText != null ? contentStart : null,
+    amountEnd: quantityText != null ? contentStart + amountLength : null,
+    unit,
+    unitText,
+    size,
+    ingredient,
+    note,
   };
 }
+
+/** Whether the amount is an oven temperature ("350°F", "350 F oven", "180 C"). */
+function isTemperature(parsed) {
+  const after = parsed.raw.slice(parsed.quantityIndex + parsed.quantityText.length);
+  if (DEGREES.test(after)) return true;
+  const letter = after.match(SCALE_LETTER);
+  return Boolean(letter) && (letter[1] === "F" || parsed.quantity >= MIN_OVEN_TEMPERATURE);
+}
+
+/**
+ * Whether a parsed line reads as an ingredient with an amount rather than a numbered step, timing or temperature.
+ * The amount needs a known unit or size, or the ingredient must name something counted whole ("2 eggs").
+ * @param {ReturnType<typeof parseIngredientLine>} parsed
+ * @returns {boolean}
+ */
+export function isIngredientLine(parsed) {
+  if (!parsed || parsed.quantity == null || !parsed.ingredient) return false;
+  if (TIME_WORDS.test(parsed.ingredient) || isTemperature(parsed)) return false;
+  return Boolean(parsed.unit || parsed.size) || parsed.ingredient.split(/[^a-z]+/).some((word) => COUNT_NOUN_FORMS.has(word));
+}
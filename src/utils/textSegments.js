@@ -0,0 +1,215 @@
+/**
+ * Converted text kept as segments of the original text: each segment pairs a piece of the original with what it
+ * became. The conversion passes (term replacement, quantity scaling, instruction rewriting) edit segments instead
+ * of strings, so every edit can be traced to character offsets in both texts and turned into a word-level diff.
+ *
+ * Segment: { original: string, converted: string, annotations: Annotation[] }
+ *   Plain text has no annotations (original === converted) and may be split; annotated segments never are.
+ * Annotation: { type, ...details, original: [start, end], converted: [start, end] } with offsets inside the segment.
+ * Offsets count UTF-16 code units, like String.prototype.slice.
+ */
+
+/** Diff tokens: amounts ("1 1/2", "3/4", "0.5") count as one word, so a rescaled amount is replaced whole. */
+const WORD_TOKEN = /\d+(?:[.,/]\d+)*(?: \d+\/\d+)?|[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu;
+
+/** Unchanged text. */
+export function textSegment(text) {
+  return { original: text, converted: text, annotations: [] };
+}
+
+/** original replaced by converted, described by annotation ({ type, ...details }). */
+export function editSegment(original, converted, annotation) {
+  return {
+    original,
+    converted,
+    annotations: [{ ...annotation, original: [0, original.length], converted: [0, converted.length] }],
+  };
+}
+
+/**
+ * Segments for text with edits applied. An edit overlapping an earlier one is skipped.
+ * @param {string} text
+ * @param {Array<{ start: number, end: number, replacement: string, annotation: object }>} edits - Sorted by start
+ * @returns {Segment[]}
+ */
+export function applyEdits(text, edits) {
+  const segments = [];
+  let cursor = 0;
+  for (const edit of edits) {
+    if (edit.start < cursor) continue;
+    if (edit.start > cursor) segments.push(textSegment(text.slice(cursor, edit.start)));
+    segments.push(editSegment(text.slice(edit.start, edit.end), edit.replacement, edit.annotation));
+    cursor = edit.end;
+  }
+  if (cursor < text.length) segments.push(textSegment(text.slice(cursor)));
+  return segments;
+}
+
+export function convertedTextOf(segments) {
+  return segments.map((s) => s.converted).join("");
+}
+
+/** Lines of segments joined with unchanged newlines. */
+export function joinSegmentLines(lines) {
+  return lines.flatMap((line, i) => (i === 0 ? line : [textSegment("\n"), ...line]));
+}
+
+/**
+ * Replace converted[start, end) with text. The range grows to cover any annotated segment it touches; the
+ * annotations of the merged segments are kept and point at the same text in the result when it is still
+ * there (case-insensitive), otherwise at the whole replacement.
+ * @param {Segment[]} segments
+ * @param {number} start - Offset in convertedTextOf(segments)
+ * @param {number} end
+ * @param {string} text
+ * @param {object} annotation - { type, ...details } for this edit
+ * @returns {Segment[]}
+ */
+export function replaceConverted(segments, start, end, text, annotation) {
+  const before = [];
+  const inside = [];
+  const after = [];
+  let insideStart = null;
+  let position = 0;
+
+  for (const segment of segments) {
+    const segmentStart = position;
+    const segmentEnd = position + segment.converted.length;
+    position = segmentEnd;
+
+    if (segmentEnd <= start && !(segmentStart === start && segmentEnd === start && inside.length)) {
+      before.push(segment);
+    } else if (segmentStart >= end && segmentStart > start) {
+      after.push(segment);
+    } else if (segment.annotations.length) {
+      insideStart ??= segmentStart;
+      inside.push(segment);
+    } else {
+      const head = Math.max(0, start - segmentStart);
+      const tail = Math.min(segment.converted.length, end - segmentStart);
+      if (head > 0) before.push(textSegment(segment.converted.slice(0, head)));
+      insideStart ??= segmentStart + head;
+      inside.push(textSegment(segment.converted.slice(head, tail)));
+      if (tail < segment.converted.length) after.push(textSegment(segment.converted.slice(tail)));
+    }
+  }
+  insideStart ??= start;
+
+  const insideConverted = convertedTextOf(inside);
+  const converted = insideConverted.slice(0, start - insideStart) + text + insideConverted.slice(end - insideStart);
+  const annotations = [];
+  let originalOffset = 0;
+  for (const segment of inside) {
+    for (const kept of segment.annotations) {
+      const keptText = segment.converted.slice(kept.converted[0], kept.converted[1]).toLowerCase();
+      const found = keptText ? converted.toLowerCase().indexOf(keptText) : -1;
+      annotations.push({
+        ...kept,
+        original: [kept.original[0] + originalOffset, kept.original[1] + originalOffset],
+        converted: found >= 0 ? [found, found + keptText.length] : [0, converted.length],
+      });
+    }
+    originalOffset += segment.original.length;
+  }
+  annotations.push({
+    ...annotation,
+    original: [0, originalOffset],
+    converted: [start - insideStart, start - insideStart + text.length],
+  });
+
+  const merged = { original: inside.map((s) => s.original).join(""), converted, annotations };
+  return [...before, merged, ...after];
+}
+
+/**
+ * Every annotation with absolute offsets, in original-text order:
+ * { type, ...details, original: { start, end, text }, converted: { start, end, text } }.
+ * @param {Segment[]} segments
+ */
+export function collectAnnotations(segments) {
+  const annotations = [];
+  let originalPosition = 0;
+  let convertedPosition = 0;
+  for (const segment of segments) {
+    for (const { original: [os, oe], converted: [cs, ce], ...details } of segment.annotations) {
+      annotations.push({
+        ...details,
+        original: { start: originalPosition + os, end: originalPosition + oe, text: segment.original.slice(os, oe) },
+        converted: { start: convertedPosition + cs, end: convertedPosition + ce, text: segment.converted.slice(cs, ce) },
+      });
+    }
+    originalPosition += segment.original.length;
+    convertedPosition += segment.converted.length;
+  }
+  return annotations.sort((a, b) => a.original.start - b.original.start || a.converted.start - b.converted.start);
+}
+
+/** Token-level LCS diff of two short strings: [{ type: 'equal'|'delete'|'insert', text }]. */
+function diffTokens(original, converted) {
+  const a = original.match(WORD_TOKEN) || [];
+  const b = converted.match(WORD_TOKEN) || [];
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: "equal", text: a[i++] });
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] > lcs[i + 1][j])) {
+      ops.push({ type: "insert", text: b[j++] });
+    } else {
+      ops.push({ type: "delete", text: a[i++] });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Word-level diff of the original and converted text. Only edited segments are diffed token by token;
+ * adjacent operations of the same type are merged.
+ * @param {Segment[]} segments
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', text: string, original: { start: number, end: number },
+ *   converted: { start: number, end: number } }>} delete ops have an empty converted range at the deletion point,
+ *   insert ops an empty original range
+ */
+export function wordDiff(segments) {
+  const diff = [];
+  let originalPosition = 0;
+  let convertedPosition = 0;
+
+  const push = ({ type, text }) => {
+    const originalEnd = originalPosition + (type === "insert" ? 0 : text.length);
+    const convertedEnd = convertedPosition + (type === "delete" ? 0 : text.length);
+    const last = diff[diff.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+      last.original.end = originalEnd;
+      last.converted.end = convertedEnd;
+    } else {
+      diff.push({
+        type,
+        text,
+        original: { start: originalPosition, end: originalEnd },
+        converted: { start: convertedPosition, end: convertedEnd },
+      });
+    }
+    originalPosition = originalEnd;
+    convertedPosition = convertedEnd;
+  };
+
+  for (const segment of segments) {
+    if (segment.original === segment.converted) {
+      if (segment.original) push({ type: "equal", text: segment.original });
+    } else {
+      diffTokens(segment.original, segment.converted).forEach(push);
+    }
+  }
+  return diff;
+}